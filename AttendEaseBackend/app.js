@@ -2,7 +2,9 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const cookieParser = require("cookie-parser");
-const path = require("path");
+const auditTrail = require("./middleware/auditTrail");
+const { startRetentionSchedule } = require("./services/imageRetention");
+const { getFaceProvider } = require("./services/faceProviders");
 
 // Import Routes
 const authRoutes = require("./routes/authRoutes");
@@ -32,24 +34,31 @@ app.use(
   })
 );
 app.use(cookieParser());
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 
 // General API Route
 app.get("/", (req, res) => {
   res.send("Attendance System API is running...");
 });
 
+// Every change made through the API lands in the audit log
+app.use("/api", auditTrail);
+
 // Auth Routes
 app.use("/api/auth", authRoutes);
 
+// app Routes
+app.use("/api/app", appRoutes);
+
 // Other Routes
 app.use("/api", allRoutes);
 
-// app Routes
-app.use("/api/app", appRoutes);
+// A misconfigured face provider stops the server here rather than on the
+// first punch
+getFaceProvider();
 
 // Start Server
 const PORT = process.env.PORT || 5002;
 app.listen(PORT, "0.0.0.0", () => {
   console.log(`Server running on port ${PORT}`);
+  startRetentionSchedule();
 });
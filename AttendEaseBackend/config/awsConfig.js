@@ -7,6 +7,7 @@ const {
   CompareFacesCommand,
   SearchFacesByImageCommand,
   DetectFacesCommand,
+  ListFacesCommand,
 } = require("@aws-sdk/client-rekognition");
 const {
   S3Client,
@@ -26,8 +27,14 @@ const rekognition = new RekognitionClient({
   },
 });
 
+// S3_ENDPOINT points the client at an S3-compatible server such as MinIO,
+// which expects path-style bucket addressing.
+const s3Endpoint = (process.env.S3_ENDPOINT || "").trim() || undefined;
+
 const s3 = new S3Client({
-  region: process.env.AWS_REGION,
+  region: process.env.AWS_REGION || "us-east-1",
+  endpoint: s3Endpoint,
+  forcePathStyle: Boolean(s3Endpoint),
   credentials: {
     accessKeyId: process.env.AWS_ACCESS_KEY,
     secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
@@ -38,12 +45,14 @@ const s3 = new S3Client({
 module.exports = {
   rekognition,
   s3,
+  s3Endpoint,
   IndexFacesCommand,
   CreateCollectionCommand,
   DeleteFacesCommand,
   CompareFacesCommand,
   SearchFacesByImageCommand,
   DetectFacesCommand,
+  ListFacesCommand,
   DeleteObjectCommand,
   PutObjectCommand,
   GetObjectCommand,
@@ -0,0 +1,73 @@
+const { recordAuditEntry } = require("../services/auditLog");
+
+// Writes an audit entry for every successful POST, PUT, PATCH or DELETE under
+// /api once the response is out. Handlers that know more about the change
+// (entity, before/after values) describe it with noteAudit(); otherwise the
+// route and the submitted body are recorded.
+const MUTATING_METHODS = new Set(["POST", "PUT", "PATCH", "DELETE"]);
+
+// POSTs that only read, called on every screen load or camera pre-check: the
+// day's attendance (rows are created on first view), the supervisor ward
+// summaries and the face photo quality check. They are logged only when the
+// handler describes a change with noteAudit().
+const READ_ONLY_ROUTES = new Set([
+  "POST /api/attendance",
+  "POST /api/app/attendance/employee",
+  "POST /api/app/attendance/employee/faceRoutes/quality-check",
+  "POST /api/app/supervisor/wards",
+  "POST /api/app/supervisor/wards/summary",
+]);
+
+const routePath = (req) =>
+  `${req.baseUrl}${req.route?.path ?? req.path}`.replace(/\/+$/, "") || "/";
+
+const defaultEntityType = (req) => req.baseUrl.split("/").filter(Boolean).pop() || null;
+
+const defaultEntityId = (req) => {
+  const params = req.params || {};
+  return params.id ?? Object.values(params)[0] ?? null;
+};
+
+const auditTrail = (req, res, next) => {
+  if (!MUTATING_METHODS.has(req.method)) {
+    return next();
+  }
+
+  res.on("finish", () => {
+    const details = req.auditDetails;
+    if (details?.skip) {
+      return;
+    }
+    const path = routePath(req);
+    if (!details && READ_ONLY_ROUTES.has(`${req.method} ${path}`)) {
+      return;
+    }
+    // Rejected requests changed nothing unless the handler says otherwise
+    if (res.statusCode >= 400 && !details) {
+      return;
+    }
+
+    recordAuditEntry({
+      actorId: details?.actorId ?? req.user?.user_id ?? null,
+      actorRole: details?.actorRole ?? req.user?.role ?? null,
+      action: details?.action ?? `${req.method} ${path}`,
+      entityType: details?.entityType ?? defaultEntityType(req),
+      entityId: details?.entityId ?? defaultEntityId(req),
+      before: details?.before ?? null,
+      after: details?.after ?? null,
+      metadata: details?.metadata ?? (details ? null : { body: req.body ?? null }),
+      requestMethod: req.method,
+      requestPath: path,
+      statusCode: res.statusCode,
+      ipAddress: req.ip,
+      userAgent: req.get("user-agent") || null,
+      sessionId: details?.sessionId ?? req.user?.sid ?? null,
+    }).catch((error) => {
+      console.error("Audit log write failed:", error);
+    });
+  });
+
+  next();
+};
+
+module.exports = auditTrail;
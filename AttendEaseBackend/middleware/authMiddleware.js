@@ -1,18 +0,0 @@
-const jwt = require("jsonwebtoken");
-
-const authenticateToken = (req, res, next) => {
-  const token = req.cookies.token || req.header("Authorization")?.split(" ")[1];
-
-  if (!token)
-    return res.status(401).json({ error: "Access denied, no token provided" });
-
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // Attach user data to request
-    next();
-  } catch (error) {
-    res.status(403).json({ error: "Invalid or expired token" });
-  }
-};
-
-module.exports = authenticateToken;
@@ -1,27 +1,61 @@
 const jwt = require("jsonwebtoken");
+const { isSessionActive } = require("../services/sessions");
 
-const authenticate = (req, res, next) => {
-  // Get token from headers
-  const token = req.header("Authorization");
+// The one authentication check for /api and /api/app. The app sends a Bearer
+// token; the admin panel may instead rely on the token cookie set at login.
+const readToken = (req) => {
+  const header = req.header("Authorization") || "";
+  if (header.startsWith("Bearer ")) {
+    return header.slice("Bearer ".length).trim();
+  }
+  return req.cookies?.token || null;
+};
+
+const createAuthenticate = ({ allowPendingPasswordChange = false } = {}) => async (req, res, next) => {
+  const token = readToken(req);
 
-  // Check if token exists
   if (!token) {
-    return res
-      .status(401)
-      .json({ message: "Access Denied. No token provided." });
+    return res.status(401).json({ error: "Access denied. No token provided." });
   }
 
-  try {
-    // Verify token
-    const secretKey = process.env.JWT_SECRET || "ankit"; // Use env variable in production
-    const decoded = jwt.verify(token.replace("Bearer ", ""), secretKey);
+  if (!process.env.JWT_SECRET) {
+    console.error("JWT_SECRET is not configured");
+    return res.status(500).json({ error: "Authentication is not configured" });
+  }
 
-    // Attach user info to request object
-    req.user = decoded;
-    next(); // Proceed to next middleware or route handler
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
-    res.status(403).json({ message: "Invalid or expired token." });
+    return res.status(401).json({ error: "Invalid or expired token." });
+  }
+
+  // Access tokens die with their session, so a revoked device is locked out
+  // immediately rather than when its token expires.
+  try {
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: "Session has been signed out." });
+    }
+  } catch (error) {
+    console.error("Session check failed:", error);
+    return res.status(500).json({ error: "Unable to verify session" });
+  }
+
+  // Accounts still on an admin-issued password may only change it
+  if (decoded.pwd_change && !allowPendingPasswordChange) {
+    return res.status(403).json({
+      error: "Password change required",
+      code: "PASSWORD_CHANGE_REQUIRED",
+    });
   }
+
+  req.user = decoded;
+  next();
 };
 
+const authenticate = createAuthenticate();
+
+// For the few auth routes a user with a pending password change still needs
+authenticate.allowingPasswordChange = createAuthenticate({ allowPendingPasswordChange: true });
+
 module.exports = authenticate;
@@ -0,0 +1,32 @@
+const { isAdmin } = require("../services/accessPolicy");
+
+// Role checks for routes mounted behind `authenticate`. Ward-level checks
+// (which employees a supervisor may read or punch) live in
+// services/accessPolicy and are applied inside the handlers.
+
+const formatRoles = (roles) =>
+  roles.map((role) => role.charAt(0).toUpperCase() + role.slice(1)).join(" or ");
+
+const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user?.role)) {
+    return res
+      .status(403)
+      .json({ error: `Access denied. ${formatRoles(roles)} role required.` });
+  }
+  next();
+};
+
+// Master data (cities, zones, wards, ...) is readable by any signed-in user
+// but only admins may change it.
+const requireAdminForWrites = (req, res, next) => {
+  if (req.method === "GET" || req.method === "HEAD" || isAdmin(req.user)) {
+    return next();
+  }
+  res.status(403).json({ error: "Access denied. Admin role required." });
+};
+
+module.exports = {
+  requireRole,
+  requireAdmin: requireRole("admin"),
+  requireAdminForWrites,
+};
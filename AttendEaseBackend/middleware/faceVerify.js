@@ -1,6 +1,6 @@
-const { rekognition, s3 } = require("../config/awsConfig");
-const { SearchFacesByImageCommand } = require("@aws-sdk/client-rekognition");
 const pool = require("../config/db");
+const { getSetting } = require("../services/systemSettings");
+const { getFaceProvider } = require("../services/faceProviders");
 
 const faceVerify = async (req, res, next) => {
   try {
@@ -9,24 +9,17 @@ const faceVerify = async (req, res, next) => {
     }
 
     // Search for face in collection
-    const searchParams = {
-      CollectionId: process.env.REKOGNITION_COLLECTION,
-      Image: {
-        Bytes: req.file.buffer,
-      },
-      MaxFaces: 1,
-      FaceMatchThreshold: 90,
-    };
-
-    const command = new SearchFacesByImageCommand(searchParams);
-    const result = await rekognition.send(command);
-
-    if (!result.FaceMatches || result.FaceMatches.length === 0) {
+    const [match] = await getFaceProvider().searchFaces(
+      { bytes: req.file.buffer },
+      { maxFaces: 1, threshold: await getSetting("faceMatchThreshold") }
+    );
+
+    if (!match) {
       return res.status(401).json({ error: "No matching face found" });
     }
 
     // Get the matched face ID
-    const matchedFaceId = result.FaceMatches[0].Face.FaceId;
+    const matchedFaceId = match.faceId;
 
     // Find employee with this faceId
     const { rows } = await pool.query(
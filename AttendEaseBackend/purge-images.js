@@ -0,0 +1,60 @@
+// Purges attendance, face template and group review photos that are past
+// the retention periods in system settings, skipping anything under a legal
+// hold. The server also does this once a day.
+//
+//   node purge-images.js             purge now
+//   node purge-images.js --dry-run   only count what would be purged
+const pool = require('./config/db');
+const { previewRetention, runRetention, summarizeRun } = require('./services/imageRetention');
+const { recordAuditEntry } = require('./services/auditLog');
+
+const CATEGORIES = [
+  ['attendance', 'Punch photos'],
+  ['face_templates', 'Retired face templates'],
+  ['group_reviews', 'Group review crops'],
+];
+
+async function purge() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    if (dryRun) {
+      const preview = await previewRetention();
+      console.log(`Attendance photos kept ${preview.data_retention_days} days (records before ${preview.attendance.cutoff_date})`);
+      console.log(
+        preview.face_templates.retired_before
+          ? `Retired face templates kept ${preview.face_template_retention_days} days`
+          : 'Retired face templates are kept forever'
+      );
+      CATEGORIES.forEach(([category, label]) => {
+        console.log(`${label}: ${preview[category].expired} to purge, ${preview[category].held} held`);
+      });
+      return;
+    }
+
+    const run = await runRetention();
+    await recordAuditEntry({
+      action: 'retention.purge',
+      entityType: 'image_purge',
+      entityId: run.run_id,
+      metadata: { source: 'command', ...summarizeRun(run) },
+    });
+
+    console.log(`Image purge ${run.run_id}`);
+    CATEGORIES.forEach(([category, label]) => {
+      console.log(`${label}: purged ${run[category].purged}, failed ${run[category].failed}`);
+    });
+
+    if (CATEGORIES.some(([category]) => run[category].failed)) {
+      console.log('\nFailed photos are listed in image_purge_log and are retried on the next run.');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Image purge failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+purge();
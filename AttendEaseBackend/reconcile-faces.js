@@ -0,0 +1,81 @@
+// Compares employee face records, the face collection and the photos under
+// faces/ in storage, and prints what does not line up.
+//
+//   node reconcile-faces.js           dry run, changes nothing
+//   node reconcile-faces.js --apply   also repairs what it found
+//   add --json to print the full report instead of the summary
+const pool = require('./config/db');
+const { reconcileFaces, summarizeIssues } = require('./services/faceReconciliation');
+const { recordAuditEntry } = require('./services/auditLog');
+
+const SAMPLE_SIZE = 10;
+
+const describe = (entry) =>
+  [
+    entry.emp_id !== undefined ? `employee ${entry.emp_id}` : null,
+    entry.template_id !== undefined ? `template ${entry.template_id}` : null,
+    entry.face_id ? `face ${entry.face_id}` : null,
+    entry.key || null,
+    entry.action,
+    entry.result ? `-> ${entry.result}${entry.error ? ` (${entry.error})` : ''}` : null,
+  ]
+    .filter(Boolean)
+    .join(' | ');
+
+async function reconcile() {
+  const apply = process.argv.includes('--apply');
+  const json = process.argv.includes('--json');
+
+  try {
+    const report = await reconcileFaces({ apply });
+
+    if (apply) {
+      await recordAuditEntry({
+        action: 'face.reconcile',
+        entityType: 'face_template',
+        entityId: 'all',
+        metadata: {
+          source: 'command',
+          issues: summarizeIssues(report.issues),
+          repaired_count: report.repaired_count,
+          failed_count: report.failed_count,
+        },
+      });
+    }
+
+    if (json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      console.log(`Face reconciliation (${report.mode}, ${report.provider} provider)`);
+      console.log(
+        `Employees with a face: ${report.totals.employees_with_face}, active templates: ${report.totals.active_templates}, ` +
+          `collection faces: ${report.totals.collection_faces}, stored photos: ${report.totals.stored_images}`
+      );
+
+      Object.entries(report.issues).forEach(([type, entries]) => {
+        console.log(`\n${type}: ${entries.length}`);
+        entries.slice(0, SAMPLE_SIZE).forEach((entry) => console.log(`  ${describe(entry)}`));
+        if (entries.length > SAMPLE_SIZE) {
+          console.log(`  ... ${entries.length - SAMPLE_SIZE} more (use --json for all)`);
+        }
+      });
+
+      if (apply) {
+        console.log(`\nRepaired ${report.repaired_count}, failed ${report.failed_count}`);
+      } else if (report.issue_count) {
+        console.log('\nRun again with --apply to repair these.');
+      }
+    }
+
+    if (report.failed_count) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Face reconciliation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+reconcile();
@@ -1,77 +1,140 @@
 const express = require("express");
 const pool = require("../config/db");
-const authenticateUser = require("../middleware/authMiddleware");
-
+const {
+  parseOverviewQuery,
+  getDashboardOverview,
+} = require("../services/dashboardOverview");
+const {
+  getSettingsWithMeta,
+  updateSettings,
+  getSettingsAudit,
+} = require("../services/systemSettings");
+const { ensureShiftSchema } = require("../services/shifts");
+const {
+  ensureGeofenceSchema,
+  listOutOfFencePunches,
+} = require("../services/geofences");
+const { formatDateIST, addDaysIso, isIsoDate } = require("../utils/dates");
+const { ensureLeaveSchema, approvedLeaveSql } = require("../services/leaves");
+const {
+  ensureHolidaySchema,
+  nonWorkingDaySql,
+  workingDaysSql,
+} = require("../services/holidays");
+const { ensureRegularizationSchema } = require("../services/regularizations");
+const { listLocationAnomalies } = require("../services/locationIntegrity");
+const { noteAudit, listAuditEntries } = require("../services/auditLog");
+const { retireIdleTemplates } = require("../services/faceTemplates");
+const { reconcileFaces, summarizeIssues } = require("../services/faceReconciliation");
+const { ensureRetentionSchema } = require("../services/imageRetention");
+const shiftRoutes = require("./shiftRoutes");
+const leaveRoutes = require("./leaveRoutes");
+const holidayRoutes = require("./holidayRoutes");
+const regularizationRoutes = require("./regularizationRoutes");
+const sessionRoutes = require("./sessionRoutes");
+const loginLockoutRoutes = require("./loginLockoutRoutes");
+const photoFlagRoutes = require("./photoFlagRoutes");
+const retentionRoutes = require("./retentionRoutes");
+
+// Mounted behind authenticate and requireAdmin in routes/index.js
 const router = express.Router();
 
-// Middleware to check admin role
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: "Access denied. Admin role required." });
-  }
-  next();
-};
+// The attendance table has no status column; status is derived from the
+// punches, approved leave and the shift flags computed when they were
+// recorded.
+const ATTENDANCE_STATUS_SQL = `CASE
+  WHEN a.punch_in_time IS NULL AND ${approvedLeaveSql("a.emp_id", "a.date")} THEN 'leave'
+  WHEN a.punch_in_time IS NULL THEN 'absent'
+  WHEN a.is_late THEN 'late'
+  ELSE 'present'
+END`;
+
+// Shifts, rosters and their assignments
+router.use("/shifts", shiftRoutes);
+
+// Leave types, balances and the approval workflow
+router.use("/leaves", leaveRoutes);
+
+// Holiday calendars and weekly offs; non-working days are left out of rates
+router.use("/holidays", holidayRoutes);
+
+// Review queue for corrected punch times raised by supervisors
+router.use("/regularizations", regularizationRoutes);
 
-// Apply authentication and admin check to all routes
-router.use(authenticateUser);
-router.use(requireAdmin);
+// Signed-in devices per user and remote sign-out
+router.use("/sessions", sessionRoutes);
+
+// Accounts and addresses locked after repeated failed sign-ins
+router.use("/login-lockouts", loginLockoutRoutes);
+
+// Punch photos that match an earlier punch, waiting for review
+router.use("/photo-flags", photoFlagRoutes);
+
+// Image retention runs, purge log and legal holds
+router.use("/retention", retentionRoutes);
 
 // ===== DASHBOARD ANALYTICS =====
 
 // Get system overview statistics
+// Optional query: date (YYYY-MM-DD, defaults to today IST), cityId, zoneId, wardId
 router.get("/dashboard/overview", async (req, res) => {
   try {
-    // STATIC DATA TO PREVENT DATABASE ERRORS
-    const stats = {
-      rows: [{
-        total_supervisors: 12,
-        total_employees: 156,
-        total_wards: 8,
-        total_departments: 4,
-        today_attendance_records: 156,
-        today_present: 142,
-        today_absent: 14
-      }]
-    };
+    const { date, scope } = parseOverviewQuery(req.query);
+    const overview = await getDashboardOverview({ date, scope });
 
-    res.json({
-      totalSupervisors: parseInt(stats.rows[0].total_supervisors) || 0,
-      totalEmployees: parseInt(stats.rows[0].total_employees) || 0,
-      totalWards: parseInt(stats.rows[0].total_wards) || 0,
-      totalDepartments: parseInt(stats.rows[0].total_departments) || 0,
-      presentToday: parseInt(stats.rows[0].today_present) || 0,
-      absentToday: parseInt(stats.rows[0].today_absent) || 0,
-      attendanceRate: stats.rows[0].today_present > 0 ?
-        ((parseInt(stats.rows[0].today_present) / (parseInt(stats.rows[0].today_present) + parseInt(stats.rows[0].today_absent))) * 100).toFixed(1) : 0
-    });
+    res.json(overview);
   } catch (error) {
     console.error("Dashboard overview error:", error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
 // Get today's attendance statistics
 router.get("/dashboard/today-stats", async (req, res) => {
   try {
+    // Late/early flags are computed per employee shift when punches are recorded
+    await ensureShiftSchema();
+    await ensureLeaveSchema();
+    await ensureHolidaySchema();
+    const onLeave = approvedLeaveSql("a.emp_id", "a.date");
+    const offDay = nonWorkingDaySql("a.emp_id", "a.date");
+    // The IST business date, as on the dashboard overview, not the database's
+    const today = formatDateIST();
     const todayStats = await pool.query(`
       SELECT
-        COUNT(DISTINCT CASE WHEN punch_in_time IS NOT NULL THEN emp_id END) as present_today,
-        COUNT(DISTINCT CASE WHEN punch_in_time IS NULL THEN emp_id END) as absent_today,
-        COUNT(DISTINCT CASE WHEN punch_in_time > '09:00:00' THEN emp_id END) as late_arrivals,
-        COUNT(DISTINCT CASE WHEN punch_out_time < '17:00:00' AND punch_out_time IS NOT NULL THEN emp_id END) as early_departures
-      FROM attendance
-      WHERE date = CURRENT_DATE
-    `);
+        COUNT(DISTINCT CASE WHEN a.punch_in_time IS NOT NULL THEN a.emp_id END) as present_today,
+        COUNT(DISTINCT CASE
+          WHEN a.punch_in_time IS NULL AND NOT ${onLeave} AND NOT ${offDay} THEN a.emp_id
+        END) as absent_today,
+        (SELECT COUNT(DISTINCT la.emp_id)
+           FROM leave_applications la
+          WHERE la.status = 'approved'
+            AND $1::date BETWEEN la.start_date AND la.end_date
+            AND NOT EXISTS (
+              SELECT 1 FROM attendance p
+               WHERE p.emp_id = la.emp_id
+                 AND p.date = $1::date
+                 AND p.punch_in_time IS NOT NULL
+            )) as on_leave_today,
+        COUNT(DISTINCT CASE WHEN a.is_late THEN a.emp_id END) as late_arrivals,
+        COUNT(DISTINCT CASE WHEN a.is_early_exit THEN a.emp_id END) as early_departures,
+        COALESCE(SUM(a.overtime_minutes), 0) as overtime_minutes
+      FROM attendance a
+      WHERE a.date = $1::date
+    `, [today]);
 
     const stats = todayStats.rows[0];
+    // Employees on leave or on a non-working day are neither present nor absent.
     const total = parseInt(stats.present_today) + parseInt(stats.absent_today);
     const attendanceRate = total > 0 ? ((parseInt(stats.present_today) / total) * 100).toFixed(1) : 0;
 
     res.json({
       presentToday: parseInt(stats.present_today) || 0,
       absentToday: parseInt(stats.absent_today) || 0,
+      onLeaveToday: parseInt(stats.on_leave_today) || 0,
       lateArrivals: parseInt(stats.late_arrivals) || 0,
       earlyDepartures: parseInt(stats.early_departures) || 0,
+      overtimeMinutes: parseInt(stats.overtime_minutes) || 0,
       attendanceRate: parseFloat(attendanceRate)
     });
   } catch (error) {
@@ -104,26 +167,52 @@ router.get("/analytics/weekly-trend", async (req, res) => {
 // Get attendance trends by ward
 router.get("/analytics/ward-trends", async (req, res) => {
   try {
+    await ensureHolidaySchema();
+    // Rate over the last 30 days: employee-days with a punch-in out of the
+    // employee-days people were expected at work.
     const trends = await pool.query(`
+      WITH expected_days AS (
+        SELECT
+          e.ward_id,
+          EXISTS (
+            SELECT 1 FROM attendance p
+             WHERE p.emp_id = e.emp_id
+               AND p.date = d.day::date
+               AND p.punch_in_time IS NOT NULL
+          ) as present
+        FROM employee e
+        CROSS JOIN generate_series(
+          (NOW() AT TIME ZONE 'Asia/Kolkata')::date - 29,
+          (NOW() AT TIME ZONE 'Asia/Kolkata')::date,
+          INTERVAL '1 day'
+        ) AS d(day)
+        WHERE NOT ${nonWorkingDaySql("e.emp_id", "d.day")}
+          AND NOT ${approvedLeaveSql("e.emp_id", "d.day::date")}
+      ),
+      ward_rates AS (
+        SELECT
+          ward_id,
+          ROUND(COUNT(*) FILTER (WHERE present) * 100.0 / NULLIF(COUNT(*), 0), 2) as attendance_rate
+        FROM expected_days
+        GROUP BY ward_id
+      )
       SELECT 
         w.ward_id,
         w.ward_name,
         z.zone_name,
         COUNT(DISTINCT e.emp_id) as total_employees,
         COUNT(DISTINCT a.emp_id) as employees_with_attendance,
-        ROUND(
-          (COUNT(DISTINCT CASE WHEN a.punch_in_time IS NOT NULL THEN a.emp_id END) * 100.0 /
-           NULLIF(COUNT(DISTINCT a.emp_id), 0)), 2
-        ) as attendance_rate,
+        wr.attendance_rate,
         u.name as supervisor_name
       FROM wards w
       LEFT JOIN zones z ON w.zone_id = z.zone_id
       LEFT JOIN employee e ON w.ward_id = e.ward_id
       LEFT JOIN attendance a ON e.emp_id = a.emp_id
         AND a.created_at >= CURRENT_DATE - INTERVAL '30 days'
+      LEFT JOIN ward_rates wr ON wr.ward_id = w.ward_id
       LEFT JOIN supervisor_ward aw ON w.ward_id = aw.ward_id
       LEFT JOIN users u ON aw.supervisor_id = u.user_id
-      GROUP BY w.ward_id, w.ward_name, z.zone_name, u.name
+      GROUP BY w.ward_id, w.ward_name, z.zone_name, wr.attendance_rate, u.name
       ORDER BY attendance_rate DESC NULLS LAST
     `);
 
@@ -134,6 +223,112 @@ router.get("/analytics/ward-trends", async (req, res) => {
   }
 });
 
+// Punches whose location looks spoofed: a mock-location provider, a poor GPS
+// fix, or travel from the same supervisor's previous punch that is too fast
+// Optional query: date_from, date_to (YYYY-MM-DD, default last 7 days), ward_id,
+// type (mock_location, low_accuracy or impossible_travel)
+router.get("/analytics/location-anomalies", async (req, res) => {
+  const today = formatDateIST();
+  const {
+    date_from = addDaysIso(today, -6),
+    date_to = today,
+    ward_id = '',
+    type = '',
+    page = 1,
+    limit = 100
+  } = req.query;
+
+  if (!isIsoDate(date_from) || !isIsoDate(date_to)) {
+    return res.status(400).json({ error: "date_from and date_to must be in YYYY-MM-DD format" });
+  }
+
+  try {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+    const { summary, anomalies } = await listLocationAnomalies({
+      from: date_from,
+      to: date_to,
+      type: type || null,
+      wardId: ward_id ? Number(ward_id) : null,
+      limit: pageSize,
+      offset: (Math.max(parseInt(page) || 1, 1) - 1) * pageSize,
+    });
+
+    res.json({ date_from, date_to, summary, anomalies });
+  } catch (error) {
+    console.error("Location anomalies error:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// ===== FACE TEMPLATES =====
+
+// Retire extra face templates that have not matched a punch within
+// faceTemplateIdleDays. Each employee keeps at least one active template.
+router.post("/face-templates/retire-idle", async (req, res) => {
+  try {
+    const retired = await retireIdleTemplates({ actorId: req.user.user_id });
+    noteAudit(req, {
+      action: "face.template.retire_idle",
+      entityType: "face_template",
+      entityId: "all",
+      metadata: { retired: retired.map((row) => row.template_id) },
+    });
+
+    res.json({
+      retired_count: retired.length,
+      retired: retired.map((row) => ({
+        template_id: row.template_id,
+        emp_id: row.emp_id,
+        label: row.label,
+        reason: row.retire_reason,
+      })),
+    });
+  } catch (error) {
+    console.error("Retire idle face templates error:", error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// ===== FACE RECONCILIATION =====
+
+const sendReconciliationError = (res, error) => {
+  console.error("Face reconciliation error:", error);
+  res.status(error.statusCode || 500).json({
+    error: error.statusCode ? error.message : "Error reconciling faces",
+    ...(error.details ? { details: error.details } : {}),
+  });
+};
+
+// Dry run: compares employee face records, the face collection and the photos
+// under faces/ and lists what does not line up, changing nothing.
+router.get("/face-reconciliation", async (req, res) => {
+  try {
+    res.json(await reconcileFaces());
+  } catch (error) {
+    sendReconciliationError(res, error);
+  }
+});
+
+// Runs the same comparison and repairs what it found.
+router.post("/face-reconciliation", async (req, res) => {
+  try {
+    const report = await reconcileFaces({ apply: true, actorId: req.user.user_id });
+    noteAudit(req, {
+      action: "face.reconcile",
+      entityType: "face_template",
+      entityId: "all",
+      metadata: {
+        issues: summarizeIssues(report.issues),
+        repaired_count: report.repaired_count,
+        failed_count: report.failed_count,
+      },
+    });
+    res.json(report);
+  } catch (error) {
+    sendReconciliationError(res, error);
+  }
+});
+
 // ===== SUPERVISOR MANAGEMENT =====
 
 // Get all supervisors with their assignments
@@ -225,34 +420,54 @@ router.get("/supervisors/:id", async (req, res) => {
 });
 
 // Update supervisor ward assignments
+// Replaces the supervisor's rows in supervisor_ward, the table the ward-scoped
+// access checks read.
 router.put("/supervisors/:id/assignments", async (req, res) => {
+  const { id } = req.params;
+  const { wardIds } = req.body;
+  const nextWardIds = Array.isArray(wardIds) ? [...new Set(wardIds.map(Number))] : [];
+
+  if (nextWardIds.some((wardId) => !Number.isInteger(wardId))) {
+    return res.status(400).json({ error: "wardIds must be a list of ward IDs" });
+  }
+
+  const client = await pool.connect();
   try {
-    const { id } = req.params;
-    const { wardIds } = req.body;
+    await client.query('BEGIN');
 
-    // Start transaction
-    await pool.query('BEGIN');
+    const previous = await client.query(
+      'SELECT ward_id FROM supervisor_ward WHERE supervisor_id = $1 ORDER BY ward_id',
+      [id]
+    );
 
     // Remove existing assignments
-    await pool.query('DELETE FROM assigned_wards WHERE supervisor_id = $1', [id]);
+    await client.query('DELETE FROM supervisor_ward WHERE supervisor_id = $1', [id]);
 
     // Add new assignments
-    if (wardIds && wardIds.length > 0) {
-      const values = wardIds.map((wardId, index) => `($1, $${index + 2})`).join(', ');
-      const params = [id, ...wardIds];
-
-      await pool.query(
-        `INSERT INTO assigned_wards (supervisor_id, ward_id) VALUES ${values}`,
-        params
+    if (nextWardIds.length > 0) {
+      await client.query(
+        `INSERT INTO supervisor_ward (supervisor_id, ward_id)
+         SELECT $1, UNNEST($2::int[])`,
+        [id, nextWardIds]
       );
     }
 
-    await pool.query('COMMIT');
+    await client.query('COMMIT');
+
+    noteAudit(req, {
+      action: "supervisor.wards.update",
+      entityType: "supervisor",
+      entityId: id,
+      before: { ward_ids: previous.rows.map((row) => row.ward_id) },
+      after: { ward_ids: [...nextWardIds].sort((a, b) => a - b) },
+    });
     res.json({ message: "Ward assignments updated successfully" });
   } catch (error) {
-    await pool.query('ROLLBACK');
+    await client.query('ROLLBACK');
     console.error("Update assignments error:", error);
     res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
   }
 });
 
@@ -280,6 +495,10 @@ router.get("/employees", async (req, res) => {
       params.push(ward_id);
     }
 
+    // attendance_rate covers the last 30 days, leaving out holidays, weekly
+    // offs and approved leave
+    await ensureHolidaySchema();
+    await ensureLeaveSchema();
     const employees = await pool.query(`
       SELECT
         e.emp_id as employee_id,
@@ -293,11 +512,21 @@ router.get("/employees", async (req, res) => {
         CASE
           WHEN a.punch_in_time IS NOT NULL AND a.punch_out_time IS NOT NULL THEN 'completed'
           WHEN a.punch_in_time IS NOT NULL THEN 'present'
+          WHEN ${approvedLeaveSql("e.emp_id", "(NOW() AT TIME ZONE 'Asia/Kolkata')::date")} THEN 'leave'
           ELSE 'absent'
         END as status,
         COALESCE(
-          (SELECT COUNT(*) FROM attendance a2 WHERE a2.emp_id = e.emp_id AND a2.punch_in_time IS NOT NULL AND a2.date >= CURRENT_DATE - INTERVAL '30 days') * 100.0 /
-          NULLIF((SELECT COUNT(*) FROM attendance a3 WHERE a3.emp_id = e.emp_id AND a3.date >= CURRENT_DATE - INTERVAL '30 days'), 0), 0
+          (SELECT COUNT(*) FROM attendance a2
+            WHERE a2.emp_id = e.emp_id
+              AND a2.punch_in_time IS NOT NULL
+              AND a2.date >= (NOW() AT TIME ZONE 'Asia/Kolkata')::date - 29
+              AND NOT ${nonWorkingDaySql("a2.emp_id", "a2.date")}
+              AND NOT ${approvedLeaveSql("a2.emp_id", "a2.date")}) * 100.0 /
+          NULLIF(${workingDaysSql(
+            "e.emp_id",
+            "(NOW() AT TIME ZONE 'Asia/Kolkata')::date - 29",
+            "(NOW() AT TIME ZONE 'Asia/Kolkata')::date"
+          )}, 0), 0
         ) as attendance_rate
       FROM employee e
       LEFT JOIN wards w ON e.ward_id = w.ward_id
@@ -380,20 +609,42 @@ router.get("/attendance", async (req, res) => {
 
     if (status) {
       paramCount++;
-      whereClause += ` AND a.status = $${paramCount}`;
+      whereClause += ` AND ${ATTENDANCE_STATUS_SQL} = $${paramCount}`;
       params.push(status);
     }
 
+    await ensureShiftSchema();
+    await ensureGeofenceSchema();
+    await ensureLeaveSchema();
+    await ensureRegularizationSchema();
+    await ensureRetentionSchema();
     const attendance = await pool.query(`
       SELECT
         a.attendance_id,
-        a.employee_id,
+        a.emp_id as employee_id,
         e.name as employee_name,
         e.emp_code,
-        a.status,
+        ${ATTENDANCE_STATUS_SQL} as status,
         a.created_at,
-        a.location_lat,
-        a.location_lng,
+        a.punch_in_time,
+        a.punch_out_time,
+        NULLIF(a.latitude_in::text, '')::float8 as location_lat,
+        NULLIF(a.longitude_in::text, '')::float8 as location_lng,
+        s.shift_name,
+        a.late_minutes,
+        a.is_late,
+        a.early_exit_minutes,
+        a.is_early_exit,
+        a.overtime_minutes,
+        a.duration_minutes,
+        a.fence_distance_in,
+        a.outside_fence_in,
+        a.fence_distance_out,
+        a.outside_fence_out,
+        a.regularization_id,
+        (SELECT h.hold_id FROM legal_holds h
+          WHERE h.attendance_id = a.attendance_id AND h.released_at IS NULL
+          ORDER BY h.placed_at DESC LIMIT 1) as legal_hold_id,
         w.ward_name,
         z.zone_name,
         u.name as supervisor_name
@@ -403,6 +654,7 @@ router.get("/attendance", async (req, res) => {
       LEFT JOIN zones z ON w.zone_id = z.zone_id
       LEFT JOIN supervisor_ward aw ON w.ward_id = aw.ward_id
       LEFT JOIN users u ON aw.supervisor_id = u.user_id
+      LEFT JOIN shifts s ON a.shift_id = s.shift_id
       ${whereClause}
       ORDER BY a.created_at DESC
       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
@@ -462,35 +714,39 @@ router.get("/wards", async (req, res) => {
   }
 });
 
-// Get system activity logs
+// Get the audit log: every change made through the API, newest first.
+// Filters: actor_id, entity_type, entity_id, action (prefix, e.g. "employee."),
+// from / to (dates or timestamps), page, limit.
 router.get("/activity-logs", async (req, res) => {
   try {
-    const { page = 1, limit = 50 } = req.query;
-    const offset = (page - 1) * limit;
-
-    // Get recent attendance activities
-    const activities = await pool.query(`
-      SELECT
-        'attendance' as activity_type,
-        a.created_at,
-        e.name as employee_name,
-        u.name as supervisor_name,
-        a.status,
-        w.ward_name
-      FROM attendance a
-      JOIN employee e ON a.emp_id = e.emp_id
-      LEFT JOIN wards w ON e.ward_id = w.ward_id
-      LEFT JOIN supervisor_ward aw ON w.ward_id = aw.ward_id
-      LEFT JOIN users u ON aw.supervisor_id = u.user_id
-      WHERE a.created_at >= CURRENT_DATE - INTERVAL '7 days'
-      ORDER BY a.created_at DESC
-      LIMIT $1 OFFSET $2
-    `, [limit, offset]);
+    const {
+      actor_id = "",
+      entity_type = "",
+      entity_id = "",
+      action = "",
+      from = "",
+      to = "",
+      page = 1,
+      limit = 50,
+    } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+
+    const entries = await listAuditEntries({
+      actorId: actor_id ? Number(actor_id) : null,
+      entityType: entity_type || null,
+      entityId: entity_id || null,
+      action: action || null,
+      from: from || null,
+      to: to || null,
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize,
+    });
 
-    res.json(activities.rows);
+    res.json(entries);
   } catch (error) {
     console.error("Get activity logs error:", error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
@@ -515,13 +771,21 @@ router.get("/export/attendance", async (req, res) => {
       params.push(date_to);
     }
 
+    await ensureShiftSchema();
+    await ensureLeaveSchema();
     const data = await pool.query(`
       SELECT
         e.name as employee_name,
         e.emp_code,
-        a.status,
-        DATE(a.created_at) as date,
-        TIME(a.created_at) as time,
+        ${ATTENDANCE_STATUS_SQL} as status,
+        TO_CHAR(a.date, 'YYYY-MM-DD') as date,
+        TO_CHAR(a.punch_in_time AT TIME ZONE 'Asia/Kolkata', 'HH24:MI') as punch_in,
+        TO_CHAR(a.punch_out_time AT TIME ZONE 'Asia/Kolkata', 'HH24:MI') as punch_out,
+        s.shift_name,
+        a.late_minutes,
+        a.early_exit_minutes,
+        a.overtime_minutes,
+        a.duration_minutes,
         w.ward_name,
         z.zone_name,
         u.name as supervisor_name
@@ -531,6 +795,7 @@ router.get("/export/attendance", async (req, res) => {
       LEFT JOIN zones z ON w.zone_id = z.zone_id
       LEFT JOIN supervisor_ward aw ON w.ward_id = aw.ward_id
       LEFT JOIN users u ON aw.supervisor_id = u.user_id
+      LEFT JOIN shifts s ON a.shift_id = s.shift_id
       ${whereClause}
       ORDER BY a.created_at DESC
     `, params);
@@ -538,9 +803,14 @@ router.get("/export/attendance", async (req, res) => {
     if (format === 'csv') {
       // Convert to CSV format
       const csv = [
-        'Employee Name,Employee Code,Status,Date,Time,Ward,Zone,Supervisor',
+        'Employee Name,Employee Code,Status,Date,Punch In,Punch Out,Shift,Late (min),Early Exit (min),Overtime (min),Duration (min),Ward,Zone,Supervisor',
         ...data.rows.map(row =>
-          `"${row.employee_name}","${row.emp_code}","${row.status}","${row.date}","${row.time}","${row.ward_name}","${row.zone_name}","${row.supervisor_name}"`
+          [
+            row.employee_name, row.emp_code, row.status, row.date,
+            row.punch_in, row.punch_out, row.shift_name,
+            row.late_minutes, row.early_exit_minutes, row.overtime_minutes, row.duration_minutes,
+            row.ward_name, row.zone_name, row.supervisor_name
+          ].map(value => `"${value ?? ''}"`).join(',')
         )
       ].join('\n');
 
@@ -556,31 +826,49 @@ router.get("/export/attendance", async (req, res) => {
   }
 });
 
+// ===== REPORTS =====
+
+// Punches recorded outside their ward geofence
+// Optional query: date_from, date_to (YYYY-MM-DD, default last 7 days), ward_id
+router.get("/reports/out-of-fence", async (req, res) => {
+  const today = formatDateIST();
+  const {
+    date_from = addDaysIso(today, -6),
+    date_to = today,
+    ward_id = '',
+    page = 1,
+    limit = 100
+  } = req.query;
+
+  if (!isIsoDate(date_from) || !isIsoDate(date_to)) {
+    return res.status(400).json({ error: "date_from and date_to must be in YYYY-MM-DD format" });
+  }
+
+  try {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+    const punches = await listOutOfFencePunches({
+      from: date_from,
+      to: date_to,
+      wardId: ward_id ? Number(ward_id) : null,
+      limit: pageSize,
+      offset: (Math.max(parseInt(page) || 1, 1) - 1) * pageSize,
+    });
+
+    res.json({ date_from, date_to, punches });
+  } catch (error) {
+    console.error("Out-of-fence report error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ===== SYSTEM SETTINGS =====
 
-// Get system settings
+// Get system settings with per-key version metadata
 router.get("/settings/system", async (req, res) => {
   try {
-    // For now, return default settings since we don't have a settings table
-    // In a real implementation, you'd store these in a database table
-    const settings = {
-      notifications: true,
-      autoBackup: true,
-      dataRetention: 90,
-      requireLocationForAttendance: true,
-      allowOfflineMode: false,
-      maxLoginAttempts: 3,
-      sessionTimeout: 24,
-      enableFaceRecognition: true,
-      workingHours: {
-        start: "09:00",
-        end: "17:00"
-      },
-      lateThreshold: 15, // minutes
-      earlyLeaveThreshold: 30 // minutes
-    };
+    const { settings, meta } = await getSettingsWithMeta({ fresh: true });
 
-    res.json(settings);
+    res.json({ settings, meta });
   } catch (error) {
     console.error("Get system settings error:", error);
     res.status(500).json({ error: error.message });
@@ -588,18 +876,64 @@ router.get("/settings/system", async (req, res) => {
 });
 
 // Update system settings
+// Body: { settings: { key: value }, versions?: { key: expectedVersion } }
+// A flat { key: value } body is accepted for older clients.
 router.put("/settings/system", async (req, res) => {
   try {
-    const settings = req.body;
+    const hasEnvelope =
+      req.body && typeof req.body.settings === "object" && req.body.settings !== null;
+    const patch = hasEnvelope ? req.body.settings : req.body;
+    const expectedVersions = hasEnvelope ? req.body.versions || {} : {};
+
+    const { settings: previous } = await getSettingsWithMeta({ fresh: true });
+    const { settings, meta, changed } = await updateSettings(patch, {
+      actorId: req.user.user_id,
+      expectedVersions,
+      source: req.ip,
+    });
+
+    const pick = (values) => Object.fromEntries(changed.map((key) => [key, values[key]]));
+    noteAudit(req, {
+      action: "settings.update",
+      entityType: "settings",
+      entityId: "system",
+      before: pick(previous),
+      after: pick(settings),
+    });
 
-    // In a real implementation, you'd update the settings in the database
-    // For now, just return success
     res.json({
-      message: "Settings updated successfully",
-      settings: settings
+      message: changed.length
+        ? "Settings updated successfully"
+        : "No settings changed",
+      changed,
+      settings,
+      meta,
     });
   } catch (error) {
     console.error("Update system settings error:", error);
+    res.status(error.statusCode || 500).json({
+      error: error.message,
+      ...(error.details ? { details: error.details } : {}),
+    });
+  }
+});
+
+// Get the change history of system settings
+router.get("/settings/system/audit", async (req, res) => {
+  try {
+    const { key = "" } = req.query;
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const entries = await getSettingsAudit({
+      key: key || null,
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    res.json(entries);
+  } catch (error) {
+    console.error("Get settings audit error:", error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -1,17 +1,13 @@
 const express = require("express");
 const axios = require("axios");
-const fs = require("fs");
 const router = express.Router();
 const pool = require("../../config/db");
 const multer = require("multer");
 const {
   uploadAttendanceImage,
-  isLocalImage,
-  getLocalImagePath,
-  isS3Image,
-  extractS3Key,
-  getS3ImageStream,
-} = require("../../utils/s3Storage");
+  openStoredImage,
+} = require("../../utils/imageStorage");
+const { getFaceProvider } = require("../../services/faceProviders");
 
 // Set up Multer for file uploads
 const storage = multer.memoryStorage();
@@ -226,41 +222,24 @@ router.get("/image", async (req, res) => {
     const imageUrl = result.rows[0].image_url;
     const downloadName = `attendance_${attendance_id}_${punch_type}.jpg`;
 
-    if (isLocalImage(imageUrl)) {
-      const filePath = getLocalImagePath(imageUrl);
-
-      if (!fs.existsSync(filePath)) {
+    let stored;
+    try {
+      stored = await openStoredImage(imageUrl);
+    } catch (error) {
+      if (error.statusCode === 404) {
         return res.status(404).json({ error: "Image not found" });
       }
+      console.error("Error streaming stored image:", error);
+      return res.status(500).json({ error: "Unable to fetch image from storage" });
+    }
 
+    if (stored) {
       res.set({
-        "Content-Type": "image/jpeg",
+        "Content-Type": stored.contentType,
         "Content-Disposition": `inline; filename="${downloadName}"`,
       });
 
-      return fs.createReadStream(filePath).pipe(res);
-    }
-
-    if (isS3Image(imageUrl)) {
-      const key = extractS3Key(imageUrl);
-
-      if (!key) {
-        return res.status(404).json({ error: "Image not found" });
-      }
-
-      try {
-        const { stream, contentType } = await getS3ImageStream(key);
-
-        res.set({
-          "Content-Type": contentType,
-          "Content-Disposition": `inline; filename="${downloadName}"`,
-        });
-
-        return stream.pipe(res);
-      } catch (error) {
-        console.error("Error streaming S3 image:", error);
-        return res.status(500).json({ error: "Unable to fetch image from S3" });
-      }
+      return stored.stream.pipe(res);
     }
 
     if (imageUrl?.startsWith("http")) {
@@ -293,25 +272,20 @@ router.post(
       const { punch_type } = req.body; // "IN" or "OUT"
 
       // 1. Face Detection
-      const searchParams = {
-        CollectionId: process.env.REKOGNITION_COLLECTION,
-        Image: { Bytes: req.file.buffer },
-        MaxFaces: 1,
-        FaceMatchThreshold: 90,
-      };
-
-      const command = new SearchFacesByImageCommand(searchParams);
-      const result = await rekognition.send(command);
+      const [match] = await getFaceProvider().searchFaces(
+        { bytes: req.file.buffer },
+        { maxFaces: 1, threshold: 90 }
+      );
 
       // 2. Verify Match
-      if (!result.FaceMatches?.length) {
+      if (!match) {
         return res.status(401).json({
           error: "No matching employee found",
           suggestion: "Use manual attendance if face recognition fails",
         });
       }
 
-      const faceId = result.FaceMatches[0].Face.FaceId;
+      const faceId = match.faceId;
 
       // 3. Find Employee
       const { rows } = await pool.query(
@@ -362,8 +336,8 @@ router.post(
     } catch (error) {
       console.error("Face attendance error:", error);
       res.status(500).json({
-        error: "Try manual attendance if this persists",
-        fallback_route: "POST /attendance",
+        error: "Submit an attendance regularization if this persists",
+        fallback_route: "POST /api/app/regularizations",
       });
     }
   }
@@ -1,6 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../../config/db");
+const { ensureShiftSchema } = require("../../services/shifts");
+const { ensureLeaveSchema } = require("../../services/leaves");
+const { canAccessEmployee } = require("../../services/accessPolicy");
 
 router.get("/", async (req, res) => {
   try {
@@ -9,7 +12,15 @@ router.get("/", async (req, res) => {
     if (!month) {
       return res.status(400).json({ error: "Month and year are required." });
     }
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({ error: "Month must be in YYYY-MM format." });
+    }
+    if (!(await canAccessEmployee(req.user, empId))) {
+      return res.status(403).json({ error: "Employee is not in your wards" });
+    }
 
+    await ensureShiftSchema();
+    await ensureLeaveSchema();
     const query = `
             SELECT e.emp_id AS "empId",
        e.emp_code as "empCode", 
@@ -20,7 +31,26 @@ router.get("/", async (req, res) => {
        c.city_name AS "city", 
        c.state AS "state", 
 	     e.face_id as "faceId",
-       COUNT(CASE WHEN a.punch_in_time IS NOT NULL THEN a.attendance_id END) AS "totalAttendance"
+       COUNT(CASE WHEN a.punch_in_time IS NOT NULL THEN a.attendance_id END) AS "totalAttendance",
+       COUNT(CASE WHEN a.is_late THEN a.attendance_id END) AS "lateDays",
+       COUNT(CASE WHEN a.is_early_exit THEN a.attendance_id END) AS "earlyExitDays",
+       COALESCE(SUM(a.overtime_minutes), 0) AS "overtimeMinutes",
+       -- Approved leave days in the month on which the employee did not work
+       (SELECT COUNT(*)
+          FROM leave_applications la
+         CROSS JOIN LATERAL generate_series(
+                GREATEST(la.start_date, TO_DATE($1, 'YYYY-MM')),
+                LEAST(la.end_date, (TO_DATE($1, 'YYYY-MM') + INTERVAL '1 month - 1 day')::date),
+                INTERVAL '1 day'
+              ) AS leave_day(day)
+         WHERE la.emp_id = e.emp_id
+           AND la.status = 'approved'
+           AND NOT EXISTS (
+             SELECT 1 FROM attendance p
+              WHERE p.emp_id = la.emp_id
+                AND p.date = leave_day.day::date
+                AND p.punch_in_time IS NOT NULL
+           )) AS "leaveDays"
 FROM employee e
 JOIN wards w ON e.ward_id = w.ward_id
 JOIN zones z ON w.zone_id = z.zone_id
@@ -1,21 +1,28 @@
 const express = require("express");
 const router = express.Router();
-const {
-  rekognition,
-  s3,
-  IndexFacesCommand,
-  CreateCollectionCommand,
-  DeleteFacesCommand,
-  DeleteObjectCommand,
-  HeadObjectCommand,
-  ListObjectsV2Command,
-} = require("../../config/awsConfig");
 const pool = require("../../config/db");
 const upload = require("../../middleware/upload");
-const { buildPublicFaceUrl, parseFaceKey } = require("../../utils/faceImage");
+const { parseFaceKey } = require("../../utils/faceImage");
+const { getStorage } = require("../../services/storage");
+const { requestBaseUrl, signImageUrl } = require("../../services/imageAccess");
+const { noteAudit } = require("../../services/auditLog");
+const {
+  isAdmin,
+  canAccessEmployee,
+  accessibleEmployeeIds,
+} = require("../../services/accessPolicy");
+const {
+  listTemplates,
+  addTemplate,
+  retireTemplate,
+  deleteAllTemplates,
+} = require("../../services/faceTemplates");
+const { checkFaceImage } = require("../../services/faceQuality");
+
+// Stored faces are only visible to admins and to supervisors of the
+// employee's ward, and only through expiring links. An employee can hold
+// several face templates; supervisors enrol the first, admins manage the rest.
 
-const bucketName =
-  process.env.AWS_S3_BUCKET || process.env.S3_BUCKET_NAME || null;
 const DEFAULT_FACE_PREFIX = "faces/";
 
 const resolvePrefix = (rawPrefix) => {
@@ -39,39 +46,6 @@ const normalizeId = (value) => {
   return Number.isFinite(parsed) ? parsed : null;
 };
 
-const resolveCollectionId = () => {
-  const id =
-    (process.env.REKOGNITION_COLLECTION || "").trim() ||
-    (process.env.REKOGNITION_COLLECTION_ID || "").trim();
-  return id || null;
-};
-
-let collectionReady = false;
-
-const ensureCollectionExists = async (collectionId) => {
-  if (collectionReady) {
-    return;
-  }
-
-  try {
-    await rekognition.send(
-      new CreateCollectionCommand({
-        CollectionId: collectionId,
-      })
-    );
-    console.log(`Created Rekognition collection "${collectionId}".`);
-  } catch (error) {
-    if (error.name === "ResourceAlreadyExistsException") {
-      // Collection already present; carry on.
-      console.log(`Rekognition collection "${collectionId}" already exists.`);
-    } else {
-      throw error;
-    }
-  }
-
-  collectionReady = true;
-};
-
 const extractIdentifierFromKey = (key, prefix) => {
   if (!key || typeof key !== "string") {
     return null;
@@ -106,60 +80,42 @@ const parseEmployeeId = (identifier) => {
 };
 
 router.get("/gallery", async (req, res) => {
-  if (!bucketName) {
-    return res.status(500).json({
-      error: "S3 bucket is not configured",
-      details: "Set AWS_S3_BUCKET or S3_BUCKET_NAME in the backend environment.",
-    });
-  }
-
   const prefix = resolvePrefix(req.query.prefix || DEFAULT_FACE_PREFIX);
   const maxKeys = Math.min(
     Math.max(Number(req.query.maxKeys) || 200, 1),
     1000
   );
 
-  const images = [];
-  let continuationToken = undefined;
-
   try {
-    do {
-      const command = new ListObjectsV2Command({
-        Bucket: bucketName,
-        Prefix: prefix,
-        ContinuationToken: continuationToken,
-        MaxKeys: maxKeys,
-      });
-
-      const response = await s3.send(command);
-      const contents = response?.Contents || [];
-
-      contents.forEach((item) => {
-        if (!item?.Key || item.Key.endsWith("/")) {
-          return;
-        }
+    const storage = getStorage();
+    const [objects, allowedEmployeeIds] = await Promise.all([
+      storage.list(prefix, { pageSize: maxKeys }),
+      accessibleEmployeeIds(req.user),
+    ]);
+    const baseUrl = requestBaseUrl(req);
+
+    const images = [];
+    for (const item of objects) {
+      const identifier = extractIdentifierFromKey(item.key, prefix);
+      const employeeId = parseEmployeeId(identifier);
+      if (allowedEmployeeIds && !allowedEmployeeIds.has(employeeId)) {
+        continue;
+      }
 
-        const identifier = extractIdentifierFromKey(item.Key, prefix);
-        const employeeId = parseEmployeeId(identifier);
-
-        images.push({
-          key: item.Key,
-          identifier,
-          employeeId,
-          size: item.Size ?? null,
-          lastModified: item.LastModified ?? null,
-          url: buildPublicFaceUrl(item.Key),
-        });
+      images.push({
+        key: item.key,
+        identifier,
+        employeeId,
+        size: item.size,
+        lastModified: item.lastModified,
+        url: await signImageUrl(item.key, { baseUrl }),
       });
-
-      continuationToken = response.IsTruncated
-        ? response.NextContinuationToken
-        : undefined;
-    } while (continuationToken);
+    }
 
     res.json({
       success: true,
-      bucket: bucketName,
+      storage: storage.name,
+      bucket: storage.bucket ?? null,
       prefix,
       count: images.length,
       images,
@@ -173,8 +129,45 @@ router.get("/gallery", async (req, res) => {
   }
 });
 
+// Scores a photo before it is enrolled or punched with, so a bad one can be
+// retaken straight away. Nothing is stored.
+router.post("/quality-check", upload.single("image"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "No file uploaded" });
+    }
+
+    const result = await checkFaceImage(req.file.buffer);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Face quality check error:", error);
+    res.status(error.statusCode || error.$metadata?.httpStatusCode || 500).json({
+      error: error.statusCode ? error.message : "Unable to check the photo",
+      details: error.details || error.message,
+    });
+  }
+});
+
+const templateResponse = async (template, baseUrl) => ({
+  templateId: template.template_id,
+  faceId: template.face_id,
+  key: template.image_key,
+  imageUrl: await signImageUrl(template.image_key, { baseUrl }),
+  label: template.label,
+  captureAngle: template.capture_angle,
+  qualityScore: template.quality_score,
+  qualityChecks: template.quality_checks,
+  confidence: template.face_confidence,
+  status: template.status,
+  matchCount: template.match_count,
+  lastMatchedAt: template.last_matched_at,
+  createdAt: template.created_at,
+  createdByName: template.created_by_name ?? null,
+  retiredAt: template.retired_at,
+  retireReason: template.retire_reason,
+});
+
 router.post("/store-face", upload.single("image"), async (req, res) => {
-  let objectKey = null;
   try {
     const { userId: rawUserId, emp_id: rawEmpId, employeeId: rawEmployeeId } = req.body;
 
@@ -191,23 +184,6 @@ router.post("/store-face", upload.single("image"), async (req, res) => {
       return res.status(400).json({ error: "No file uploaded" });
     }
 
-    if (!bucketName) {
-      return res.status(500).json({
-        error: "S3 bucket is not configured",
-        details: "Set AWS_S3_BUCKET or S3_BUCKET_NAME in the backend environment.",
-      });
-    }
-
-    const rawObjectKey = req.file.key || req.file.location;
-    objectKey = parseFaceKey(rawObjectKey);
-
-    if (!objectKey) {
-      return res.status(500).json({
-        error: "Error processing face data",
-        details: "Unable to resolve S3 object key for uploaded face image.",
-      });
-    }
-
     const candidateEmpIds = [normalizedEmpId, normalizedUserId].filter(
       (value, index, array) => value !== null && array.indexOf(value) === index
     );
@@ -242,112 +218,57 @@ router.post("/store-face", upload.single("image"), async (req, res) => {
       });
     }
 
+    if (!(await canAccessEmployee(req.user, targetEmployeeId))) {
+      return res.status(403).json({ error: "Employee is not in your wards" });
+    }
+
     if (employeeRecord?.face_embedding) {
       return res.status(409).json({
         error: "Face already exists",
-        details: "Delete the existing face before uploading a new one.",
+        details: "Ask an admin to add further photos as face templates, or delete the existing face first.",
         face: {
           key: employeeRecord.face_embedding,
           faceId: employeeRecord.face_id,
           confidence: employeeRecord.face_confidence,
-          imageUrl: buildPublicFaceUrl(employeeRecord.face_embedding),
+          imageUrl: await signImageUrl(employeeRecord.face_embedding, {
+            baseUrl: requestBaseUrl(req),
+          }),
         },
       });
     }
 
-    const collectionId = resolveCollectionId();
-    if (!collectionId) {
-      console.error("Face processing error: Rekognition collection ID is not configured");
-      return res.status(500).json({
-        error: "Error processing face data",
-        details:
-          "AWS Rekognition collection is not configured. Set REKOGNITION_COLLECTION in the backend .env file.",
-      });
-    }
-
-    await ensureCollectionExists(collectionId);
-
-    const rekognitionParams = {
-      CollectionId: collectionId,
-      Image: {
-        S3Object: {
-          Bucket: bucketName,
-          Name: objectKey,
-        },
+    const { template } = await addTemplate(targetEmployeeId, req.file, {
+      label: req.body.label ?? "enrolment",
+      captureAngle: req.body.capture_angle,
+      actorId: req.user.user_id,
+    });
+    noteAudit(req, {
+      action: "face.enrol",
+      entityType: "employee",
+      entityId: targetEmployeeId,
+      before: { face_id: null, face_embedding: null, face_confidence: null },
+      after: {
+        face_id: template.face_id,
+        face_embedding: template.image_key,
+        face_confidence: template.face_confidence,
+        template_id: template.template_id,
       },
-      ExternalImageId: targetEmployeeId.toString(),
-      DetectionAttributes: ["DEFAULT"],
-      MaxFaces: 1,
-      QualityFilter: "HIGH",
-    };
-
-    const command = new IndexFacesCommand(rekognitionParams);
-    const rekognitionResponse = await rekognition.send(command);
-
-    if (
-      !rekognitionResponse.FaceRecords ||
-      rekognitionResponse.FaceRecords.length === 0
-    ) {
-      const deleteCommand = new DeleteObjectCommand({
-        Bucket: bucketName,
-        Key: objectKey,
-      });
-      await s3.send(deleteCommand);
-
-      return res.status(400).json({
-        error: "No face detected",
-        details:
-          rekognitionResponse.UnindexedFaces?.[0]?.Reasons?.join(", ") ||
-          "Unknown reason",
-      });
-    }
-
-    const faceRecord = rekognitionResponse.FaceRecords[0];
-    const faceId = faceRecord.Face.FaceId;
-    const confidence = faceRecord.Face.Confidence;
-
-    const updateResult = await pool.query(
-      `UPDATE employee SET
-         face_embedding = $2,
-         face_confidence = $3,
-         face_id = $4
-       WHERE emp_id = $1
-       RETURNING emp_id`,
-      [targetEmployeeId, objectKey, confidence, faceId]
-    );
-
-    if (updateResult.rowCount === 0) {
-      throw new Error("Unable to update employee face metadata");
-    }
+    });
 
     res.json({
       success: true,
-      faceId,
-      imageUrl: req.file.location || buildPublicFaceUrl(objectKey),
-      confidence,
-      empId: updateResult.rows[0].emp_id,
+      faceId: template.face_id,
+      imageUrl: await signImageUrl(template.image_key, { baseUrl: requestBaseUrl(req) }),
+      confidence: template.face_confidence,
+      qualityScore: template.quality_score,
+      templateId: template.template_id,
+      empId: targetEmployeeId,
     });
   } catch (error) {
     console.error("Face processing error:", error);
-
-    const cleanupKey =
-      objectKey || parseFaceKey(req.file?.key || req.file?.location);
-
-    if (cleanupKey) {
-      try {
-        const deleteCommand = new DeleteObjectCommand({
-          Bucket: bucketName,
-          Key: cleanupKey,
-        });
-        await s3.send(deleteCommand);
-      } catch (cleanupError) {
-        console.error("Cleanup error:", cleanupError);
-      }
-    }
-
-    res.status(500).json({
-      error: "Error processing face data",
-      details: error.message,
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Error processing face data",
+      details: error.details || error.message,
     });
   }
 });
@@ -360,6 +281,10 @@ router.get("/:employeeId", async (req, res) => {
       return res.status(400).json({ error: "Valid employee ID is required" });
     }
 
+    if (!(await canAccessEmployee(req.user, employeeId))) {
+      return res.status(403).json({ error: "Employee is not in your wards" });
+    }
+
     const { rows } = await pool.query(
       `SELECT emp_id, emp_code, name, face_embedding, face_confidence, face_id
          FROM employee
@@ -379,22 +304,17 @@ router.get("/:employeeId", async (req, res) => {
 
     const objectKey = parseFaceKey(record.face_embedding);
 
-    let s3ObjectExists = true;
+    let objectExists = false;
     if (objectKey) {
       try {
-        await s3.send(
-          new HeadObjectCommand({
-            Bucket: bucketName,
-            Key: objectKey,
-          })
-        );
+        objectExists = Boolean(await getStorage().head(objectKey));
       } catch (headError) {
-        s3ObjectExists = false;
+        console.error("Face head error:", headError);
       }
-    } else {
-      s3ObjectExists = false;
     }
 
+    const templates = await listTemplates(employeeId);
+
     return res.json({
       success: true,
       face: {
@@ -402,10 +322,13 @@ router.get("/:employeeId", async (req, res) => {
         employeeCode: record.emp_code,
         employeeName: record.name,
         key: record.face_embedding,
-        imageUrl: buildPublicFaceUrl(record.face_embedding),
+        imageUrl: objectExists
+          ? await signImageUrl(record.face_embedding, { baseUrl: requestBaseUrl(req) })
+          : null,
         confidence: record.face_confidence,
         faceId: record.face_id,
-        s3ObjectExists,
+        objectExists,
+        templateCount: templates.length,
       },
     });
   } catch (error) {
@@ -422,11 +345,8 @@ router.delete("/:employeeId", async (req, res) => {
       return res.status(400).json({ error: "Valid employee ID is required" });
     }
 
-    if (!bucketName) {
-      return res.status(500).json({
-        error: "S3 bucket is not configured",
-        details: "Set AWS_S3_BUCKET or S3_BUCKET_NAME in the backend environment.",
-      });
+    if (!(await canAccessEmployee(req.user, employeeId))) {
+      return res.status(403).json({ error: "Employee is not in your wards" });
     }
 
     const { rows } = await pool.query(
@@ -446,52 +366,145 @@ router.delete("/:employeeId", async (req, res) => {
       return res.status(404).json({ error: "No face stored for this employee" });
     }
 
-    const objectKey = parseFaceKey(record.face_embedding);
+    const templatesRemoved = await deleteAllTemplates(employeeId);
+    noteAudit(req, {
+      action: "face.delete",
+      entityType: "employee",
+      entityId: employeeId,
+      before: { face_id: record.face_id, face_embedding: record.face_embedding },
+      after: { face_id: null, face_embedding: null },
+      metadata: { templates_removed: templatesRemoved },
+    });
 
-    if (objectKey) {
-      try {
-        await s3.send(
-          new DeleteObjectCommand({
-            Bucket: bucketName,
-            Key: objectKey,
-          })
-        );
-      } catch (s3Error) {
-        console.error("Face delete S3 error:", s3Error);
-      }
+    return res.json({
+      success: true,
+      message: "Stored face removed successfully",
+    });
+  } catch (error) {
+    console.error("Face delete error:", error);
+    res.status(500).json({ error: "Unable to delete stored face", details: error.message });
+  }
+});
+
+router.get("/:employeeId/templates", async (req, res) => {
+  try {
+    const employeeId = normalizeId(req.params.employeeId);
+
+    if (employeeId === null) {
+      return res.status(400).json({ error: "Valid employee ID is required" });
     }
 
-    const collectionId = resolveCollectionId();
-    if (collectionId && record.face_id) {
-      try {
-        await ensureCollectionExists(collectionId);
-        await rekognition.send(
-          new DeleteFacesCommand({
-            CollectionId: collectionId,
-            FaceIds: [record.face_id],
-          })
-        );
-      } catch (rekognitionError) {
-        console.error("Rekognition face delete error:", rekognitionError);
-      }
+    if (!(await canAccessEmployee(req.user, employeeId))) {
+      return res.status(403).json({ error: "Employee is not in your wards" });
     }
 
-    await pool.query(
-      `UPDATE employee
-         SET face_embedding = NULL,
-             face_confidence = NULL,
-             face_id = NULL
-       WHERE emp_id = $1`,
-      [employeeId]
-    );
+    const templates = await listTemplates(employeeId, {
+      includeRetired: req.query.include_retired === "true",
+    });
+    const baseUrl = requestBaseUrl(req);
 
-    return res.json({
+    res.json({
       success: true,
-      message: "Stored face removed successfully",
+      empId: employeeId,
+      templates: await Promise.all(
+        templates.map((template) => templateResponse(template, baseUrl))
+      ),
     });
   } catch (error) {
-    console.error("Face delete error:", error);
-    res.status(500).json({ error: "Unable to delete stored face", details: error.message });
+    console.error("Face templates fetch error:", error);
+    res.status(500).json({ error: "Unable to fetch face templates", details: error.message });
+  }
+});
+
+router.post("/:employeeId/templates", upload.single("image"), async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ error: "Only admins can add face templates" });
+    }
+
+    const employeeId = normalizeId(req.params.employeeId);
+    if (employeeId === null) {
+      return res.status(400).json({ error: "Valid employee ID is required" });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: "No file uploaded" });
+    }
+
+    const { rows } = await pool.query("SELECT emp_id FROM employee WHERE emp_id = $1", [
+      employeeId,
+    ]);
+    if (!rows.length) {
+      return res.status(404).json({ error: "Employee not found" });
+    }
+
+    const { template, retired } = await addTemplate(employeeId, req.file, {
+      label: req.body.label,
+      captureAngle: req.body.capture_angle,
+      actorId: req.user.user_id,
+    });
+    noteAudit(req, {
+      action: "face.template.add",
+      entityType: "employee",
+      entityId: employeeId,
+      after: {
+        template_id: template.template_id,
+        face_id: template.face_id,
+        label: template.label,
+        quality_score: template.quality_score,
+      },
+      metadata: retired.length
+        ? { retired: retired.map((row) => ({ template_id: row.template_id, reason: row.retire_reason })) }
+        : undefined,
+    });
+
+    res.status(201).json({
+      success: true,
+      template: await templateResponse(template, requestBaseUrl(req)),
+      retired: retired.map((row) => ({
+        templateId: row.template_id,
+        label: row.label,
+        reason: row.retire_reason,
+      })),
+    });
+  } catch (error) {
+    console.error("Face template add error:", error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Unable to add face template",
+      details: error.details || error.message,
+    });
+  }
+});
+
+router.delete("/:employeeId/templates/:templateId", async (req, res) => {
+  try {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ error: "Only admins can retire face templates" });
+    }
+
+    const employeeId = normalizeId(req.params.employeeId);
+    if (employeeId === null) {
+      return res.status(400).json({ error: "Valid employee ID is required" });
+    }
+
+    const retired = await retireTemplate(employeeId, Number(req.params.templateId), {
+      actorId: req.user.user_id,
+    });
+    noteAudit(req, {
+      action: "face.template.retire",
+      entityType: "employee",
+      entityId: employeeId,
+      before: { template_id: retired.template_id, status: "active" },
+      after: { template_id: retired.template_id, status: "retired" },
+    });
+
+    res.json({ success: true, templateId: retired.template_id });
+  } catch (error) {
+    console.error("Face template retire error:", error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Unable to retire face template",
+      ...(error.details ? { details: error.details } : {}),
+    });
   }
 });
 
@@ -1,16 +1,25 @@
 const express = require("express");
 const router = express.Router();
+const authenticate = require("../../middleware/authenticate");
 
 // Import all route files
 const supervisorsWards = require("./supervisorsWard");
 const attendanceRoutes = require("./newAttendaceRoutes");
 const employeeRoutes = require("./employeeDetail");
 const faceRoutes = require("./faceRoutes");
+const leaveRoutes = require("./leaveRoutes");
+const regularizationRoutes = require("./regularizationRoutes");
+
+// Every app route needs a signed-in user; ward-level checks are made per
+// route through services/accessPolicy.
+router.use(authenticate);
 
 // App Routes
 router.use("/supervisor/wards", supervisorsWards);
 router.use("/attendance/employee", attendanceRoutes);
 router.use("/attendance/employee/detail", employeeRoutes);
 router.use("/attendance/employee/faceRoutes", faceRoutes);
+router.use("/leaves", leaveRoutes);
+router.use("/regularizations", regularizationRoutes);
 
 module.exports = router;
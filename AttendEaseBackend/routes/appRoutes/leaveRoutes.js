@@ -0,0 +1,104 @@
+const express = require("express");
+const router = express.Router();
+const {
+  listLeaveTypes,
+  getLeaveBalances,
+  listLeaveApplications,
+  createLeaveApplication,
+  cancelLeaveApplication,
+} = require("../../services/leaves");
+const { formatDateIST } = require("../../utils/dates");
+const { isAdmin, canAccessEmployee } = require("../../services/accessPolicy");
+
+// Supervisors raise leave for employees in their own wards; admins review it
+// through /api/admin/leaves.
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage,
+    ...(error.details ? { details: error.details } : {}),
+  });
+};
+
+router.get("/types", async (req, res) => {
+  try {
+    res.json({ success: true, data: await listLeaveTypes() });
+  } catch (error) {
+    sendError(res, error, "Error fetching leave types");
+  }
+});
+
+router.get("/balances", async (req, res) => {
+  const { emp_id } = req.query;
+  const year = Number(req.query.year || formatDateIST().slice(0, 4));
+
+  if (!emp_id) {
+    return res.status(400).json({ success: false, error: "emp_id is required" });
+  }
+  if (!Number.isInteger(year)) {
+    return res.status(400).json({ success: false, error: "year must be a number" });
+  }
+
+  try {
+    if (!(await canAccessEmployee(req.user, emp_id))) {
+      return res.status(403).json({ success: false, error: "Employee is not in your wards" });
+    }
+    res.json({ success: true, data: await getLeaveBalances(emp_id, year) });
+  } catch (error) {
+    sendError(res, error, "Error fetching leave balances");
+  }
+});
+
+// Applications for employees in the supervisor's wards
+router.get("/", async (req, res) => {
+  try {
+    const { status = "", emp_id = "" } = req.query;
+    const applications = await listLeaveApplications({
+      status: status || null,
+      empId: emp_id ? Number(emp_id) : null,
+      supervisorId: isAdmin(req.user) ? null : req.user.user_id,
+      limit: 100,
+    });
+    res.json({ success: true, data: applications });
+  } catch (error) {
+    sendError(res, error, "Error fetching leave applications");
+  }
+});
+
+router.post("/", async (req, res) => {
+  const { emp_id } = req.body;
+
+  if (!emp_id) {
+    return res.status(400).json({ success: false, error: "emp_id is required" });
+  }
+
+  try {
+    if (!(await canAccessEmployee(req.user, emp_id))) {
+      return res.status(403).json({ success: false, error: "Employee is not in your wards" });
+    }
+
+    const application = await createLeaveApplication(req.body, {
+      actorId: req.user.user_id,
+    });
+    res.status(201).json({ success: true, data: application });
+  } catch (error) {
+    sendError(res, error, "Error applying for leave");
+  }
+});
+
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const application = await cancelLeaveApplication(req.params.id, {
+      actorId: req.user.user_id,
+      supervisorId: isAdmin(req.user) ? null : req.user.user_id,
+      comment: req.body?.comment ?? null,
+    });
+    res.json({ success: true, data: application });
+  } catch (error) {
+    sendError(res, error, "Error cancelling leave application");
+  }
+});
+
+module.exports = router;
@@ -3,24 +3,68 @@ const axios = require("axios");
 const router = express.Router();
 const pool = require("../../config/db");
 const multer = require("multer");
-const fs = require("fs");
 const sharp = require("sharp");
 const {
   uploadAttendanceImage,
-  isLocalImage,
-  getLocalImagePath,
-  isS3Image,
-  extractS3Key,
-  getS3ImageStream,
-} = require("../../utils/s3Storage");
-
+  openStoredImage,
+} = require("../../utils/imageStorage");
+const { parseFaceKey } = require("../../utils/faceImage");
+const {
+  IMAGE_URL_TTL_SECONDS,
+  requestBaseUrl,
+  signImageUrl,
+} = require("../../services/imageAccess");
+const { canAccessEmployee, isAdmin } = require("../../services/accessPolicy");
+const { noteAudit } = require("../../services/auditLog");
+
+const { getFaceProvider } = require("../../services/faceProviders");
+const { getSettings, getSetting } = require("../../services/systemSettings");
+const {
+  applyShiftMetrics,
+  resolveAttendanceDate,
+} = require("../../services/shifts");
+const {
+  ensureGeofenceSchema,
+  evaluatePunchLocation,
+} = require("../../services/geofences");
+const {
+  MAX_BATCH_SIZE,
+  MAX_CAPTURE_AGE_HOURS,
+  ensureOfflinePunchSchema,
+  parseBatch,
+  validateOfflinePunch,
+  claimOfflinePunch,
+  completeOfflinePunch,
+  releaseOfflinePunch,
+} = require("../../services/offlinePunches");
+const {
+  MAX_FRAMES: MAX_LIVENESS_FRAMES,
+  ensureLivenessSchema,
+  issueChallenge,
+  evaluateLiveness,
+} = require("../../services/liveness");
+const { checkPunchPhoto, recordPunchPhoto } = require("../../services/photoHashes");
+const {
+  ensureLocationIntegritySchema,
+  parseLocationSignals,
+  evaluateLocationIntegrity,
+} = require("../../services/locationIntegrity");
 const {
-  rekognition,
-  CreateCollectionCommand,
-  CompareFacesCommand,
-  SearchFacesByImageCommand,
-  DetectFacesCommand,
-} = require("../../config/awsConfig");
+  addTemplate,
+  listActiveTemplateKeys,
+  findTemplateByFaceId,
+  recordTemplateMatch,
+} = require("../../services/faceTemplates");
+const {
+  queueGroupFace,
+  listGroupFaceReviews,
+  getGroupFaceReview,
+  claimGroupFaceReview,
+  releaseGroupFaceReview,
+  completeGroupFaceReview,
+  searchAssignableEmployees,
+} = require("../../services/groupFaceReviews");
+const { readStoredObject } = require("../../services/storage");
 
 // Constants
 const PUNCH_TYPES = {
@@ -33,36 +77,6 @@ const storage = multer.memoryStorage();
 const upload = multer({ storage: storage });
 
 // Utility helpers
-const resolveCollectionId = () => {
-  const id =
-    (process.env.REKOGNITION_COLLECTION || "").trim() ||
-    (process.env.REKOGNITION_COLLECTION_ID || "").trim();
-  return id || null;
-};
-
-let faceCollectionReady = false;
-
-const ensureCollectionExists = async (collectionId) => {
-  if (faceCollectionReady) {
-    return;
-  }
-
-  try {
-    await rekognition.send(
-      new CreateCollectionCommand({
-        CollectionId: collectionId,
-      })
-    );
-    console.log(`Created Rekognition collection "${collectionId}".`);
-  } catch (error) {
-    if (error.name !== "ResourceAlreadyExistsException") {
-      throw error;
-    }
-  }
-
-  faceCollectionReady = true;
-};
-
 const normalizeId = (value) => {
   if (value === undefined || value === null) {
     return null;
@@ -76,6 +90,14 @@ const normalizeId = (value) => {
   return Number.isFinite(parsed) ? parsed : null;
 };
 
+// With requireLiveness on, only a single-face capture can prove it is not a
+// still photo; group, manual and offline punches are refused with this body.
+const livenessRequiredPayload = (error, details) => ({
+  error,
+  code: "LIVENESS_REQUIRED",
+  details,
+});
+
 const GROUP_MODE_KEYWORDS = new Set([
   "group",
   "groups",
@@ -124,13 +146,13 @@ const computeCropRegion = (boundingBox, imageWidth, imageHeight, paddingRatio =
     return null;
   }
 
-  const baseWidth = Math.max(Math.round(boundingBox.Width * imageWidth), 1);
-  const baseHeight = Math.max(Math.round(boundingBox.Height * imageHeight), 1);
+  const baseWidth = Math.max(Math.round(boundingBox.width * imageWidth), 1);
+  const baseHeight = Math.max(Math.round(boundingBox.height * imageHeight), 1);
   const padX = Math.round(baseWidth * paddingRatio);
   const padY = Math.round(baseHeight * paddingRatio);
 
-  const left = Math.max(Math.round(boundingBox.Left * imageWidth) - padX, 0);
-  const top = Math.max(Math.round(boundingBox.Top * imageHeight) - padY, 0);
+  const left = Math.max(Math.round(boundingBox.left * imageWidth) - padX, 0);
+  const top = Math.max(Math.round(boundingBox.top * imageHeight) - padY, 0);
 
   const width = Math.min(imageWidth - left, baseWidth + padX * 2);
   const height = Math.min(imageHeight - top, baseHeight + padY * 2);
@@ -162,14 +184,17 @@ async function resolveEmployeeFromFaceIdentifiers({
 
   let employeeRecord = null;
 
-  if (faceId) {
-    const { rows } = await pool.query(
-      "SELECT emp_id, name FROM employee WHERE face_id = $1",
-      [faceId]
-    );
-
-    if (rows.length) {
-      return rows[0];
+  // Each of an employee's face templates is its own face in the collection
+  const template = await findTemplateByFaceId(faceId);
+  if (template) {
+    employeeRecord = await tryResolveByEmpId(template.emp_id);
+    if (employeeRecord) {
+      try {
+        await recordTemplateMatch(template.template_id);
+      } catch (error) {
+        console.error("resolveEmployeeFromFaceIdentifiers:record match failed", error);
+      }
+      return employeeRecord;
     }
   }
 
@@ -181,20 +206,6 @@ async function resolveEmployeeFromFaceIdentifiers({
     employeeRecord = await tryResolveByEmpId(requestedEmpId);
   }
 
-  if (employeeRecord && faceId) {
-    try {
-      await pool.query(
-        `UPDATE employee
-           SET face_id = $1
-         WHERE emp_id = $2
-           AND (face_id IS NULL OR face_id <> $1)`,
-        [faceId, employeeRecord.emp_id]
-      );
-    } catch (error) {
-      console.error("resolveEmployeeFromFaceIdentifiers:update face_id failed", error);
-    }
-  }
-
   return employeeRecord;
 }
 
@@ -230,7 +241,29 @@ function validatePunchAttempt(attendance, punchType) {
   return null;
 }
 
-const mapRekognitionError = (error) => {
+// A queued punch-out must have been captured after the punch-in it closes;
+// otherwise replaying an old queue could produce a negative duration.
+async function validateCaptureOrder(attendanceId, punchType, capturedAt) {
+  if (!capturedAt || punchType !== PUNCH_TYPES.OUT) {
+    return null;
+  }
+
+  const { rows } = await pool.query(
+    "SELECT punch_in_time FROM attendance WHERE attendance_id = $1",
+    [attendanceId]
+  );
+  const punchIn = rows[0]?.punch_in_time;
+  if (punchIn && new Date(punchIn) >= capturedAt) {
+    return {
+      status: 400,
+      error: "Punch out was captured before the recorded punch in",
+    };
+  }
+
+  return null;
+}
+
+const mapFaceProviderError = (error) => {
   const message = error?.message || "Face recognition failed";
   const lower = message.toLowerCase();
 
@@ -249,7 +282,7 @@ const mapRekognitionError = (error) => {
     return {
       status: 500,
       payload: {
-        error: "Rekognition collection not found",
+        error: "Face collection not found",
         details: message,
         solution:
           "Recreate the collection or verify REKOGNITION_COLLECTION in the backend .env file.",
@@ -266,21 +299,19 @@ const mapRekognitionError = (error) => {
   };
 };
 
-const AWS_S3_BUCKET = process.env.AWS_S3_BUCKET || process.env.S3_BUCKET_NAME;
-const parsedFaceThreshold = Number(process.env.FACE_MATCH_THRESHOLD ?? "90");
-const DEFAULT_FACE_MATCH_THRESHOLD = Number.isFinite(parsedFaceThreshold)
-  ? parsedFaceThreshold
-  : 90;
+const hasValue = (value) =>
+  value !== undefined && value !== null && value.toString().trim() !== "";
 
-// Utility functions
-function formatDate(date = new Date()) {
-  const working = new Date(date.getTime());
-  const offsetMinutes = working.getTimezoneOffset();
-  return new Date(working.getTime() - offsetMinutes * 60 * 1000)
-    .toISOString()
-    .split("T")[0];
-}
+// The admin-configured threshold is a floor: clients may ask for a stricter
+// match but never a looser one.
+const resolveMatchThreshold = (configuredThreshold, requestedThreshold) => {
+  const candidate = Number(requestedThreshold);
+  return Number.isFinite(candidate)
+    ? Math.max(candidate, configuredThreshold)
+    : configuredThreshold;
+};
 
+// Utility functions
 async function getOrCreateAttendanceRecord(emp_id, date) {
   if (!emp_id) throw new Error("Employee ID is required");
 
@@ -373,9 +404,58 @@ async function processPunch(
   const {
     employeeId: explicitEmployeeId = null,
     requireFaceMatch = false,
-    faceMatchThreshold = DEFAULT_FACE_MATCH_THRESHOLD,
+    faceMatchThreshold = null,
+    // Device capture time of a punch synced from the offline queue
+    capturedAt = null,
+    // { score, passed } from evaluateLiveness; stays null when not checked
+    liveness = null,
+    // "review" for a group face a reviewer assigned; stored as punch_source_in/out
+    source = null,
   } = options;
 
+  await Promise.all([
+    ensureGeofenceSchema(),
+    ensureLivenessSchema(),
+    ensureLocationIntegritySchema(),
+  ]);
+  const fenceCheck = await evaluatePunchLocation(
+    await resolveAttendanceWardId(attendanceId),
+    locationData.latitude,
+    locationData.longitude
+  );
+  if (fenceCheck?.rejected) {
+    const err = new Error("Punch location is outside the ward geofence");
+    err.statusCode = 403;
+    err.details = `${fenceCheck.distanceMeters} m outside the ward boundary`;
+    throw err;
+  }
+
+  const resolvedEmployeeId =
+    explicitEmployeeId ?? (await resolveAttendanceEmployeeId(attendanceId));
+
+  // Checked before the upload so a rejected replay leaves no stored photo
+  const photoCheck = imageFile
+    ? await checkPunchPhoto(imageFile.buffer, {
+        attendanceId,
+        empId: resolvedEmployeeId,
+        punchType,
+      })
+    : null;
+
+  let faceMatchMeta = null;
+  if (requireFaceMatch && imageFile && resolvedEmployeeId) {
+    faceMatchMeta = await ensureFaceMatch(
+      resolvedEmployeeId,
+      imageFile.buffer,
+      faceMatchThreshold ?? (await getSetting("faceMatchThreshold"))
+    );
+  } else if (requireFaceMatch && !imageFile) {
+    const err = new Error("Face image is required for verification");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  // Uploaded only once the face matched, so a failed match stores no photo
   let uploadResult = null;
   if (imageFile) {
     uploadResult = await uploadAttendanceImage(
@@ -385,45 +465,43 @@ async function processPunch(
   }
 
   const imageUrl = uploadResult?.url ?? null;
-  const attendanceImageKey = uploadResult?.key ?? null;
-
-  const resolvedEmployeeId =
-    explicitEmployeeId ?? (await resolveAttendanceEmployeeId(attendanceId));
 
-  let faceMatchMeta = null;
-  if (
-    requireFaceMatch &&
-    AWS_S3_BUCKET &&
-    attendanceImageKey &&
-    resolvedEmployeeId
-  ) {
-    try {
-      faceMatchMeta = await ensureFaceMatch(
-        resolvedEmployeeId,
-        attendanceImageKey,
-        faceMatchThreshold
-      );
-    } catch (error) {
-      throw error;
-    }
-  } else if (requireFaceMatch && !attendanceImageKey) {
-    const err = new Error(
-      "Attendance image could not be uploaded; face verification failed"
-    );
-    err.statusCode = 500;
-    throw err;
+  if (capturedAt) {
+    await ensureOfflinePunchSchema();
   }
 
+  const punchedBy = await resolvePunchActor(userId);
+  const locationCheck = await evaluateLocationIntegrity({
+    latitude: locationData.latitude,
+    longitude: locationData.longitude,
+    signals: parseLocationSignals(locationData),
+    actorId: punchedBy,
+    punchedAt: capturedAt ?? new Date(),
+    attendanceId,
+    punchType,
+  });
+
   const isPunchIn = punchType === PUNCH_TYPES.IN;
   const updateQuery = `
     UPDATE attendance SET 
-      ${isPunchIn ? "punch_in_time" : "punch_out_time"} = NOW(),
+      ${isPunchIn ? "punch_in_time" : "punch_out_time"} = ${capturedAt ? "$16::timestamptz" : "NOW()"},
       ${isPunchIn ? "latitude_in" : "latitude_out"} = $1,
       ${isPunchIn ? "longitude_in" : "longitude_out"} = $2,
       ${isPunchIn ? "in_address" : "out_address"} = $3,
       ${isPunchIn ? "punch_in_image" : "punch_out_image"} = $4,
-      ${isPunchIn ? "punched_in_by" : "punched_out_by"} = $5
-    WHERE attendance_id = $6
+      ${isPunchIn ? "punched_in_by" : "punched_out_by"} = $5,
+      ${isPunchIn ? "fence_distance_in" : "fence_distance_out"} = $6,
+      ${isPunchIn ? "outside_fence_in" : "outside_fence_out"} = $7,
+      ${isPunchIn ? "liveness_score_in" : "liveness_score_out"} = $9,
+      ${isPunchIn ? "liveness_passed_in" : "liveness_passed_out"} = $10,
+      ${isPunchIn ? "mock_location_in" : "mock_location_out"} = $11,
+      ${isPunchIn ? "location_accuracy_in" : "location_accuracy_out"} = $12,
+      ${isPunchIn ? "low_accuracy_in" : "low_accuracy_out"} = $13,
+      ${isPunchIn ? "travel_speed_kmh_in" : "travel_speed_kmh_out"} = $14,
+      ${isPunchIn ? "impossible_travel_in" : "impossible_travel_out"} = $15
+      ${capturedAt ? `, ${isPunchIn ? "synced_in_at" : "synced_out_at"} = NOW()` : ""}
+      ${source ? `, ${isPunchIn ? "punch_source_in" : "punch_source_out"} = $${capturedAt ? 17 : 16}` : ""}
+    WHERE attendance_id = $8
     RETURNING *
   `;
 
@@ -432,19 +510,62 @@ async function processPunch(
     locationData.longitude,
     locationData.address,
     imageUrl,
-    await resolvePunchActor(userId),
+    punchedBy,
+    fenceCheck?.distanceMeters ?? null,
+    fenceCheck ? fenceCheck.outside : null,
     attendanceId,
+    liveness?.score ?? null,
+    liveness ? liveness.passed : null,
+    locationCheck.mockLocation,
+    locationCheck.accuracyMeters,
+    locationCheck.lowAccuracy,
+    locationCheck.travel?.speedKmh ?? null,
+    locationCheck.impossibleTravel,
+    ...(capturedAt ? [capturedAt] : []),
+    ...(source ? [source] : []),
   ]);
 
   if (result.rowCount === 0) {
     throw new Error("Attendance update failed");
   }
 
-  const record = result.rows[0];
+  let record = result.rows[0];
+  try {
+    record = await applyShiftMetrics(attendanceId);
+  } catch (error) {
+    // The punch itself is already stored; metrics can be recomputed later.
+    console.error("processPunch: shift metrics failed", error);
+  }
+
+  let photoFlag = null;
+  try {
+    photoFlag = await recordPunchPhoto(photoCheck, {
+      attendanceId,
+      empId: resolvedEmployeeId,
+      punchType,
+      imageUrl,
+    });
+  } catch (error) {
+    console.error("processPunch: photo hash not recorded", error);
+  }
+  if (photoFlag) {
+    record.photo_flag = photoFlag;
+  }
+  if (locationCheck.anomalies.length) {
+    record.location_anomalies = locationCheck.anomalies;
+  }
+  if (fenceCheck) {
+    record.outside_geofence = fenceCheck.outside;
+    record.geofence_distance_meters = fenceCheck.distanceMeters;
+  }
   if (faceMatchMeta) {
     record.face_similarity = faceMatchMeta.similarity;
     record.face_match_threshold = faceMatchMeta.threshold;
   }
+  if (liveness) {
+    record.liveness_score = liveness.score;
+    record.liveness_passed = liveness.passed;
+  }
 
   return record;
 }
@@ -471,22 +592,17 @@ async function resolvePunchActor(rawUserId) {
   return null;
 }
 
-function resolveS3ObjectKey(reference) {
-  if (!reference) {
-    return null;
-  }
-
-  if (reference.includes("://")) {
-    try {
-      const url = new URL(reference);
-      return decodeURIComponent(url.pathname.replace(/^\/+/u, ""));
-    } catch (error) {
-      console.warn("resolveS3ObjectKey: unable to parse URL", error);
-      return null;
-    }
-  }
-
-  return reference.replace(/^\/+/u, "");
+// Punches are checked against the fence of the ward the attendance row was
+// recorded for, falling back to the employee's current ward.
+async function resolveAttendanceWardId(attendanceId) {
+  const { rows } = await pool.query(
+    `SELECT COALESCE(a.ward_id, e.ward_id) AS ward_id
+       FROM attendance a
+       LEFT JOIN employee e ON e.emp_id = a.emp_id
+      WHERE a.attendance_id = $1`,
+    [attendanceId]
+  );
+  return rows[0]?.ward_id ?? null;
 }
 
 async function resolveAttendanceEmployeeId(attendanceId) {
@@ -506,14 +622,7 @@ async function resolveAttendanceEmployeeId(attendanceId) {
   }
 }
 
-async function ensureFaceMatch(employeeId, attendanceKey, threshold) {
-  if (!AWS_S3_BUCKET) {
-    console.warn(
-      "ensureFaceMatch: AWS_S3_BUCKET not configured; skipping face verification"
-    );
-    return null;
-  }
-
+async function ensureFaceMatch(employeeId, capturedImage, threshold) {
   if (!employeeId) {
     const err = new Error("Unable to determine employee for attendance record");
     err.statusCode = 400;
@@ -539,56 +648,323 @@ async function ensureFaceMatch(employeeId, attendanceKey, threshold) {
     throw err;
   }
 
-  const faceKey = resolveS3ObjectKey(faceEmbedding);
-  if (!faceKey) {
-    const err = new Error("Unable to resolve stored face image");
-    err.statusCode = 500;
-    throw err;
+  // Compare against each active template, best first, until one passes
+  let templates = await listActiveTemplateKeys(employeeId);
+  if (!templates.length) {
+    const faceKey = parseFaceKey(faceEmbedding);
+    if (!faceKey) {
+      const err = new Error("Unable to resolve stored face image");
+      err.statusCode = 500;
+      throw err;
+    }
+    templates = [{ templateId: null, key: faceKey }];
   }
 
-  const compareCommand = new CompareFacesCommand({
-    SourceImage: {
-      S3Object: {
-        Bucket: AWS_S3_BUCKET,
-        Name: faceKey,
-      },
-    },
-    TargetImage: {
-      S3Object: {
-        Bucket: AWS_S3_BUCKET,
-        Name: attendanceKey,
-      },
-    },
-    SimilarityThreshold: threshold,
-  });
+  let bestSimilarity = 0;
+  for (const template of templates) {
+    let comparison;
+    try {
+      comparison = await getFaceProvider().compareFaces(
+        { key: template.key },
+        { bytes: capturedImage },
+        { threshold }
+      );
+    } catch (error) {
+      error.statusCode = error.statusCode || error.$metadata?.httpStatusCode || 500;
+      throw error;
+    }
 
-  let compareResponse;
-  try {
-    compareResponse = await rekognition.send(compareCommand);
-  } catch (error) {
-    error.statusCode = error.$metadata?.httpStatusCode || 500;
-    throw error;
+    const similarity = comparison.similarity ?? 0;
+    if (comparison.similarity !== null && similarity >= threshold) {
+      if (template.templateId) {
+        try {
+          await recordTemplateMatch(template.templateId);
+        } catch (error) {
+          console.error("ensureFaceMatch:record match failed", error);
+        }
+      }
+      return { similarity, threshold, templateId: template.templateId };
+    }
+    bestSimilarity = Math.max(bestSimilarity, similarity);
+  }
+
+  const err = new Error("Captured face does not match enrolled face");
+  err.statusCode = 401;
+  err.details = `Similarity ${bestSimilarity.toFixed(2)}% below threshold ${threshold}%`;
+  throw err;
+}
+
+// Detects every face in a group photo, crops each one and punches the matched
+// employees the actor may punch. Faces without a confident match are queued
+// for review with their crop. capturedAt is set when the photo was queued
+// offline on the device.
+async function processGroupCapture(
+  imageBuffer,
+  { punchType, actor, locationPayload, matchThreshold, capturedAt = null }
+) {
+  const { groupReviewMinSimilarity } = await getSettings();
+  const faceProvider = getFaceProvider();
+  await faceProvider.ensureCollection();
+  const faceDetails = await faceProvider.detectFaces({ bytes: imageBuffer });
+
+  if (!faceDetails.length) {
+    const err = new Error("No faces detected in the image");
+    err.statusCode = 422;
+    err.details = "Ensure group members are clearly visible and retry.";
+    throw err;
   }
 
-  const bestMatch = compareResponse?.FaceMatches?.[0];
-  const similarity = bestMatch?.Similarity ?? 0;
+  const imageMetadata = await sharp(imageBuffer).metadata();
+  const imageWidth = imageMetadata?.width ?? null;
+  const imageHeight = imageMetadata?.height ?? null;
 
-  if (!bestMatch || similarity < threshold) {
-    const err = new Error("Captured face does not match enrolled face");
-    err.statusCode = 401;
-    err.details = `Similarity ${similarity.toFixed(2)}% below threshold ${threshold}%`;
+  if (!imageWidth || !imageHeight) {
+    const err = new Error("Unable to read image dimensions for face processing");
+    err.statusCode = 400;
     throw err;
   }
 
-  return { similarity, threshold };
+  const punchedAt = capturedAt ?? new Date();
+  const processedEmployees = new Set();
+  const results = [];
+
+  // Employees outside the actor's wards are never suggested to them
+  const suggestionFor = async (empId) =>
+    empId !== null && (await canAccessEmployee(actor, empId)) ? empId : null;
+
+  const queueForReview = async (faceImageBuffer, faceIndex, details) => {
+    try {
+      return await queueGroupFace({
+        imageBuffer: faceImageBuffer,
+        faceIndex,
+        punchType,
+        location: locationPayload,
+        capturedAt: punchedAt,
+        offline: Boolean(capturedAt),
+        actorId: actor.user_id,
+        ...details,
+      });
+    } catch (error) {
+      console.error("Group attendance: face not queued for review", error);
+      return null;
+    }
+  };
+
+  for (let index = 0; index < faceDetails.length; index += 1) {
+    const faceDetail = faceDetails[index];
+    const faceIndex = index + 1;
+    const cropRegion = computeCropRegion(
+      faceDetail.boundingBox,
+      imageWidth,
+      imageHeight
+    );
+
+    if (!cropRegion) {
+      results.push({
+        faceIndex,
+        status: "skipped",
+        message: "Unable to crop the detected face region.",
+      });
+      continue;
+    }
+
+    let faceImageBuffer;
+    try {
+      faceImageBuffer = await sharp(imageBuffer)
+        .extract(cropRegion)
+        .resize(600, 600, { fit: "cover" })
+        .toBuffer();
+    } catch (cropError) {
+      console.error("Group attendance: face crop failed", cropError);
+      results.push({
+        faceIndex,
+        status: "error",
+        message: "Unable to process the detected face region.",
+      });
+      continue;
+    }
+
+    let employeeRecord = null;
+    let similarity = null;
+    try {
+      // Searching below the match threshold finds the likely employee for
+      // faces that are then queued rather than punched
+      const [bestMatch] = await faceProvider.searchFaces(
+        { bytes: faceImageBuffer },
+        { maxFaces: 3, threshold: Math.min(groupReviewMinSimilarity, matchThreshold) }
+      );
+
+      if (!bestMatch) {
+        results.push({
+          faceIndex,
+          status: "unmatched",
+          similarity: null,
+          message: "No matching employee found.",
+          reviewId: await queueForReview(faceImageBuffer, faceIndex, { reason: "unmatched" }),
+        });
+        continue;
+      }
+
+      similarity = bestMatch.similarity ?? null;
+      const faceId = bestMatch.faceId;
+      const matchedExternalId = normalizeId(bestMatch.externalImageId);
+
+      if (similarity === null || similarity < matchThreshold) {
+        const template = await findTemplateByFaceId(faceId);
+        results.push({
+          faceIndex,
+          status: "unmatched",
+          similarity,
+          message: "Possible match below the threshold; queued for review.",
+          reviewId: await queueForReview(faceImageBuffer, faceIndex, {
+            reason: "low_confidence",
+            similarity,
+            suggestedEmpId: await suggestionFor(template?.emp_id ?? matchedExternalId),
+          }),
+        });
+        continue;
+      }
+
+      employeeRecord = await resolveEmployeeFromFaceIdentifiers({
+        faceId,
+        matchedExternalId,
+        requestedEmpId: null,
+      });
+
+      if (!employeeRecord) {
+        results.push({
+          faceIndex,
+          status: "unmatched",
+          similarity,
+          message: "Matched face is not linked to any employee record.",
+          reviewId: await queueForReview(faceImageBuffer, faceIndex, {
+            reason: "unmatched",
+            similarity,
+          }),
+        });
+        continue;
+      }
+
+      if (processedEmployees.has(employeeRecord.emp_id)) {
+        results.push({
+          faceIndex,
+          status: "duplicate",
+          similarity,
+          employeeId: employeeRecord.emp_id,
+          employeeName: employeeRecord.name,
+          message: "Employee already processed in this capture.",
+        });
+        continue;
+      }
+
+      // Faces from outside the actor's wards are not punched or named
+      if (!(await canAccessEmployee(actor, employeeRecord.emp_id))) {
+        results.push({
+          faceIndex,
+          status: "skipped",
+          similarity,
+          message: "Employee is not in your wards",
+        });
+        processedEmployees.add(employeeRecord.emp_id);
+        continue;
+      }
+
+      const attendanceDate = await resolveAttendanceDate(
+        employeeRecord.emp_id,
+        { punchType, at: punchedAt }
+      );
+      const attendance = await getOrCreateAttendanceRecord(
+        employeeRecord.emp_id,
+        attendanceDate
+      );
+      const validation =
+        validatePunchAttempt(attendance, punchType) ||
+        (await validateCaptureOrder(attendance.attendance_id, punchType, capturedAt));
+
+      if (validation) {
+        results.push({
+          faceIndex,
+          status: "skipped",
+          employeeId: employeeRecord.emp_id,
+          employeeName: employeeRecord.name,
+          similarity,
+          message: validation.error,
+        });
+        processedEmployees.add(employeeRecord.emp_id);
+        continue;
+      }
+
+      const updated = await processPunch(
+        attendance.attendance_id,
+        punchType,
+        { buffer: faceImageBuffer },
+        actor.user_id,
+        locationPayload,
+        {
+          employeeId: employeeRecord.emp_id,
+          requireFaceMatch: true,
+          faceMatchThreshold: matchThreshold,
+          capturedAt,
+        }
+      );
+
+      results.push({
+        faceIndex,
+        status: "punched",
+        employeeId: employeeRecord.emp_id,
+        employeeName: employeeRecord.name,
+        similarity,
+        attendanceId: attendance.attendance_id,
+        punchedAt:
+          punchType === PUNCH_TYPES.IN
+            ? updated.punch_in_time
+            : updated.punch_out_time,
+      });
+
+      processedEmployees.add(employeeRecord.emp_id);
+    } catch (searchError) {
+      console.error("Group attendance: face search failed", searchError);
+      const { payload } = mapFaceProviderError(searchError);
+      // The search matched but comparing with the employee's templates did not
+      const verificationFailed = searchError.statusCode === 401 && employeeRecord;
+      results.push({
+        faceIndex,
+        status: "error",
+        message: searchError.statusCode
+          ? searchError.message
+          : payload?.details || payload?.error || "Face recognition failed",
+        ...(verificationFailed
+          ? {
+              reviewId: await queueForReview(faceImageBuffer, faceIndex, {
+                reason: "verification_failed",
+                similarity,
+                suggestedEmpId: employeeRecord.emp_id,
+              }),
+            }
+          : {}),
+      });
+    }
+  }
+
+  return {
+    total_faces: faceDetails.length,
+    punched_count: results.filter((entry) => entry.status === "punched").length,
+    review_count: results.filter((entry) => entry.reviewId).length,
+    results,
+  };
 }
 
 // Routes
 router.post("/", async (req, res) => {
   const { emp_id } = req.body;
-  const attendanceDate = formatDate();
 
   try {
+    if (!(await canAccessEmployee(req.user, emp_id))) {
+      return res.status(403).json({ error: "Employee is not in your wards" });
+    }
+
+    // Night shifts keep returning yesterday's open record until punch-out.
+    const attendanceDate = await resolveAttendanceDate(emp_id);
     const attendance = await getOrCreateAttendanceRecord(
       emp_id,
       attendanceDate
@@ -601,14 +977,33 @@ router.post("/", async (req, res) => {
 });
 
 router.put("/", upload.single("image"), async (req, res) => {
-  const { attendance_id, punch_type, latitude, longitude, address, userId } =
+  const { attendance_id, punch_type, latitude, longitude, address, accuracy, mocked } =
     req.body;
 
-  if (!attendance_id || !punch_type || !latitude || !longitude || !address) {
+  if (!attendance_id || !punch_type) {
     return res.status(400).json({ error: "Missing required fields" });
   }
 
   try {
+    const { requireLocationForAttendance, requireLiveness } = await getSettings();
+    // These punches are not face-verified, so a still photo would pass
+    if (requireLiveness) {
+      return res.status(403).json(
+        livenessRequiredPayload(
+          "Punches without face verification are disabled",
+          "Use face attendance, or raise an attendance regularization."
+        )
+      );
+    }
+    const hasLocation = hasValue(latitude) && hasValue(longitude);
+
+    if (requireLocationForAttendance && (!hasLocation || !address)) {
+      return res.status(400).json({
+        error: "Location is required for attendance",
+        details: "Send latitude, longitude and address with the punch.",
+      });
+    }
+
     // Validate punch conditions
     const attendance = await pool.query(
       `SELECT emp_id, punch_in_time, punch_out_time FROM attendance WHERE attendance_id = $1`,
@@ -622,6 +1017,10 @@ router.put("/", upload.single("image"), async (req, res) => {
     const { emp_id: attendanceEmpId, punch_in_time, punch_out_time } =
       attendance.rows[0];
 
+    if (!(await canAccessEmployee(req.user, attendanceEmpId))) {
+      return res.status(403).json({ error: "Employee is not in your wards" });
+    }
+
     if (punch_type === PUNCH_TYPES.IN && punch_in_time) {
       return res.status(400).json({ error: "Already punched in today" });
     }
@@ -636,11 +1035,13 @@ router.put("/", upload.single("image"), async (req, res) => {
       attendance_id,
       punch_type,
       req.file,
-      userId,
+      req.user.user_id,
       {
-        latitude,
-        longitude,
-        address,
+        latitude: hasLocation ? latitude : null,
+        longitude: hasLocation ? longitude : null,
+        address: address ?? "",
+        accuracy,
+        mocked,
       },
       {
         employeeId: attendanceEmpId,
@@ -654,12 +1055,17 @@ router.put("/", upload.single("image"), async (req, res) => {
     });
   } catch (error) {
     console.error("Error updating attendance:", error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({
+      error: error.message,
+      ...(error.details ? { details: error.details } : {}),
+    });
   }
 });
 
+// Streams a punch photo, or with ?format=url returns an expiring link to it.
+// Only admins and supervisors of the employee's ward may see it.
 router.get("/image", async (req, res) => {
-  const { attendance_id, punch_type } = req.query;
+  const { attendance_id, punch_type, format } = req.query;
 
   if (!attendance_id || !punch_type) {
     return res.status(400).json({ error: "Missing required parameters" });
@@ -672,7 +1078,7 @@ router.get("/image", async (req, res) => {
         : "punch_out_image";
 
     const result = await pool.query(
-      `SELECT ${imageColumn} AS image_url FROM attendance WHERE attendance_id = $1`,
+      `SELECT emp_id, ${imageColumn} AS image_url FROM attendance WHERE attendance_id = $1`,
       [attendance_id]
     );
 
@@ -680,44 +1086,43 @@ router.get("/image", async (req, res) => {
       return res.status(404).json({ error: "Image not found" });
     }
 
+    if (!(await canAccessEmployee(req.user, result.rows[0].emp_id))) {
+      return res.status(403).json({ error: "Employee is not in your wards" });
+    }
+
     const imageUrl = result.rows[0].image_url;
     const downloadName = `attendance_${attendance_id}_${punch_type}.jpg`;
 
-    if (isLocalImage(imageUrl)) {
-      const filePath = getLocalImagePath(imageUrl);
-
-      if (!fs.existsSync(filePath)) {
+    if (format === "url") {
+      const url = await signImageUrl(imageUrl, { baseUrl: requestBaseUrl(req) });
+      if (!url) {
         return res.status(404).json({ error: "Image not found" });
       }
-
-      res.set({
-        "Content-Type": "image/jpeg",
-        "Content-Disposition": `inline; filename="${downloadName}"`,
+      return res.json({
+        success: true,
+        url,
+        expiresIn: IMAGE_URL_TTL_SECONDS,
       });
-
-      return fs.createReadStream(filePath).pipe(res);
     }
 
-    if (isS3Image(imageUrl)) {
-      const key = extractS3Key(imageUrl);
-
-      if (!key) {
+    let stored;
+    try {
+      stored = await openStoredImage(imageUrl);
+    } catch (error) {
+      if (error.statusCode === 404) {
         return res.status(404).json({ error: "Image not found" });
       }
+      console.error("Error streaming stored image:", error);
+      return res.status(500).json({ error: "Unable to fetch image from storage" });
+    }
 
-      try {
-        const { stream, contentType } = await getS3ImageStream(key);
-
-        res.set({
-          "Content-Type": contentType,
-          "Content-Disposition": `inline; filename="${downloadName}"`,
-        });
+    if (stored) {
+      res.set({
+        "Content-Type": stored.contentType,
+        "Content-Disposition": `inline; filename="${downloadName}"`,
+      });
 
-        return stream.pipe(res);
-      } catch (error) {
-        console.error("Error streaming S3 image:", error);
-        return res.status(500).json({ error: "Unable to fetch image from S3" });
-      }
+      return stored.stream.pipe(res);
     }
 
     if (imageUrl?.startsWith("http")) {
@@ -741,38 +1146,68 @@ router.get("/image", async (req, res) => {
   }
 });
 
-router.post("/face-attendance", upload.single("image"), async (req, res) => {
+// The app fetches a challenge right before a single face punch and sends its
+// ID with the burst of frames captured while the employee performs it.
+router.get("/face-attendance/liveness-challenge", async (req, res) => {
+  try {
+    const { requireLiveness } = await getSettings();
+    const challenge = await issueChallenge(req.user.user_id);
+    res.json({ ...challenge, required: requireLiveness });
+  } catch (error) {
+    console.error("Error issuing liveness challenge:", error);
+    res.status(500).json({ error: "Error issuing liveness challenge" });
+  }
+});
+
+const faceAttendanceUpload = upload.fields([
+  { name: "image", maxCount: 1 },
+  { name: "frames", maxCount: MAX_LIVENESS_FRAMES },
+]);
+
+router.post("/face-attendance", faceAttendanceUpload, async (req, res) => {
   try {
     const {
       punch_type: rawPunchType,
       latitude: rawLatitude,
       longitude: rawLongitude,
-      userId,
       address,
+      accuracy,
+      mocked,
       emp_id: rawEmpId,
       employeeId: rawEmployeeId,
       groupMode,
       group_mode: groupModeAlias,
       mode: rawMode,
       faceMatchThreshold: rawThreshold,
+      liveness_challenge_id: livenessChallengeId,
     } = req.body;
+    const imageFile = req.files?.image?.[0] ?? null;
+    const livenessFrames = req.files?.frames ?? [];
 
-    if (!req.file) {
+    if (!imageFile) {
       return res.status(400).json({
         error: "Face image is required",
       });
     }
 
-    const collectionId = resolveCollectionId();
-    if (!collectionId) {
-      return res.status(500).json({
-        error: "Rekognition collection is not configured",
-        details:
-          "Set REKOGNITION_COLLECTION or REKOGNITION_COLLECTION_ID in the backend .env file.",
+    const settings = await getSettings();
+    if (!settings.enableFaceRecognition) {
+      return res.status(403).json({
+        error: "Face recognition attendance is disabled",
+        details: "Enable it in the admin system settings or mark attendance manually.",
+      });
+    }
+
+    const hasLocation = hasValue(rawLatitude) && hasValue(rawLongitude);
+    if (settings.requireLocationForAttendance && !hasLocation) {
+      return res.status(400).json({
+        error: "Location is required for attendance",
+        details: "Send latitude and longitude with the face image.",
       });
     }
 
-    await ensureCollectionExists(collectionId);
+    const faceProvider = getFaceProvider();
+    await faceProvider.ensureCollection();
 
     const normalizedPunchType = (rawPunchType || "")
       .toString()
@@ -783,23 +1218,17 @@ router.post("/face-attendance", upload.single("image"), async (req, res) => {
         ? PUNCH_TYPES.OUT
         : PUNCH_TYPES.IN;
 
-    const thresholdCandidate = Number(rawThreshold);
-    const matchThreshold = Number.isFinite(thresholdCandidate)
-      ? thresholdCandidate
-      : DEFAULT_FACE_MATCH_THRESHOLD;
+    const matchThreshold = resolveMatchThreshold(
+      settings.faceMatchThreshold,
+      rawThreshold
+    );
 
     const locationPayload = {
-      latitude:
-        rawLatitude !== undefined && rawLatitude !== null && rawLatitude !== ""
-          ? rawLatitude
-          : "0",
-      longitude:
-        rawLongitude !== undefined &&
-        rawLongitude !== null &&
-        rawLongitude !== ""
-          ? rawLongitude
-          : "0",
+      latitude: hasLocation ? rawLatitude : null,
+      longitude: hasLocation ? rawLongitude : null,
       address: address ?? "",
+      accuracy,
+      mocked,
     };
 
     const groupModeRequested = isGroupModeRequest(
@@ -809,216 +1238,44 @@ router.post("/face-attendance", upload.single("image"), async (req, res) => {
     );
 
     if (groupModeRequested) {
-      const detectCommand = new DetectFacesCommand({
-        Image: { Bytes: req.file.buffer },
-        Attributes: ["DEFAULT"],
-      });
-
-      const detectResult = await rekognition.send(detectCommand);
-      const faceDetails = detectResult?.FaceDetails ?? [];
-
-      if (!faceDetails.length) {
-        return res.status(422).json({
-          error: "No faces detected in the image",
-          suggestion: "Ensure group members are clearly visible and retry.",
-        });
-      }
-
-      const imageMetadata = await sharp(req.file.buffer).metadata();
-      const imageWidth = imageMetadata?.width ?? null;
-      const imageHeight = imageMetadata?.height ?? null;
-
-      if (!imageWidth || !imageHeight) {
-        return res.status(400).json({
-          error: "Unable to read image dimensions for face processing",
-        });
-      }
-
-      const today = formatDate();
-      const processedEmployees = new Set();
-      const results = [];
-
-      for (let index = 0; index < faceDetails.length; index += 1) {
-        const faceDetail = faceDetails[index];
-        const faceIndex = index + 1;
-        const cropRegion = computeCropRegion(
-          faceDetail.BoundingBox,
-          imageWidth,
-          imageHeight
+      if (settings.requireLiveness) {
+        return res.status(403).json(
+          livenessRequiredPayload(
+            "Group punches are disabled",
+            "Punch each employee individually so the capture can be checked for liveness."
+          )
         );
-
-        if (!cropRegion) {
-          results.push({
-            faceIndex,
-            status: "skipped",
-            message: "Unable to crop the detected face region.",
-          });
-          continue;
-        }
-
-        let faceImageBuffer;
-        try {
-          faceImageBuffer = await sharp(req.file.buffer)
-            .extract(cropRegion)
-            .resize(600, 600, { fit: "cover" })
-            .toBuffer();
-        } catch (cropError) {
-          console.error("Group attendance: face crop failed", cropError);
-          results.push({
-            faceIndex,
-            status: "error",
-            message: "Unable to process the detected face region.",
-          });
-          continue;
-        }
-
-        try {
-          const searchResult = await rekognition.send(
-            new SearchFacesByImageCommand({
-              CollectionId: collectionId,
-              Image: { Bytes: faceImageBuffer },
-              MaxFaces: 3,
-              FaceMatchThreshold: matchThreshold,
-            })
-          );
-
-          const bestMatch = searchResult.FaceMatches?.[0];
-          if (!bestMatch?.Face) {
-            results.push({
-              faceIndex,
-              status: "unmatched",
-              similarity: null,
-              message: "No matching employee found.",
-            });
-            continue;
-          }
-
-          const similarity = bestMatch.Similarity ?? null;
-          const faceId = bestMatch.Face.FaceId;
-          const matchedExternalId = normalizeId(
-            bestMatch.Face.ExternalImageId
-          );
-          const employeeRecord = await resolveEmployeeFromFaceIdentifiers({
-            faceId,
-            matchedExternalId,
-            requestedEmpId: null,
-          });
-
-          if (!employeeRecord) {
-            results.push({
-              faceIndex,
-              status: "unmatched",
-              similarity,
-              message: "Matched face is not linked to any employee record.",
-            });
-            continue;
-          }
-
-          if (processedEmployees.has(employeeRecord.emp_id)) {
-            results.push({
-              faceIndex,
-              status: "duplicate",
-              similarity,
-              employeeId: employeeRecord.emp_id,
-              employeeName: employeeRecord.name,
-              message: "Employee already processed in this capture.",
-            });
-            continue;
-          }
-
-          const attendance = await getOrCreateAttendanceRecord(
-            employeeRecord.emp_id,
-            today
-          );
-          const validation = validatePunchAttempt(attendance, punchType);
-
-          if (validation) {
-            results.push({
-              faceIndex,
-              status: "skipped",
-              employeeId: employeeRecord.emp_id,
-              employeeName: employeeRecord.name,
-              similarity,
-              message: validation.error,
-            });
-            processedEmployees.add(employeeRecord.emp_id);
-            continue;
-          }
-
-          const updated = await processPunch(
-            attendance.attendance_id,
-            punchType,
-            { buffer: faceImageBuffer },
-            userId,
-            locationPayload,
-            {
-              employeeId: employeeRecord.emp_id,
-              requireFaceMatch: true,
-              faceMatchThreshold: matchThreshold,
-            }
-          );
-
-          results.push({
-            faceIndex,
-            status: "punched",
-            employeeId: employeeRecord.emp_id,
-            employeeName: employeeRecord.name,
-            similarity,
-            attendanceId: attendance.attendance_id,
-            punchedAt:
-              punchType === PUNCH_TYPES.IN
-                ? updated.punch_in_time
-                : updated.punch_out_time,
-          });
-
-          processedEmployees.add(employeeRecord.emp_id);
-        } catch (searchError) {
-          console.error("Group attendance: face search failed", searchError);
-          const { payload } = mapRekognitionError(searchError);
-          results.push({
-            faceIndex,
-            status: "error",
-            message:
-              payload?.details || payload?.error || "Face recognition failed",
-          });
-        }
       }
-
-      const punchedCount = results.filter(
-        (entry) => entry.status === "punched"
-      ).length;
+      const summary = await processGroupCapture(imageFile.buffer, {
+        punchType,
+        actor: req.user,
+        locationPayload,
+        matchThreshold,
+      });
 
       return res.json({
-        success: punchedCount > 0,
+        success: summary.punched_count > 0,
         mode: "group",
         punch_type: punchType,
-        total_faces: faceDetails.length,
-        punched_count: punchedCount,
-        results,
+        ...summary,
       });
     }
 
     const requestedEmpId = normalizeId(rawEmpId ?? rawEmployeeId);
-    const searchParams = {
-      CollectionId: collectionId,
-      Image: { Bytes: req.file.buffer },
-      MaxFaces: 1,
-      FaceMatchThreshold: matchThreshold,
-    };
-
-    const searchCommand = new SearchFacesByImageCommand(searchParams);
-    const searchResult = await rekognition.send(searchCommand);
+    const [matchedFace] = await faceProvider.searchFaces(
+      { bytes: imageFile.buffer },
+      { maxFaces: 1, threshold: matchThreshold }
+    );
 
-    if (!searchResult.FaceMatches?.length) {
+    if (!matchedFace) {
       return res.status(401).json({
         error: "No matching employee found",
         suggestion: "Use manual attendance if face recognition fails",
       });
     }
 
-    const matchedFace = searchResult.FaceMatches[0]?.Face ?? {};
-    const faceId = matchedFace.FaceId;
-    const matchedExternalId = normalizeId(matchedFace.ExternalImageId);
+    const faceId = matchedFace.faceId;
+    const matchedExternalId = normalizeId(matchedFace.externalImageId);
 
     const employeeRecord = await resolveEmployeeFromFaceIdentifiers({
       faceId,
@@ -1034,8 +1291,45 @@ router.post("/face-attendance", upload.single("image"), async (req, res) => {
     }
 
     const empId = employeeRecord.emp_id;
-    const today = formatDate();
-    const attendance = await getOrCreateAttendanceRecord(empId, today);
+    if (!(await canAccessEmployee(req.user, empId))) {
+      return res.status(403).json({ error: "Employee is not in your wards" });
+    }
+
+    let liveness = null;
+    if (settings.requireLiveness || livenessChallengeId) {
+      liveness = await evaluateLiveness({
+        image: imageFile.buffer,
+        frames: livenessFrames.map((frame) => frame.buffer),
+        challengeId: livenessChallengeId,
+        userId: req.user.user_id,
+        faceProvider,
+      });
+
+      if (!liveness.passed && settings.requireLiveness) {
+        noteAudit(req, {
+          action: "attendance.liveness_failed",
+          entityType: "employee",
+          entityId: empId,
+          metadata: {
+            punch_type: punchType,
+            score: liveness.score,
+            min_score: liveness.minScore,
+            reason: liveness.reason,
+            checks: liveness.checks,
+          },
+        });
+        return res.status(403).json({
+          error: "Liveness check failed",
+          code: "LIVENESS_FAILED",
+          details: liveness.reason,
+          liveness_score: liveness.score,
+          liveness_min_score: liveness.minScore,
+        });
+      }
+    }
+
+    const attendanceDate = await resolveAttendanceDate(empId, { punchType });
+    const attendance = await getOrCreateAttendanceRecord(empId, attendanceDate);
 
     const validation = validatePunchAttempt(attendance, punchType);
     if (validation) {
@@ -1047,13 +1341,14 @@ router.post("/face-attendance", upload.single("image"), async (req, res) => {
     const updated = await processPunch(
       attendance.attendance_id,
       punchType,
-      req.file,
-      userId,
+      imageFile,
+      req.user.user_id,
       locationPayload,
       {
         employeeId: empId,
         requireFaceMatch: true,
         faceMatchThreshold: matchThreshold,
+        liveness,
       }
     );
 
@@ -1064,6 +1359,12 @@ router.post("/face-attendance", upload.single("image"), async (req, res) => {
       face_similarity: updated.face_similarity ?? null,
       face_match_threshold:
         updated.face_match_threshold ?? matchThreshold,
+      outside_geofence: updated.outside_geofence ?? null,
+      geofence_distance_meters: updated.geofence_distance_meters ?? null,
+      liveness_score: updated.liveness_score ?? null,
+      liveness_passed: updated.liveness_passed ?? null,
+      photo_flagged: Boolean(updated.photo_flag),
+      location_anomalies: updated.location_anomalies ?? [],
       time:
         punchType === PUNCH_TYPES.IN
           ? updated.punch_in_time
@@ -1079,9 +1380,466 @@ router.post("/face-attendance", upload.single("image"), async (req, res) => {
       });
     }
 
-    const { status, payload } = mapRekognitionError(error);
+    const { status, payload } = mapFaceProviderError(error);
     res.status(status).json(payload);
   }
 });
 
+// ===== OFFLINE SYNC =====
+
+// Lets the app decide whether a capture that failed on a network error can be
+// queued on the device instead of being discarded.
+router.get("/sync/config", async (req, res) => {
+  try {
+    const { allowOfflineMode, requireLiveness } = await getSettings();
+    res.json({
+      // Queued captures cannot prove liveness, so the sync would refuse them
+      allowOfflineMode: allowOfflineMode && !requireLiveness,
+      maxBatchSize: MAX_BATCH_SIZE,
+      maxCaptureAgeHours: MAX_CAPTURE_AGE_HOURS,
+    });
+  } catch (error) {
+    console.error("Error fetching offline sync config:", error);
+    res.status(500).json({ error: "Error fetching offline sync config" });
+  }
+});
+
+const buildSyncError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+// Applies one queued punch and returns its outcome for the device:
+// applied/duplicate/rejected entries are finished, retry ones stay queued.
+async function applyOfflinePunch(rawPunch, imageFile, { actor, settings }) {
+  const actorId = actor.user_id;
+  const rawKey = rawPunch?.idempotency_key ?? null;
+
+  let punch;
+  try {
+    punch = validateOfflinePunch(rawPunch);
+  } catch (error) {
+    return {
+      idempotency_key: rawKey,
+      status: "rejected",
+      error: error.message,
+      details: error.details,
+    };
+  }
+
+  const { claimed, receipt } = await claimOfflinePunch(punch, { actorId });
+  if (!claimed) {
+    if (receipt?.status === "processing") {
+      return { idempotency_key: punch.key, status: "retry", error: "Punch is still being processed" };
+    }
+    return {
+      idempotency_key: punch.key,
+      status: "duplicate",
+      original_status: receipt?.status ?? null,
+      ...(receipt?.result ?? {}),
+    };
+  }
+
+  try {
+    if (!imageFile) {
+      throw buildSyncError("Photo is missing from the sync batch", 400);
+    }
+    if (!settings.enableFaceRecognition) {
+      throw buildSyncError("Face recognition attendance is disabled", 403);
+    }
+    if (settings.requireLiveness) {
+      const { error, details } = livenessRequiredPayload(
+        "Offline punches are disabled",
+        "Punch the employee again online so the capture can be checked for liveness."
+      );
+      throw buildSyncError(error, 403, details);
+    }
+    if (
+      settings.requireLocationForAttendance &&
+      (punch.location.latitude === null || punch.location.longitude === null)
+    ) {
+      throw buildSyncError("Location is required for attendance", 400);
+    }
+
+    let result;
+    let attendanceId = null;
+
+    if (punch.mode === "group") {
+      result = await processGroupCapture(imageFile.buffer, {
+        punchType: punch.punchType,
+        actor,
+        locationPayload: punch.location,
+        matchThreshold: settings.faceMatchThreshold,
+        capturedAt: punch.capturedAt,
+      });
+    } else {
+      if (!(await canAccessEmployee(actor, punch.empId))) {
+        throw buildSyncError("Employee is not in your wards", 403);
+      }
+
+      const attendanceDate = await resolveAttendanceDate(punch.empId, {
+        punchType: punch.punchType,
+        at: punch.capturedAt,
+      });
+      const attendance = await getOrCreateAttendanceRecord(punch.empId, attendanceDate);
+      attendanceId = attendance.attendance_id;
+
+      const validation =
+        validatePunchAttempt(attendance, punch.punchType) ||
+        (await validateCaptureOrder(attendanceId, punch.punchType, punch.capturedAt));
+      if (validation) {
+        throw buildSyncError(validation.error, validation.status);
+      }
+
+      // Offline captures name the employee, so the photo is compared against
+      // that employee's enrolled face instead of searching the collection.
+      const updated = await processPunch(
+        attendanceId,
+        punch.punchType,
+        imageFile,
+        actorId,
+        punch.location,
+        {
+          employeeId: punch.empId,
+          requireFaceMatch: true,
+          faceMatchThreshold: settings.faceMatchThreshold,
+          capturedAt: punch.capturedAt,
+        }
+      );
+
+      result = {
+        attendance_id: attendanceId,
+        emp_id: punch.empId,
+        punch_type: punch.punchType,
+        face_similarity: updated.face_similarity ?? null,
+        outside_geofence: updated.outside_geofence ?? null,
+        geofence_distance_meters: updated.geofence_distance_meters ?? null,
+        location_anomalies: updated.location_anomalies ?? [],
+        time:
+          punch.punchType === PUNCH_TYPES.IN
+            ? updated.punch_in_time
+            : updated.punch_out_time,
+      };
+    }
+
+    await completeOfflinePunch(punch.key, { actorId, status: "applied", attendanceId, result });
+    return { idempotency_key: punch.key, status: "applied", ...result };
+  } catch (error) {
+    // Client errors are final and remembered, so a retry gets the same answer;
+    // anything else frees the key for the next sync attempt.
+    const statusCode = error.statusCode ?? error.$metadata?.httpStatusCode ?? 500;
+    if (statusCode >= 400 && statusCode < 500) {
+      const outcome = {
+        error: error.message,
+        ...(error.details ? { details: error.details } : {}),
+      };
+      await completeOfflinePunch(punch.key, { actorId, status: "rejected", result: outcome });
+      return { idempotency_key: punch.key, status: "rejected", ...outcome };
+    }
+
+    console.error("Offline punch sync failed:", error);
+    await releaseOfflinePunch(punch.key, { actorId });
+    return { idempotency_key: punch.key, status: "retry", error: "Temporary server error" };
+  }
+}
+
+// A batch carries at most one photo per punch, so photos beyond the batch
+// size, larger than a camera capture or under any other field name are
+// refused while the upload is read instead of being buffered in memory.
+const MAX_SYNC_PHOTO_BYTES = 10 * 1024 * 1024;
+const SYNC_PHOTO_FIELD = /^photo_[A-Za-z0-9_-]{8,100}$/;
+
+const syncUpload = multer({
+  storage,
+  limits: { files: MAX_BATCH_SIZE, fileSize: MAX_SYNC_PHOTO_BYTES },
+  fileFilter: (req, file, cb) =>
+    SYNC_PHOTO_FIELD.test(file.fieldname)
+      ? cb(null, true)
+      : cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname)),
+}).any();
+
+const receiveSyncBatch = (req, res, next) =>
+  syncUpload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    res.status(error.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({
+      error: "Invalid offline sync upload",
+      details: error.field ? `${error.message}: ${error.field}` : error.message,
+    });
+  });
+
+// multipart/form-data: "punches" is a JSON array of queued captures
+// ({ idempotency_key, mode, emp_id, punch_type, captured_at, latitude,
+// longitude, address, accuracy, mocked }) and each photo is sent as "photo_<idempotency_key>".
+// Punches are applied in capture order so a punch-in precedes its punch-out.
+router.post("/sync", receiveSyncBatch, async (req, res) => {
+  try {
+    const settings = await getSettings();
+    if (!settings.allowOfflineMode) {
+      return res.status(403).json({
+        error: "Offline attendance is disabled",
+        details: "Enable offline mode in the admin system settings to sync queued punches.",
+      });
+    }
+
+    const punches = parseBatch(req.body.punches);
+    const files = new Map((req.files ?? []).map((file) => [file.fieldname, file]));
+    const photoFields = new Set(punches.map((punch) => `photo_${punch?.idempotency_key}`));
+    const strayPhotos = [...files.keys()].filter((field) => !photoFields.has(field));
+    if (strayPhotos.length > 0) {
+      return res.status(400).json({
+        error: "Invalid offline sync upload",
+        details: `Photos without a matching punch: ${strayPhotos.join(", ")}`,
+      });
+    }
+
+    // Only group photos search the collection; individual punches compare
+    // against the named employee's enrolled face.
+    const hasGroupPunch = punches.some(
+      (punch) => (punch?.mode ?? "").toString().trim().toLowerCase() === "group"
+    );
+    if (hasGroupPunch) {
+      await getFaceProvider().ensureCollection();
+    }
+
+    const ordered = punches
+      .map((punch, index) => ({ punch, index }))
+      .sort((a, b) => {
+        const diff =
+          new Date(a.punch?.captured_at).getTime() - new Date(b.punch?.captured_at).getTime();
+        return Number.isFinite(diff) && diff !== 0 ? diff : a.index - b.index;
+      });
+
+    // Once a punch has to be retried, later punches of the same employee wait
+    // too, otherwise a punch-out would be rejected for a missing punch-in.
+    const deferredEmployees = new Set();
+    const results = [];
+    for (const { punch } of ordered) {
+      const employeeKey = punch?.emp_id ? punch.emp_id.toString() : null;
+      if (employeeKey && deferredEmployees.has(employeeKey)) {
+        results.push({
+          idempotency_key: punch.idempotency_key ?? null,
+          status: "retry",
+          error: "Waiting for an earlier punch of this employee",
+        });
+        continue;
+      }
+
+      const outcome = await applyOfflinePunch(
+        punch,
+        files.get(`photo_${punch?.idempotency_key}`),
+        { actor: req.user, settings }
+      );
+      if (outcome.status === "retry" && employeeKey) {
+        deferredEmployees.add(employeeKey);
+      }
+      results.push(outcome);
+    }
+
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error("Offline sync error:", error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Error syncing offline punches",
+      ...(error.details ? { details: error.details } : {}),
+    });
+  }
+});
+
+// ===== GROUP FACE REVIEWS =====
+
+const reviewResponse = async (review, baseUrl) => ({
+  ...review,
+  image_url: await signImageUrl(review.image_key, { baseUrl }),
+});
+
+const reviewErrorResponse = (res, error, fallback) =>
+  res.status(error.statusCode || 500).json({
+    error: error.statusCode ? error.message : fallback,
+    ...(error.details ? { details: error.details } : {}),
+  });
+
+// Faces from group captures waiting for a reviewer; ?status=assigned,
+// dismissed or all lists resolved ones too.
+router.get("/face-attendance/reviews", async (req, res) => {
+  try {
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { reviews, total } = await listGroupFaceReviews(req.user, {
+      status: req.query.status || "pending",
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    const baseUrl = requestBaseUrl(req);
+    res.json({
+      success: true,
+      reviews: await Promise.all(reviews.map((review) => reviewResponse(review, baseUrl))),
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error("Error listing group face reviews:", error);
+    reviewErrorResponse(res, error, "Error listing group face reviews");
+  }
+});
+
+router.get("/face-attendance/reviews/employees", async (req, res) => {
+  try {
+    const employees = await searchAssignableEmployees(req.user, {
+      search: (req.query.search ?? "").toString(),
+    });
+    res.json({ success: true, employees });
+  } catch (error) {
+    console.error("Error searching employees for review:", error);
+    reviewErrorResponse(res, error, "Error searching employees");
+  }
+});
+
+// Punches the chosen employee with the queued crop at the original capture
+// time. With add_template (admins only, like adding a template directly) the
+// crop also becomes one of their face templates.
+router.post("/face-attendance/reviews/:reviewId/assign", async (req, res) => {
+  const reviewId = Number.parseInt(req.params.reviewId, 10);
+  const empId = normalizeId(req.body.emp_id);
+  const addAsTemplate = req.body.add_template === true || req.body.add_template === "true";
+
+  if (!empId) {
+    return res.status(400).json({ error: "emp_id is required" });
+  }
+  if (addAsTemplate && !isAdmin(req.user)) {
+    return res.status(403).json({ error: "Only admins can add face templates" });
+  }
+
+  let claimed = false;
+  try {
+    const review = await getGroupFaceReview(req.user, reviewId);
+    if (review.status !== "pending") {
+      return res.status(409).json({ error: "Review has already been resolved" });
+    }
+    if (!(await canAccessEmployee(req.user, empId))) {
+      return res.status(403).json({ error: "Employee is not in your wards" });
+    }
+
+    await claimGroupFaceReview(reviewId, {
+      status: "assigned",
+      empId,
+      actorId: req.user.user_id,
+      comment: req.body.comment ?? null,
+    });
+    claimed = true;
+
+    const faceImage = await readStoredObject(review.image_key);
+    const punchType = review.punch_type;
+    const capturedAt = new Date(review.captured_at);
+    const attendanceDate = await resolveAttendanceDate(empId, { punchType, at: capturedAt });
+    const attendance = await getOrCreateAttendanceRecord(empId, attendanceDate);
+    const validation =
+      validatePunchAttempt(attendance, punchType) ||
+      (await validateCaptureOrder(attendance.attendance_id, punchType, capturedAt));
+    if (validation) {
+      await releaseGroupFaceReview(reviewId);
+      return res.status(validation.status).json({ error: validation.error });
+    }
+
+    // The reviewer's choice stands in for the face match that failed; the
+    // punch is marked as reviewed and carries no liveness result
+    const updated = await processPunch(
+      attendance.attendance_id,
+      punchType,
+      { buffer: faceImage },
+      review.captured_by ?? req.user.user_id,
+      review.location ?? { latitude: null, longitude: null, address: "" },
+      { employeeId: empId, requireFaceMatch: false, capturedAt, liveness: null, source: "review" }
+    );
+
+    let template = null;
+    let templateError = null;
+    if (addAsTemplate) {
+      try {
+        ({ template } = await addTemplate(
+          empId,
+          { buffer: faceImage, originalname: "group-review.jpg", mimetype: "image/jpeg" },
+          { label: "group review", actorId: req.user.user_id }
+        ));
+      } catch (error) {
+        console.error("Group face review: template not added", error);
+        templateError = error.statusCode ? error.message : "Face template could not be added";
+      }
+    }
+
+    await completeGroupFaceReview(reviewId, {
+      attendanceId: attendance.attendance_id,
+      templateId: template?.template_id ?? null,
+    });
+
+    noteAudit(req, {
+      action: "group_face_review.assign",
+      entityType: "employee",
+      entityId: empId,
+      metadata: {
+        review_id: reviewId,
+        reason: review.reason,
+        suggested_emp_id: review.suggested_emp_id,
+        similarity: review.similarity,
+        attendance_id: attendance.attendance_id,
+        punch_type: punchType,
+        template_id: template?.template_id ?? null,
+      },
+    });
+
+    res.json({
+      success: true,
+      review_id: reviewId,
+      attendance_id: attendance.attendance_id,
+      punch_type: punchType,
+      time: punchType === PUNCH_TYPES.IN ? updated.punch_in_time : updated.punch_out_time,
+      template_id: template?.template_id ?? null,
+      ...(templateError ? { template_error: templateError } : {}),
+    });
+  } catch (error) {
+    console.error("Error assigning group face review:", error);
+    if (claimed) {
+      await releaseGroupFaceReview(reviewId).catch((releaseError) =>
+        console.error("Group face review release failed", releaseError)
+      );
+    }
+    reviewErrorResponse(res, error, "Error assigning group face review");
+  }
+});
+
+router.post("/face-attendance/reviews/:reviewId/dismiss", async (req, res) => {
+  const reviewId = Number.parseInt(req.params.reviewId, 10);
+  const comment = (req.body.comment ?? "").toString().trim() || null;
+
+  try {
+    const review = await getGroupFaceReview(req.user, reviewId);
+    await claimGroupFaceReview(reviewId, {
+      status: "dismissed",
+      actorId: req.user.user_id,
+      comment,
+    });
+
+    noteAudit(req, {
+      action: "group_face_review.dismiss",
+      entityType: "group_face_review",
+      entityId: reviewId,
+      metadata: {
+        reason: review.reason,
+        suggested_emp_id: review.suggested_emp_id,
+        comment,
+      },
+    });
+
+    res.json({ success: true, review_id: reviewId });
+  } catch (error) {
+    console.error("Error dismissing group face review:", error);
+    reviewErrorResponse(res, error, "Error dismissing group face review");
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,92 @@
+const express = require("express");
+const multer = require("multer");
+const router = express.Router();
+const { uploadAttendanceImage } = require("../../utils/imageStorage");
+const { isAdmin, canAccessEmployee } = require("../../services/accessPolicy");
+const {
+  validateRegularizationInput,
+  listRegularizations,
+  createRegularization,
+  cancelRegularization,
+} = require("../../services/regularizations");
+const { requestBaseUrl, signImageUrl } = require("../../services/imageAccess");
+
+// Supervisors submit corrected punch times for employees in their wards;
+// admins review them through /api/admin/regularizations.
+const upload = multer({ storage: multer.memoryStorage() });
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage,
+    ...(error.details ? { details: error.details } : {}),
+  });
+};
+
+// Photos are private; reviewers get an expiring link instead of the stored path.
+const withPhotoLink = async (req, request) => ({
+  ...request,
+  photo_url: await signImageUrl(request.photo_url, { baseUrl: requestBaseUrl(req) }),
+});
+
+router.get("/", async (req, res) => {
+  try {
+    const { status = "", emp_id = "" } = req.query;
+    const { requests } = await listRegularizations({
+      status: status || null,
+      empId: emp_id ? Number(emp_id) : null,
+      supervisorId: isAdmin(req.user) ? null : req.user.user_id,
+      limit: 100,
+    });
+    res.json({
+      success: true,
+      data: await Promise.all(requests.map((request) => withPhotoLink(req, request))),
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching regularization requests");
+  }
+});
+
+// multipart/form-data with an optional "image" supporting the correction
+router.post("/", upload.single("image"), async (req, res) => {
+  try {
+    // Validate before uploading so a bad request does not leave a stray photo
+    const { empId, date } = validateRegularizationInput(req.body);
+
+    if (!(await canAccessEmployee(req.user, empId))) {
+      return res.status(403).json({ success: false, error: "Employee is not in your wards" });
+    }
+
+    let photoUrl = null;
+    if (req.file) {
+      const uploadResult = await uploadAttendanceImage(
+        req.file.buffer,
+        `regularization_${empId}_${date}_${Date.now()}.jpg`
+      );
+      photoUrl = uploadResult?.url ?? null;
+    }
+
+    const request = await createRegularization(req.body, {
+      actorId: req.user.user_id,
+      photoUrl,
+    });
+    res.status(201).json({ success: true, data: await withPhotoLink(req, request) });
+  } catch (error) {
+    sendError(res, error, "Error submitting regularization request");
+  }
+});
+
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const request = await cancelRegularization(req.params.id, {
+      actorId: req.user.user_id,
+      supervisorId: isAdmin(req.user) ? null : req.user.user_id,
+    });
+    res.json({ success: true, data: await withPhotoLink(req, request) });
+  } catch (error) {
+    sendError(res, error, "Error cancelling regularization request");
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,48 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../../config/db");
-const authenticate = require("../../middleware/authenticate");
-const { buildPublicFaceUrl } = require("../../utils/faceImage");
+const { isAdmin } = require("../../services/accessPolicy");
+const { requestBaseUrl, signImageUrl } = require("../../services/imageAccess");
+const { ensureShiftSchema } = require("../../services/shifts");
+const { ensureLeaveSchema } = require("../../services/leaves");
+const {
+  ensureHolidaySchema,
+  nonWorkingDaySql,
+  workingDaysSql,
+} = require("../../services/holidays");
+const { ISO_DATE_PATTERN, formatDateIST } = require("../../utils/dates");
+
+// Attendance rows that belong to the $2..$3 range. A night shift that started
+// the day before the range is carried over while it is still open or once
+// its punch-out lands inside the range, so someone on shift at 02:00 is not
+// reported as "Not Marked". Expects `attendance a LEFT JOIN shifts s`.
+const ATTENDANCE_IN_RANGE_SQL = `
+  (a.date::date BETWEEN $2::date AND $3::date
+   OR (a.date::date = $2::date - 1
+       AND a.punch_in_time IS NOT NULL
+       AND (
+         (a.punch_out_time AT TIME ZONE 'Asia/Kolkata')::date >= $2::date
+         OR (a.punch_out_time IS NULL AND s.end_time <= s.start_time)
+       )))`;
+
+// The employee's status follows their most recent shift in the range, so a
+// finished night shift does not hide the one they punched in for tonight.
+const LATEST_SHIFT_ORDER = "ORDER BY a.date DESC, a.attendance_id DESC";
+
+// True when every day of the $2..$3 range is a holiday, weekly off or roster
+// rest day for the employee, so nobody expected them to punch in.
+const offDutySql = (empExpr) => `NOT EXISTS (
+  SELECT 1
+    FROM generate_series($2::date, $3::date, INTERVAL '1 day') AS rd(day)
+   WHERE NOT ${nonWorkingDaySql(empExpr, "rd.day")}
+)`;
+
+// Only attendance on working days counts towards days present/marked.
+const ON_WORKING_DAY_SQL = `NOT ${nonWorkingDaySql("a.emp_id", "a.date")}`;
 
 const resolveDateRange = (rawStart, rawEnd) => {
-  const todayIso = new Date().toISOString().split("T")[0];
-  const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+  // Day boundaries are IST; the server clock may be UTC.
+  const todayIso = formatDateIST();
 
   const normalizeInputDate = (value, fallbackIso) => {
     if (!value) {
@@ -42,7 +78,7 @@ const resolveDateRange = (rawStart, rawEnd) => {
   return { startDate: endIso, endDate: startIso };
 };
 
-const mapRowsToWards = (rows) => {
+const mapRowsToWards = (rows, startDate) => {
   const wardMap = {};
 
   rows.forEach((row) => {
@@ -58,7 +94,6 @@ const mapRowsToWards = (rows) => {
       };
     }
 
-    const faceImageUrl = buildPublicFaceUrl(row.face_embedding);
     const faceEnrolled = Boolean(row.face_embedding);
     const faceConfidence =
       row.face_confidence !== undefined && row.face_confidence !== null
@@ -75,14 +110,18 @@ const mapRowsToWards = (rows) => {
       attendance_status: row.attendance_status,
       days_present: Number(row.days_present ?? 0),
       days_marked: Number(row.days_marked ?? 0),
+      working_days: Number(row.working_days ?? 0),
+      days_on_leave: Number(row.days_on_leave ?? 0),
+      leave_type: row.leave_type ?? null,
       face_embedding: row.face_embedding,
       face_id: row.face_id,
       faceId: row.face_id,
       face_confidence: faceConfidence,
       faceConfidence: faceConfidence,
-      face_image_url: faceImageUrl,
-      faceImageUrl: faceImageUrl,
-      faceEnrollmentUrl: faceImageUrl,
+      // Filled in by signFaceUrls with expiring links
+      face_image_url: null,
+      faceImageUrl: null,
+      faceEnrollmentUrl: null,
       face_enrolled: faceEnrolled,
       faceEnrolled: faceEnrolled,
       face_registered: faceEnrolled,
@@ -104,12 +143,29 @@ const mapRowsToWards = (rows) => {
       last_punch_epoch: row.last_punch_epoch
         ? Number(row.last_punch_epoch)
         : null,
+      shift_date: row.shift_date ?? null,
+      shift_name: row.shift_name ?? null,
+      overnight_shift: Boolean(row.overnight_shift),
+      // Night shift that started before the requested range
+      carried_over: Boolean(row.shift_date && row.shift_date < startDate),
     });
   });
 
   return Object.values(wardMap);
 };
 
+const signFaceUrls = async (wards, baseUrl) => {
+  for (const ward of wards) {
+    for (const employee of ward.employees) {
+      const faceImageUrl = await signImageUrl(employee.face_embedding, { baseUrl });
+      employee.face_image_url = faceImageUrl;
+      employee.faceImageUrl = faceImageUrl;
+      employee.faceEnrollmentUrl = faceImageUrl;
+    }
+  }
+  return wards;
+};
+
 const fetchSupervisorSummary = async (userId, startDate, endDate) => {
   const summaryQuery = `
     WITH assigned_employees AS (
@@ -118,29 +174,50 @@ const fetchSupervisorSummary = async (userId, startDate, endDate) => {
       JOIN supervisor_ward sw ON e.ward_id = sw.ward_id
       WHERE sw.supervisor_id = $1
     ),
+    on_leave AS (
+      SELECT DISTINCT la.emp_id
+      FROM leave_applications la
+      JOIN assigned_employees ae ON ae.emp_id = la.emp_id
+      WHERE la.status = 'approved'
+        AND la.start_date <= $3::date
+        AND la.end_date >= $2::date
+    ),
+    range_attendance AS (
+      SELECT a.*
+      FROM attendance a
+      JOIN assigned_employees ae ON ae.emp_id = a.emp_id
+      LEFT JOIN shifts s ON s.shift_id = a.shift_id
+      WHERE ${ATTENDANCE_IN_RANGE_SQL}
+    ),
     attendance_status AS (
       SELECT
         ae.emp_id,
-        MAX(CASE WHEN a.punch_in_time IS NOT NULL THEN 1 ELSE 0 END) AS has_punch_in,
-        MAX(CASE WHEN a.punch_out_time IS NOT NULL THEN 1 ELSE 0 END) AS has_punch_out
+        COALESCE((ARRAY_AGG(CASE WHEN a.punch_in_time IS NOT NULL THEN 1 ELSE 0 END ${LATEST_SHIFT_ORDER}))[1], 0) AS has_punch_in,
+        COALESCE((ARRAY_AGG(CASE WHEN a.punch_out_time IS NOT NULL THEN 1 ELSE 0 END ${LATEST_SHIFT_ORDER}))[1], 0) AS has_punch_out,
+        MAX(CASE WHEN a.is_late THEN 1 ELSE 0 END) AS was_late,
+        MAX(CASE WHEN a.is_early_exit THEN 1 ELSE 0 END) AS left_early,
+        MAX(CASE WHEN ol.emp_id IS NOT NULL THEN 1 ELSE 0 END) AS on_leave,
+        CASE WHEN ${offDutySql("ae.emp_id")} THEN 1 ELSE 0 END AS off_duty
       FROM assigned_employees ae
-      LEFT JOIN attendance a
-        ON a.emp_id = ae.emp_id
-       AND a.date::date BETWEEN $2::date AND $3::date
+      LEFT JOIN range_attendance a ON a.emp_id = ae.emp_id
+      LEFT JOIN on_leave ol ON ol.emp_id = ae.emp_id
       GROUP BY ae.emp_id
     )
     SELECT
       (SELECT COUNT(*) FROM assigned_employees) AS total_employees,
       COALESCE(SUM(CASE WHEN has_punch_in = 1 AND has_punch_out = 0 THEN 1 ELSE 0 END), 0) AS in_progress,
       COALESCE(SUM(CASE WHEN has_punch_in = 1 AND has_punch_out = 1 THEN 1 ELSE 0 END), 0) AS marked,
-      GREATEST(
-        (SELECT COUNT(*) FROM assigned_employees) -
-        COALESCE(SUM(CASE WHEN has_punch_in = 1 THEN 1 ELSE 0 END), 0),
-        0
-      ) AS not_marked
+      COALESCE(SUM(CASE WHEN has_punch_in = 0 AND on_leave = 1 THEN 1 ELSE 0 END), 0) AS on_leave,
+      COALESCE(SUM(CASE WHEN has_punch_in = 0 AND on_leave = 0 AND off_duty = 1 THEN 1 ELSE 0 END), 0) AS off_duty,
+      COALESCE(SUM(CASE WHEN has_punch_in = 0 AND on_leave = 0 AND off_duty = 0 THEN 1 ELSE 0 END), 0) AS not_marked,
+      COALESCE(SUM(was_late), 0) AS late_arrivals,
+      COALESCE(SUM(left_early), 0) AS early_exits
     FROM attendance_status
   `;
 
+  await ensureShiftSchema();
+  await ensureLeaveSchema();
+  await ensureHolidaySchema();
   const result = await pool.query(summaryQuery, [userId, startDate, endDate]);
   const summary = result.rows[0] || {};
 
@@ -148,9 +225,16 @@ const fetchSupervisorSummary = async (userId, startDate, endDate) => {
   const inProgress = Number(summary.in_progress) || 0;
   const marked = Number(summary.marked) || 0;
   const notMarked = Number(summary.not_marked) || 0;
+  const onLeave = Number(summary.on_leave) || 0;
+  const offDuty = Number(summary.off_duty) || 0;
+  const lateArrivals = Number(summary.late_arrivals) || 0;
+  const earlyExits = Number(summary.early_exits) || 0;
+  // Employees on approved leave or off for the whole range are not expected
+  // at work.
+  const expectedEmployees = totalEmployees - onLeave - offDuty;
   const attendanceRate =
-    totalEmployees > 0
-      ? Number((((inProgress + marked) / totalEmployees) * 100).toFixed(1))
+    expectedEmployees > 0
+      ? Number((((inProgress + marked) / expectedEmployees) * 100).toFixed(1))
       : 0;
 
   return {
@@ -158,11 +242,17 @@ const fetchSupervisorSummary = async (userId, startDate, endDate) => {
     inProgress,
     marked,
     notMarked,
+    onLeave,
+    offDuty,
+    lateArrivals,
+    earlyExits,
     attendanceRate,
   };
 };
 
-const fetchSupervisorEmployees = async (userId, startDate, endDate) => {
+// The list only covers the supervisor's own wards; pass baseUrl to include
+// expiring face image links.
+const fetchSupervisorEmployees = async (userId, startDate, endDate, { baseUrl = null } = {}) => {
   const query = `
     SELECT
       e.emp_id,
@@ -181,12 +271,17 @@ const fetchSupervisorEmployees = async (userId, startDate, endDate) => {
       e.face_confidence,
       e.face_id,
       CASE
+          WHEN COALESCE(summary.has_punch_in, 0) = 0
+               AND leave_summary.emp_id IS NOT NULL THEN 'On Leave'
+          WHEN COALESCE(summary.has_punch_in, 0) = 0
+               AND ${offDutySql("e.emp_id")} THEN 'Off Day'
           WHEN COALESCE(summary.has_punch_in, 0) = 0 THEN 'Not Marked'
           WHEN COALESCE(summary.has_punch_out, 0) = 1 THEN 'Marked'
           ELSE 'In Progress'
       END AS attendance_status,
       COALESCE(summary.days_present, 0) AS days_present,
       COALESCE(summary.days_marked, 0) AS days_marked,
+      ${workingDaysSql("e.emp_id", "$2::date", "$3::date")} AS working_days,
       summary.has_punch_in,
       summary.has_punch_out,
       summary.last_punch_time,
@@ -197,7 +292,12 @@ const fetchSupervisorEmployees = async (userId, startDate, endDate) => {
       summary.last_punch_display,
       summary.punch_in_epoch,
       summary.punch_out_epoch,
-      summary.last_punch_epoch
+      summary.last_punch_epoch,
+      summary.shift_date,
+      summary.shift_name,
+      summary.overnight_shift,
+      COALESCE(leave_summary.days_on_leave, 0) AS days_on_leave,
+      leave_summary.leave_type
     FROM employee e
     JOIN wards w ON e.ward_id = w.ward_id
     JOIN zones z ON w.zone_id = z.zone_id
@@ -209,10 +309,19 @@ const fetchSupervisorEmployees = async (userId, startDate, endDate) => {
     LEFT JOIN (
       SELECT
         a.emp_id,
-        MAX(CASE WHEN a.punch_in_time IS NOT NULL THEN 1 ELSE 0 END) AS has_punch_in,
-        MAX(CASE WHEN a.punch_out_time IS NOT NULL THEN 1 ELSE 0 END) AS has_punch_out,
-        COUNT(*) FILTER (WHERE a.punch_in_time IS NOT NULL) AS days_present,
-        COUNT(*) FILTER (WHERE a.punch_out_time IS NOT NULL) AS days_marked,
+        (ARRAY_AGG(CASE WHEN a.punch_in_time IS NOT NULL THEN 1 ELSE 0 END ${LATEST_SHIFT_ORDER}))[1] AS has_punch_in,
+        (ARRAY_AGG(CASE WHEN a.punch_out_time IS NOT NULL THEN 1 ELSE 0 END ${LATEST_SHIFT_ORDER}))[1] AS has_punch_out,
+        TO_CHAR(MAX(a.date), 'YYYY-MM-DD') AS shift_date,
+        (ARRAY_AGG(s.shift_name ${LATEST_SHIFT_ORDER}))[1] AS shift_name,
+        (ARRAY_AGG(
+          COALESCE(
+            s.end_time <= s.start_time
+              OR (a.punch_out_time AT TIME ZONE 'Asia/Kolkata')::date > a.date::date,
+            FALSE
+          ) ${LATEST_SHIFT_ORDER}
+        ))[1] AS overnight_shift,
+        COUNT(*) FILTER (WHERE a.punch_in_time IS NOT NULL AND ${ON_WORKING_DAY_SQL}) AS days_present,
+        COUNT(*) FILTER (WHERE a.punch_out_time IS NOT NULL AND ${ON_WORKING_DAY_SQL}) AS days_marked,
         MAX(a.punch_in_time) FILTER (WHERE a.punch_in_time IS NOT NULL) AS punch_in_time,
         MAX(a.punch_out_time) FILTER (WHERE a.punch_out_time IS NOT NULL) AS punch_out_time,
         MAX(
@@ -243,19 +352,36 @@ const fetchSupervisorEmployees = async (userId, startDate, endDate) => {
           END
         )) AS last_punch_epoch
       FROM attendance a
-      WHERE a.date::date BETWEEN $2::date AND $3::date
+      LEFT JOIN shifts s ON s.shift_id = a.shift_id
+      WHERE ${ATTENDANCE_IN_RANGE_SQL}
       GROUP BY a.emp_id
     ) summary ON summary.emp_id = e.emp_id
+    LEFT JOIN (
+      SELECT
+        la.emp_id,
+        SUM(LEAST(la.end_date, $3::date) - GREATEST(la.start_date, $2::date) + 1) AS days_on_leave,
+        (ARRAY_AGG(lt.name ORDER BY la.start_date DESC))[1] AS leave_type
+      FROM leave_applications la
+      JOIN leave_types lt ON lt.leave_type_id = la.leave_type_id
+      WHERE la.status = 'approved'
+        AND la.start_date <= $3::date
+        AND la.end_date >= $2::date
+      GROUP BY la.emp_id
+    ) leave_summary ON leave_summary.emp_id = e.emp_id
     WHERE u.user_id = $1
     ORDER BY w.ward_id, e.name;
   `;
 
+  await ensureShiftSchema();
+  await ensureLeaveSchema();
+  await ensureHolidaySchema();
   const result = await pool.query(query, [userId, startDate, endDate]);
-  return mapRowsToWards(result.rows);
+  const wards = mapRowsToWards(result.rows, startDate);
+  return baseUrl ? signFaceUrls(wards, baseUrl) : wards;
 };
 
 // Summary endpoint for mobile (GET with authentication)
-router.get("/summary", authenticate, async (req, res) => {
+router.get("/summary", async (req, res) => {
   const user_id = req.user.user_id;
 
   if (!user_id) {
@@ -275,7 +401,7 @@ router.get("/summary", authenticate, async (req, res) => {
 });
 
 // GET endpoint for mobile app (uses JWT token)
-router.get("/", authenticate, async (req, res) => {
+router.get("/", async (req, res) => {
   const user_id = req.user.user_id;
 
   if (!user_id) {
@@ -285,7 +411,9 @@ router.get("/", authenticate, async (req, res) => {
   try {
     const { startDate: startDateRaw, endDate: endDateRaw } = req.query;
     const { startDate, endDate } = resolveDateRange(startDateRaw, endDateRaw);
-    const response = await fetchSupervisorEmployees(user_id, startDate, endDate);
+    const response = await fetchSupervisorEmployees(user_id, startDate, endDate, {
+      baseUrl: requestBaseUrl(req),
+    });
 
     res.json({ success: true, data: response });
   } catch (error) {
@@ -294,6 +422,11 @@ router.get("/", authenticate, async (req, res) => {
   }
 });
 
+// The web POST endpoints take an explicit user_id; only admins may look at
+// another supervisor's wards.
+const canViewSupervisor = (req, userId) =>
+  isAdmin(req.user) || Number(userId) === Number(req.user.user_id);
+
 // Summary endpoint for web compatibility (POST with explicit user_id)
 router.post("/summary", async (req, res) => {
   const { user_id, startDate: startDateRaw, endDate: endDateRaw } = req.body;
@@ -301,6 +434,9 @@ router.post("/summary", async (req, res) => {
   if (!user_id) {
     return res.status(400).json({ error: "User ID is required" });
   }
+  if (!canViewSupervisor(req, user_id)) {
+    return res.status(403).json({ success: false, error: "Access denied" });
+  }
 
   try {
     const { startDate, endDate } = resolveDateRange(startDateRaw, endDateRaw);
@@ -320,10 +456,15 @@ router.post("/", async (req, res) => {
   if (!user_id) {
     return res.status(400).json({ error: "User ID is required" });
   }
+  if (!canViewSupervisor(req, user_id)) {
+    return res.status(403).json({ success: false, error: "Access denied" });
+  }
 
   try {
     const { startDate, endDate } = resolveDateRange(startDateRaw, endDateRaw);
-    const response = await fetchSupervisorEmployees(user_id, startDate, endDate);
+    const response = await fetchSupervisorEmployees(user_id, startDate, endDate, {
+      baseUrl: requestBaseUrl(req),
+    });
 
     res.json({ success: true, data: response });
   } catch (error) {
@@ -1,6 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../config/db");
+const { ensureShiftSchema } = require("../services/shifts");
+const { ensureLeaveSchema, approvedLeaveSql } = require("../services/leaves");
+const { getAccessibleWardIds } = require("../services/accessPolicy");
 
 // 🛠 IST Date Formatter
 const formatDateIST = (date = new Date()) => {
@@ -15,6 +18,10 @@ router.post("/", async (req, res) => {
   const date = req.query.date || formatDateIST(); // IST Date in YYYY-MM-DD format
 
   try {
+    await ensureShiftSchema();
+    await ensureLeaveSchema();
+    // Supervisors only get the wards assigned to them
+    const wardIds = await getAccessibleWardIds(req.user);
     const result = await pool.query(
       `SELECT 
         ROW_NUMBER() OVER (ORDER BY a.date DESC, a.attendance_id) AS sr_no,
@@ -33,6 +40,16 @@ router.post("/", async (req, res) => {
         a.out_address, 
         a.punch_out_image, 
         a.duration,
+        s.shift_name AS shift,
+        a.late_minutes,
+        a.early_exit_minutes,
+        a.overtime_minutes,
+        a.duration_minutes,
+        CASE
+          WHEN a.punch_in_time IS NOT NULL THEN 'Present'
+          WHEN ${approvedLeaveSql("a.emp_id", "a.date")} THEN 'Leave'
+          ELSE 'Absent'
+        END AS status,
         u.name AS punched_in_by,
         u1.name AS punched_out_by
       FROM attendance a
@@ -42,9 +59,11 @@ router.post("/", async (req, res) => {
       JOIN cities c ON z.city_id = c.city_id
       LEFT JOIN users u ON a.punched_in_by = u.user_id
       LEFT JOIN users u1 ON a.punched_out_by = u1.user_id
+      LEFT JOIN shifts s ON a.shift_id = s.shift_id
       WHERE a.date = $1
+        AND ($2::int[] IS NULL OR a.ward_id = ANY($2::int[]))
       ORDER BY a.date DESC, a.attendance_id;`,
-      [date]
+      [date, wardIds]
     );
 
     res.json(result.rows);
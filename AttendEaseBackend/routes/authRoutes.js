@@ -1,16 +1,123 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const pool = require("../config/db");
-const authenticateToken = require("../middleware/authMiddleware"); // ✅ Import middleware
+const authenticate = require("../middleware/authenticate");
+const { requireAdmin } = require("../middleware/authorize");
+const {
+  describeDevice,
+  createSession,
+  rotateSession,
+  findSessionIdByRefreshToken,
+  listSessions,
+  getSession,
+  revokeSession,
+  revokeUserSessions,
+  signAccessToken,
+  ACCESS_TOKEN_TTL_MINUTES,
+} = require("../services/sessions");
+const {
+  ensurePasswordSchema,
+  validatePasswordPolicy,
+  hashPassword,
+  generateTemporaryPassword,
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+} = require("../services/passwords");
+const { sendMail } = require("../services/mailer");
+const { noteAudit } = require("../services/auditLog");
+const {
+  getActiveLockout,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require("../services/loginProtection");
 
 const router = express.Router();
 
+const REFRESH_COOKIE = "refreshToken";
+
+// Browsers keep both tokens in httpOnly cookies; the refresh cookie is only
+// sent back to /api/auth.
+const setSessionCookies = (res, session) => {
+  res.cookie("token", session.token, {
+    httpOnly: true,
+    maxAge: session.expiresIn * 1000,
+  });
+  res.cookie(REFRESH_COOKIE, session.refreshToken, {
+    httpOnly: true,
+    path: "/api/auth",
+    maxAge: session.refreshMaxAgeMs,
+  });
+};
+
+const clearSessionCookies = (res) => {
+  res.clearCookie("token");
+  res.clearCookie(REFRESH_COOKIE, { path: "/api/auth" });
+};
+
+const readRefreshToken = (req) => req.body?.refreshToken || req.cookies?.[REFRESH_COOKIE] || null;
+
+// Locked accounts and addresses get 429 with the time they open again, even
+// when the password is right.
+const sendLockout = (res, lockout, body = {}) => {
+  res.set("Retry-After", String(lockout.retryAfterSeconds));
+  res.status(429).json({
+    ...body,
+    error: "Too many failed sign-in attempts. Try again later or ask an administrator to unlock your account.",
+    code: "LOGIN_LOCKED",
+    lockedUntil: lockout.lockedUntil,
+    retryAfterSeconds: lockout.retryAfterSeconds,
+  });
+};
+
+// Counts the failure and tells the client how many tries are left
+const sendLoginFailure = async (req, res, status, body, { email, userId = null }) => {
+  const { remainingAttempts, lockout } = await recordLoginFailure({
+    email,
+    userId,
+    ipAddress: req.ip,
+  });
+  if (lockout) {
+    return sendLockout(res, lockout, body.success === false ? { success: false } : {});
+  }
+  res.status(status).json({ ...body, remainingAttempts });
+};
+
+// Sign-ins have no authenticated user yet, so name the actor explicitly
+const noteSignIn = (req, user, session) =>
+  noteAudit(req, {
+    action: "auth.login",
+    actorId: user.user_id,
+    actorRole: user.role,
+    entityType: "user",
+    entityId: user.user_id,
+    sessionId: session.sessionId,
+    metadata: { device: describeDevice(req) },
+  });
+
+const sessionPayload = (session) => ({
+  token: session.token,
+  expiresIn: session.expiresIn,
+  refreshToken: session.refreshToken,
+  refreshExpiresAt: session.refreshExpiresAt,
+});
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.statusCode ? error.message : fallbackMessage,
+    ...(error.details ? { details: error.details } : {}),
+  });
+};
+
 // ✅ Get Logged-in User
-router.get("/me", authenticateToken, async (req, res) => {
+router.get("/me", authenticate.allowingPasswordChange, async (req, res) => {
   try {
+    await ensurePasswordSchema();
     const user = await pool.query(
-      "SELECT user_id, name, email, role FROM users WHERE user_id = $1",
+      `SELECT user_id, name, email, role, must_change_password AS "mustChangePassword"
+         FROM users WHERE user_id = $1`,
       [req.user.user_id]
     );
 
@@ -24,8 +131,8 @@ router.get("/me", authenticateToken, async (req, res) => {
   }
 });
 
-// ✅ Create new User
-router.post("/register", async (req, res) => {
+// ✅ Create new User (admins only)
+router.post("/register", authenticate, requireAdmin, async (req, res) => {
   const { name, emp_code, email, phone, role, password } = req.body;
 
   if (!name || !emp_code || !email || !phone || !role || !password) {
@@ -33,16 +140,25 @@ router.post("/register", async (req, res) => {
   }
 
   try {
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    validatePasswordPolicy(password, { email });
+    await ensurePasswordSchema();
+
+    // The admin-issued password must be replaced at first login
     const result = await pool.query(
-      "INSERT INTO users (name, emp_code, email, phone, role, password_hash) VALUES ($1, $2, $3, $4, $5, $6) RETURNING user_id, name, role",
-      [name, emp_code, email, phone, role, hashedPassword]
+      `INSERT INTO users (name, emp_code, email, phone, role, password_hash, must_change_password)
+       VALUES ($1, $2, $3, $4, $5, $6, TRUE)
+       RETURNING user_id, name, role`,
+      [name, emp_code, email, phone, role, await hashPassword(password)]
     );
 
     res.status(201).json({ message: "User registered", user: result.rows[0] });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        ...(error.details ? { details: error.details } : {}),
+      });
+    }
     if (error.code === "23505") {
       // PostgreSQL unique violation
       return res
@@ -53,7 +169,7 @@ router.post("/register", async (req, res) => {
   }
 });
 
-router.put("/update", async (req, res) => {
+router.put("/update", authenticate, requireAdmin, async (req, res) => {
   const { user_id, name, emp_code, email, phone, role } = req.body;
 
   if (!user_id || !name || !emp_code || !email || !phone || !role) {
@@ -77,27 +193,33 @@ router.post("/login", async (req, res) => {
   const { email, password } = req.body;
 
   try {
+    await ensurePasswordSchema();
+    const lockout = await getActiveLockout({ email, ipAddress: req.ip });
+    if (lockout) return sendLockout(res, lockout);
+
     const user = await pool.query("SELECT * FROM users WHERE email = $1", [
       email,
     ]);
 
     if (user.rows.length === 0)
-      return res.status(400).json({ error: "Invalid credentials" });
+      return sendLoginFailure(req, res, 400, { error: "Invalid credentials" }, { email });
 
     const isMatch = await bcrypt.compare(password, user.rows[0].password_hash);
-    if (!isMatch) return res.status(400).json({ error: "Invalid credentials" });
+    if (!isMatch)
+      return sendLoginFailure(req, res, 400, { error: "Invalid credentials" }, {
+        email,
+        userId: user.rows[0].user_id,
+      });
+    await recordLoginSuccess({ email });
 
-    // ✅ Generate JWT Token
-    const token = jwt.sign(
-      { user_id: user.rows[0].user_id, role: user.rows[0].role },
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" }
-    );
+    // ✅ Open a session: short-lived access token plus refresh token
+    const session = await createSession(user.rows[0], describeDevice(req));
+    noteSignIn(req, user.rows[0], session);
 
-    res.cookie("token", token, { httpOnly: true });
+    setSessionCookies(res, session);
     res.json({
       message: "Login successful",
-      token,
+      ...sessionPayload(session),
       user: {
         user_id: user.rows[0].user_id,
         name: user.rows[0].name,
@@ -105,6 +227,7 @@ router.post("/login", async (req, res) => {
         role: user.rows[0].role,
         emp_code: user.rows[0].emp_code,
         phone: user.rows[0].phone,
+        mustChangePassword: user.rows[0].must_change_password,
       },
     });
   } catch (error) {
@@ -117,6 +240,12 @@ router.post("/supervisor-login", async (req, res) => {
   const { email, password } = req.body;
 
   try {
+    await ensurePasswordSchema();
+    const lockout = await getActiveLockout({ email, ipAddress: req.ip });
+    if (lockout) {
+      return sendLockout(res, lockout, { success: false });
+    }
+
     // Query for both supervisor and admin roles
     const user = await pool.query(
       "SELECT * FROM users WHERE email = $1 AND (role = 'supervisor' OR role = 'admin')",
@@ -124,31 +253,29 @@ router.post("/supervisor-login", async (req, res) => {
     );
 
     if (user.rows.length === 0) {
-      return res.status(401).json({
+      return sendLoginFailure(req, res, 401, {
         success: false,
         error: "Access denied. Only supervisors and administrators can access the mobile app."
-      });
+      }, { email });
     }
 
     const isMatch = await bcrypt.compare(password, user.rows[0].password_hash);
     if (!isMatch) {
-      return res.status(401).json({
+      return sendLoginFailure(req, res, 401, {
         success: false,
         error: "Invalid credentials"
-      });
+      }, { email, userId: user.rows[0].user_id });
     }
+    await recordLoginSuccess({ email });
 
-    // ✅ Generate JWT Token for supervisor
-    const token = jwt.sign(
-      { user_id: user.rows[0].user_id, role: user.rows[0].role },
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" }
-    );
+    // ✅ Open a session for this device
+    const session = await createSession(user.rows[0], describeDevice(req));
+    noteSignIn(req, user.rows[0], session);
 
     res.json({
       success: true,
       message: "Supervisor login successful",
-      token,
+      ...sessionPayload(session),
       user: {
         user_id: user.rows[0].user_id,
         name: user.rows[0].name,
@@ -156,6 +283,7 @@ router.post("/supervisor-login", async (req, res) => {
         role: user.rows[0].role,
         emp_code: user.rows[0].emp_code,
         phone: user.rows[0].phone,
+        mustChangePassword: user.rows[0].must_change_password,
       },
     });
   } catch (error) {
@@ -167,12 +295,142 @@ router.post("/supervisor-login", async (req, res) => {
   }
 });
 
-// ✅ Logout User
-router.post("/logout", (req, res) => {
-  res.clearCookie("token");
+// ✅ Exchange a refresh token for a new token pair (the old one stops working)
+router.post("/refresh", async (req, res) => {
+  // Devices refresh every few minutes; the session table already tracks it
+  noteAudit(req, { skip: true });
+  try {
+    await ensurePasswordSchema();
+    const session = await rotateSession(readRefreshToken(req), { ipAddress: req.ip });
+    if (req.cookies?.[REFRESH_COOKIE]) {
+      setSessionCookies(res, session);
+    }
+    res.json({ success: true, ...sessionPayload(session) });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      clearSessionCookies(res);
+    }
+    sendError(res, error, "Token refresh failed");
+  }
+});
+
+// ✅ Logout User: ends this device's session so its tokens stop working
+router.post("/logout", async (req, res) => {
+  try {
+    const sessionId = await findSessionIdByRefreshToken(readRefreshToken(req));
+    if (sessionId) {
+      await revokeSession(sessionId, { reason: "logout" });
+    }
+  } catch (error) {
+    // Signing out locally must still succeed when the revocation fails.
+    console.error("Logout session revoke failed:", error);
+  }
+  clearSessionCookies(res);
   res.json({ message: "Logged out successfully" });
 });
 
+// ✅ Devices the current user is signed in on
+router.get("/sessions", authenticate, async (req, res) => {
+  try {
+    const sessions = await listSessions({ userId: req.user.user_id });
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        ...session,
+        current: session.session_id === req.user.sid,
+      })),
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching sessions");
+  }
+});
+
+// ✅ Sign out one of the current user's other devices
+router.delete("/sessions/:sessionId", authenticate, async (req, res) => {
+  try {
+    const session = await getSession(req.params.sessionId);
+    if (!session || session.user_id !== req.user.user_id) {
+      return res.status(404).json({ success: false, error: "Session not found" });
+    }
+    await revokeSession(session.session_id, {
+      revokedBy: req.user.user_id,
+      reason: "logout",
+    });
+    res.json({ success: true, message: "Session signed out" });
+  } catch (error) {
+    sendError(res, error, "Error signing out session");
+  }
+});
+
+// ✅ Sign out every device except this one
+router.post("/sessions/revoke-others", authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.user_id, {
+      revokedBy: req.user.user_id,
+      reason: "logout",
+      exceptSessionId: req.user.sid,
+    });
+    res.json({ success: true, revoked });
+  } catch (error) {
+    sendError(res, error, "Error signing out other sessions");
+  }
+});
+
+// ✅ Change own password (also the way out of a forced first-login change)
+router.post("/change-password", authenticate.allowingPasswordChange, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    await changePassword(req.user.user_id, {
+      currentPassword,
+      newPassword,
+      sessionId: req.user.sid,
+    });
+
+    // Other devices are signed out; this one gets a token without the
+    // pending-change restriction.
+    const token = signAccessToken(
+      { user_id: req.user.user_id, role: req.user.role, must_change_password: false },
+      req.user.sid
+    );
+    if (req.cookies?.token) {
+      res.cookie("token", token, { httpOnly: true, maxAge: ACCESS_TOKEN_TTL_MINUTES * 60 * 1000 });
+    }
+    res.json({
+      success: true,
+      message: "Password changed successfully",
+      token,
+      expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+    });
+  } catch (error) {
+    sendError(res, error, "Password change failed");
+  }
+});
+
+// ✅ Mail a password reset code. The answer is the same whether or not the
+// email belongs to an account.
+router.post("/forgot-password", async (req, res) => {
+  try {
+    await requestPasswordReset(req.body?.email, { ipAddress: req.ip });
+    res.json({
+      success: true,
+      message: "If the email belongs to an account, a reset code has been sent.",
+    });
+  } catch (error) {
+    sendError(res, error, "Password reset request failed");
+  }
+});
+
+// ✅ Choose a new password with the mailed reset code
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    await resetPassword(token, newPassword);
+    res.json({ success: true, message: "Password has been reset. Sign in with the new password." });
+  } catch (error) {
+    sendError(res, error, "Password reset failed");
+  }
+});
+
 // ✅ Create Admin User (One-time setup)
 router.post("/create-admin", async (req, res) => {
   try {
@@ -192,35 +450,60 @@ router.post("/create-admin", async (req, res) => {
       });
     }
 
-    // Create admin user
+    // Create admin user. The password is either chosen by the caller or a
+    // random one mailed to the admin address; it is never echoed back and
+    // must be changed at first login.
     const adminData = {
       name: "System Administrator",
       emp_code: "ADMIN001",
-      email: "admin@attendease.com",
+      email: (req.body?.email || "admin@attendease.com").toString().trim().toLowerCase(),
       phone: "9876543210",
       role: "admin",
-      password: "admin123"
     };
+    const chosenPassword = req.body?.password || null;
+    if (chosenPassword) {
+      validatePasswordPolicy(chosenPassword, { email: adminData.email });
+    }
+    const password = chosenPassword || generateTemporaryPassword();
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(adminData.password, salt);
-
+    await ensurePasswordSchema();
     const result = await pool.query(
-      "INSERT INTO users (name, emp_code, email, phone, role, password_hash) VALUES ($1, $2, $3, $4, $5, $6) RETURNING user_id, name, email, emp_code, role",
-      [adminData.name, adminData.emp_code, adminData.email, adminData.phone, adminData.role, hashedPassword]
+      `INSERT INTO users (name, emp_code, email, phone, role, password_hash, must_change_password)
+       VALUES ($1, $2, $3, $4, $5, $6, TRUE)
+       RETURNING user_id, name, email, emp_code, role`,
+      [adminData.name, adminData.emp_code, adminData.email, adminData.phone, adminData.role, await hashPassword(password)]
     );
 
+    if (!chosenPassword) {
+      await sendMail({
+        to: adminData.email,
+        subject: "Your AttendEase administrator account",
+        text: [
+          "An AttendEase administrator account has been created for this address.",
+          "",
+          `Email: ${adminData.email}`,
+          `Temporary password: ${password}`,
+          "",
+          "You will be asked to choose a new password when you first sign in.",
+        ].join("\n"),
+      });
+    }
+
     res.status(201).json({
-      message: "Admin user created successfully",
+      message: chosenPassword
+        ? "Admin user created successfully"
+        : `Admin user created successfully; a temporary password was sent to ${adminData.email}`,
       admin: result.rows[0],
-      credentials: {
-        email: adminData.email,
-        password: adminData.password
-      }
+      mustChangePassword: true,
     });
   } catch (error) {
     console.error("Create admin error:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        ...(error.details ? { details: error.details } : {}),
+      });
+    }
     if (error.code === "23505") {
       return res.status(400).json({ error: "Email or Employee Code already exists" });
     }
@@ -1,10 +1,14 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../config/db");
+const { getAccessibleWardIds } = require("../services/accessPolicy");
+const { noteAudit } = require("../services/auditLog");
 
-// 🟢 Fetch all employees with city, zone, ward, department, and designation
+// 🟢 Fetch employees with city, zone, ward, department, and designation
+// (supervisors only see the wards assigned to them)
 router.get("/", async (req, res) => {
   try {
+    const wardIds = await getAccessibleWardIds(req.user);
     const result = await pool.query(
       `SELECT 
         e.emp_id, 
@@ -21,7 +25,9 @@ router.get("/", async (req, res) => {
       LEFT JOIN zones z ON w.zone_id = z.zone_id
       LEFT JOIN cities c ON z.city_id = c.city_id
       LEFT JOIN designation ds ON e.designation_id = ds.designation_id
-      LEFT JOIN department d ON ds.department_id = d.department_id;`
+      LEFT JOIN department d ON ds.department_id = d.department_id
+      WHERE $1::int[] IS NULL OR e.ward_id = ANY($1::int[]);`,
+      [wardIds]
     );
     res.json(result.rows);
   } catch (error) {
@@ -39,6 +45,12 @@ router.post("/", async (req, res) => {
        VALUES ($1, $2, $3, $4, $5) RETURNING *`,
       [name, emp_code, phone, ward_id, designation_id]
     );
+    noteAudit(req, {
+      action: "employee.create",
+      entityType: "employee",
+      entityId: result.rows[0].emp_id,
+      after: result.rows[0],
+    });
     res.status(201).json(result.rows[0]);
   } catch (error) {
     console.error("Error inserting employee:", error);
@@ -51,6 +63,7 @@ router.put("/:id", async (req, res) => {
   try {
     const { id } = req.params;
     const { name, emp_code, phone, ward_id, designation_id } = req.body;
+    const previous = await pool.query("SELECT * FROM employee WHERE emp_id = $1", [id]);
     const result = await pool.query(
       `UPDATE employee 
        SET name = $1, emp_code = $2, phone = $3, ward_id = $4, designation_id = $5 
@@ -62,6 +75,13 @@ router.put("/:id", async (req, res) => {
     if (result.rowCount === 0) {
       return res.status(404).json({ error: "Employee not found" });
     }
+    noteAudit(req, {
+      action: "employee.update",
+      entityType: "employee",
+      entityId: id,
+      before: previous.rows[0],
+      after: result.rows[0],
+    });
 
     // Fetch the updated details
     const updatedEmployee = await pool.query(
@@ -96,13 +116,19 @@ router.put("/:id", async (req, res) => {
 router.delete("/:id", async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await pool.query("DELETE FROM employee WHERE emp_id = $1", [
+    const result = await pool.query("DELETE FROM employee WHERE emp_id = $1 RETURNING *", [
       id,
     ]);
 
     if (result.rowCount === 0) {
       return res.status(404).json({ error: "Employee not found" });
     }
+    noteAudit(req, {
+      action: "employee.delete",
+      entityType: "employee",
+      entityId: id,
+      before: result.rows[0],
+    });
 
     res.json({ message: "Employee deleted successfully" });
   } catch (error) {
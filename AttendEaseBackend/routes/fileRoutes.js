@@ -0,0 +1,33 @@
+const express = require("express");
+const { getLocalStorage } = require("../services/storage");
+
+// Serves files behind the signed URLs the local storage driver issues, so a
+// link handed out with an expiry stops working once it lapses.
+const router = express.Router();
+
+router.get("/*", async (req, res) => {
+  const key = req.params[0];
+  const { expires, signature } = req.query;
+  const storage = getLocalStorage();
+
+  if (!key || !storage.verifySignature(key, expires, signature)) {
+    return res.status(403).json({ error: "Invalid or expired file link" });
+  }
+
+  try {
+    const { stream, contentType, contentLength } = await storage.getStream(key);
+    res.set({
+      "Content-Type": contentType,
+      ...(contentLength !== null ? { "Content-Length": contentLength } : {}),
+      "Cache-Control": "private, no-store",
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error("Error serving stored file:", error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Unable to fetch file",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+const express = require("express");
+const {
+  listHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  listWeeklyOffRules,
+  createWeeklyOffRule,
+  deleteWeeklyOffRule,
+  getEmployeeCalendar,
+} = require("../services/holidays");
+const { formatDateIST, addDaysIso } = require("../utils/dates");
+
+// Mounted under /api/admin/holidays, so admin authentication is already applied.
+const router = express.Router();
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    error: error.statusCode ? error.message : fallbackMessage,
+    ...(error.details ? { details: error.details } : {}),
+  });
+};
+
+// ===== WEEKLY OFFS =====
+
+router.get("/weekly-offs", async (req, res) => {
+  try {
+    const { scope_type = "", scope_id = "" } = req.query;
+    const rules = await listWeeklyOffRules({
+      scopeType: scope_type || null,
+      scopeId: scope_id ? Number(scope_id) : null,
+    });
+    res.json(rules);
+  } catch (error) {
+    sendError(res, error, "Error fetching weekly off rules");
+  }
+});
+
+router.post("/weekly-offs", async (req, res) => {
+  try {
+    const rule = await createWeeklyOffRule(req.body, { actorId: req.user.user_id });
+    res.status(201).json(rule);
+  } catch (error) {
+    sendError(res, error, "Error creating weekly off rule");
+  }
+});
+
+router.delete("/weekly-offs/:id", async (req, res) => {
+  try {
+    await deleteWeeklyOffRule(req.params.id);
+    res.json({ message: "Weekly off rule deleted successfully" });
+  } catch (error) {
+    sendError(res, error, "Error deleting weekly off rule");
+  }
+});
+
+// ===== CALENDAR =====
+
+// Working and non-working days of one employee; defaults to the next 30 days
+router.get("/calendar/:empId", async (req, res) => {
+  try {
+    const from = req.query.from || formatDateIST();
+    const to = req.query.to || addDaysIso(from, 29);
+    res.json(await getEmployeeCalendar(req.params.empId, from, to));
+  } catch (error) {
+    sendError(res, error, "Error building working calendar");
+  }
+});
+
+// ===== HOLIDAYS =====
+
+router.get("/", async (req, res) => {
+  try {
+    const { year = "", date_from = "", date_to = "", scope_type = "", scope_id = "" } = req.query;
+    const holidays = await listHolidays({
+      year: year ? Number(year) : null,
+      from: date_from || null,
+      to: date_to || null,
+      scopeType: scope_type || null,
+      scopeId: scope_id ? Number(scope_id) : null,
+    });
+    res.json(holidays);
+  } catch (error) {
+    sendError(res, error, "Error fetching holidays");
+  }
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const holiday = await createHoliday(req.body, { actorId: req.user.user_id });
+    res.status(201).json(holiday);
+  } catch (error) {
+    sendError(res, error, "Error creating holiday");
+  }
+});
+
+router.put("/:id", async (req, res) => {
+  try {
+    res.json(await updateHoliday(req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error, "Error updating holiday");
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    await deleteHoliday(req.params.id);
+    res.json({ message: "Holiday deleted successfully" });
+  } catch (error) {
+    sendError(res, error, "Error deleting holiday");
+  }
+});
+
+module.exports = router;
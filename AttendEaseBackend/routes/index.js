@@ -2,7 +2,12 @@ const express = require("express");
 const router = express.Router();
 
 // Middleware
-const authenticateUser = require("../middleware/authMiddleware");
+const authenticate = require("../middleware/authenticate");
+const {
+  requireRole,
+  requireAdmin,
+  requireAdminForWrites,
+} = require("../middleware/authorize");
 
 // Import all route files
 const employeeRoutes = require("./employeeRoutes");
@@ -15,22 +20,29 @@ const attendanceRoutes = require("./attendanceRoutes");
 const supervisorRoutes = require("./supervisorRoutes");
 const assignedWardRoutes = require("./assignedWardRoutes");
 const adminRoutes = require("./adminRoutes");
+const fileRoutes = require("./fileRoutes");
+
+// Signed file links carry their own expiring signature
+router.use("/files", fileRoutes);
+
+// Everything below requires a signed-in user
+router.use(authenticate);
 
 // Protected Route
-router.get("/protected", authenticateUser, (req, res) => {
+router.get("/protected", (req, res) => {
   res.json({ message: "You are authorized!", user: req.user });
 });
 
 // Register Routes
-router.use("/employees", employeeRoutes);
-router.use("/cities", cityRoutes);
-router.use("/zones", zoneRoutes);
-router.use("/wards", wardRoutes);
-router.use("/departments", departmentRoutes);
-router.use("/designations", designationRoutes);
-router.use("/attendance", attendanceRoutes);
-router.use("/supervisor", supervisorRoutes);
-router.use("/assignedWardRoutes", assignedWardRoutes);
-router.use("/admin", adminRoutes);
+router.use("/employees", requireAdminForWrites, employeeRoutes);
+router.use("/cities", requireAdminForWrites, cityRoutes);
+router.use("/zones", requireAdminForWrites, zoneRoutes);
+router.use("/wards", requireAdminForWrites, wardRoutes);
+router.use("/departments", requireAdminForWrites, departmentRoutes);
+router.use("/designations", requireAdminForWrites, designationRoutes);
+router.use("/attendance", requireRole("admin", "supervisor"), attendanceRoutes);
+router.use("/supervisor", requireAdmin, supervisorRoutes);
+router.use("/assignedWardRoutes", requireAdmin, assignedWardRoutes);
+router.use("/admin", requireAdmin, adminRoutes);
 
 module.exports = router;
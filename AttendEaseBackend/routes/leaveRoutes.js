@@ -0,0 +1,191 @@
+const express = require("express");
+const {
+  listLeaveTypes,
+  createLeaveType,
+  updateLeaveType,
+  accrueLeaveBalances,
+  getLeaveBalances,
+  listLeaveApplications,
+  getLeaveApplication,
+  createLeaveApplication,
+  reviewLeaveApplication,
+  cancelLeaveApplication,
+} = require("../services/leaves");
+const { formatDateIST } = require("../utils/dates");
+
+// Mounted under /api/admin/leaves, so admin authentication is already applied.
+const router = express.Router();
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    error: error.statusCode ? error.message : fallbackMessage,
+    ...(error.details ? { details: error.details } : {}),
+  });
+};
+
+const currentYear = () => Number(formatDateIST().slice(0, 4));
+
+const parseYear = (value) => {
+  const year = value ? Number(value) : currentYear();
+  return Number.isInteger(year) && year >= 2000 && year <= 2100 ? year : null;
+};
+
+// ===== LEAVE TYPES =====
+
+router.get("/types", async (req, res) => {
+  try {
+    const types = await listLeaveTypes({
+      includeInactive: req.query.include_inactive === "true",
+    });
+    res.json(types);
+  } catch (error) {
+    sendError(res, error, "Error fetching leave types");
+  }
+});
+
+router.post("/types", async (req, res) => {
+  try {
+    const leaveType = await createLeaveType(req.body);
+    res.status(201).json(leaveType);
+  } catch (error) {
+    sendError(res, error, "Error creating leave type");
+  }
+});
+
+router.put("/types/:id", async (req, res) => {
+  try {
+    const leaveType = await updateLeaveType(req.params.id, req.body);
+    res.json(leaveType);
+  } catch (error) {
+    sendError(res, error, "Error updating leave type");
+  }
+});
+
+// ===== BALANCES =====
+
+router.get("/balances", async (req, res) => {
+  const { emp_id } = req.query;
+  const year = parseYear(req.query.year);
+
+  if (!emp_id) {
+    return res.status(400).json({ error: "emp_id is required" });
+  }
+  if (!year) {
+    return res.status(400).json({ error: "year must be between 2000 and 2100" });
+  }
+
+  try {
+    res.json({ emp_id: Number(emp_id), year, balances: await getLeaveBalances(emp_id, year) });
+  } catch (error) {
+    sendError(res, error, "Error fetching leave balances");
+  }
+});
+
+// Opens the yearly balances for every employee; safe to run more than once
+router.post("/accrue", async (req, res) => {
+  const year = parseYear(req.body?.year);
+  if (!year) {
+    return res.status(400).json({ error: "year must be between 2000 and 2100" });
+  }
+
+  try {
+    const created = await accrueLeaveBalances(year);
+    res.json({ year, created });
+  } catch (error) {
+    sendError(res, error, "Error accruing leave balances");
+  }
+});
+
+// ===== APPLICATIONS =====
+
+router.get("/", async (req, res) => {
+  try {
+    const {
+      status = "",
+      emp_id = "",
+      ward_id = "",
+      date_from = "",
+      date_to = "",
+      page = 1,
+      limit = 50,
+    } = req.query;
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const applications = await listLeaveApplications({
+      status: status || null,
+      empId: emp_id ? Number(emp_id) : null,
+      wardId: ward_id ? Number(ward_id) : null,
+      from: date_from || null,
+      to: date_to || null,
+      limit: pageSize,
+      offset: (Math.max(parseInt(page) || 1, 1) - 1) * pageSize,
+    });
+    res.json(applications);
+  } catch (error) {
+    sendError(res, error, "Error fetching leave applications");
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const application = await getLeaveApplication(req.params.id);
+    if (!application) {
+      return res.status(404).json({ error: "Leave application not found" });
+    }
+    res.json(application);
+  } catch (error) {
+    sendError(res, error, "Error fetching leave application");
+  }
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const application = await createLeaveApplication(req.body, {
+      actorId: req.user.user_id,
+    });
+    res.status(201).json(application);
+  } catch (error) {
+    sendError(res, error, "Error creating leave application");
+  }
+});
+
+router.post("/:id/approve", async (req, res) => {
+  try {
+    const application = await reviewLeaveApplication(
+      req.params.id,
+      { decision: "approved", comment: req.body?.comment ?? null },
+      { actorId: req.user.user_id }
+    );
+    res.json(application);
+  } catch (error) {
+    sendError(res, error, "Error approving leave application");
+  }
+});
+
+router.post("/:id/reject", async (req, res) => {
+  try {
+    const application = await reviewLeaveApplication(
+      req.params.id,
+      { decision: "rejected", comment: req.body?.comment ?? null },
+      { actorId: req.user.user_id }
+    );
+    res.json(application);
+  } catch (error) {
+    sendError(res, error, "Error rejecting leave application");
+  }
+});
+
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const application = await cancelLeaveApplication(req.params.id, {
+      actorId: req.user.user_id,
+      comment: req.body?.comment ?? null,
+    });
+    res.json(application);
+  } catch (error) {
+    sendError(res, error, "Error cancelling leave application");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require("express");
+const { listLockouts, unlockLockout, unlockUser } = require("../services/loginProtection");
+const { noteAudit } = require("../services/auditLog");
+
+// Mounted under /api/admin/login-lockouts, so admin authentication is already applied.
+const router = express.Router();
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    error: error.statusCode ? error.message : fallbackMessage,
+    ...(error.details ? { details: error.details } : {}),
+  });
+};
+
+// Active lockouts by default; ?include_expired=true returns the full history
+// and ?user_id= narrows it to one account.
+router.get("/", async (req, res) => {
+  try {
+    const { user_id = "", include_expired = "" } = req.query;
+    const lockouts = await listLockouts({
+      activeOnly: include_expired !== "true",
+      userId: user_id ? Number(user_id) : null,
+      limit: 200,
+    });
+    res.json(lockouts);
+  } catch (error) {
+    sendError(res, error, "Error fetching login lockouts");
+  }
+});
+
+// Lifts one account or address lockout before it times out
+router.post("/:lockoutId/unlock", async (req, res) => {
+  try {
+    const lockout = await unlockLockout(Number(req.params.lockoutId), {
+      unlockedBy: req.user.user_id,
+      reason: req.body?.reason || undefined,
+    });
+    noteAudit(req, {
+      action: "auth.lockout.unlock",
+      entityType: "login_lockout",
+      entityId: lockout.lockout_id,
+      after: { unlocked_at: lockout.unlocked_at, unlock_reason: lockout.unlock_reason },
+    });
+    res.json({ message: "Lockout lifted", lockout });
+  } catch (error) {
+    sendError(res, error, "Error lifting lockout");
+  }
+});
+
+// Lifts every active lockout on a user's account
+router.post("/users/:userId/unlock", async (req, res) => {
+  try {
+    const unlocked = await unlockUser(Number(req.params.userId), {
+      unlockedBy: req.user.user_id,
+      reason: req.body?.reason || undefined,
+    });
+    noteAudit(req, {
+      action: "auth.lockout.unlock",
+      entityType: "user",
+      entityId: req.params.userId,
+      metadata: { unlocked },
+    });
+    res.json({ message: `${unlocked} lockout(s) lifted`, unlocked });
+  } catch (error) {
+    sendError(res, error, "Error lifting lockouts");
+  }
+});
+
+module.exports = router;
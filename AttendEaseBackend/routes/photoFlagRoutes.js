@@ -0,0 +1,92 @@
+const express = require("express");
+const { listPhotoFlags, reviewPhotoFlag } = require("../services/photoHashes");
+const { noteAudit } = require("../services/auditLog");
+const { requestBaseUrl, signImageUrl } = require("../services/imageAccess");
+
+// Mounted under /api/admin/photo-flags, so admin authentication is already applied.
+const router = express.Router();
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    error: error.statusCode ? error.message : fallbackMessage,
+    ...(error.details ? { details: error.details } : {}),
+  });
+};
+
+// Both photos are private; reviewers get expiring links to compare them.
+const withPhotoLinks = async (req, flag) => {
+  const baseUrl = requestBaseUrl(req);
+  return {
+    ...flag,
+    image_url: await signImageUrl(flag.image_url, { baseUrl }),
+    matched_image_url: await signImageUrl(flag.matched_image_url, { baseUrl }),
+  };
+};
+
+// Pending flags by default; ?status= accepts pending, dismissed or confirmed
+// and ?status=all returns every flag.
+router.get("/", async (req, res) => {
+  try {
+    const {
+      status = "pending",
+      emp_id = "",
+      ward_id = "",
+      date_from = "",
+      date_to = "",
+      page = 1,
+      limit = 50,
+    } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const { flags, total } = await listPhotoFlags({
+      status: status === "all" ? null : status,
+      empId: emp_id ? Number(emp_id) : null,
+      wardId: ward_id ? Number(ward_id) : null,
+      from: date_from || null,
+      to: date_to || null,
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize,
+    });
+
+    res.json({
+      flags: await Promise.all(flags.map((flag) => withPhotoLinks(req, flag))),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching photo flags");
+  }
+});
+
+const reviewHandler = (status) => async (req, res) => {
+  try {
+    const flag = await reviewPhotoFlag(
+      Number(req.params.id),
+      { status, comment: req.body?.comment ?? null },
+      { actorId: req.user.user_id }
+    );
+    noteAudit(req, {
+      action: `attendance.photo_flag.${status === "confirmed" ? "confirm" : "dismiss"}`,
+      entityType: "photo_flag",
+      entityId: flag.flag_id,
+      before: { status: "pending" },
+      after: { status: flag.status, review_comment: flag.review_comment },
+    });
+    res.json(await withPhotoLinks(req, flag));
+  } catch (error) {
+    sendError(res, error, "Error reviewing photo flag");
+  }
+};
+
+// The photo really was reused
+router.post("/:id/confirm", reviewHandler("confirmed"));
+// The match was a coincidence
+router.post("/:id/dismiss", reviewHandler("dismissed"));
+
+module.exports = router;
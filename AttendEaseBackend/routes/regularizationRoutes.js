@@ -0,0 +1,102 @@
+const express = require("express");
+const {
+  listRegularizations,
+  getRegularization,
+  reviewRegularization,
+} = require("../services/regularizations");
+const { requestBaseUrl, signImageUrl } = require("../services/imageAccess");
+
+// Mounted under /api/admin/regularizations, so admin authentication is already applied.
+const router = express.Router();
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    error: error.statusCode ? error.message : fallbackMessage,
+    ...(error.details ? { details: error.details } : {}),
+  });
+};
+
+// Photos are private; reviewers get an expiring link instead of the stored path.
+const withPhotoLink = async (req, request) => ({
+  ...request,
+  photo_url: await signImageUrl(request.photo_url, { baseUrl: requestBaseUrl(req) }),
+});
+
+router.get("/", async (req, res) => {
+  try {
+    const {
+      status = "",
+      emp_id = "",
+      ward_id = "",
+      date_from = "",
+      date_to = "",
+      page = 1,
+      limit = 50,
+    } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const { requests, total } = await listRegularizations({
+      status: status || null,
+      empId: emp_id ? Number(emp_id) : null,
+      wardId: ward_id ? Number(ward_id) : null,
+      from: date_from || null,
+      to: date_to || null,
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize,
+    });
+
+    res.json({
+      requests: await Promise.all(requests.map((request) => withPhotoLink(req, request))),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching regularization requests");
+  }
+});
+
+router.get("/:id", async (req, res) => {
+  try {
+    const request = await getRegularization(req.params.id);
+    if (!request) {
+      return res.status(404).json({ error: "Regularization request not found" });
+    }
+    res.json(await withPhotoLink(req, request));
+  } catch (error) {
+    sendError(res, error, "Error fetching regularization request");
+  }
+});
+
+router.post("/:id/approve", async (req, res) => {
+  try {
+    const request = await reviewRegularization(
+      req.params.id,
+      { decision: "approved", comment: req.body?.comment ?? null },
+      { actorId: req.user.user_id }
+    );
+    res.json(await withPhotoLink(req, request));
+  } catch (error) {
+    sendError(res, error, "Error approving regularization request");
+  }
+});
+
+router.post("/:id/reject", async (req, res) => {
+  try {
+    const request = await reviewRegularization(
+      req.params.id,
+      { decision: "rejected", comment: req.body?.comment ?? null },
+      { actorId: req.user.user_id }
+    );
+    res.json(await withPhotoLink(req, request));
+  } catch (error) {
+    sendError(res, error, "Error rejecting regularization request");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require("express");
+const {
+  PURGE_CATEGORIES,
+  previewRetention,
+  runRetention,
+  listPurgeLog,
+  listLegalHolds,
+  placeLegalHold,
+  releaseLegalHold,
+  summarizeRun,
+} = require("../services/imageRetention");
+const { noteAudit } = require("../services/auditLog");
+
+// Mounted under /api/admin/retention, so admin authentication is already applied.
+const router = express.Router();
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    error: error.statusCode ? error.message : fallbackMessage,
+    ...(error.details ? { details: error.details } : {}),
+  });
+};
+
+const parseId = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : NaN;
+};
+
+// What the next purge would remove, per category; changes nothing
+router.get("/", async (req, res) => {
+  try {
+    res.json(await previewRetention());
+  } catch (error) {
+    sendError(res, error, "Error previewing image retention");
+  }
+});
+
+// Purges now instead of waiting for the daily run
+router.post("/run", async (req, res) => {
+  try {
+    const run = await runRetention();
+    noteAudit(req, {
+      action: "retention.purge",
+      entityType: "image_purge",
+      entityId: run.run_id,
+      metadata: { source: "manual", ...summarizeRun(run) },
+    });
+    res.json(run);
+  } catch (error) {
+    sendError(res, error, "Error purging expired images");
+  }
+});
+
+// ?run_id=, ?category= (attendance, face_template or group_review) and
+// ?status= (purged or failed) narrow the log
+router.get("/log", async (req, res) => {
+  try {
+    const { run_id = "", category = "", status = "", page = 1, limit = 50 } = req.query;
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const { entries, total } = await listPurgeLog({
+      runId: run_id || null,
+      category: category || null,
+      status: status || null,
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize,
+    });
+
+    res.json({
+      categories: PURGE_CATEGORIES,
+      entries,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching purge log");
+  }
+});
+
+// Active holds; ?include_released=true adds released ones
+router.get("/holds", async (req, res) => {
+  try {
+    res.json({
+      holds: await listLegalHolds({ includeReleased: req.query.include_released === "true" }),
+    });
+  } catch (error) {
+    sendError(res, error, "Error fetching legal holds");
+  }
+});
+
+router.post("/holds", async (req, res) => {
+  try {
+    const attendanceId = parseId(req.body?.attendance_id);
+    const empId = parseId(req.body?.emp_id);
+    if (Number.isNaN(attendanceId) || Number.isNaN(empId)) {
+      return res.status(400).json({ error: "Invalid attendance_id or emp_id" });
+    }
+
+    const hold = await placeLegalHold({
+      attendanceId,
+      empId,
+      reason: req.body?.reason,
+      actorId: req.user.user_id,
+    });
+    noteAudit(req, {
+      action: "retention.hold.place",
+      entityType: "legal_hold",
+      entityId: hold.hold_id,
+      after: hold,
+    });
+    res.status(201).json(hold);
+  } catch (error) {
+    sendError(res, error, "Error placing legal hold");
+  }
+});
+
+router.delete("/holds/:id", async (req, res) => {
+  try {
+    const hold = await releaseLegalHold(Number(req.params.id), { actorId: req.user.user_id });
+    noteAudit(req, {
+      action: "retention.hold.release",
+      entityType: "legal_hold",
+      entityId: hold.hold_id,
+      before: { released_at: null },
+      after: { released_at: hold.released_at, released_by: hold.released_by },
+    });
+    res.json(hold);
+  } catch (error) {
+    sendError(res, error, "Error releasing legal hold");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require("express");
+const {
+  listSessions,
+  getSession,
+  revokeSession,
+  revokeUserSessions,
+} = require("../services/sessions");
+
+// Mounted under /api/admin/sessions, so admin authentication is already applied.
+const router = express.Router();
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    error: error.statusCode ? error.message : fallbackMessage,
+    ...(error.details ? { details: error.details } : {}),
+  });
+};
+
+const isValidUserId = (value) => Number.isInteger(value) && value > 0;
+
+// ?user_id= narrows to one user; ?include_revoked=true adds ended sessions.
+router.get("/", async (req, res) => {
+  try {
+    const { user_id = "", include_revoked = "" } = req.query;
+    const userId = user_id ? Number(user_id) : null;
+    if (userId !== null && !isValidUserId(userId)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+    const sessions = await listSessions({
+      userId,
+      includeRevoked: include_revoked === "true",
+      limit: 200,
+    });
+    res.json(sessions);
+  } catch (error) {
+    sendError(res, error, "Error fetching sessions");
+  }
+});
+
+// Signs out one device, e.g. a supervisor's lost phone
+router.delete("/:sessionId", async (req, res) => {
+  try {
+    const session = await getSession(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    const revoked = await revokeSession(session.session_id, {
+      revokedBy: req.user.user_id,
+      reason: req.body?.reason || "revoked_by_admin",
+    });
+    res.json({
+      message: revoked ? "Session revoked" : "Session was already signed out",
+      session_id: session.session_id,
+    });
+  } catch (error) {
+    sendError(res, error, "Error revoking session");
+  }
+});
+
+// Signs a user out on every device
+router.delete("/users/:userId", async (req, res) => {
+  try {
+    const userId = Number(req.params.userId);
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({ error: "Invalid user ID" });
+    }
+    const revoked = await revokeUserSessions(userId, {
+      revokedBy: req.user.user_id,
+      reason: req.body?.reason || "revoked_by_admin",
+    });
+    res.json({ message: `${revoked} session(s) revoked`, revoked });
+  } catch (error) {
+    sendError(res, error, "Error revoking sessions");
+  }
+});
+
+module.exports = router;
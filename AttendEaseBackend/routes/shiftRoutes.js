@@ -0,0 +1,140 @@
+const express = require("express");
+const {
+  listShifts,
+  createShift,
+  updateShift,
+  listRosters,
+  createRoster,
+  listAssignments,
+  createAssignment,
+  deleteAssignment,
+  resolveShiftForEmployee,
+} = require("../services/shifts");
+const { formatDateIST, isIsoDate } = require("../utils/dates");
+
+// Mounted under /api/admin/shifts, so admin authentication is already applied.
+const router = express.Router();
+
+const sendError = (res, error, fallbackMessage) => {
+  console.error(`${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    error: error.statusCode ? error.message : fallbackMessage,
+    ...(error.details ? { details: error.details } : {}),
+  });
+};
+
+// ===== ROSTERS =====
+
+router.get("/rosters", async (req, res) => {
+  try {
+    res.json(await listRosters());
+  } catch (error) {
+    sendError(res, error, "Error fetching rosters");
+  }
+});
+
+router.post("/rosters", async (req, res) => {
+  try {
+    const roster = await createRoster(req.body);
+    res.status(201).json(roster);
+  } catch (error) {
+    sendError(res, error, "Error creating roster");
+  }
+});
+
+// ===== ASSIGNMENTS =====
+
+router.get("/assignments", async (req, res) => {
+  try {
+    const { emp_id = "", ward_id = "" } = req.query;
+    const assignments = await listAssignments({
+      empId: emp_id ? Number(emp_id) : null,
+      wardId: ward_id ? Number(ward_id) : null,
+    });
+    res.json(assignments);
+  } catch (error) {
+    sendError(res, error, "Error fetching shift assignments");
+  }
+});
+
+router.post("/assignments", async (req, res) => {
+  try {
+    const assignment = await createAssignment(req.body, {
+      actorId: req.user.user_id,
+    });
+    res.status(201).json(assignment);
+  } catch (error) {
+    sendError(res, error, "Error creating shift assignment");
+  }
+});
+
+router.delete("/assignments/:id", async (req, res) => {
+  try {
+    await deleteAssignment(req.params.id);
+    res.json({ message: "Shift assignment deleted successfully" });
+  } catch (error) {
+    sendError(res, error, "Error deleting shift assignment");
+  }
+});
+
+// Which shift applies to an employee on a date (defaults to today)
+router.get("/resolve", async (req, res) => {
+  const { emp_id, date = formatDateIST() } = req.query;
+
+  if (!emp_id) {
+    return res.status(400).json({ error: "emp_id is required" });
+  }
+  if (!isIsoDate(date)) {
+    return res.status(400).json({ error: "date must be in YYYY-MM-DD format" });
+  }
+
+  try {
+    res.json(await resolveShiftForEmployee(emp_id, date));
+  } catch (error) {
+    sendError(res, error, "Error resolving shift");
+  }
+});
+
+// ===== SHIFTS =====
+
+router.get("/", async (req, res) => {
+  try {
+    const shifts = await listShifts({
+      includeInactive: req.query.include_inactive === "true",
+    });
+    res.json(shifts);
+  } catch (error) {
+    sendError(res, error, "Error fetching shifts");
+  }
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const shift = await createShift(req.body);
+    res.status(201).json(shift);
+  } catch (error) {
+    sendError(res, error, "Error creating shift");
+  }
+});
+
+router.put("/:id", async (req, res) => {
+  try {
+    const shift = await updateShift(req.params.id, req.body);
+    res.json(shift);
+  } catch (error) {
+    sendError(res, error, "Error updating shift");
+  }
+});
+
+// Shifts stay referenced by historical attendance, so they are deactivated
+// rather than deleted.
+router.delete("/:id", async (req, res) => {
+  try {
+    await updateShift(req.params.id, { is_active: false });
+    res.json({ message: "Shift deactivated successfully" });
+  } catch (error) {
+    sendError(res, error, "Error deactivating shift");
+  }
+});
+
+module.exports = router;
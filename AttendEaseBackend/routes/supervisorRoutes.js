@@ -1,7 +1,6 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../config/db");
-const authenticate = require("../middleware/authenticate"); // Ensure users are logged in
 
 // ✅ Fetch all supervisors (Only Admins can fetch)
 router.get("/", async (req, res) => {
@@ -16,7 +15,7 @@ router.get("/", async (req, res) => {
 });
 
 // ✅ Update Supervisor (Name, Phone, Email Only)
-router.put("/:id", authenticate, async (req, res) => {
+router.put("/:id", async (req, res) => {
   const { id } = req.params;
   const { name, emp_code, email, phone, role, password, passChange } = req.body;
 
@@ -1,6 +1,11 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../config/db");
+const {
+  getWardGeofence,
+  setWardGeofence,
+  deleteWardGeofence,
+} = require("../services/geofences");
 
 // Get all wards with zone names
 // router.get("/", async (req, res) => {
@@ -86,13 +91,59 @@ router.get("/:id", async (req, res) => {
     if (result.rows.length === 0) {
       return res.status(404).json({ error: "Ward not found" });
     }
-    res.json(result.rows[0]);
+    const geofence = await getWardGeofence(id);
+    res.json({ ...result.rows[0], geofence });
   } catch (error) {
     console.error("Error fetching ward:", error);
     res.status(500).json({ error: "Internal Server Error" });
   }
 });
 
+// Get the geofence of a ward
+router.get("/:id/geofence", async (req, res) => {
+  try {
+    const geofence = await getWardGeofence(req.params.id);
+    if (!geofence) {
+      return res.status(404).json({ error: "Geofence not found" });
+    }
+    res.json(geofence);
+  } catch (error) {
+    console.error("Error fetching ward geofence:", error);
+    res.status(500).json({ error: "Internal Server Error" });
+  }
+});
+
+// Create or replace the geofence of a ward: a circle
+// ({ type: "circle", center: { lat, lng }, radius_meters }) or a polygon
+// ({ type: "polygon", polygon: [[lat, lng], ...] })
+router.put("/:id/geofence", async (req, res) => {
+  try {
+    const geofence = await setWardGeofence(req.params.id, req.body, {
+      actorId: req.user?.user_id ?? null,
+    });
+    res.json(geofence);
+  } catch (error) {
+    console.error("Error saving ward geofence:", error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Internal Server Error",
+      ...(error.details ? { details: error.details } : {}),
+    });
+  }
+});
+
+// Remove the geofence of a ward; its punches are no longer checked
+router.delete("/:id/geofence", async (req, res) => {
+  try {
+    await deleteWardGeofence(req.params.id);
+    res.json({ message: "Geofence deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting ward geofence:", error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : "Internal Server Error",
+    });
+  }
+});
+
 // Create a new ward
 router.post("/", async (req, res) => {
   const { ward_name, zone_id } = req.body;
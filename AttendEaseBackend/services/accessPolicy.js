@@ -0,0 +1,97 @@
+const pool = require("../config/db");
+
+// Who may see or act on what. Admins have global access; a supervisor is
+// limited to the wards assigned to them in supervisor_ward and the employees
+// of those wards. Every other role has no ward access.
+const isAdmin = (user) => user?.role === "admin";
+
+/** True when `supervisorId` supervises the ward `empId` belongs to. */
+async function supervisesEmployee(supervisorId, empId) {
+  const { rows } = await pool.query(
+    `SELECT 1
+       FROM employee e
+       JOIN supervisor_ward sw ON sw.ward_id = e.ward_id
+      WHERE e.emp_id = $1 AND sw.supervisor_id = $2
+      LIMIT 1`,
+    [empId, supervisorId]
+  );
+  return rows.length > 0;
+}
+
+/** Ward IDs the user may access, or null for every ward (admins). */
+async function getAccessibleWardIds(user) {
+  if (isAdmin(user)) {
+    return null;
+  }
+  if (!user?.user_id) {
+    return [];
+  }
+
+  const { rows } = await pool.query(
+    "SELECT DISTINCT ward_id FROM supervisor_ward WHERE supervisor_id = $1",
+    [user.user_id]
+  );
+  return rows.map((row) => Number(row.ward_id));
+}
+
+/**
+ * Employees the user may access: null means everyone (admins), otherwise a
+ * Set of employee IDs in the supervisor's assigned wards.
+ */
+async function accessibleEmployeeIds(user) {
+  if (isAdmin(user)) {
+    return null;
+  }
+  if (!user?.user_id) {
+    return new Set();
+  }
+
+  const { rows } = await pool.query(
+    `SELECT e.emp_id
+       FROM employee e
+       JOIN supervisor_ward sw ON sw.ward_id = e.ward_id
+      WHERE sw.supervisor_id = $1`,
+    [user.user_id]
+  );
+  return new Set(rows.map((row) => Number(row.emp_id)));
+}
+
+async function canAccessWard(user, wardId) {
+  if (isAdmin(user)) {
+    return true;
+  }
+  const wardIds = await getAccessibleWardIds(user);
+  return wardIds.includes(Number(wardId));
+}
+
+async function canAccessEmployee(user, empId) {
+  if (isAdmin(user)) {
+    return true;
+  }
+  if (!user?.user_id || !empId) {
+    return false;
+  }
+  return supervisesEmployee(user.user_id, empId);
+}
+
+/** Attendance rows follow the employee they belong to. */
+async function canAccessAttendance(user, attendanceId) {
+  if (isAdmin(user)) {
+    return true;
+  }
+  const { rows } = await pool.query(
+    "SELECT emp_id FROM attendance WHERE attendance_id = $1",
+    [attendanceId]
+  );
+  return rows.length > 0 && canAccessEmployee(user, rows[0].emp_id);
+}
+
+module.exports = {
+  isAdmin,
+  supervisesEmployee,
+  getAccessibleWardIds,
+  accessibleEmployeeIds,
+  canAccessWard,
+  canAccessEmployee,
+  canAccessAttendance,
+};
@@ -0,0 +1,267 @@
+const pool = require("../config/db");
+const ensureSchema = require("../utils/ensureSchema");
+const { ensureSessionSchema } = require("./sessions");
+
+// One row per change made through the API: who did it, from where, what it
+// touched and the before/after values. A trigger rejects UPDATE and DELETE so
+// the log cannot be rewritten through the application's own connection.
+const AUDIT_SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS audit_log (
+     audit_id BIGSERIAL PRIMARY KEY,
+     occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     actor_user_id INTEGER,
+     actor_role TEXT,
+     action TEXT NOT NULL,
+     entity_type TEXT,
+     entity_id TEXT,
+     before_data JSONB,
+     after_data JSONB,
+     changes JSONB,
+     metadata JSONB,
+     request_method TEXT,
+     request_path TEXT,
+     status_code INTEGER,
+     ip_address TEXT,
+     user_agent TEXT,
+     session_id UUID
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_audit_log_occurred
+     ON audit_log (occurred_at DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_audit_log_actor
+     ON audit_log (actor_user_id, occurred_at DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_audit_log_entity
+     ON audit_log (entity_type, entity_id, occurred_at DESC)`,
+  `CREATE OR REPLACE FUNCTION audit_log_reject_change() RETURNS trigger AS $$
+   BEGIN
+     RAISE EXCEPTION 'audit_log is append-only';
+   END;
+   $$ LANGUAGE plpgsql`,
+  `DO $$
+   BEGIN
+     IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'audit_log_append_only') THEN
+       CREATE TRIGGER audit_log_append_only
+         BEFORE UPDATE OR DELETE ON audit_log
+         FOR EACH ROW EXECUTE FUNCTION audit_log_reject_change();
+     END IF;
+   END
+   $$`,
+];
+
+const ensureAuditSchema = () => ensureSchema("audit_log", AUDIT_SCHEMA_STATEMENTS);
+
+// Values under these keys never reach the log
+const REDACTED_FIELDS = new Set([
+  "password",
+  "password_hash",
+  "currentPassword",
+  "newPassword",
+  "token",
+  "refreshToken",
+  "refresh_token_hash",
+  "previous_token_hash",
+]);
+
+// Longer strings (base64 photos and the like) are replaced by their length
+const MAX_LOGGED_STRING_LENGTH = 1000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [
+        key,
+        REDACTED_FIELDS.has(key) ? "[redacted]" : redact(entry),
+      ])
+    );
+  }
+  if (typeof value === "string" && value.length > MAX_LOGGED_STRING_LENGTH) {
+    return `[${value.length} characters omitted]`;
+  }
+  return value;
+}
+
+const toJson = (value) =>
+  value === undefined || value === null ? null : JSON.stringify(redact(value));
+
+/**
+ * Field-by-field differences between two plain records, as
+ * `{ field: { from, to } }`. Returns null when nothing changed.
+ */
+function diffRecords(before, after) {
+  if (!before && !after) {
+    return null;
+  }
+  const previous = redact(before || {});
+  const next = redact(after || {});
+  const changes = {};
+
+  new Set([...Object.keys(previous), ...Object.keys(next)]).forEach((key) => {
+    const from = previous[key] ?? null;
+    const to = next[key] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from, to };
+    }
+  });
+
+  return Object.keys(changes).length ? changes : null;
+}
+
+/**
+ * Appends one entry. Most entries are written by middleware/auditTrail from
+ * what the handler passed to noteAudit(); services call this directly for
+ * events that have no request of their own.
+ */
+async function recordAuditEntry({
+  actorId = null,
+  actorRole = null,
+  action,
+  entityType = null,
+  entityId = null,
+  before = null,
+  after = null,
+  metadata = null,
+  requestMethod = null,
+  requestPath = null,
+  statusCode = null,
+  ipAddress = null,
+  userAgent = null,
+  sessionId = null,
+}) {
+  await ensureAuditSchema();
+  await pool.query(
+    `INSERT INTO audit_log
+       (actor_user_id, actor_role, action, entity_type, entity_id,
+        before_data, after_data, changes, metadata,
+        request_method, request_path, status_code, ip_address, user_agent, session_id)
+     VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7::jsonb, $8::jsonb, $9::jsonb,
+             $10, $11, $12, $13, $14, $15)`,
+    [
+      actorId,
+      actorRole,
+      action,
+      entityType,
+      entityId === null || entityId === undefined ? null : String(entityId),
+      toJson(before),
+      toJson(after),
+      toJson(diffRecords(before, after)),
+      toJson(metadata),
+      requestMethod,
+      requestPath,
+      statusCode,
+      ipAddress,
+      userAgent,
+      UUID_PATTERN.test(sessionId ?? "") ? sessionId : null,
+    ]
+  );
+}
+
+/**
+ * Lets a route handler describe the change it made (action, entity and
+ * before/after values); the audit trail middleware writes it once the
+ * response has been sent. Repeated calls merge; `skip: true` leaves the
+ * request out of the log.
+ */
+function noteAudit(req, details) {
+  req.auditDetails = { ...(req.auditDetails || {}), ...details };
+}
+
+const parseDate = (value, label) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw buildError(`Invalid ${label} date`, 400);
+  }
+  return date;
+};
+
+/**
+ * Newest entries first. `to` accepts a plain date and then covers that whole
+ * day.
+ */
+async function listAuditEntries({
+  actorId = null,
+  entityType = null,
+  entityId = null,
+  action = null,
+  from = null,
+  to = null,
+  limit = 50,
+  offset = 0,
+} = {}) {
+  const fromDate = parseDate(from, "from");
+  let toDate = parseDate(to, "to");
+  if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    toDate = new Date(toDate.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  await Promise.all([ensureAuditSchema(), ensureSessionSchema()]);
+  const conditions = [];
+  const params = [];
+  const add = (clause, value) => {
+    params.push(value);
+    conditions.push(clause.replace("?", `$${params.length}`));
+  };
+
+  if (actorId) {
+    add("l.actor_user_id = ?", actorId);
+  }
+  if (entityType) {
+    add("l.entity_type = ?", entityType);
+  }
+  if (entityId) {
+    add("l.entity_id = ?", String(entityId));
+  }
+  if (action) {
+    add("l.action ILIKE ?", `${action}%`);
+  }
+  if (fromDate) {
+    add("l.occurred_at >= ?", fromDate);
+  }
+  if (toDate) {
+    add("l.occurred_at < ?", toDate);
+  }
+
+  params.push(
+    Math.min(Math.max(Number(limit) || 50, 1), 500),
+    Math.max(Number(offset) || 0, 0)
+  );
+
+  const { rows } = await pool.query(
+    `SELECT l.*, u.name AS actor_name, u.email AS actor_email,
+            s.device_name, s.platform
+       FROM audit_log l
+       LEFT JOIN users u ON u.user_id = l.actor_user_id
+       LEFT JOIN user_sessions s ON s.session_id = l.session_id
+     ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY l.occurred_at DESC, l.audit_id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+module.exports = {
+  ensureAuditSchema,
+  diffRecords,
+  recordAuditEntry,
+  noteAudit,
+  listAuditEntries,
+};
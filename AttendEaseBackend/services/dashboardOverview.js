@@ -0,0 +1,369 @@
+const pool = require("../config/db");
+const { findMissingColumn } = require("../utils/schemaInspector");
+const { formatDateIST, isIsoDate } = require("../utils/dates");
+const { ensureLeaveSchema, approvedLeaveSql } = require("./leaves");
+const { ensureHolidaySchema, nonWorkingDaySql } = require("./holidays");
+
+const SCOPE_KEYS = ["cityId", "zoneId", "wardId"];
+
+const badRequest = (message) => {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+};
+
+const parseScopeId = (value, label) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw badRequest(`${label} must be a positive integer`);
+  }
+
+  return parsed;
+};
+
+/**
+ * Validates the raw query string of the overview endpoint.
+ * Accepts both camelCase and snake_case scope keys, matching the other admin
+ * filters (`ward_id`, `supervisor_id`).
+ */
+function parseOverviewQuery(query = {}) {
+  const rawDate = typeof query.date === "string" ? query.date.trim() : "";
+  if (rawDate && !isIsoDate(rawDate)) {
+    throw badRequest("date must be in YYYY-MM-DD format");
+  }
+
+  return {
+    date: rawDate || formatDateIST(),
+    scope: {
+      cityId: parseScopeId(query.cityId ?? query.city_id, "cityId"),
+      zoneId: parseScopeId(query.zoneId ?? query.zone_id, "zoneId"),
+      wardId: parseScopeId(query.wardId ?? query.ward_id, "wardId"),
+    },
+  };
+}
+
+const isScoped = (scope) => SCOPE_KEYS.some((key) => scope[key] !== null);
+
+// Joins wards/zones onto `wardColumn` and appends the scope conditions to
+// `params`. Returns empty fragments when no scope was requested so unscoped
+// counts also include rows that have no ward assigned.
+function buildScopeFilter(scope, wardColumn, params) {
+  if (!isScoped(scope)) {
+    return { joins: "", conditions: "" };
+  }
+
+  const conditions = [];
+  if (scope.wardId !== null) {
+    params.push(scope.wardId);
+    conditions.push(`w.ward_id = $${params.length}`);
+  }
+  if (scope.zoneId !== null) {
+    params.push(scope.zoneId);
+    conditions.push(`w.zone_id = $${params.length}`);
+  }
+  if (scope.cityId !== null) {
+    params.push(scope.cityId);
+    conditions.push(`z.city_id = $${params.length}`);
+  }
+
+  return {
+    joins: `JOIN wards w ON w.ward_id = ${wardColumn}
+      JOIN zones z ON z.zone_id = w.zone_id`,
+    conditions: ` AND ${conditions.join(" AND ")}`,
+  };
+}
+
+const SCOPE_REQUIREMENTS = {
+  wards: ["ward_id", "zone_id"],
+  zones: ["zone_id", "city_id"],
+};
+
+const countFrom = async (sql, params) => {
+  const { rows } = await pool.query(sql, params);
+  return Number(rows[0]?.count ?? 0);
+};
+
+const METRICS = [
+  {
+    key: "totalSupervisors",
+    requires: (scoped) => ({
+      users: ["user_id", "role"],
+      ...(scoped
+        ? { supervisor_ward: ["supervisor_id", "ward_id"], ...SCOPE_REQUIREMENTS }
+        : {}),
+    }),
+    run: ({ scope }) => {
+      const params = [];
+      const filter = buildScopeFilter(scope, "sw.ward_id", params);
+      const source = filter.joins
+        ? `users u
+      JOIN supervisor_ward sw ON sw.supervisor_id = u.user_id
+      ${filter.joins}`
+        : "users u";
+
+      return countFrom(
+        `SELECT COUNT(DISTINCT u.user_id) AS count
+           FROM ${source}
+          WHERE u.role = 'supervisor'${filter.conditions}`,
+        params
+      );
+    },
+  },
+  {
+    key: "totalEmployees",
+    requires: (scoped) => ({
+      employee: scoped ? ["emp_id", "ward_id"] : ["emp_id"],
+      ...(scoped ? SCOPE_REQUIREMENTS : {}),
+    }),
+    run: ({ scope }) => {
+      const params = [];
+      const filter = buildScopeFilter(scope, "e.ward_id", params);
+
+      return countFrom(
+        `SELECT COUNT(DISTINCT e.emp_id) AS count
+           FROM employee e
+           ${filter.joins}
+          WHERE 1=1${filter.conditions}`,
+        params
+      );
+    },
+  },
+  {
+    key: "totalWards",
+    requires: (scoped) => ({
+      wards: ["ward_id"],
+      ...(scoped ? SCOPE_REQUIREMENTS : {}),
+    }),
+    run: ({ scope }) => {
+      const params = [];
+      const filter = buildScopeFilter(scope, "scoped.ward_id", params);
+
+      return countFrom(
+        `SELECT COUNT(DISTINCT scoped.ward_id) AS count
+           FROM wards scoped
+           ${filter.joins}
+          WHERE 1=1${filter.conditions}`,
+        params
+      );
+    },
+  },
+  {
+    key: "totalDepartments",
+    // Departments are not tied to a ward, so a scoped count only includes
+    // departments that have at least one employee inside the scope.
+    requires: (scoped) =>
+      scoped
+        ? {
+            department: ["department_id"],
+            designation: ["designation_id", "department_id"],
+            employee: ["emp_id", "ward_id", "designation_id"],
+            ...SCOPE_REQUIREMENTS,
+          }
+        : { department: ["department_id"] },
+    run: ({ scope }) => {
+      if (!isScoped(scope)) {
+        return countFrom("SELECT COUNT(*) AS count FROM department", []);
+      }
+
+      const params = [];
+      const filter = buildScopeFilter(scope, "e.ward_id", params);
+
+      return countFrom(
+        `SELECT COUNT(DISTINCT d.department_id) AS count
+           FROM employee e
+           JOIN designation d ON d.designation_id = e.designation_id
+           ${filter.joins}
+          WHERE 1=1${filter.conditions}`,
+        params
+      );
+    },
+  },
+  {
+    key: "attendanceRecords",
+    requires: (scoped) => ({
+      attendance: ["emp_id", "date"],
+      employee: scoped ? ["emp_id", "ward_id"] : ["emp_id"],
+      ...(scoped ? SCOPE_REQUIREMENTS : {}),
+    }),
+    run: ({ date, scope }) => {
+      const params = [date];
+      const filter = buildScopeFilter(scope, "e.ward_id", params);
+
+      return countFrom(
+        `SELECT COUNT(*) AS count
+           FROM attendance a
+           JOIN employee e ON e.emp_id = a.emp_id
+           ${filter.joins}
+          WHERE a.date = $1::date${filter.conditions}`,
+        params
+      );
+    },
+  },
+  {
+    key: "presentToday",
+    requires: (scoped) => ({
+      attendance: ["emp_id", "date", "punch_in_time"],
+      employee: scoped ? ["emp_id", "ward_id"] : ["emp_id"],
+      ...(scoped ? SCOPE_REQUIREMENTS : {}),
+    }),
+    run: ({ date, scope }) => {
+      const params = [date];
+      const filter = buildScopeFilter(scope, "e.ward_id", params);
+
+      return countFrom(
+        `SELECT COUNT(DISTINCT a.emp_id) AS count
+           FROM attendance a
+           JOIN employee e ON e.emp_id = a.emp_id
+           ${filter.joins}
+          WHERE a.date = $1::date
+            AND a.punch_in_time IS NOT NULL${filter.conditions}`,
+        params
+      );
+    },
+  },
+  {
+    key: "onLeaveToday",
+    // Employees on approved leave who did not punch in anyway.
+    requires: (scoped) => ({
+      attendance: ["emp_id", "date", "punch_in_time"],
+      employee: scoped ? ["emp_id", "ward_id"] : ["emp_id"],
+      ...(scoped ? SCOPE_REQUIREMENTS : {}),
+    }),
+    run: async ({ date, scope }) => {
+      await ensureLeaveSchema();
+      const params = [date];
+      const filter = buildScopeFilter(scope, "e.ward_id", params);
+
+      return countFrom(
+        `SELECT COUNT(DISTINCT la.emp_id) AS count
+           FROM leave_applications la
+           JOIN employee e ON e.emp_id = la.emp_id
+           ${filter.joins}
+          WHERE la.status = 'approved'
+            AND $1::date BETWEEN la.start_date AND la.end_date
+            AND NOT EXISTS (
+              SELECT 1 FROM attendance a
+               WHERE a.emp_id = la.emp_id
+                 AND a.date = $1::date
+                 AND a.punch_in_time IS NOT NULL
+            )${filter.conditions}`,
+        params
+      );
+    },
+  },
+  {
+    key: "offDutyToday",
+    // Employees on a holiday, weekly off or roster rest day who did not punch
+    // in. Leave is counted by onLeaveToday. Holidays are scoped by ward, zone
+    // and city, so the ward tables are needed even when unscoped.
+    requires: () => ({
+      attendance: ["emp_id", "date", "punch_in_time"],
+      employee: ["emp_id", "ward_id"],
+      ...SCOPE_REQUIREMENTS,
+    }),
+    run: async ({ date, scope }) => {
+      await ensureHolidaySchema();
+      const params = [date];
+      const filter = buildScopeFilter(scope, "e.ward_id", params);
+
+      return countFrom(
+        `SELECT COUNT(*) AS count
+           FROM employee e
+           ${filter.joins}
+          WHERE ${nonWorkingDaySql("e.emp_id", "$1::date")}
+            AND NOT ${approvedLeaveSql("e.emp_id", "$1::date")}
+            AND NOT EXISTS (
+              SELECT 1 FROM attendance a
+               WHERE a.emp_id = e.emp_id
+                 AND a.date = $1::date
+                 AND a.punch_in_time IS NOT NULL
+            )${filter.conditions}`,
+        params
+      );
+    },
+  },
+];
+
+const DERIVED_METRICS = [
+  {
+    key: "absentToday",
+    dependsOn: ["totalEmployees", "presentToday", "onLeaveToday", "offDutyToday"],
+    compute: ({ totalEmployees, presentToday, onLeaveToday, offDutyToday }) =>
+      Math.max(totalEmployees - presentToday - onLeaveToday - offDutyToday, 0),
+  },
+  {
+    key: "attendanceRate",
+    // Employees on leave or on a non-working day are not expected at work.
+    dependsOn: ["totalEmployees", "presentToday", "onLeaveToday", "offDutyToday"],
+    compute: ({ totalEmployees, presentToday, onLeaveToday, offDutyToday }) => {
+      const expected = totalEmployees - onLeaveToday - offDutyToday;
+      return expected > 0 ? Number(((presentToday / expected) * 100).toFixed(1)) : null;
+    },
+    emptyReason: "No employees in the selected scope",
+  },
+];
+
+async function resolveMetric(metric, context) {
+  try {
+    const missing = await findMissingColumn(metric.requires(isScoped(context.scope)));
+    if (missing) {
+      return { value: null, reason: `Schema is missing ${missing}` };
+    }
+
+    return { value: await metric.run(context), reason: null };
+  } catch (error) {
+    console.error(`Dashboard overview metric "${metric.key}" failed:`, error);
+    return { value: null, reason: `Query failed: ${error.message}` };
+  }
+}
+
+/**
+ * Builds the admin dashboard overview from live tables.
+ *
+ * Every metric is resolved independently: when a table/column is missing or a
+ * query fails, that metric is returned as null and the reason is listed under
+ * `unavailable` instead of failing the whole response.
+ */
+async function getDashboardOverview({ date, scope }) {
+  const context = { date, scope };
+  const values = {};
+  const unavailable = {};
+
+  for (const metric of METRICS) {
+    const { value, reason } = await resolveMetric(metric, context);
+    values[metric.key] = value;
+    if (reason) {
+      unavailable[metric.key] = reason;
+    }
+  }
+
+  DERIVED_METRICS.forEach((metric) => {
+    const blocked = metric.dependsOn.find((key) => values[key] === null);
+    if (blocked) {
+      values[metric.key] = null;
+      unavailable[metric.key] = `Depends on unavailable metric ${blocked}`;
+      return;
+    }
+
+    values[metric.key] = metric.compute(values);
+    if (values[metric.key] === null && metric.emptyReason) {
+      unavailable[metric.key] = metric.emptyReason;
+    }
+  });
+
+  return {
+    date,
+    scope,
+    ...values,
+    unavailable,
+  };
+}
+
+module.exports = {
+  parseOverviewQuery,
+  getDashboardOverview,
+};
@@ -0,0 +1,63 @@
+const createRekognitionProvider = require("./rekognitionProvider");
+const createLocalProvider = require("./localProvider");
+
+/**
+ * Every face operation goes through the provider chosen by FACE_PROVIDER:
+ *   rekognition (default) - AWS Rekognition collection
+ *   local                 - embeddings stored in Postgres; uses the model server
+ *                           at LOCAL_FACE_MODEL_URL when set, otherwise a
+ *                           built-in image embedding meant for tests (refused
+ *                           when NODE_ENV=production)
+ *
+ * Providers expose:
+ *   reportsFaceAttributes - whether detectFaces can return eyesOpen and pose,
+ *                           which the liveness check needs
+ *   ensureCollection()
+ *   indexFace(image, { externalImageId }) -> { face: { faceId, confidence, boundingBox } | null, unindexedReasons }
+ *   searchFaces(image, { maxFaces, threshold }) -> [{ faceId, externalImageId, similarity }]
+ *   compareFaces(source, target, { threshold }) -> { similarity | null }
+ *   detectFaces(image, { attributes }) -> [{ boundingBox: { left, top, width, height }, confidence }]
+ *     with attributes: true each face also carries eyesOpen (boolean) and
+ *     pose ({ yaw, pitch, roll } in degrees), null when the provider cannot tell
+ *   deleteFaces(faceIds)
+ *   listFaces() -> [{ faceId, externalImageId }], every face in the collection
+ * where an image is { bytes: Buffer } or { key: "<stored image key>" }, bounding
+ * boxes are ratios of the image size and similarity is a 0-100 percentage.
+ */
+const PROVIDERS = {
+  rekognition: createRekognitionProvider,
+  local: createLocalProvider,
+};
+
+let activeProvider = null;
+
+const resolveCollectionId = () => {
+  const id =
+    (process.env.REKOGNITION_COLLECTION || "").trim() ||
+    (process.env.REKOGNITION_COLLECTION_ID || "").trim();
+  return id || null;
+};
+
+function getFaceProvider() {
+  if (!activeProvider) {
+    const name = (process.env.FACE_PROVIDER || "rekognition").trim().toLowerCase();
+    const factory = PROVIDERS[name];
+    if (!factory) {
+      throw new Error(
+        `Unknown FACE_PROVIDER "${name}"; expected one of ${Object.keys(PROVIDERS).join(", ")}`
+      );
+    }
+
+    activeProvider = factory({
+      collectionId: resolveCollectionId(),
+      modelUrl: (process.env.LOCAL_FACE_MODEL_URL || "").trim() || null,
+    });
+    console.log(`Face provider: ${activeProvider.name}`);
+  }
+
+  return activeProvider;
+}
+
+module.exports = {
+  getFaceProvider,
+};
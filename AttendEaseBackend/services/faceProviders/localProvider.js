@@ -0,0 +1,271 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const sharp = require("sharp");
+const pool = require("../../config/db");
+const ensureSchema = require("../../utils/ensureSchema");
+const { readStoredObject } = require("../storage");
+
+// Face templates live in Postgres so the provider works without any cloud
+// service; one row per indexed face, grouped by collection like Rekognition.
+const LOCAL_FACE_SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS local_face_templates (
+     face_id TEXT PRIMARY KEY,
+     collection_id TEXT NOT NULL,
+     external_image_id TEXT,
+     embedding DOUBLE PRECISION[] NOT NULL,
+     confidence DOUBLE PRECISION,
+     bounding_box JSONB,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_local_face_templates_collection
+     ON local_face_templates (collection_id)`,
+];
+
+const ensureLocalFaceSchema = () =>
+  ensureSchema("local_face_templates", LOCAL_FACE_SCHEMA_STATEMENTS);
+
+const BUILTIN_EMBEDDING_SIZE = 32;
+const MODEL_TIMEOUT_MS = 15000;
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+// Images are passed as { bytes: Buffer } or { key } where the key is a
+// stored object key (or /uploads/... path) read through the storage layer.
+async function loadImageBytes(image) {
+  if (image?.bytes) {
+    return image.bytes;
+  }
+  if (!image?.key) {
+    throw buildError("Face image is required", 400);
+  }
+  return readStoredObject(image.key);
+}
+
+const normalizeVector = (values) => {
+  const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? values.map((value) => value / norm) : values;
+};
+
+// Cosine similarity of two unit vectors, reported on Rekognition's 0-100 scale.
+const similarityPercent = (a, b) => {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+  let dot = 0;
+  for (let index = 0; index < a.length; index += 1) {
+    dot += a[index] * b[index];
+  }
+  return Math.max(0, Math.min(1, dot)) * 100;
+};
+
+/**
+ * Built-in embedder: treats the whole image as one face and uses a normalised,
+ * mean-centred 32x32 grayscale thumbnail as its embedding. It needs no model,
+ * which makes it suitable for tests and demos, but it is not a face recogniser.
+ */
+async function builtinEmbedder(imageBytes) {
+  const { data } = await sharp(imageBytes)
+    .rotate()
+    .grayscale()
+    .normalise()
+    .resize(BUILTIN_EMBEDDING_SIZE, BUILTIN_EMBEDDING_SIZE, { fit: "cover" })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixels = Array.from(data, (value) => value / 255);
+  const mean = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+
+  return [
+    {
+      boundingBox: { left: 0, top: 0, width: 1, height: 1 },
+      confidence: 100,
+      embedding: normalizeVector(pixels.map((value) => value - mean)),
+    },
+  ];
+}
+
+/**
+ * Model-server embedder for air-gapped deployments: the image is POSTed to
+ * LOCAL_FACE_MODEL_URL, which answers
+ * { faces: [{ embedding: number[], boundingBox: { left, top, width, height }, confidence }] }
+ * with bounding boxes as ratios of the image size. Faces may also carry
+ * eyesOpen and pose ({ yaw, pitch, roll } in degrees) for liveness checks,
+ * and occluded and sunglasses (booleans) for the photo quality check.
+ */
+function createModelEmbedder(modelUrl) {
+  return async (imageBytes) => {
+    const response = await axios.post(modelUrl, imageBytes, {
+      headers: { "Content-Type": "image/jpeg" },
+      timeout: MODEL_TIMEOUT_MS,
+      maxBodyLength: Infinity,
+    });
+
+    const faces = Array.isArray(response.data?.faces) ? response.data.faces : [];
+    return faces
+      .filter((face) => Array.isArray(face?.embedding) && face.embedding.length > 0)
+      .map((face) => ({
+        boundingBox: face.boundingBox ?? null,
+        confidence: face.confidence ?? null,
+        eyesOpen: typeof face.eyesOpen === "boolean" ? face.eyesOpen : null,
+        pose: face.pose ?? null,
+        occluded: typeof face.occluded === "boolean" ? face.occluded : null,
+        sunglasses: typeof face.sunglasses === "boolean" ? face.sunglasses : null,
+        embedding: normalizeVector(face.embedding.map(Number)),
+      }));
+  };
+}
+
+const boxArea = (face) => (face.boundingBox?.width ?? 0) * (face.boundingBox?.height ?? 0);
+
+// Like Rekognition, search and compare use the largest face in the image.
+const largestFace = (faces) =>
+  faces.reduce((largest, face) => (!largest || boxArea(face) > boxArea(largest) ? face : largest), null);
+
+function createLocalProvider({ collectionId, modelUrl = null, minConfidence = 90 }) {
+  // The built-in embedder would let anyone who looks roughly alike punch in
+  if (!modelUrl) {
+    if (process.env.NODE_ENV === "production") {
+      throw new Error(
+        "FACE_PROVIDER=local needs LOCAL_FACE_MODEL_URL in production; the built-in embedder is not a face recogniser"
+      );
+    }
+    console.warn(
+      "WARNING: FACE_PROVIDER=local without LOCAL_FACE_MODEL_URL matches faces with the built-in " +
+        "test embedder, which is not a face recogniser. Do not use this for real attendance."
+    );
+  }
+  const embed = modelUrl ? createModelEmbedder(modelUrl) : builtinEmbedder;
+  const collection = collectionId || "default";
+
+  const embedImage = async (image) => embed(await loadImageBytes(image));
+
+  return {
+    name: "local",
+    collectionId: collection,
+    // Only a model server can send eyesOpen and pose
+    reportsFaceAttributes: Boolean(modelUrl),
+
+    async ensureCollection() {
+      await ensureLocalFaceSchema();
+    },
+
+    async indexFace(image, { externalImageId }) {
+      await ensureLocalFaceSchema();
+      const faces = await embedImage(image);
+      const face = largestFace(faces);
+
+      if (!face) {
+        return { face: null, unindexedReasons: ["NO_FACE_DETECTED"] };
+      }
+      if (face.confidence !== null && face.confidence < minConfidence) {
+        return { face: null, unindexedReasons: ["LOW_CONFIDENCE"] };
+      }
+
+      const faceId = crypto.randomUUID();
+      await pool.query(
+        `INSERT INTO local_face_templates
+           (face_id, collection_id, external_image_id, embedding, confidence, bounding_box)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          faceId,
+          collection,
+          externalImageId ?? null,
+          face.embedding,
+          face.confidence,
+          face.boundingBox ? JSON.stringify(face.boundingBox) : null,
+        ]
+      );
+
+      return {
+        face: { faceId, confidence: face.confidence, boundingBox: face.boundingBox },
+        unindexedReasons: [],
+      };
+    },
+
+    async searchFaces(image, { maxFaces = 1, threshold }) {
+      await ensureLocalFaceSchema();
+      const probe = largestFace(await embedImage(image));
+      if (!probe) {
+        throw buildError("No face detected in the image", 422);
+      }
+
+      const { rows } = await pool.query(
+        `SELECT face_id, external_image_id, embedding
+           FROM local_face_templates
+          WHERE collection_id = $1`,
+        [collection]
+      );
+
+      return rows
+        .map((row) => ({
+          faceId: row.face_id,
+          externalImageId: row.external_image_id,
+          similarity: similarityPercent(probe.embedding, row.embedding),
+        }))
+        .filter((match) => match.similarity >= threshold)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, maxFaces);
+    },
+
+    async compareFaces(source, target) {
+      const [sourceFace, targetFace] = await Promise.all([
+        embedImage(source).then(largestFace),
+        embedImage(target).then(largestFace),
+      ]);
+      if (!sourceFace || !targetFace) {
+        return { similarity: null };
+      }
+      return { similarity: similarityPercent(sourceFace.embedding, targetFace.embedding) };
+    },
+
+    async detectFaces(image, { attributes = false } = {}) {
+      const faces = await embedImage(image);
+      return faces.map(({ boundingBox, confidence, eyesOpen, pose, occluded, sunglasses }) => ({
+        boundingBox,
+        confidence,
+        // The built-in embedder knows nothing about eyes, head pose or occlusion
+        ...(attributes
+          ? {
+              eyesOpen: eyesOpen ?? null,
+              pose: pose ?? null,
+              occluded: occluded ?? null,
+              sunglasses: sunglasses ?? null,
+            }
+          : {}),
+      }));
+    },
+
+    async deleteFaces(faceIds) {
+      const ids = (faceIds ?? []).filter(Boolean);
+      if (!ids.length) {
+        return;
+      }
+      await ensureLocalFaceSchema();
+      await pool.query(
+        `DELETE FROM local_face_templates
+          WHERE collection_id = $1 AND face_id = ANY($2::text[])`,
+        [collection, ids]
+      );
+    },
+
+    async listFaces() {
+      await ensureLocalFaceSchema();
+      const { rows } = await pool.query(
+        `SELECT face_id, external_image_id
+           FROM local_face_templates
+          WHERE collection_id = $1`,
+        [collection]
+      );
+      return rows.map((row) => ({ faceId: row.face_id, externalImageId: row.external_image_id }));
+    },
+  };
+}
+
+module.exports = createLocalProvider;
@@ -0,0 +1,196 @@
+const {
+  rekognition,
+  IndexFacesCommand,
+  CreateCollectionCommand,
+  DeleteFacesCommand,
+  CompareFacesCommand,
+  SearchFacesByImageCommand,
+  DetectFacesCommand,
+  ListFacesCommand,
+} = require("../../config/awsConfig");
+
+const { resolveStoredObject, readStoredObject } = require("../storage");
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+// Images are passed as { bytes: Buffer } or { key: "<stored object key>" }.
+// Rekognition reads keys straight from an AWS bucket; objects kept on local
+// disk or an S3-compatible server are sent as bytes instead.
+const toRekognitionImage = async (image) => {
+  if (image?.bytes) {
+    return { Bytes: image.bytes };
+  }
+  if (!image?.key) {
+    throw buildError("Face image is required", 400);
+  }
+  const resolved = resolveStoredObject(image.key);
+  if (resolved?.storage.awsBucket) {
+    return { S3Object: { Bucket: resolved.storage.awsBucket, Name: resolved.key } };
+  }
+  return { Bytes: await readStoredObject(image.key) };
+};
+
+const toBoundingBox = (box) =>
+  box
+    ? { left: box.Left ?? 0, top: box.Top ?? 0, width: box.Width ?? 0, height: box.Height ?? 0 }
+    : null;
+
+const toPose = (pose) =>
+  pose ? { yaw: pose.Yaw ?? null, pitch: pose.Pitch ?? null, roll: pose.Roll ?? null } : null;
+
+function createRekognitionProvider({ collectionId }) {
+  let collectionReady = false;
+
+  const ensureCollection = async () => {
+    if (!collectionId) {
+      throw buildError(
+        "Rekognition collection is not configured",
+        500,
+        "Set REKOGNITION_COLLECTION or REKOGNITION_COLLECTION_ID in the backend .env file."
+      );
+    }
+    if (collectionReady) {
+      return;
+    }
+
+    try {
+      await rekognition.send(new CreateCollectionCommand({ CollectionId: collectionId }));
+      console.log(`Created Rekognition collection "${collectionId}".`);
+    } catch (error) {
+      if (error.name !== "ResourceAlreadyExistsException") {
+        throw error;
+      }
+    }
+
+    collectionReady = true;
+  };
+
+  return {
+    name: "rekognition",
+    collectionId,
+    reportsFaceAttributes: true,
+    ensureCollection,
+
+    async indexFace(image, { externalImageId }) {
+      await ensureCollection();
+      const response = await rekognition.send(
+        new IndexFacesCommand({
+          CollectionId: collectionId,
+          Image: await toRekognitionImage(image),
+          ExternalImageId: externalImageId,
+          DetectionAttributes: ["DEFAULT"],
+          MaxFaces: 1,
+          QualityFilter: "HIGH",
+        })
+      );
+
+      const record = response.FaceRecords?.[0];
+      return {
+        face: record
+          ? {
+              faceId: record.Face.FaceId,
+              confidence: record.Face.Confidence,
+              boundingBox: toBoundingBox(record.Face.BoundingBox),
+            }
+          : null,
+        unindexedReasons: response.UnindexedFaces?.[0]?.Reasons ?? [],
+      };
+    },
+
+    async searchFaces(image, { maxFaces = 1, threshold }) {
+      await ensureCollection();
+      const response = await rekognition.send(
+        new SearchFacesByImageCommand({
+          CollectionId: collectionId,
+          Image: await toRekognitionImage(image),
+          MaxFaces: maxFaces,
+          FaceMatchThreshold: threshold,
+        })
+      );
+
+      return (response.FaceMatches ?? [])
+        .filter((match) => match?.Face)
+        .map((match) => ({
+          faceId: match.Face.FaceId,
+          externalImageId: match.Face.ExternalImageId ?? null,
+          similarity: match.Similarity ?? null,
+        }));
+    },
+
+    async compareFaces(source, target, { threshold }) {
+      const response = await rekognition.send(
+        new CompareFacesCommand({
+          SourceImage: await toRekognitionImage(source),
+          TargetImage: await toRekognitionImage(target),
+          SimilarityThreshold: threshold,
+        })
+      );
+
+      const bestMatch = response?.FaceMatches?.[0];
+      return { similarity: bestMatch ? bestMatch.Similarity ?? 0 : null };
+    },
+
+    async detectFaces(image, { attributes = false } = {}) {
+      const response = await rekognition.send(
+        new DetectFacesCommand({
+          Image: await toRekognitionImage(image),
+          // EyesOpen, FaceOccluded and Sunglasses are only reported with the
+          // full attribute set
+          Attributes: [attributes ? "ALL" : "DEFAULT"],
+        })
+      );
+
+      return (response?.FaceDetails ?? []).map((detail) => ({
+        boundingBox: toBoundingBox(detail.BoundingBox),
+        confidence: detail.Confidence ?? null,
+        ...(attributes
+          ? {
+              eyesOpen: detail.EyesOpen ? detail.EyesOpen.Value : null,
+              pose: toPose(detail.Pose),
+              occluded: detail.FaceOccluded ? detail.FaceOccluded.Value : null,
+              sunglasses: detail.Sunglasses ? detail.Sunglasses.Value : null,
+            }
+          : {}),
+      }));
+    },
+
+    async deleteFaces(faceIds) {
+      const ids = (faceIds ?? []).filter(Boolean);
+      if (!ids.length) {
+        return;
+      }
+      await ensureCollection();
+      // DeleteFaces takes at most 4096 IDs per call
+      for (let index = 0; index < ids.length; index += 4096) {
+        await rekognition.send(
+          new DeleteFacesCommand({ CollectionId: collectionId, FaceIds: ids.slice(index, index + 4096) })
+        );
+      }
+    },
+
+    async listFaces() {
+      await ensureCollection();
+      const faces = [];
+      let nextToken;
+      do {
+        const response = await rekognition.send(
+          new ListFacesCommand({ CollectionId: collectionId, MaxResults: 4096, NextToken: nextToken })
+        );
+        (response.Faces ?? []).forEach((face) => {
+          faces.push({ faceId: face.FaceId, externalImageId: face.ExternalImageId ?? null });
+        });
+        nextToken = response.NextToken;
+      } while (nextToken);
+      return faces;
+    },
+  };
+}
+
+module.exports = createRekognitionProvider;
@@ -0,0 +1,259 @@
+const sharp = require("sharp");
+const { getFaceProvider } = require("./faceProviders");
+const { getSettings } = require("./systemSettings");
+
+// Scores how usable a face photo is for recognition, out of 100. The image
+// checks run on the face region when the provider found one, so a sharp
+// background does not hide a blurred face.
+const ANALYSIS_SIZE = 256;
+// Standard deviation of the Laplacian at which a face counts as fully sharp
+const SHARP_LAPLACIAN_STDEV = 20;
+// Mean grey level (0-255) that counts as well lit, and the levels at which
+// an image is too dark or too bright to use
+const GOOD_BRIGHTNESS = { min: 70, max: 190 };
+const UNUSABLE_BRIGHTNESS = { min: 20, max: 245 };
+// Share of the image the face box has to cover to count as close enough
+const GOOD_FACE_AREA = 0.08;
+// Head turn or tilt (degrees) that still counts as facing the camera, and the
+// turn at which the face is side-on
+const GOOD_POSE_DEGREES = 15;
+const UNUSABLE_POSE_DEGREES = 45;
+// A check rated below this gets a line of guidance in the pre-check
+const GUIDANCE_RATING = 0.7;
+
+const WEIGHTS = {
+  sharpness: 25,
+  brightness: 20,
+  faceSize: 20,
+  pose: 15,
+  occlusion: 10,
+  confidence: 10,
+};
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+const roundTo = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+function brightnessScore(mean) {
+  if (mean < GOOD_BRIGHTNESS.min) {
+    return clamp01((mean - UNUSABLE_BRIGHTNESS.min) / (GOOD_BRIGHTNESS.min - UNUSABLE_BRIGHTNESS.min));
+  }
+  if (mean > GOOD_BRIGHTNESS.max) {
+    return clamp01((UNUSABLE_BRIGHTNESS.max - mean) / (UNUSABLE_BRIGHTNESS.max - GOOD_BRIGHTNESS.max));
+  }
+  return 1;
+}
+
+function poseCheck(pose) {
+  const angles = [pose?.yaw, pose?.pitch].filter(Number.isFinite).map(Math.abs);
+  if (!angles.length) {
+    return null;
+  }
+  const angle = Math.max(...angles);
+  return {
+    value: roundTo(angle, 1),
+    rating: clamp01((UNUSABLE_POSE_DEGREES - angle) / (UNUSABLE_POSE_DEGREES - GOOD_POSE_DEGREES)),
+  };
+}
+
+function occlusionCheck(face) {
+  if (typeof face?.occluded !== "boolean" && typeof face?.sunglasses !== "boolean") {
+    return null;
+  }
+  const covered = face.occluded === true || face.sunglasses === true;
+  return {
+    value: face.sunglasses === true ? "sunglasses" : covered ? "occluded" : "clear",
+    rating: covered ? 0 : 1,
+  };
+}
+
+// The face box as a pixel region of the (rotated) image, or null for the whole image
+function faceRegion(boundingBox, width, height) {
+  if (!boundingBox) {
+    return null;
+  }
+  const left = Math.max(Math.round(boundingBox.left * width), 0);
+  const top = Math.max(Math.round(boundingBox.top * height), 0);
+  const regionWidth = Math.min(Math.round(boundingBox.width * width), width - left);
+  const regionHeight = Math.min(Math.round(boundingBox.height * height), height - top);
+  return regionWidth > 8 && regionHeight > 8
+    ? { left, top, width: regionWidth, height: regionHeight }
+    : null;
+}
+
+async function measureImage(imageBuffer, boundingBox) {
+  const { data, info } = await sharp(imageBuffer)
+    .rotate()
+    .grayscale()
+    .toBuffer({ resolveWithObject: true });
+
+  let image = sharp(data);
+  const region = faceRegion(boundingBox, info.width, info.height);
+  if (region) {
+    image = image.extract(region);
+  }
+  const face = await image
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: "inside" })
+    .toBuffer();
+
+  const [{ channels: tones }, { channels: edges }] = await Promise.all([
+    sharp(face).stats(),
+    sharp(face)
+      .convolve({ width: 3, height: 3, kernel: [0, 1, 0, 1, -4, 1, 0, 1, 0], offset: 128 })
+      .stats(),
+  ]);
+
+  return { brightness: tones[0].mean, sharpness: edges[0].stdev };
+}
+
+/**
+ * `face` is what the provider returned for the photo ({ boundingBox,
+ * confidence } and, from detectFaces with attributes, pose, occluded and
+ * sunglasses); checks the provider gave nothing for are left out of the
+ * score. Returns { score, checks } where each check has its measured value
+ * and a 0-1 rating, or is null when it could not be measured.
+ */
+async function assessFaceQuality(imageBuffer, face = null) {
+  const { brightness, sharpness } = await measureImage(imageBuffer, face?.boundingBox);
+  const faceArea = face?.boundingBox
+    ? face.boundingBox.width * face.boundingBox.height
+    : null;
+
+  const checks = {
+    sharpness: { value: roundTo(sharpness, 1), rating: clamp01(sharpness / SHARP_LAPLACIAN_STDEV) },
+    brightness: { value: roundTo(brightness, 1), rating: brightnessScore(brightness) },
+    faceSize:
+      faceArea === null
+        ? null
+        : { value: roundTo(faceArea, 3), rating: clamp01(faceArea / GOOD_FACE_AREA) },
+    pose: poseCheck(face?.pose),
+    occlusion: occlusionCheck(face),
+    confidence: Number.isFinite(face?.confidence)
+      ? { value: roundTo(face.confidence, 1), rating: clamp01(face.confidence / 100) }
+      : null,
+  };
+
+  let earned = 0;
+  let possible = 0;
+  Object.entries(WEIGHTS).forEach(([key, weight]) => {
+    if (checks[key]) {
+      earned += checks[key].rating * weight;
+      possible += weight;
+    }
+  });
+
+  Object.values(checks).forEach((check) => {
+    if (check) {
+      check.rating = roundTo(check.rating, 2);
+    }
+  });
+
+  return {
+    score: possible ? roundTo((earned / possible) * 100, 1) : 0,
+    checks,
+  };
+}
+
+function guidanceFor(checks) {
+  const guidance = [];
+  const weak = (key) => checks[key] && checks[key].rating < GUIDANCE_RATING;
+
+  if (weak("sharpness")) {
+    guidance.push({ check: "sharpness", message: "The photo is blurred. Hold the phone steady and tap the face to focus." });
+  }
+  if (weak("brightness")) {
+    guidance.push(
+      checks.brightness.value < GOOD_BRIGHTNESS.min
+        ? { check: "brightness", message: "The photo is too dark. Move to a brighter spot or face the light." }
+        : { check: "brightness", message: "The photo is too bright. Move out of direct sunlight or away from a light behind the camera." }
+    );
+  }
+  if (weak("faceSize")) {
+    guidance.push({ check: "faceSize", message: "The face is too small. Move closer so the face fills most of the frame." });
+  }
+  if (weak("pose")) {
+    guidance.push({ check: "pose", message: "The head is turned or tilted. Look straight at the camera." });
+  }
+  if (weak("occlusion")) {
+    guidance.push(
+      checks.occlusion.value === "sunglasses"
+        ? { check: "occlusion", message: "Remove sunglasses so the eyes are visible." }
+        : { check: "occlusion", message: "Part of the face is covered. Remove masks, scarves or hands from the face." }
+    );
+  }
+  if (weak("confidence")) {
+    guidance.push({ check: "confidence", message: "The face is hard to make out. Retake the photo facing the camera." });
+  }
+  return guidance;
+}
+
+/**
+ * Pre-check for a single-face photo before it is enrolled or punched with.
+ * Runs the provider's face detection and the image checks, and says what to
+ * fix. `acceptable` needs exactly one face, nothing covering it and a score of
+ * at least `minFaceQualityScore`.
+ */
+async function checkFaceImage(imageBuffer) {
+  try {
+    await sharp(imageBuffer).metadata();
+  } catch (error) {
+    throw buildError("Unreadable image", 400, "Upload a JPEG or PNG photo.");
+  }
+
+  const [{ minFaceQualityScore }, faces] = await Promise.all([
+    getSettings(),
+    getFaceProvider().detectFaces({ bytes: imageBuffer }, { attributes: true }),
+  ]);
+
+  if (!faces.length) {
+    return {
+      acceptable: false,
+      score: 0,
+      minScore: minFaceQualityScore,
+      faceCount: 0,
+      checks: null,
+      guidance: [
+        { check: "face", message: "No face found. Make sure the whole face is in the frame and well lit." },
+      ],
+    };
+  }
+
+  // Enrolment and search use the largest face, as the providers do
+  const face = faces.reduce((largest, candidate) =>
+    (candidate.boundingBox?.width ?? 0) * (candidate.boundingBox?.height ?? 0) >
+    (largest.boundingBox?.width ?? 0) * (largest.boundingBox?.height ?? 0)
+      ? candidate
+      : largest
+  );
+  const { score, checks } = await assessFaceQuality(imageBuffer, face);
+
+  const guidance = guidanceFor(checks);
+  if (faces.length > 1) {
+    guidance.unshift({
+      check: "face",
+      message: "More than one face is in the photo. Make sure only the employee is in the frame.",
+    });
+  }
+
+  return {
+    acceptable: faces.length === 1 && checks.occlusion?.rating !== 0 && score >= minFaceQualityScore,
+    score,
+    minScore: minFaceQualityScore,
+    faceCount: faces.length,
+    checks,
+    guidance,
+  };
+}
+
+module.exports = {
+  assessFaceQuality,
+  checkFaceImage,
+};
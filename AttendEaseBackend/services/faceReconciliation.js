@@ -0,0 +1,380 @@
+const pool = require("../config/db");
+const { getFaceProvider } = require("./faceProviders");
+const { getStorage, resolveStoredObject } = require("./storage");
+const {
+  ensureFaceTemplateSchema,
+  deleteAllTemplates,
+  retireRows,
+  syncPrimaryFace,
+  reindexTemplate,
+  restorePrimaryTemplate,
+} = require("./faceTemplates");
+
+// Employee faces live in three places that can drift apart: template rows
+// (mirrored on employee.face_*) in Postgres, faces in the provider's
+// collection and photos under faces/ in storage. A reconciliation lists all
+// three, reports what does not line up and, when applied, repairs it.
+const FACE_PREFIX = "faces/";
+
+// A photo this recent may belong to an enrolment that is still being saved
+const ORPHAN_IMAGE_GRACE_MS = 24 * 60 * 60 * 1000;
+
+const ISSUE_TYPES = [
+  "deleted_employees",
+  "missing_images",
+  "dangling_face_ids",
+  "missing_templates",
+  "orphan_faces",
+  "orphan_images",
+];
+
+// Keeps the server and reconcile-faces.js from reconciling at the same time
+const RECONCILIATION_LOCK_KEY = 74210024;
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+async function collectState() {
+  await ensureFaceTemplateSchema();
+  const [{ rows: employees }, { rows: templates }, faces, objects] = await Promise.all([
+    pool.query(
+      `SELECT emp_id, name, emp_code, face_id, face_embedding, face_confidence
+         FROM employee
+        WHERE face_id IS NOT NULL OR face_embedding IS NOT NULL`
+    ),
+    pool.query(
+      `SELECT t.template_id, t.emp_id, t.face_id, t.image_key, t.status,
+              (e.emp_id IS NOT NULL) AS employee_exists
+         FROM employee_face_templates t
+         LEFT JOIN employee e ON e.emp_id = t.emp_id
+        ORDER BY t.emp_id, t.template_id`
+    ),
+    getFaceProvider().listFaces(),
+    getStorage().list(FACE_PREFIX),
+  ]);
+  return { employees, templates, faces, objects };
+}
+
+async function findIssues({ employees, templates, faces, objects }) {
+  const storage = getStorage();
+  const listedKeys = new Set(objects.map((object) => object.key));
+  const collectionIds = new Set(faces.map((face) => face.faceId));
+
+  // Keys under faces/ were all listed; anything else (older rows kept full
+  // URLs or local /uploads paths) is looked up one by one
+  const imageExists = async (reference) => {
+    const resolved = resolveStoredObject(reference);
+    if (!resolved) {
+      return false;
+    }
+    if (resolved.storage === storage && resolved.key.startsWith(FACE_PREFIX)) {
+      return listedKeys.has(resolved.key);
+    }
+    return Boolean(await resolved.storage.head(resolved.key));
+  };
+
+  const issues = Object.fromEntries(ISSUE_TYPES.map((type) => [type, []]));
+  const referencedFaceIds = new Set();
+  const referencedKeys = new Set();
+  const activeEmployees = new Set();
+  const deletedEmployees = new Map();
+
+  for (const template of templates) {
+    const key = resolveStoredObject(template.image_key)?.key;
+    if (key) {
+      referencedKeys.add(key);
+    }
+
+    const active = template.status === "active";
+    if (!template.employee_exists) {
+      deletedEmployees.set(template.emp_id, (deletedEmployees.get(template.emp_id) ?? 0) + 1);
+      if (active && template.face_id) {
+        referencedFaceIds.add(template.face_id);
+      }
+      continue;
+    }
+    if (!active) {
+      continue;
+    }
+    activeEmployees.add(template.emp_id);
+
+    if (!(await imageExists(template.image_key))) {
+      // Retiring the template also removes its face from the collection
+      if (template.face_id) {
+        referencedFaceIds.add(template.face_id);
+      }
+      issues.missing_images.push({
+        template_id: template.template_id,
+        emp_id: template.emp_id,
+        face_id: template.face_id,
+        image_key: template.image_key,
+        action: "retire_template",
+      });
+      continue;
+    }
+
+    if (template.face_id && collectionIds.has(template.face_id)) {
+      referencedFaceIds.add(template.face_id);
+      continue;
+    }
+    issues.dangling_face_ids.push({
+      template_id: template.template_id,
+      emp_id: template.emp_id,
+      face_id: template.face_id,
+      image_key: template.image_key,
+      action: "reindex",
+    });
+  }
+
+  deletedEmployees.forEach((templateCount, empId) => {
+    issues.deleted_employees.push({
+      emp_id: empId,
+      template_count: templateCount,
+      action: "delete_templates",
+    });
+  });
+
+  for (const employee of employees) {
+    const key = resolveStoredObject(employee.face_embedding)?.key;
+    if (key) {
+      referencedKeys.add(key);
+    }
+    if (activeEmployees.has(employee.emp_id)) {
+      continue;
+    }
+
+    const faceInCollection = Boolean(employee.face_id && collectionIds.has(employee.face_id));
+    if (faceInCollection) {
+      referencedFaceIds.add(employee.face_id);
+    }
+    const hasImage = employee.face_embedding ? await imageExists(employee.face_embedding) : false;
+    issues.missing_templates.push({
+      emp_id: employee.emp_id,
+      name: employee.name,
+      emp_code: employee.emp_code,
+      face_id: employee.face_id,
+      face_confidence: employee.face_confidence,
+      image_key: employee.face_embedding,
+      face_in_collection: faceInCollection,
+      action: hasImage ? "restore_template" : "clear_face",
+    });
+  }
+
+  faces
+    .filter((face) => !referencedFaceIds.has(face.faceId))
+    .forEach((face) => {
+      issues.orphan_faces.push({
+        face_id: face.faceId,
+        external_image_id: face.externalImageId,
+        action: "delete_face",
+      });
+    });
+
+  const cutoff = Date.now() - ORPHAN_IMAGE_GRACE_MS;
+  objects
+    .filter((object) => !referencedKeys.has(object.key))
+    .filter((object) => !object.lastModified || new Date(object.lastModified).getTime() < cutoff)
+    .forEach((object) => {
+      issues.orphan_images.push({
+        key: object.key,
+        size: object.size ?? null,
+        last_modified: object.lastModified ?? null,
+        action: "delete_image",
+      });
+    });
+
+  return issues;
+}
+
+// Retires a template that can no longer match and updates the employee's
+// primary face to whatever is left
+async function retireBrokenTemplate(template, reason, actorId) {
+  await retireRows([template], { actorId, reason });
+  await syncPrimaryFace(template.emp_id);
+  return "retired";
+}
+
+async function restoreTemplate(entry, actorId) {
+  const template = await restorePrimaryTemplate({
+    emp_id: entry.emp_id,
+    face_id: entry.face_id,
+    face_embedding: entry.image_key,
+    face_confidence: entry.face_confidence,
+  });
+  if (entry.face_in_collection) {
+    await syncPrimaryFace(entry.emp_id);
+    return "restored";
+  }
+  if (await reindexTemplate(template)) {
+    return "restored";
+  }
+  await retireBrokenTemplate({ ...template, face_id: null }, "missing_face", actorId);
+  return "cleared";
+}
+
+async function clearFace(entry) {
+  if (entry.face_in_collection) {
+    await getFaceProvider().deleteFaces([entry.face_id]);
+  }
+  // With no active template this clears employee.face_*
+  await syncPrimaryFace(entry.emp_id);
+  return "cleared";
+}
+
+// Collection faces and photos found unreferenced are checked again right
+// before removal, in case an enrolment saved them since the listing
+async function deleteOrphanFaces(entries) {
+  if (!entries.length) {
+    return;
+  }
+  const { rows } = await pool.query(
+    `SELECT face_id FROM employee_face_templates
+      WHERE face_id = ANY($1::text[]) AND status = 'active'
+     UNION
+     SELECT face_id FROM employee WHERE face_id = ANY($1::text[])`,
+    [entries.map((entry) => entry.face_id)]
+  );
+  const claimed = new Set(rows.map((row) => row.face_id));
+  const orphans = entries.filter((entry) => !claimed.has(entry.face_id));
+  entries
+    .filter((entry) => claimed.has(entry.face_id))
+    .forEach((entry) => {
+      entry.result = "skipped";
+    });
+
+  try {
+    await getFaceProvider().deleteFaces(orphans.map((entry) => entry.face_id));
+    orphans.forEach((entry) => {
+      entry.result = "deleted";
+    });
+  } catch (error) {
+    orphans.forEach((entry) => {
+      entry.result = "failed";
+      entry.error = error.message;
+    });
+  }
+}
+
+async function deleteOrphanImage(entry) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM employee_face_templates WHERE image_key = $1
+     UNION ALL
+     SELECT 1 FROM employee WHERE face_embedding = $1
+     LIMIT 1`,
+    [entry.key]
+  );
+  if (rows.length) {
+    return "skipped";
+  }
+  await getStorage().delete(entry.key);
+  return "deleted";
+}
+
+async function applyRepairs(issues, { actorId }) {
+  const repair = async (entry, action) => {
+    try {
+      entry.result = await action();
+    } catch (error) {
+      console.error(`Face reconciliation: ${entry.action} failed`, error);
+      entry.result = "failed";
+      entry.error = error.message;
+    }
+  };
+
+  for (const entry of issues.deleted_employees) {
+    await repair(entry, () => deleteAllTemplates(entry.emp_id).then(() => "deleted"));
+  }
+  for (const entry of issues.missing_images) {
+    await repair(entry, () => retireBrokenTemplate(entry, "missing_image", actorId));
+  }
+  for (const entry of issues.dangling_face_ids) {
+    await repair(entry, async () =>
+      (await reindexTemplate(entry))
+        ? "reindexed"
+        : retireBrokenTemplate({ ...entry, face_id: null }, "missing_face", actorId)
+    );
+  }
+  for (const entry of issues.missing_templates) {
+    await repair(entry, () =>
+      entry.action === "restore_template" ? restoreTemplate(entry, actorId) : clearFace(entry)
+    );
+  }
+  await deleteOrphanFaces(issues.orphan_faces);
+  for (const entry of issues.orphan_images) {
+    await repair(entry, () => deleteOrphanImage(entry));
+  }
+}
+
+const countBy = (issues, predicate) =>
+  ISSUE_TYPES.reduce((total, type) => total + issues[type].filter(predicate).length, 0);
+
+/**
+ * Compares the database, the face collection and stored face photos. Without
+ * `apply` nothing is changed and each issue carries the `action` an apply
+ * would take; with it each issue also gets a `result` (deleted, retired,
+ * reindexed, restored, cleared, skipped, or failed with `error`). Only one
+ * reconciliation runs at a time across processes; a second gets 409.
+ */
+async function reconcileFaces({ apply = false, actorId = null } = {}) {
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query("SELECT pg_try_advisory_lock($1) AS locked", [
+      RECONCILIATION_LOCK_KEY,
+    ]);
+    if (!rows[0]?.locked) {
+      throw buildError("A face reconciliation is already running", 409);
+    }
+
+    try {
+      const state = await collectState();
+      const issues = await findIssues(state);
+
+      if (apply) {
+        await applyRepairs(issues, { actorId });
+      }
+
+      return {
+        mode: apply ? "apply" : "dry_run",
+        provider: getFaceProvider().name,
+        checked_at: new Date().toISOString(),
+        totals: {
+          employees_with_face: state.employees.length,
+          active_templates: state.templates.filter((template) => template.status === "active").length,
+          collection_faces: state.faces.length,
+          stored_images: state.objects.length,
+        },
+        issue_count: countBy(issues, () => true),
+        ...(apply
+          ? {
+              repaired_count: countBy(
+                issues,
+                (entry) => entry.result && !["failed", "skipped"].includes(entry.result)
+              ),
+              failed_count: countBy(issues, (entry) => entry.result === "failed"),
+            }
+          : {}),
+        issues,
+      };
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [RECONCILIATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/** Issue counts per type, for audit entries and the command's summary. */
+const summarizeIssues = (issues) =>
+  Object.fromEntries(ISSUE_TYPES.map((type) => [type, issues[type].length]));
+
+module.exports = {
+  ISSUE_TYPES,
+  reconcileFaces,
+  summarizeIssues,
+};
@@ -0,0 +1,470 @@
+const pool = require("../config/db");
+const ensureSchema = require("../utils/ensureSchema");
+const { buildFaceKey, parseFaceKey } = require("../utils/faceImage");
+const { getFaceProvider } = require("./faceProviders");
+const { getStorage } = require("./storage");
+const { getSettings } = require("./systemSettings");
+const { assessFaceQuality } = require("./faceQuality");
+
+// An employee can be enrolled with several face photos (glasses, beard,
+// different light), each indexed in the face collection as its own template.
+// A retired template is removed from the collection so it no longer matches,
+// but its row and photo are kept. employee.face_embedding/face_id/
+// face_confidence mirror the employee's best active template for the screens
+// and queries that only know about one face.
+const FACE_TEMPLATE_SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS employee_face_templates (
+     template_id SERIAL PRIMARY KEY,
+     emp_id INTEGER NOT NULL,
+     face_id TEXT,
+     image_key TEXT NOT NULL,
+     label TEXT,
+     capture_angle TEXT CHECK (capture_angle IN ('frontal', 'left', 'right', 'up', 'down')),
+     quality_score DOUBLE PRECISION,
+     quality_checks JSONB,
+     face_confidence DOUBLE PRECISION,
+     status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired')),
+     created_by INTEGER,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     match_count INTEGER NOT NULL DEFAULT 0,
+     last_matched_at TIMESTAMPTZ,
+     retired_at TIMESTAMPTZ,
+     retired_by INTEGER,
+     retire_reason TEXT
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_face_templates_emp
+     ON employee_face_templates (emp_id, status)`,
+  `CREATE INDEX IF NOT EXISTS idx_face_templates_face_id
+     ON employee_face_templates (face_id)`,
+  // Faces enrolled before templates existed become each employee's first one
+  `INSERT INTO employee_face_templates (emp_id, face_id, image_key, label, face_confidence)
+   SELECT e.emp_id, e.face_id, e.face_embedding, 'enrolment', e.face_confidence
+     FROM employee e
+    WHERE e.face_embedding IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM employee_face_templates t WHERE t.emp_id = e.emp_id)`,
+];
+
+const ensureFaceTemplateSchema = () =>
+  ensureSchema("employee_face_templates", FACE_TEMPLATE_SCHEMA_STATEMENTS);
+
+const CAPTURE_ANGLES = ["frontal", "left", "right", "up", "down"];
+const MAX_LABEL_LENGTH = 60;
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+function validateTemplateInput({ label, captureAngle }) {
+  const errors = {};
+  const normalizedLabel = typeof label === "string" ? label.trim() : "";
+  if (normalizedLabel.length > MAX_LABEL_LENGTH) {
+    errors.label = `Keep the label under ${MAX_LABEL_LENGTH} characters`;
+  }
+
+  const normalizedAngle =
+    captureAngle === undefined || captureAngle === null || captureAngle === ""
+      ? null
+      : captureAngle.toString().trim().toLowerCase();
+  if (normalizedAngle !== null && !CAPTURE_ANGLES.includes(normalizedAngle)) {
+    errors.capture_angle = `Expected one of: ${CAPTURE_ANGLES.join(", ")}`;
+  }
+
+  if (Object.keys(errors).length) {
+    throw buildError("Invalid face template", 400, errors);
+  }
+  return { label: normalizedLabel || null, captureAngle: normalizedAngle };
+}
+
+/** Points employee.face_* at the best active template, or clears them. */
+async function syncPrimaryFace(empId) {
+  await pool.query(
+    `UPDATE employee e
+        SET face_embedding = best.image_key,
+            face_id = best.face_id,
+            face_confidence = best.face_confidence
+       FROM (SELECT 1) AS one
+       LEFT JOIN LATERAL (
+         SELECT t.image_key, t.face_id, t.face_confidence
+           FROM employee_face_templates t
+          WHERE t.emp_id = $1 AND t.status = 'active'
+          ORDER BY t.quality_score DESC NULLS LAST, t.created_at DESC
+          LIMIT 1
+       ) AS best ON TRUE
+      WHERE e.emp_id = $1`,
+    [empId]
+  );
+}
+
+async function listTemplates(empId, { includeRetired = false } = {}) {
+  await ensureFaceTemplateSchema();
+  const { rows } = await pool.query(
+    `SELECT t.*, u.name AS created_by_name
+       FROM employee_face_templates t
+       LEFT JOIN users u ON u.user_id = t.created_by
+      WHERE t.emp_id = $1
+        ${includeRetired ? "" : "AND t.status = 'active'"}
+      ORDER BY t.status, t.quality_score DESC NULLS LAST, t.created_at DESC`,
+    [empId]
+  );
+  return rows;
+}
+
+/** Active templates best-first, for comparing a punch photo against each. */
+async function listActiveTemplateKeys(empId) {
+  await ensureFaceTemplateSchema();
+  const { rows } = await pool.query(
+    `SELECT template_id, image_key
+       FROM employee_face_templates
+      WHERE emp_id = $1 AND status = 'active'
+      ORDER BY quality_score DESC NULLS LAST, last_matched_at DESC NULLS LAST`,
+    [empId]
+  );
+  return rows
+    .map((row) => ({ templateId: row.template_id, key: parseFaceKey(row.image_key) }))
+    .filter((row) => row.key);
+}
+
+/** The active template a collection face ID belongs to, or null. */
+async function findTemplateByFaceId(faceId) {
+  if (!faceId) {
+    return null;
+  }
+  await ensureFaceTemplateSchema();
+  const { rows } = await pool.query(
+    `SELECT template_id, emp_id
+       FROM employee_face_templates
+      WHERE face_id = $1 AND status = 'active'
+      LIMIT 1`,
+    [faceId]
+  );
+  return rows[0] ?? null;
+}
+
+async function recordTemplateMatch(templateId) {
+  if (!templateId) {
+    return;
+  }
+  await pool.query(
+    `UPDATE employee_face_templates
+        SET match_count = match_count + 1, last_matched_at = NOW()
+      WHERE template_id = $1`,
+    [templateId]
+  );
+}
+
+async function retireRows(rows, { actorId = null, reason }) {
+  const faceIds = rows.map((row) => row.face_id).filter(Boolean);
+  if (faceIds.length) {
+    try {
+      await getFaceProvider().deleteFaces(faceIds);
+    } catch (error) {
+      // The row is retired either way; a face left in the collection no longer
+      // resolves to an active template.
+      console.error("Face template retire: provider delete failed", error);
+    }
+  }
+
+  const { rows: retired } = await pool.query(
+    `UPDATE employee_face_templates
+        SET status = 'retired', retired_at = NOW(), retired_by = $2, retire_reason = $3
+      WHERE template_id = ANY($1::int[]) AND status = 'active'
+      RETURNING template_id, emp_id, label, retire_reason`,
+    [rows.map((row) => row.template_id), actorId, reason]
+  );
+  return retired;
+}
+
+/**
+ * Retires an employee's templates that break the policy: those not matched
+ * for `faceTemplateIdleDays`, then the weakest ones above `maxFaceTemplates`.
+ * The template in `keepTemplateId` (one just added) and the employee's last
+ * active template are never retired. Returns the retired rows.
+ */
+async function applyTemplatePolicy(empId, { keepTemplateId = null, actorId = null } = {}) {
+  await ensureFaceTemplateSchema();
+  const { maxFaceTemplates, faceTemplateIdleDays } = await getSettings();
+  const { rows: active } = await pool.query(
+    `SELECT template_id, face_id, quality_score,
+            COALESCE(last_matched_at, created_at) AS last_used_at
+       FROM employee_face_templates
+      WHERE emp_id = $1 AND status = 'active'
+      ORDER BY quality_score DESC NULLS LAST, COALESCE(last_matched_at, created_at) DESC`,
+    [empId]
+  );
+
+  const retired = [];
+  let remaining = active;
+
+  if (faceTemplateIdleDays > 0) {
+    const cutoff = Date.now() - faceTemplateIdleDays * 24 * 60 * 60 * 1000;
+    const idle = remaining.filter(
+      (row) => row.template_id !== keepTemplateId && new Date(row.last_used_at).getTime() < cutoff
+    );
+    // Keep the best idle template when every template is idle
+    const toRetire = idle.length === remaining.length ? idle.slice(1) : idle;
+    if (toRetire.length) {
+      retired.push(...(await retireRows(toRetire, { actorId, reason: "idle" })));
+      const retiredIds = new Set(toRetire.map((row) => row.template_id));
+      remaining = remaining.filter((row) => !retiredIds.has(row.template_id));
+    }
+  }
+
+  if (remaining.length > maxFaceTemplates) {
+    const excess = remaining
+      .filter((row) => row.template_id !== keepTemplateId)
+      .slice(-(remaining.length - maxFaceTemplates));
+    retired.push(...(await retireRows(excess, { actorId, reason: "over_limit" })));
+  }
+
+  if (retired.length) {
+    await syncPrimaryFace(empId);
+  }
+  return retired;
+}
+
+/**
+ * Stores and indexes another face photo for an employee. Throws 400 when the
+ * provider finds no usable face. Returns { template, retired } where
+ * `retired` lists templates the policy retired to make room.
+ */
+async function addTemplate(
+  empId,
+  file,
+  { label = null, captureAngle = null, actorId = null } = {}
+) {
+  const input = validateTemplateInput({ label, captureAngle });
+  await ensureFaceTemplateSchema();
+
+  const storage = getStorage();
+  const provider = getFaceProvider();
+  const stored = await storage.put(buildFaceKey(empId, file.originalname), file.buffer, {
+    contentType: file.mimetype || "image/jpeg",
+  });
+
+  let faceId = null;
+  let template = null;
+  try {
+    const { face, unindexedReasons } = await provider.indexFace(
+      { key: stored.key },
+      { externalImageId: empId.toString() }
+    );
+    if (!face) {
+      throw buildError("No face detected", 400, unindexedReasons.join(", ") || "Unknown reason");
+    }
+    faceId = face.faceId;
+
+    const quality = await assessFaceQuality(file.buffer, face);
+    const { rows } = await pool.query(
+      `INSERT INTO employee_face_templates
+         (emp_id, face_id, image_key, label, capture_angle, quality_score, quality_checks,
+          face_confidence, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8, $9)
+       RETURNING *`,
+      [
+        empId,
+        faceId,
+        stored.key,
+        input.label,
+        input.captureAngle,
+        quality.score,
+        JSON.stringify(quality.checks),
+        face.confidence ?? null,
+        actorId,
+      ]
+    );
+
+    template = rows[0];
+    const retired = await applyTemplatePolicy(empId, {
+      keepTemplateId: template.template_id,
+      actorId,
+    });
+    await syncPrimaryFace(empId);
+    return { template, retired };
+  } catch (error) {
+    // The row goes first so no active template is left pointing at the face
+    // and photo removed below; if it cannot go, they stay for it
+    if (template) {
+      try {
+        await pool.query("DELETE FROM employee_face_templates WHERE template_id = $1", [
+          template.template_id,
+        ]);
+      } catch (cleanupError) {
+        console.error("Face template cleanup: template delete failed", cleanupError);
+        throw error;
+      }
+      await syncPrimaryFace(empId).catch((cleanupError) => {
+        console.error("Face template cleanup: primary face sync failed", cleanupError);
+      });
+    }
+    if (faceId) {
+      await provider.deleteFaces([faceId]).catch((cleanupError) => {
+        console.error("Face template cleanup: provider delete failed", cleanupError);
+      });
+    }
+    await storage.delete(stored.key).catch((cleanupError) => {
+      console.error("Face template cleanup: storage delete failed", cleanupError);
+    });
+    throw error;
+  }
+}
+
+/**
+ * Retires one template by hand. The employee's last active template can only
+ * go by deleting their face altogether. Throws 404/409.
+ */
+async function retireTemplate(empId, templateId, { actorId = null, reason = "retired_by_admin" } = {}) {
+  if (!Number.isInteger(templateId) || templateId <= 0) {
+    throw buildError("Invalid template ID", 400);
+  }
+  await ensureFaceTemplateSchema();
+
+  const { rows } = await pool.query(
+    `SELECT t.template_id, t.face_id, t.status,
+            (SELECT COUNT(*)::int FROM employee_face_templates o
+              WHERE o.emp_id = t.emp_id AND o.status = 'active') AS active_count
+       FROM employee_face_templates t
+      WHERE t.template_id = $1 AND t.emp_id = $2`,
+    [templateId, empId]
+  );
+  const template = rows[0];
+  if (!template) {
+    throw buildError("Face template not found", 404);
+  }
+  if (template.status !== "active") {
+    throw buildError("Face template is already retired", 409);
+  }
+  if (template.active_count <= 1) {
+    throw buildError(
+      "Cannot retire the only active face template",
+      409,
+      "Add another template first, or delete the employee's face."
+    );
+  }
+
+  const [retired] = await retireRows([template], { actorId, reason });
+  await syncPrimaryFace(empId);
+  return retired;
+}
+
+/**
+ * Removes every template of an employee from the collection, storage and the
+ * database. Returns the number of templates removed.
+ */
+async function deleteAllTemplates(empId) {
+  await ensureFaceTemplateSchema();
+  const { rows } = await pool.query(
+    "SELECT template_id, face_id, image_key, status FROM employee_face_templates WHERE emp_id = $1",
+    [empId]
+  );
+
+  const faceIds = rows.filter((row) => row.status === "active").map((row) => row.face_id).filter(Boolean);
+  if (faceIds.length) {
+    try {
+      await getFaceProvider().deleteFaces(faceIds);
+    } catch (error) {
+      console.error("Face provider delete error:", error);
+    }
+  }
+
+  for (const row of rows) {
+    const key = parseFaceKey(row.image_key);
+    if (key) {
+      await getStorage()
+        .delete(key)
+        .catch((error) => console.error("Face delete storage error:", error));
+    }
+  }
+
+  await pool.query("DELETE FROM employee_face_templates WHERE emp_id = $1", [empId]);
+  await syncPrimaryFace(empId);
+  return rows.length;
+}
+
+/**
+ * Indexes a template's stored photo again, for a template whose face is
+ * missing from the collection. Returns the new face ID, or null when the
+ * provider finds no face in the photo.
+ */
+async function reindexTemplate({ template_id: templateId, emp_id: empId, image_key: imageKey }) {
+  const key = parseFaceKey(imageKey);
+  if (!key) {
+    return null;
+  }
+  const { face } = await getFaceProvider().indexFace(
+    { key },
+    { externalImageId: empId.toString() }
+  );
+  if (!face) {
+    return null;
+  }
+
+  await pool.query(
+    `UPDATE employee_face_templates
+        SET face_id = $2, face_confidence = $3
+      WHERE template_id = $1`,
+    [templateId, face.faceId, face.confidence ?? null]
+  );
+  await syncPrimaryFace(empId);
+  return face.faceId;
+}
+
+/**
+ * Recreates the template row of an employee whose primary face has none,
+ * like the backfill does for faces enrolled before templates existed.
+ */
+async function restorePrimaryTemplate({ emp_id: empId, face_id: faceId, face_embedding: imageKey, face_confidence: confidence }) {
+  await ensureFaceTemplateSchema();
+  const { rows } = await pool.query(
+    `INSERT INTO employee_face_templates (emp_id, face_id, image_key, label, face_confidence)
+     VALUES ($1, $2, $3, 'enrolment', $4)
+     RETURNING *`,
+    [empId, faceId ?? null, imageKey, confidence ?? null]
+  );
+  return rows[0];
+}
+
+/** Applies the retirement policy to every employee with an idle template. */
+async function retireIdleTemplates({ actorId = null } = {}) {
+  await ensureFaceTemplateSchema();
+  const { faceTemplateIdleDays } = await getSettings();
+  if (faceTemplateIdleDays <= 0) {
+    return [];
+  }
+
+  const { rows } = await pool.query(
+    `SELECT DISTINCT emp_id
+       FROM employee_face_templates
+      WHERE status = 'active'
+        AND COALESCE(last_matched_at, created_at) < NOW() - ($1 * INTERVAL '1 day')`,
+    [faceTemplateIdleDays]
+  );
+
+  const retired = [];
+  for (const { emp_id: empId } of rows) {
+    retired.push(...(await applyTemplatePolicy(empId, { actorId })));
+  }
+  return retired;
+}
+
+module.exports = {
+  CAPTURE_ANGLES,
+  ensureFaceTemplateSchema,
+  listTemplates,
+  listActiveTemplateKeys,
+  findTemplateByFaceId,
+  recordTemplateMatch,
+  addTemplate,
+  retireTemplate,
+  deleteAllTemplates,
+  applyTemplatePolicy,
+  retireIdleTemplates,
+  retireRows,
+  syncPrimaryFace,
+  reindexTemplate,
+  restorePrimaryTemplate,
+};
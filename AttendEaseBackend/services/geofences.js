@@ -0,0 +1,334 @@
+const pool = require("../config/db");
+const ensureSchema = require("../utils/ensureSchema");
+const { getSettings } = require("./systemSettings");
+
+const GEOFENCE_SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS ward_geofences (
+     ward_id INTEGER PRIMARY KEY,
+     fence_type TEXT NOT NULL CHECK (fence_type IN ('circle', 'polygon')),
+     center_lat DOUBLE PRECISION,
+     center_lng DOUBLE PRECISION,
+     radius_meters DOUBLE PRECISION,
+     polygon JSONB,
+     updated_by INTEGER,
+     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `ALTER TABLE attendance
+     ADD COLUMN IF NOT EXISTS fence_distance_in DOUBLE PRECISION,
+     ADD COLUMN IF NOT EXISTS outside_fence_in BOOLEAN,
+     ADD COLUMN IF NOT EXISTS fence_distance_out DOUBLE PRECISION,
+     ADD COLUMN IF NOT EXISTS outside_fence_out BOOLEAN`,
+];
+
+const ensureGeofenceSchema = () =>
+  ensureSchema("ward_geofences", GEOFENCE_SCHEMA_STATEMENTS);
+
+const EARTH_RADIUS_METERS = 6371000;
+const MAX_RADIUS_METERS = 50000;
+const MAX_POLYGON_POINTS = 500;
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const parseCoordinate = (value, min, max) => {
+  if (value === undefined || value === null || value.toString().trim() === "") {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= min && parsed <= max ? parsed : null;
+};
+
+const parseLatitude = (value) => parseCoordinate(value, -90, 90);
+const parseLongitude = (value) => parseCoordinate(value, -180, 180);
+
+function haversineMeters(fromLat, fromLng, toLat, toLng) {
+  const dLat = toRadians(toLat - fromLat);
+  const dLng = toRadians(toLng - fromLng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(fromLat)) * Math.cos(toRadians(toLat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Ward fences are a few kilometres across, so an equirectangular projection
+// around the punch location is accurate enough for edge distances.
+function projectToMeters(originLat, originLng, lat, lng) {
+  return {
+    x: toRadians(lng - originLng) * EARTH_RADIUS_METERS * Math.cos(toRadians(originLat)),
+    y: toRadians(lat - originLat) * EARTH_RADIUS_METERS,
+  };
+}
+
+function distanceToSegment(point, start, end) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t =
+    lengthSquared === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+}
+
+function isInsidePolygon(point, vertices) {
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i, i += 1) {
+    const a = vertices[i];
+    const b = vertices[j];
+    if (a.y > point.y !== b.y > point.y && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Distance in metres from a point to the fence boundary; 0 when the point is
+ * inside the fence.
+ */
+function distanceFromFence(fence, lat, lng) {
+  if (fence.fenceType === "circle") {
+    const fromCentre = haversineMeters(fence.center.lat, fence.center.lng, lat, lng);
+    return Math.max(fromCentre - fence.radiusMeters, 0);
+  }
+
+  const origin = { x: 0, y: 0 };
+  const vertices = fence.polygon.map(([vertexLat, vertexLng]) =>
+    projectToMeters(lat, lng, vertexLat, vertexLng)
+  );
+
+  if (isInsidePolygon(origin, vertices)) {
+    return 0;
+  }
+
+  return vertices.reduce(
+    (closest, vertex, index) =>
+      Math.min(closest, distanceToSegment(origin, vertex, vertices[(index + 1) % vertices.length])),
+    Infinity
+  );
+}
+
+function mapFenceRow(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    wardId: row.ward_id,
+    fenceType: row.fence_type,
+    center:
+      row.fence_type === "circle" ? { lat: row.center_lat, lng: row.center_lng } : null,
+    radiusMeters: row.fence_type === "circle" ? row.radius_meters : null,
+    polygon: row.fence_type === "polygon" ? row.polygon : null,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Accepts { type: "circle", center: { lat, lng }, radius_meters } or
+// { type: "polygon", polygon: [[lat, lng], ...] }.
+function validateGeofenceInput(input) {
+  const fenceType = (input?.type ?? input?.fence_type ?? "").toString().trim().toLowerCase();
+
+  if (fenceType === "circle") {
+    const lat = parseLatitude(input.center?.lat ?? input.center_lat);
+    const lng = parseLongitude(input.center?.lng ?? input.center_lng);
+    const radius = Number(input.radius_meters ?? input.radiusMeters);
+
+    const errors = {};
+    if (lat === null || lng === null) {
+      errors.center = "Expected { lat, lng } with valid coordinates";
+    }
+    if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_METERS) {
+      errors.radius_meters = `Expected a radius between 1 and ${MAX_RADIUS_METERS} metres`;
+    }
+    if (Object.keys(errors).length > 0) {
+      throw buildError("Invalid geofence", 400, errors);
+    }
+
+    return { fenceType, center: { lat, lng }, radiusMeters: radius, polygon: null };
+  }
+
+  if (fenceType === "polygon") {
+    const rawPoints = input.polygon ?? input.points;
+    if (!Array.isArray(rawPoints) || rawPoints.length < 3 || rawPoints.length > MAX_POLYGON_POINTS) {
+      throw buildError("Invalid geofence", 400, {
+        polygon: `Expected between 3 and ${MAX_POLYGON_POINTS} [lat, lng] points`,
+      });
+    }
+
+    const polygon = rawPoints.map((point) => {
+      const lat = parseLatitude(Array.isArray(point) ? point[0] : point?.lat);
+      const lng = parseLongitude(Array.isArray(point) ? point[1] : point?.lng);
+      return lat === null || lng === null ? null : [lat, lng];
+    });
+
+    const invalidIndex = polygon.indexOf(null);
+    if (invalidIndex !== -1) {
+      throw buildError("Invalid geofence", 400, {
+        polygon: `Point ${invalidIndex + 1} is not a valid coordinate`,
+      });
+    }
+
+    // A closing point equal to the first one is implied.
+    const [firstLat, firstLng] = polygon[0];
+    const [lastLat, lastLng] = polygon[polygon.length - 1];
+    if (polygon.length > 3 && firstLat === lastLat && firstLng === lastLng) {
+      polygon.pop();
+    }
+
+    return { fenceType, center: null, radiusMeters: null, polygon };
+  }
+
+  throw buildError("Invalid geofence", 400, {
+    type: 'Expected "circle" or "polygon"',
+  });
+}
+
+async function getWardGeofence(wardId) {
+  await ensureGeofenceSchema();
+  const { rows } = await pool.query(
+    `SELECT * FROM ward_geofences WHERE ward_id = $1`,
+    [wardId]
+  );
+  return mapFenceRow(rows[0]);
+}
+
+async function setWardGeofence(wardId, input, { actorId = null } = {}) {
+  const fence = validateGeofenceInput(input);
+  await ensureGeofenceSchema();
+
+  const { rows: wardRows } = await pool.query(
+    `SELECT ward_id FROM wards WHERE ward_id = $1`,
+    [wardId]
+  );
+  if (!wardRows.length) {
+    throw buildError("Ward not found", 404);
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO ward_geofences
+       (ward_id, fence_type, center_lat, center_lng, radius_meters, polygon, updated_by, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, NOW())
+     ON CONFLICT (ward_id) DO UPDATE SET
+       fence_type = EXCLUDED.fence_type,
+       center_lat = EXCLUDED.center_lat,
+       center_lng = EXCLUDED.center_lng,
+       radius_meters = EXCLUDED.radius_meters,
+       polygon = EXCLUDED.polygon,
+       updated_by = EXCLUDED.updated_by,
+       updated_at = NOW()
+     RETURNING *`,
+    [
+      wardId,
+      fence.fenceType,
+      fence.center?.lat ?? null,
+      fence.center?.lng ?? null,
+      fence.radiusMeters,
+      fence.polygon ? JSON.stringify(fence.polygon) : null,
+      actorId,
+    ]
+  );
+
+  return mapFenceRow(rows[0]);
+}
+
+async function deleteWardGeofence(wardId) {
+  await ensureGeofenceSchema();
+  const { rowCount } = await pool.query(
+    `DELETE FROM ward_geofences WHERE ward_id = $1`,
+    [wardId]
+  );
+  if (rowCount === 0) {
+    throw buildError("Geofence not found", 404);
+  }
+}
+
+/**
+ * Checks a punch location against the fence of the ward it is recorded for.
+ *
+ * Returns null when the ward has no fence or the punch has no coordinates.
+ * Otherwise returns `{ distanceMeters, outside, rejected }`; `outside` allows
+ * for `geofenceToleranceMeters` of GPS drift, and `rejected` is set when the
+ * `rejectOutsideGeofence` setting is on.
+ */
+async function evaluatePunchLocation(wardId, latitude, longitude) {
+  const lat = parseLatitude(latitude);
+  const lng = parseLongitude(longitude);
+  if (!wardId || lat === null || lng === null) {
+    return null;
+  }
+
+  const fence = await getWardGeofence(wardId);
+  if (!fence) {
+    return null;
+  }
+
+  const settings = await getSettings();
+  const distanceMeters = Math.round(distanceFromFence(fence, lat, lng) * 10) / 10;
+  const outside = distanceMeters > settings.geofenceToleranceMeters;
+
+  return {
+    distanceMeters,
+    outside,
+    rejected: outside && settings.rejectOutsideGeofence,
+    fenceType: fence.fenceType,
+  };
+}
+
+/** Punches flagged as outside their ward fence, newest first. */
+async function listOutOfFencePunches({ from, to, wardId = null, limit = 100, offset = 0 }) {
+  await ensureGeofenceSchema();
+
+  const params = [from, to];
+  let wardFilter = "";
+  if (wardId) {
+    params.push(wardId);
+    wardFilter = `AND a.ward_id = $${params.length}`;
+  }
+
+  const { rows } = await pool.query(
+    `SELECT a.attendance_id, TO_CHAR(a.date, 'YYYY-MM-DD') AS date,
+            a.emp_id, e.emp_code, e.name AS employee_name,
+            a.ward_id, w.ward_name,
+            punch.punch_type, punch.punch_time, punch.latitude, punch.longitude,
+            punch.address, punch.distance_meters
+       FROM attendance a
+       JOIN employee e ON e.emp_id = a.emp_id
+       LEFT JOIN wards w ON w.ward_id = a.ward_id
+       CROSS JOIN LATERAL (
+         VALUES
+           ('IN', a.punch_in_time, a.latitude_in::text, a.longitude_in::text,
+            a.in_address, a.fence_distance_in, a.outside_fence_in),
+           ('OUT', a.punch_out_time, a.latitude_out::text, a.longitude_out::text,
+            a.out_address, a.fence_distance_out, a.outside_fence_out)
+       ) AS punch(punch_type, punch_time, latitude, longitude, address, distance_meters, outside)
+      WHERE punch.outside IS TRUE
+        AND a.date BETWEEN $1::date AND $2::date
+        ${wardFilter}
+      ORDER BY punch.punch_time DESC NULLS LAST
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return rows;
+}
+
+module.exports = {
+  ensureGeofenceSchema,
+  distanceFromFence,
+  validateGeofenceInput,
+  getWardGeofence,
+  setWardGeofence,
+  deleteWardGeofence,
+  evaluatePunchLocation,
+  listOutOfFencePunches,
+};
@@ -0,0 +1,265 @@
+const crypto = require("crypto");
+const pool = require("../config/db");
+const ensureSchema = require("../utils/ensureSchema");
+const { getStorage } = require("./storage");
+const { isAdmin } = require("./accessPolicy");
+
+// Faces from a group capture that could not be punched automatically: no
+// match, a match below the threshold, or a match the verification step
+// rejected. Each keeps its crop and the capture's context, so a reviewer can
+// punch the right employee later or dismiss the face.
+const GROUP_FACE_REVIEW_SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS group_face_reviews (
+     review_id SERIAL PRIMARY KEY,
+     reason TEXT NOT NULL CHECK (reason IN ('unmatched', 'low_confidence', 'verification_failed')),
+     image_key TEXT NOT NULL,
+     face_index INTEGER,
+     similarity DOUBLE PRECISION,
+     suggested_emp_id INTEGER,
+     punch_type TEXT NOT NULL CHECK (punch_type IN ('IN', 'OUT')),
+     location JSONB,
+     captured_at TIMESTAMPTZ NOT NULL,
+     offline BOOLEAN NOT NULL DEFAULT FALSE,
+     captured_by INTEGER,
+     status TEXT NOT NULL DEFAULT 'pending'
+       CHECK (status IN ('pending', 'assigned', 'dismissed')),
+     assigned_emp_id INTEGER,
+     attendance_id INTEGER,
+     template_id INTEGER,
+     resolved_by INTEGER,
+     resolved_at TIMESTAMPTZ,
+     resolution_comment TEXT,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_group_face_reviews_status
+     ON group_face_reviews (status, created_at DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_group_face_reviews_captured_by
+     ON group_face_reviews (captured_by, status)`,
+  // The retention purge removes old crops and keeps the review row
+  `ALTER TABLE group_face_reviews ALTER COLUMN image_key DROP NOT NULL`,
+  // 'review' marks a punch a reviewer assigned from this queue, which had no
+  // face match or liveness check behind it
+  `ALTER TABLE attendance
+     ADD COLUMN IF NOT EXISTS punch_source_in TEXT,
+     ADD COLUMN IF NOT EXISTS punch_source_out TEXT`,
+];
+
+const ensureGroupFaceReviewSchema = () =>
+  ensureSchema("group_face_reviews", GROUP_FACE_REVIEW_SCHEMA_STATEMENTS);
+
+const REVIEW_STATUSES = ["pending", "assigned", "dismissed"];
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+/**
+ * Stores a face crop from a group capture for review. `location` is the
+ * capture's location payload and `capturedAt` when the photo was taken;
+ * `offline` marks captures synced from the device queue. Returns the new
+ * review ID.
+ */
+async function queueGroupFace({
+  imageBuffer,
+  reason,
+  faceIndex = null,
+  similarity = null,
+  suggestedEmpId = null,
+  punchType,
+  location = null,
+  capturedAt,
+  offline = false,
+  actorId = null,
+}) {
+  await ensureGroupFaceReviewSchema();
+
+  const day = new Date(capturedAt).toISOString().slice(0, 10);
+  const { key } = await getStorage().put(
+    `group-reviews/${day}/${crypto.randomUUID()}.jpg`,
+    imageBuffer,
+    { contentType: "image/jpeg" }
+  );
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO group_face_reviews
+         (reason, image_key, face_index, similarity, suggested_emp_id, punch_type,
+          location, captured_at, offline, captured_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8, $9, $10)
+       RETURNING review_id`,
+      [
+        reason,
+        key,
+        faceIndex,
+        similarity,
+        suggestedEmpId,
+        punchType === "OUT" ? "OUT" : "IN",
+        location ? JSON.stringify(location) : null,
+        capturedAt,
+        offline,
+        actorId,
+      ]
+    );
+    return rows[0].review_id;
+  } catch (error) {
+    await getStorage()
+      .delete(key)
+      .catch((cleanupError) => console.error("Group face review cleanup failed", cleanupError));
+    throw error;
+  }
+}
+
+// Supervisors see the faces they captured and those suggested for, or
+// assigned to, employees of their wards
+function accessCondition(user, params) {
+  if (isAdmin(user)) {
+    return "TRUE";
+  }
+  params.push(user?.user_id ?? null);
+  const ref = `$${params.length}`;
+  return `(r.captured_by = ${ref}
+           OR EXISTS (SELECT 1
+                        FROM employee ae
+                        JOIN supervisor_ward sw ON sw.ward_id = ae.ward_id
+                       WHERE ae.emp_id IN (r.suggested_emp_id, r.assigned_emp_id)
+                         AND sw.supervisor_id = ${ref}))`;
+}
+
+const REVIEW_SELECT = `
+  SELECT r.*,
+         se.name AS suggested_employee_name, se.emp_code AS suggested_emp_code,
+         ae.name AS assigned_employee_name, ae.emp_code AS assigned_emp_code,
+         cu.name AS captured_by_name, ru.name AS resolved_by_name
+    FROM group_face_reviews r
+    LEFT JOIN employee se ON se.emp_id = r.suggested_emp_id
+    LEFT JOIN employee ae ON ae.emp_id = r.assigned_emp_id
+    LEFT JOIN users cu ON cu.user_id = r.captured_by
+    LEFT JOIN users ru ON ru.user_id = r.resolved_by`;
+
+/** Reviews the user may see, newest first. `status` "all" lists every status. */
+async function listGroupFaceReviews(user, { status = "pending", limit = 50, offset = 0 } = {}) {
+  if (status !== "all" && !REVIEW_STATUSES.includes(status)) {
+    throw buildError(`status must be one of: ${[...REVIEW_STATUSES, "all"].join(", ")}`, 400);
+  }
+  await ensureGroupFaceReviewSchema();
+
+  const params = [];
+  const conditions = [accessCondition(user, params)];
+  if (status !== "all") {
+    params.push(status);
+    conditions.push(`r.status = $${params.length}`);
+  }
+  const where = `WHERE ${conditions.join(" AND ")}`;
+
+  const [{ rows }, { rows: countRows }] = await Promise.all([
+    pool.query(
+      `${REVIEW_SELECT}
+        ${where}
+        ORDER BY r.created_at DESC, r.review_id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*) AS total FROM group_face_reviews r ${where}`, params),
+  ]);
+
+  return { reviews: rows, total: Number(countRows[0]?.total) || 0 };
+}
+
+/** One review the user may see; throws 404 otherwise. */
+async function getGroupFaceReview(user, reviewId) {
+  if (!Number.isInteger(reviewId) || reviewId <= 0) {
+    throw buildError("Invalid review ID", 400);
+  }
+  await ensureGroupFaceReviewSchema();
+
+  const params = [reviewId];
+  const { rows } = await pool.query(
+    `${REVIEW_SELECT}
+      WHERE r.review_id = $1 AND ${accessCondition(user, params)}`,
+    params
+  );
+  if (!rows[0]) {
+    throw buildError("Review not found", 404);
+  }
+  return rows[0];
+}
+
+/**
+ * Moves a pending review to `status`, so two reviewers cannot act on the same
+ * face. Throws 409 when someone else already did.
+ */
+async function claimGroupFaceReview(reviewId, { status, empId = null, actorId = null, comment = null }) {
+  const { rows } = await pool.query(
+    `UPDATE group_face_reviews
+        SET status = $2, assigned_emp_id = $3, resolved_by = $4, resolved_at = NOW(),
+            resolution_comment = $5
+      WHERE review_id = $1 AND status = 'pending'
+      RETURNING review_id`,
+    [reviewId, status, empId, actorId, comment]
+  );
+  if (!rows[0]) {
+    throw buildError("Review has already been resolved", 409);
+  }
+}
+
+/** Puts a claimed review back in the queue after the punch failed. */
+async function releaseGroupFaceReview(reviewId) {
+  await pool.query(
+    `UPDATE group_face_reviews
+        SET status = 'pending', assigned_emp_id = NULL, resolved_by = NULL,
+            resolved_at = NULL, resolution_comment = NULL
+      WHERE review_id = $1`,
+    [reviewId]
+  );
+}
+
+async function completeGroupFaceReview(reviewId, { attendanceId = null, templateId = null }) {
+  await pool.query(
+    `UPDATE group_face_reviews
+        SET attendance_id = $2, template_id = $3
+      WHERE review_id = $1`,
+    [reviewId, attendanceId, templateId]
+  );
+}
+
+/**
+ * Employees the user may assign a face to, matched on name or code. Admins
+ * search everyone; supervisors their wards.
+ */
+async function searchAssignableEmployees(user, { search = "", limit = 20 } = {}) {
+  const params = [`%${search.trim()}%`, limit];
+  const wardFilter = isAdmin(user)
+    ? ""
+    : `AND e.ward_id IN (SELECT ward_id FROM supervisor_ward WHERE supervisor_id = $3)`;
+  if (!isAdmin(user)) {
+    params.push(user?.user_id ?? null);
+  }
+
+  const { rows } = await pool.query(
+    `SELECT e.emp_id, e.emp_code, e.name, w.ward_name
+       FROM employee e
+       LEFT JOIN wards w ON w.ward_id = e.ward_id
+      WHERE (e.name ILIKE $1 OR e.emp_code ILIKE $1)
+        ${wardFilter}
+      ORDER BY e.name
+      LIMIT $2`,
+    params
+  );
+  return rows;
+}
+
+module.exports = {
+  ensureGroupFaceReviewSchema,
+  queueGroupFace,
+  listGroupFaceReviews,
+  getGroupFaceReview,
+  claimGroupFaceReview,
+  releaseGroupFaceReview,
+  completeGroupFaceReview,
+  searchAssignableEmployees,
+};
@@ -0,0 +1,465 @@
+const pool = require("../config/db");
+const ensureSchema = require("../utils/ensureSchema");
+const { isIsoDate } = require("../utils/dates");
+const { ensureShiftSchema } = require("./shifts");
+const { ensureLeaveSchema, approvedLeaveSql } = require("./leaves");
+
+const HOLIDAY_SCOPES = ["all", "city", "zone", "ward"];
+const WEEKLY_OFF_SCOPES = ["all", "ward", "shift", "employee"];
+
+// Table and key each scope_id points at.
+const SCOPE_TABLES = {
+  city: ["cities", "city_id"],
+  zone: ["zones", "zone_id"],
+  ward: ["wards", "ward_id"],
+  shift: ["shifts", "shift_id"],
+  employee: ["employee", "emp_id"],
+};
+
+const HOLIDAY_SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS holidays (
+     holiday_id SERIAL PRIMARY KEY,
+     holiday_date DATE NOT NULL,
+     name TEXT NOT NULL,
+     scope_type TEXT NOT NULL DEFAULT 'all'
+       CHECK (scope_type IN ('all', 'city', 'zone', 'ward')),
+     scope_id INTEGER,
+     created_by INTEGER,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     CHECK ((scope_type = 'all') = (scope_id IS NULL))
+   )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_holidays_scope_date
+     ON holidays (holiday_date, scope_type, COALESCE(scope_id, 0))`,
+  `CREATE TABLE IF NOT EXISTS weekly_off_rules (
+     rule_id SERIAL PRIMARY KEY,
+     scope_type TEXT NOT NULL DEFAULT 'all'
+       CHECK (scope_type IN ('all', 'ward', 'shift', 'employee')),
+     scope_id INTEGER,
+     weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+     week_of_month SMALLINT CHECK (week_of_month BETWEEN 1 AND 5),
+     effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+     effective_to DATE,
+     created_by INTEGER,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     CHECK ((scope_type = 'all') = (scope_id IS NULL)),
+     CHECK (effective_to IS NULL OR effective_to >= effective_from)
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_weekly_off_rules_scope
+     ON weekly_off_rules (scope_type, scope_id)`,
+];
+
+// The day fragments below read rosters and leave, so those tables must exist
+// before any query that uses them.
+const ensureHolidaySchema = async () => {
+  await ensureShiftSchema();
+  await ensureLeaveSchema();
+  await ensureSchema("holidays", HOLIDAY_SCHEMA_STATEMENTS);
+};
+
+const MAX_CALENDAR_DAYS = 366;
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+// ===== SQL FRAGMENTS =====
+//
+// Each fragment takes SQL expressions for the employee id and the day, so it
+// can be embedded in larger queries. Callers must have run
+// ensureHolidaySchema().
+
+const empWardSql = (empExpr) => `(SELECT ward_id FROM employee WHERE emp_id = ${empExpr})`;
+
+// Roster day index of `dateExpr`, wrapped so dates before the roster start
+// still land inside the cycle.
+const rosterDaySql = (dateExpr) =>
+  `((((${dateExpr})::date - r.start_date) % r.cycle_days + r.cycle_days) % r.cycle_days)`;
+
+// Assignment in force on the day, with the same precedence as
+// resolveShiftForEmployee(): employee over ward, latest first.
+const scheduledAssignmentSql = (empExpr, dateExpr) => `
+  SELECT CASE
+           WHEN ra.roster_id IS NULL THEN ra.shift_id
+           ELSE (r.pattern ->> ${rosterDaySql(dateExpr)})::int
+         END AS shift_id,
+         ra.roster_id IS NOT NULL AND r.pattern ->> ${rosterDaySql(dateExpr)} IS NULL AS rest_day
+    FROM roster_assignments ra
+    LEFT JOIN rosters r ON r.roster_id = ra.roster_id
+   WHERE (ra.emp_id = ${empExpr} OR ra.ward_id = ${empWardSql(empExpr)})
+     AND ra.effective_from <= (${dateExpr})::date
+     AND (ra.effective_to IS NULL OR ra.effective_to >= (${dateExpr})::date)
+   ORDER BY (ra.emp_id IS NOT NULL) DESC, ra.effective_from DESC, ra.assignment_id DESC
+   LIMIT 1`;
+
+/** Name of the holiday covering the employee's ward, zone or city on the day. */
+const holidayNameSql = (empExpr, dateExpr) => `(
+  SELECT h.name
+    FROM holidays h
+    JOIN employee he ON he.emp_id = ${empExpr}
+    LEFT JOIN wards hw ON hw.ward_id = he.ward_id
+    LEFT JOIN zones hz ON hz.zone_id = hw.zone_id
+   WHERE h.holiday_date = (${dateExpr})::date
+     AND (h.scope_type = 'all'
+          OR (h.scope_type = 'city' AND h.scope_id = hz.city_id)
+          OR (h.scope_type = 'zone' AND h.scope_id = hw.zone_id)
+          OR (h.scope_type = 'ward' AND h.scope_id = he.ward_id))
+   ORDER BY CASE h.scope_type WHEN 'ward' THEN 1 WHEN 'zone' THEN 2 WHEN 'city' THEN 3 ELSE 4 END
+   LIMIT 1
+)`;
+
+/**
+ * True when the day is a weekly off for the employee. Only the most specific
+ * scope that has rules applies (employee, then shift, ward, all), so an
+ * employee whose off day is Tuesday is not also off on the ward's Sunday.
+ */
+const weeklyOffSql = (empExpr, dateExpr) => `EXISTS (
+  SELECT 1
+    FROM (
+      SELECT wr.weekday, wr.week_of_month,
+             RANK() OVER (
+               ORDER BY CASE wr.scope_type
+                          WHEN 'employee' THEN 1 WHEN 'shift' THEN 2 WHEN 'ward' THEN 3 ELSE 4
+                        END
+             ) AS precedence
+        FROM weekly_off_rules wr
+       WHERE wr.effective_from <= (${dateExpr})::date
+         AND (wr.effective_to IS NULL OR wr.effective_to >= (${dateExpr})::date)
+         AND (wr.scope_type = 'all'
+              OR (wr.scope_type = 'employee' AND wr.scope_id = ${empExpr})
+              OR (wr.scope_type = 'ward' AND wr.scope_id = ${empWardSql(empExpr)})
+              OR (wr.scope_type = 'shift'
+                  AND wr.scope_id = (SELECT sa.shift_id FROM (${scheduledAssignmentSql(empExpr, dateExpr)}) sa)))
+    ) rules
+   WHERE rules.precedence = 1
+     AND rules.weekday = EXTRACT(DOW FROM (${dateExpr})::date)
+     AND (rules.week_of_month IS NULL
+          OR rules.week_of_month = (EXTRACT(DAY FROM (${dateExpr})::date)::int + 6) / 7)
+)`;
+
+/** True when the employee's roster has a rest day (null pattern entry). */
+const rosterRestDaySql = (empExpr, dateExpr) => `COALESCE(
+  (SELECT sa.rest_day FROM (${scheduledAssignmentSql(empExpr, dateExpr)}) sa),
+  FALSE
+)`;
+
+/** True on holidays, weekly offs and roster rest days. */
+const nonWorkingDaySql = (empExpr, dateExpr) => `(
+  ${holidayNameSql(empExpr, dateExpr)} IS NOT NULL
+  OR ${weeklyOffSql(empExpr, dateExpr)}
+  OR ${rosterRestDaySql(empExpr, dateExpr)}
+)`;
+
+/**
+ * Number of days between `fromExpr` and `toExpr` (inclusive) the employee is
+ * expected at work: not a non-working day and not on approved leave.
+ */
+const workingDaysSql = (empExpr, fromExpr, toExpr) => `(
+  SELECT COUNT(*)
+    FROM generate_series((${fromExpr})::date, (${toExpr})::date, INTERVAL '1 day') AS wd(day)
+   WHERE NOT ${nonWorkingDaySql(empExpr, "wd.day")}
+     AND NOT ${approvedLeaveSql(empExpr, "wd.day::date")}
+)`;
+
+// ===== VALIDATION =====
+
+const parseScope = async (input, allowedScopes) => {
+  const scopeType = (input?.scope_type ?? "all").toString().trim().toLowerCase();
+  if (!allowedScopes.includes(scopeType)) {
+    throw buildError(`scope_type must be one of ${allowedScopes.join(", ")}`, 400);
+  }
+
+  if (scopeType === "all") {
+    return { scopeType, scopeId: null };
+  }
+
+  const scopeId = Number(input?.scope_id);
+  if (!Number.isInteger(scopeId) || scopeId <= 0) {
+    throw buildError(`scope_id is required for ${scopeType} scope`, 400);
+  }
+
+  const [table, key] = SCOPE_TABLES[scopeType];
+  const { rowCount } = await pool.query(`SELECT 1 FROM ${table} WHERE ${key} = $1`, [scopeId]);
+  if (!rowCount) {
+    throw buildError(`${scopeType} ${scopeId} not found`, 404);
+  }
+
+  return { scopeType, scopeId };
+};
+
+const parseOptionalSmallInt = (value, label, min, max) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    throw buildError(`${label} must be between ${min} and ${max}`, 400);
+  }
+  return parsed;
+};
+
+// ===== HOLIDAYS =====
+
+async function listHolidays({ year = null, from = null, to = null, scopeType = null, scopeId = null } = {}) {
+  await ensureHolidaySchema();
+
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace("?", `$${params.length}`));
+  };
+
+  if (year) add("EXTRACT(YEAR FROM h.holiday_date) = ?", year);
+  if (from) add("h.holiday_date >= ?::date", from);
+  if (to) add("h.holiday_date <= ?::date", to);
+  if (scopeType) add("h.scope_type = ?", scopeType);
+  if (scopeId) add("h.scope_id = ?", scopeId);
+
+  const { rows } = await pool.query(
+    `SELECT h.holiday_id, TO_CHAR(h.holiday_date, 'YYYY-MM-DD') AS holiday_date, h.name,
+            h.scope_type, h.scope_id,
+            COALESCE(c.city_name, z.zone_name, w.ward_name) AS scope_name,
+            h.created_by, h.created_at
+       FROM holidays h
+       LEFT JOIN cities c ON h.scope_type = 'city' AND c.city_id = h.scope_id
+       LEFT JOIN zones z ON h.scope_type = 'zone' AND z.zone_id = h.scope_id
+       LEFT JOIN wards w ON h.scope_type = 'ward' AND w.ward_id = h.scope_id
+      ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY h.holiday_date, h.scope_type, h.scope_id`,
+    params
+  );
+  return rows;
+}
+
+async function createHoliday(input, { actorId = null } = {}) {
+  const name = (input?.name ?? "").toString().trim();
+  if (!name) {
+    throw buildError("name is required", 400);
+  }
+  if (!isIsoDate(input?.holiday_date)) {
+    throw buildError("holiday_date must be in YYYY-MM-DD format", 400);
+  }
+
+  await ensureHolidaySchema();
+  const { scopeType, scopeId } = await parseScope(input, HOLIDAY_SCOPES);
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO holidays (holiday_date, name, scope_type, scope_id, created_by)
+       VALUES ($1::date, $2, $3, $4, $5)
+       RETURNING holiday_id, TO_CHAR(holiday_date, 'YYYY-MM-DD') AS holiday_date,
+                 name, scope_type, scope_id, created_by, created_at`,
+      [input.holiday_date, name, scopeType, scopeId, actorId]
+    );
+    return rows[0];
+  } catch (error) {
+    if (error.code === "23505") {
+      throw buildError("A holiday already exists for this date and scope", 409);
+    }
+    throw error;
+  }
+}
+
+async function updateHoliday(holidayId, input) {
+  const assignments = [];
+  const params = [];
+  const set = (column, value) => {
+    params.push(value);
+    assignments.push(`${column} = $${params.length}`);
+  };
+
+  if (input?.name !== undefined) {
+    const name = input.name.toString().trim();
+    if (!name) {
+      throw buildError("name cannot be empty", 400);
+    }
+    set("name", name);
+  }
+  if (input?.holiday_date !== undefined) {
+    if (!isIsoDate(input.holiday_date)) {
+      throw buildError("holiday_date must be in YYYY-MM-DD format", 400);
+    }
+    set("holiday_date", input.holiday_date);
+  }
+
+  await ensureHolidaySchema();
+  if (input?.scope_type !== undefined) {
+    const { scopeType, scopeId } = await parseScope(input, HOLIDAY_SCOPES);
+    set("scope_type", scopeType);
+    set("scope_id", scopeId);
+  }
+
+  if (assignments.length === 0) {
+    throw buildError("No holiday fields provided", 400);
+  }
+
+  params.push(holidayId);
+  try {
+    const { rows } = await pool.query(
+      `UPDATE holidays SET ${assignments.join(", ")}
+        WHERE holiday_id = $${params.length}
+        RETURNING holiday_id, TO_CHAR(holiday_date, 'YYYY-MM-DD') AS holiday_date,
+                  name, scope_type, scope_id, created_by, created_at`,
+      params
+    );
+    if (!rows.length) {
+      throw buildError("Holiday not found", 404);
+    }
+    return rows[0];
+  } catch (error) {
+    if (error.code === "23505") {
+      throw buildError("A holiday already exists for this date and scope", 409);
+    }
+    throw error;
+  }
+}
+
+async function deleteHoliday(holidayId) {
+  await ensureHolidaySchema();
+  const { rowCount } = await pool.query("DELETE FROM holidays WHERE holiday_id = $1", [holidayId]);
+  if (!rowCount) {
+    throw buildError("Holiday not found", 404);
+  }
+}
+
+// ===== WEEKLY OFFS =====
+
+async function listWeeklyOffRules({ scopeType = null, scopeId = null } = {}) {
+  await ensureHolidaySchema();
+
+  const conditions = [];
+  const params = [];
+  if (scopeType) {
+    params.push(scopeType);
+    conditions.push(`wr.scope_type = $${params.length}`);
+  }
+  if (scopeId) {
+    params.push(scopeId);
+    conditions.push(`wr.scope_id = $${params.length}`);
+  }
+
+  const { rows } = await pool.query(
+    `SELECT wr.rule_id, wr.scope_type, wr.scope_id,
+            COALESCE(w.ward_name, s.shift_name, e.name) AS scope_name,
+            wr.weekday, wr.week_of_month,
+            TO_CHAR(wr.effective_from, 'YYYY-MM-DD') AS effective_from,
+            TO_CHAR(wr.effective_to, 'YYYY-MM-DD') AS effective_to,
+            wr.created_by, wr.created_at
+       FROM weekly_off_rules wr
+       LEFT JOIN wards w ON wr.scope_type = 'ward' AND w.ward_id = wr.scope_id
+       LEFT JOIN shifts s ON wr.scope_type = 'shift' AND s.shift_id = wr.scope_id
+       LEFT JOIN employee e ON wr.scope_type = 'employee' AND e.emp_id = wr.scope_id
+      ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY wr.scope_type, wr.scope_id, wr.weekday, wr.week_of_month NULLS FIRST`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Adds a recurring weekly off. `weekday` is 0 (Sunday) to 6 (Saturday);
+ * `week_of_month` (1-5) limits the rule to that occurrence in the month, e.g.
+ * weekday 6 with week_of_month 2 for the second Saturday.
+ */
+async function createWeeklyOffRule(input, { actorId = null } = {}) {
+  const weekday = parseOptionalSmallInt(input?.weekday, "weekday", 0, 6);
+  if (weekday === null) {
+    throw buildError("weekday is required", 400);
+  }
+  const weekOfMonth = parseOptionalSmallInt(input?.week_of_month, "week_of_month", 1, 5);
+
+  const effectiveFrom = input?.effective_from ?? null;
+  const effectiveTo = input?.effective_to ?? null;
+  if (effectiveFrom !== null && !isIsoDate(effectiveFrom)) {
+    throw buildError("effective_from must be in YYYY-MM-DD format", 400);
+  }
+  if (effectiveTo !== null && !isIsoDate(effectiveTo)) {
+    throw buildError("effective_to must be in YYYY-MM-DD format", 400);
+  }
+  if (effectiveFrom && effectiveTo && effectiveTo < effectiveFrom) {
+    throw buildError("effective_to must not be before effective_from", 400);
+  }
+
+  await ensureHolidaySchema();
+  const { scopeType, scopeId } = await parseScope(input, WEEKLY_OFF_SCOPES);
+
+  const { rows } = await pool.query(
+    `INSERT INTO weekly_off_rules
+       (scope_type, scope_id, weekday, week_of_month, effective_from, effective_to, created_by)
+     VALUES ($1, $2, $3, $4, COALESCE($5::date, CURRENT_DATE), $6::date, $7)
+     RETURNING rule_id, scope_type, scope_id, weekday, week_of_month,
+               TO_CHAR(effective_from, 'YYYY-MM-DD') AS effective_from,
+               TO_CHAR(effective_to, 'YYYY-MM-DD') AS effective_to,
+               created_by, created_at`,
+    [scopeType, scopeId, weekday, weekOfMonth, effectiveFrom, effectiveTo, actorId]
+  );
+  return rows[0];
+}
+
+async function deleteWeeklyOffRule(ruleId) {
+  await ensureHolidaySchema();
+  const { rowCount } = await pool.query("DELETE FROM weekly_off_rules WHERE rule_id = $1", [ruleId]);
+  if (!rowCount) {
+    throw buildError("Weekly off rule not found", 404);
+  }
+}
+
+// ===== CALENDAR =====
+
+/**
+ * Day-by-day calendar for one employee between `from` and `to`, saying why
+ * each non-working day is off. Useful for checking how the rules combine.
+ */
+async function getEmployeeCalendar(empId, from, to) {
+  if (!isIsoDate(from) || !isIsoDate(to)) {
+    throw buildError("from and to must be in YYYY-MM-DD format", 400);
+  }
+  if (to < from) {
+    throw buildError("to must not be before from", 400);
+  }
+  const span = (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000 + 1;
+  if (span > MAX_CALENDAR_DAYS) {
+    throw buildError(`Calendar range cannot exceed ${MAX_CALENDAR_DAYS} days`, 400);
+  }
+
+  await ensureHolidaySchema();
+  const { rowCount } = await pool.query("SELECT 1 FROM employee WHERE emp_id = $1", [empId]);
+  if (!rowCount) {
+    throw buildError("Employee not found", 404);
+  }
+
+  const { rows } = await pool.query(
+    `SELECT TO_CHAR(d.day, 'YYYY-MM-DD') AS date,
+            ${holidayNameSql("$1::int", "d.day")} AS holiday,
+            ${weeklyOffSql("$1::int", "d.day")} AS weekly_off,
+            ${rosterRestDaySql("$1::int", "d.day")} AS rest_day,
+            ${approvedLeaveSql("$1::int", "d.day::date")} AS on_leave
+       FROM generate_series($2::date, $3::date, INTERVAL '1 day') AS d(day)
+      ORDER BY d.day`,
+    [empId, from, to]
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    working: !row.holiday && !row.weekly_off && !row.rest_day && !row.on_leave,
+  }));
+}
+
+module.exports = {
+  ensureHolidaySchema,
+  nonWorkingDaySql,
+  workingDaysSql,
+  listHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  listWeeklyOffRules,
+  createWeeklyOffRule,
+  deleteWeeklyOffRule,
+  getEmployeeCalendar,
+};
@@ -0,0 +1,35 @@
+const { resolveStoredObject } = require("./storage");
+
+// Face and punch photos are biometric data: objects are stored private and
+// clients only ever receive links that expire, issued after the caller's
+// access to the employee has been checked.
+const IMAGE_URL_TTL_SECONDS = Number(process.env.IMAGE_URL_TTL_SECONDS) || 300;
+
+const isHttpUrl = (value) => /^https?:\/\//i.test(value);
+
+// Local storage signs root-relative links; clients need the host in front.
+const requestBaseUrl = (req) => `${req.protocol}://${req.get("host")}`;
+
+/**
+ * Turns a stored image reference into a link that expires after
+ * IMAGE_URL_TTL_SECONDS. Links to images we do not hold are returned as-is.
+ */
+async function signImageUrl(reference, { baseUrl = null, expiresIn = IMAGE_URL_TTL_SECONDS } = {}) {
+  if (!reference || typeof reference !== "string") {
+    return null;
+  }
+
+  const resolved = resolveStoredObject(reference);
+  if (!resolved) {
+    return isHttpUrl(reference) ? reference : null;
+  }
+
+  const url = await resolved.storage.getSignedUrl(resolved.key, { expiresIn });
+  return baseUrl && !isHttpUrl(url) ? `${baseUrl}${url}` : url;
+}
+
+module.exports = {
+  IMAGE_URL_TTL_SECONDS,
+  requestBaseUrl,
+  signImageUrl,
+};
@@ -0,0 +1,591 @@
+const crypto = require("crypto");
+const pool = require("../config/db");
+const ensureSchema = require("../utils/ensureSchema");
+const { formatDateIST, addDaysIso } = require("../utils/dates");
+const { resolveStoredObject } = require("./storage");
+const { getSettings } = require("./systemSettings");
+const { ensureRegularizationSchema } = require("./regularizations");
+const { ensurePhotoHashSchema } = require("./photoHashes");
+const { ensureFaceTemplateSchema } = require("./faceTemplates");
+const { ensureGroupFaceReviewSchema } = require("./groupFaceReviews");
+const { recordAuditEntry } = require("./auditLog");
+
+// Punch photos are kept for `dataRetention` days, photos of retired face
+// templates for `faceTemplateRetentionDays` after retirement, and group face
+// review crops as long as punch photos. Purged attendance photos leave the
+// record in place with its image column nulled. A legal hold on a record or
+// an employee keeps their photos until it is released, and so does a pending
+// regularization or photo flag. Every purged or failed photo is written to
+// image_purge_log.
+const RETENTION_SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS legal_holds (
+     hold_id SERIAL PRIMARY KEY,
+     attendance_id INTEGER,
+     emp_id INTEGER,
+     reason TEXT NOT NULL,
+     placed_by INTEGER,
+     placed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     released_by INTEGER,
+     released_at TIMESTAMPTZ,
+     CHECK (attendance_id IS NOT NULL OR emp_id IS NOT NULL)
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_legal_holds_attendance
+     ON legal_holds (attendance_id) WHERE released_at IS NULL`,
+  `CREATE INDEX IF NOT EXISTS idx_legal_holds_emp
+     ON legal_holds (emp_id) WHERE released_at IS NULL`,
+  `CREATE TABLE IF NOT EXISTS image_purge_log (
+     purge_id SERIAL PRIMARY KEY,
+     run_id UUID NOT NULL,
+     category TEXT NOT NULL CHECK (category IN ('attendance', 'face_template', 'group_review')),
+     image_ref TEXT NOT NULL,
+     attendance_id INTEGER,
+     punch_type TEXT,
+     template_id INTEGER,
+     review_id INTEGER,
+     emp_id INTEGER,
+     status TEXT NOT NULL CHECK (status IN ('purged', 'failed')),
+     error TEXT,
+     purged_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_image_purge_log_run
+     ON image_purge_log (run_id)`,
+  `CREATE INDEX IF NOT EXISTS idx_image_purge_log_purged
+     ON image_purge_log (purged_at DESC)`,
+];
+
+const ensureRetentionSchema = () =>
+  ensureSchema("image_retention", RETENTION_SCHEMA_STATEMENTS);
+
+const PURGE_CATEGORIES = ["attendance", "face_template", "group_review"];
+const BATCH_SIZE = 200;
+const RUN_INTERVAL_MS = 24 * 60 * 60 * 1000;
+// Leaves the server time to settle before the first run after a restart
+const FIRST_RUN_DELAY_MS = 10 * 60 * 1000;
+// Keeps two server processes from purging at the same time
+const RETENTION_LOCK_KEY = 74210025;
+const PURGED_REVIEW_COMMENT = "Photo purged by the retention policy";
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+const employeeHeldSql = (empExpr) => `EXISTS (
+  SELECT 1 FROM legal_holds h
+   WHERE h.released_at IS NULL AND h.emp_id = ${empExpr})`;
+
+// A record is held by a legal hold on it or its employee, or while a
+// regularization or photo flag about it is still open
+const attendanceHeldSql = `(
+  ${employeeHeldSql("a.emp_id")}
+  OR EXISTS (SELECT 1 FROM legal_holds h
+              WHERE h.released_at IS NULL AND h.attendance_id = a.attendance_id)
+  OR EXISTS (SELECT 1 FROM attendance_regularizations r
+              WHERE r.status = 'pending'
+                AND (r.attendance_id = a.attendance_id
+                     OR (r.emp_id = a.emp_id AND r.attendance_date = a.date)))
+  OR EXISTS (SELECT 1 FROM punch_photo_flags f
+               LEFT JOIN punch_photo_hashes m ON m.hash_id = f.matched_hash_id
+              WHERE f.status = 'pending'
+                AND a.attendance_id IN (f.attendance_id, m.attendance_id)))`;
+
+const reviewHeldSql = `(${employeeHeldSql("r.assigned_emp_id")} OR ${employeeHeldSql("r.suggested_emp_id")})`;
+
+async function ensureDependencies() {
+  await Promise.all([
+    ensureRetentionSchema(),
+    ensureRegularizationSchema(),
+    ensurePhotoHashSchema(),
+    ensureFaceTemplateSchema(),
+    ensureGroupFaceReviewSchema(),
+  ]);
+}
+
+/** Cutoffs from the current settings; a null cutoff means nothing expires. */
+async function getRetentionCutoffs() {
+  const { dataRetention, faceTemplateRetentionDays } = await getSettings();
+  const attendanceCutoff = addDaysIso(formatDateIST(), -dataRetention);
+  return {
+    dataRetention,
+    faceTemplateRetentionDays,
+    // Attendance dates before this day have expired photos
+    attendanceCutoff,
+    // Review crops captured before IST midnight of that day
+    reviewCutoff: new Date(`${attendanceCutoff}T00:00:00+05:30`),
+    templateCutoff:
+      faceTemplateRetentionDays > 0
+        ? new Date(Date.now() - faceTemplateRetentionDays * 24 * 60 * 60 * 1000)
+        : null,
+  };
+}
+
+// Missing objects count as purged: the goal is that the photo is gone
+async function deleteStoredImage(reference) {
+  const resolved = resolveStoredObject(reference);
+  if (resolved) {
+    await resolved.storage.delete(resolved.key);
+  }
+}
+
+async function logPurge(runId, entry) {
+  await pool.query(
+    `INSERT INTO image_purge_log
+       (run_id, category, image_ref, attendance_id, punch_type, template_id, review_id,
+        emp_id, status, error)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      runId,
+      entry.category,
+      entry.imageRef,
+      entry.attendanceId ?? null,
+      entry.punchType ?? null,
+      entry.templateId ?? null,
+      entry.reviewId ?? null,
+      entry.empId ?? null,
+      entry.error ? "failed" : "purged",
+      entry.error ?? null,
+    ]
+  );
+}
+
+// Deletes one photo, runs `afterDelete` to unlink it and logs the outcome.
+// A failed delete leaves the reference in place for the next run.
+async function purgeImage(runId, counts, entry, afterDelete) {
+  try {
+    await deleteStoredImage(entry.imageRef);
+    await afterDelete();
+    counts.purged += 1;
+    await logPurge(runId, entry);
+  } catch (error) {
+    console.error(`Image retention: ${entry.category} photo not purged`, error);
+    counts.failed += 1;
+    await logPurge(runId, { ...entry, error: error.message || "Purge failed" }).catch((logError) =>
+      console.error("Image retention: purge log write failed", logError)
+    );
+  }
+}
+
+async function purgeAttendanceImages(runId, { attendanceCutoff }) {
+  const counts = { purged: 0, failed: 0 };
+  let lastId = 0;
+
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT a.attendance_id, a.emp_id, a.punch_in_image, a.punch_out_image
+         FROM attendance a
+        WHERE a.date < $1::date
+          AND a.attendance_id > $2
+          AND (a.punch_in_image IS NOT NULL OR a.punch_out_image IS NOT NULL)
+          AND NOT ${attendanceHeldSql}
+        ORDER BY a.attendance_id
+        LIMIT $3`,
+      [attendanceCutoff, lastId, BATCH_SIZE]
+    );
+
+    for (const row of rows) {
+      for (const [punchType, column] of [
+        ["IN", "punch_in_image"],
+        ["OUT", "punch_out_image"],
+      ]) {
+        const imageRef = row[column];
+        if (!imageRef) {
+          continue;
+        }
+        await purgeImage(
+          runId,
+          counts,
+          { category: "attendance", imageRef, attendanceId: row.attendance_id, punchType, empId: row.emp_id },
+          async () => {
+            await pool.query(
+              `UPDATE attendance SET ${column} = NULL WHERE attendance_id = $1 AND ${column} = $2`,
+              [row.attendance_id, imageRef]
+            );
+            // Photo hashes and flags keep their links to the same photo
+            await pool.query("UPDATE punch_photo_hashes SET image_url = NULL WHERE image_url = $1", [
+              imageRef,
+            ]);
+            await pool.query("UPDATE punch_photo_flags SET image_url = NULL WHERE image_url = $1", [
+              imageRef,
+            ]);
+          }
+        );
+      }
+    }
+
+    if (rows.length < BATCH_SIZE) {
+      return counts;
+    }
+    lastId = rows[rows.length - 1].attendance_id;
+  }
+}
+
+// Retired templates no longer match anyone; the row goes with the photo.
+// A photo still used by another template or as a primary face is kept.
+async function purgeFaceTemplates(runId, { templateCutoff }) {
+  const counts = { purged: 0, failed: 0 };
+  if (!templateCutoff) {
+    return counts;
+  }
+  let lastId = 0;
+
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT t.template_id, t.emp_id, t.image_key,
+              EXISTS (SELECT 1 FROM employee_face_templates o
+                       WHERE o.image_key = t.image_key AND o.template_id <> t.template_id)
+              OR EXISTS (SELECT 1 FROM employee e WHERE e.face_embedding = t.image_key) AS shared
+         FROM employee_face_templates t
+        WHERE t.status = 'retired'
+          AND t.retired_at < $1
+          AND t.template_id > $2
+          AND NOT ${employeeHeldSql("t.emp_id")}
+        ORDER BY t.template_id
+        LIMIT $3`,
+      [templateCutoff, lastId, BATCH_SIZE]
+    );
+
+    for (const row of rows) {
+      const deleteRow = () =>
+        pool.query("DELETE FROM employee_face_templates WHERE template_id = $1", [row.template_id]);
+      const entry = {
+        category: "face_template",
+        imageRef: row.image_key,
+        templateId: row.template_id,
+        empId: row.emp_id,
+      };
+      if (row.shared) {
+        await deleteRow();
+        await logPurge(runId, entry);
+        counts.purged += 1;
+        continue;
+      }
+      await purgeImage(runId, counts, entry, deleteRow);
+    }
+
+    if (rows.length < BATCH_SIZE) {
+      return counts;
+    }
+    lastId = rows[rows.length - 1].template_id;
+  }
+}
+
+// Expired crops still waiting for review are dismissed, as there is nothing
+// left to assign
+async function purgeGroupReviewImages(runId, { reviewCutoff }) {
+  const counts = { purged: 0, failed: 0 };
+  let lastId = 0;
+
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT r.review_id, r.image_key, COALESCE(r.assigned_emp_id, r.suggested_emp_id) AS emp_id
+         FROM group_face_reviews r
+        WHERE r.image_key IS NOT NULL
+          AND r.captured_at < $1
+          AND r.review_id > $2
+          AND NOT ${reviewHeldSql}
+        ORDER BY r.review_id
+        LIMIT $3`,
+      [reviewCutoff, lastId, BATCH_SIZE]
+    );
+
+    for (const row of rows) {
+      await purgeImage(
+        runId,
+        counts,
+        { category: "group_review", imageRef: row.image_key, reviewId: row.review_id, empId: row.emp_id },
+        () =>
+          pool.query(
+            `UPDATE group_face_reviews
+                SET image_key = NULL,
+                    resolved_at = CASE WHEN status = 'pending' THEN NOW() ELSE resolved_at END,
+                    resolution_comment = CASE WHEN status = 'pending' THEN $2 ELSE resolution_comment END,
+                    status = CASE WHEN status = 'pending' THEN 'dismissed' ELSE status END
+              WHERE review_id = $1`,
+            [row.review_id, PURGED_REVIEW_COMMENT]
+          )
+      );
+    }
+
+    if (rows.length < BATCH_SIZE) {
+      return counts;
+    }
+    lastId = rows[rows.length - 1].review_id;
+  }
+}
+
+/**
+ * What a purge would remove now: photos past their retention period and
+ * those held back, per category. Changes nothing.
+ */
+async function previewRetention() {
+  await ensureDependencies();
+  const cutoffs = await getRetentionCutoffs();
+
+  const [attendance, templates, reviews] = await Promise.all([
+    pool.query(
+      `SELECT COUNT(*) FILTER (WHERE NOT ${attendanceHeldSql}) AS expired,
+              COUNT(*) FILTER (WHERE ${attendanceHeldSql}) AS held
+         FROM attendance a
+        WHERE a.date < $1::date
+          AND (a.punch_in_image IS NOT NULL OR a.punch_out_image IS NOT NULL)`,
+      [cutoffs.attendanceCutoff]
+    ),
+    cutoffs.templateCutoff
+      ? pool.query(
+          `SELECT COUNT(*) FILTER (WHERE NOT ${employeeHeldSql("t.emp_id")}) AS expired,
+                  COUNT(*) FILTER (WHERE ${employeeHeldSql("t.emp_id")}) AS held
+             FROM employee_face_templates t
+            WHERE t.status = 'retired' AND t.retired_at < $1`,
+          [cutoffs.templateCutoff]
+        )
+      : { rows: [{ expired: 0, held: 0 }] },
+    pool.query(
+      `SELECT COUNT(*) FILTER (WHERE NOT ${reviewHeldSql}) AS expired,
+              COUNT(*) FILTER (WHERE ${reviewHeldSql}) AS held
+         FROM group_face_reviews r
+        WHERE r.image_key IS NOT NULL AND r.captured_at < $1`,
+      [cutoffs.reviewCutoff]
+    ),
+  ]);
+
+  const counts = ({ rows }) => ({
+    expired: Number(rows[0]?.expired) || 0,
+    held: Number(rows[0]?.held) || 0,
+  });
+
+  return {
+    data_retention_days: cutoffs.dataRetention,
+    face_template_retention_days: cutoffs.faceTemplateRetentionDays,
+    // Attendance records count once however many of their photos expired
+    attendance: { cutoff_date: cutoffs.attendanceCutoff, ...counts(attendance) },
+    face_templates: {
+      retired_before: cutoffs.templateCutoff ? cutoffs.templateCutoff.toISOString() : null,
+      ...counts(templates),
+    },
+    group_reviews: { captured_before: cutoffs.reviewCutoff.toISOString(), ...counts(reviews) },
+  };
+}
+
+/**
+ * Purges every photo past its retention period that is not held. Runs under
+ * a database lock, so a run already in progress anywhere gets 409. Returns
+ * { run_id, started_at, finished_at, attendance, face_templates,
+ * group_reviews } with { purged, failed } counts per category.
+ */
+async function runRetention() {
+  await ensureDependencies();
+  const client = await pool.connect();
+  try {
+    const { rows } = await client.query("SELECT pg_try_advisory_lock($1) AS locked", [
+      RETENTION_LOCK_KEY,
+    ]);
+    if (!rows[0]?.locked) {
+      throw buildError("An image purge is already running", 409);
+    }
+
+    try {
+      const cutoffs = await getRetentionCutoffs();
+      const runId = crypto.randomUUID();
+      const startedAt = new Date();
+      const attendance = await purgeAttendanceImages(runId, cutoffs);
+      const faceTemplates = await purgeFaceTemplates(runId, cutoffs);
+      const groupReviews = await purgeGroupReviewImages(runId, cutoffs);
+
+      return {
+        run_id: runId,
+        started_at: startedAt.toISOString(),
+        finished_at: new Date().toISOString(),
+        attendance_cutoff_date: cutoffs.attendanceCutoff,
+        attendance,
+        face_templates: faceTemplates,
+        group_reviews: groupReviews,
+      };
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [RETENTION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/** Purge log entries, newest first. */
+async function listPurgeLog({ runId = null, category = null, status = null, limit = 50, offset = 0 } = {}) {
+  if (category && !PURGE_CATEGORIES.includes(category)) {
+    throw buildError(`category must be one of: ${PURGE_CATEGORIES.join(", ")}`, 400);
+  }
+  if (status && !["purged", "failed"].includes(status)) {
+    throw buildError("status must be purged or failed", 400);
+  }
+  await ensureRetentionSchema();
+
+  const conditions = [];
+  const params = [];
+  if (runId) {
+    params.push(runId);
+    conditions.push(`l.run_id::text = $${params.length}`);
+  }
+  if (category) {
+    params.push(category);
+    conditions.push(`l.category = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`l.status = $${params.length}`);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const [{ rows }, { rows: countRows }] = await Promise.all([
+    pool.query(
+      `SELECT l.*, e.name AS employee_name, e.emp_code
+         FROM image_purge_log l
+         LEFT JOIN employee e ON e.emp_id = l.emp_id
+         ${where}
+        ORDER BY l.purged_at DESC, l.purge_id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*) AS total FROM image_purge_log l ${where}`, params),
+  ]);
+
+  return { entries: rows, total: Number(countRows[0]?.total) || 0 };
+}
+
+async function listLegalHolds({ includeReleased = false } = {}) {
+  await ensureRetentionSchema();
+  const { rows } = await pool.query(
+    `SELECT h.*, COALESCE(e.name, ae.name) AS employee_name,
+            COALESCE(e.emp_code, ae.emp_code) AS emp_code,
+            CAST(a.date AS VARCHAR) AS attendance_date,
+            pu.name AS placed_by_name, ru.name AS released_by_name
+       FROM legal_holds h
+       LEFT JOIN employee e ON e.emp_id = h.emp_id
+       LEFT JOIN attendance a ON a.attendance_id = h.attendance_id
+       LEFT JOIN employee ae ON ae.emp_id = a.emp_id
+       LEFT JOIN users pu ON pu.user_id = h.placed_by
+       LEFT JOIN users ru ON ru.user_id = h.released_by
+      ${includeReleased ? "" : "WHERE h.released_at IS NULL"}
+      ORDER BY h.released_at IS NULL DESC, h.placed_at DESC`
+  );
+  return rows;
+}
+
+/**
+ * Holds one attendance record's photos (`attendanceId`) or everything of an
+ * employee (`empId`) until released. Throws 400/404.
+ */
+async function placeLegalHold({ attendanceId = null, empId = null, reason, actorId = null }) {
+  const normalizedReason = typeof reason === "string" ? reason.trim() : "";
+  if (!normalizedReason) {
+    throw buildError("A reason is required for a legal hold", 400);
+  }
+  if (!attendanceId === !empId) {
+    throw buildError("Give either attendance_id or emp_id", 400);
+  }
+  await ensureRetentionSchema();
+
+  const { rows: targets } = attendanceId
+    ? await pool.query("SELECT 1 FROM attendance WHERE attendance_id = $1", [attendanceId])
+    : await pool.query("SELECT 1 FROM employee WHERE emp_id = $1", [empId]);
+  if (!targets.length) {
+    throw buildError(attendanceId ? "Attendance record not found" : "Employee not found", 404);
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO legal_holds (attendance_id, emp_id, reason, placed_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [attendanceId, empId, normalizedReason, actorId]
+  );
+  return rows[0];
+}
+
+/** Releases an active hold; its photos expire again on the next run. Throws 404/409. */
+async function releaseLegalHold(holdId, { actorId = null } = {}) {
+  if (!Number.isInteger(holdId) || holdId <= 0) {
+    throw buildError("Invalid hold ID", 400);
+  }
+  await ensureRetentionSchema();
+
+  const { rows } = await pool.query(
+    `UPDATE legal_holds
+        SET released_at = NOW(), released_by = $2
+      WHERE hold_id = $1 AND released_at IS NULL
+      RETURNING *`,
+    [holdId, actorId]
+  );
+  if (rows[0]) {
+    return rows[0];
+  }
+
+  const { rows: existing } = await pool.query("SELECT 1 FROM legal_holds WHERE hold_id = $1", [holdId]);
+  throw existing.length
+    ? buildError("Legal hold has already been released", 409)
+    : buildError("Legal hold not found", 404);
+}
+
+/** Counts per category, for audit entries. */
+const summarizeRun = (run) => ({
+  run_id: run.run_id,
+  attendance: run.attendance,
+  face_templates: run.face_templates,
+  group_reviews: run.group_reviews,
+});
+
+async function scheduledRun() {
+  try {
+    const { enforceImageRetention } = await getSettings();
+    if (!enforceImageRetention) {
+      return;
+    }
+    const run = await runRetention();
+    await recordAuditEntry({
+      action: "retention.purge",
+      entityType: "image_purge",
+      entityId: run.run_id,
+      metadata: { source: "schedule", ...summarizeRun(run) },
+    });
+    console.log(
+      `Image retention: purged ${run.attendance.purged} punch, ${run.face_templates.purged} face template ` +
+        `and ${run.group_reviews.purged} group review photos`
+    );
+  } catch (error) {
+    if (error.statusCode !== 409) {
+      console.error("Image retention run failed:", error);
+    }
+  }
+}
+
+let schedule = null;
+
+/**
+ * Purges expired photos once a day while `enforceImageRetention` is on. The
+ * timers do not keep the process alive.
+ */
+function startRetentionSchedule() {
+  if (schedule) {
+    return;
+  }
+  schedule = setTimeout(() => {
+    scheduledRun();
+    schedule = setInterval(scheduledRun, RUN_INTERVAL_MS);
+    schedule.unref();
+  }, FIRST_RUN_DELAY_MS);
+  schedule.unref();
+}
+
+module.exports = {
+  PURGE_CATEGORIES,
+  ensureRetentionSchema,
+  previewRetention,
+  runRetention,
+  listPurgeLog,
+  listLegalHolds,
+  placeLegalHold,
+  releaseLegalHold,
+  summarizeRun,
+  startRetentionSchedule,
+};
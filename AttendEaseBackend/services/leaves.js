@@ -0,0 +1,616 @@
+const pool = require("../config/db");
+const ensureSchema = require("../utils/ensureSchema");
+const { isIsoDate } = require("../utils/dates");
+const { supervisesEmployee } = require("./accessPolicy");
+
+const LEAVE_SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS leave_types (
+     leave_type_id SERIAL PRIMARY KEY,
+     code TEXT NOT NULL UNIQUE,
+     name TEXT NOT NULL,
+     annual_allowance NUMERIC(5,1),
+     carry_forward_limit NUMERIC(5,1) NOT NULL DEFAULT 0,
+     is_paid BOOLEAN NOT NULL DEFAULT TRUE,
+     is_active BOOLEAN NOT NULL DEFAULT TRUE,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `INSERT INTO leave_types (code, name, annual_allowance, carry_forward_limit, is_paid)
+   VALUES ('CL', 'Casual Leave', 12, 0, TRUE),
+          ('SL', 'Sick Leave', 12, 0, TRUE),
+          ('EL', 'Earned Leave', 15, 30, TRUE),
+          ('LWP', 'Leave Without Pay', NULL, 0, FALSE)
+   ON CONFLICT (code) DO NOTHING`,
+  `CREATE TABLE IF NOT EXISTS leave_balances (
+     emp_id INTEGER NOT NULL,
+     leave_type_id INTEGER NOT NULL REFERENCES leave_types(leave_type_id),
+     year INTEGER NOT NULL,
+     allocated NUMERIC(5,1) NOT NULL DEFAULT 0,
+     carried_forward NUMERIC(5,1) NOT NULL DEFAULT 0,
+     used NUMERIC(5,1) NOT NULL DEFAULT 0,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     PRIMARY KEY (emp_id, leave_type_id, year)
+   )`,
+  `CREATE TABLE IF NOT EXISTS leave_applications (
+     application_id SERIAL PRIMARY KEY,
+     emp_id INTEGER NOT NULL,
+     leave_type_id INTEGER NOT NULL REFERENCES leave_types(leave_type_id),
+     start_date DATE NOT NULL,
+     end_date DATE NOT NULL,
+     days NUMERIC(5,1) NOT NULL,
+     reason TEXT,
+     status TEXT NOT NULL DEFAULT 'pending'
+       CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+     requested_by INTEGER,
+     requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     reviewed_by INTEGER,
+     reviewed_at TIMESTAMPTZ,
+     review_comment TEXT,
+     CHECK (end_date >= start_date)
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_leave_applications_emp_dates
+     ON leave_applications (emp_id, start_date, end_date)`,
+  `CREATE INDEX IF NOT EXISTS idx_leave_applications_status
+     ON leave_applications (status, requested_at DESC)`,
+];
+
+const ensureLeaveSchema = () => ensureSchema("leaves", LEAVE_SCHEMA_STATEMENTS);
+
+// Pending and approved applications hold days against the balance.
+const ACTIVE_STATUSES = ["pending", "approved"];
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+/**
+ * SQL condition that is true when `empExpr` is on approved leave on
+ * `dateExpr`. Callers must have run ensureLeaveSchema().
+ */
+const approvedLeaveSql = (empExpr, dateExpr) => `EXISTS (
+  SELECT 1 FROM leave_applications la
+   WHERE la.emp_id = ${empExpr}
+     AND la.status = 'approved'
+     AND ${dateExpr} BETWEEN la.start_date AND la.end_date
+)`;
+
+const inclusiveDays = (startDate, endDate) =>
+  Math.round(
+    (Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) /
+      (24 * 60 * 60 * 1000)
+  ) + 1;
+
+const parseAllowance = (value, label, { allowNull = false } = {}) => {
+  if (value === null && allowNull) {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0 || parsed > 366 || (parsed * 2) % 1 !== 0) {
+    throw buildError(`${label} must be between 0 and 366 in steps of 0.5`, 400);
+  }
+  return parsed;
+};
+
+// ===== LEAVE TYPES =====
+
+async function listLeaveTypes({ includeInactive = false } = {}) {
+  await ensureLeaveSchema();
+  const { rows } = await pool.query(
+    `SELECT leave_type_id, code, name, annual_allowance, carry_forward_limit,
+            is_paid, is_active
+       FROM leave_types
+      ${includeInactive ? "" : "WHERE is_active"}
+      ORDER BY leave_type_id`
+  );
+  return rows;
+}
+
+async function createLeaveType(input) {
+  const code = (input?.code ?? "").toString().trim().toUpperCase();
+  const name = (input?.name ?? "").toString().trim();
+  if (!code || !name) {
+    throw buildError("code and name are required", 400);
+  }
+
+  const annualAllowance = parseAllowance(input.annual_allowance ?? null, "annual_allowance", {
+    allowNull: true,
+  });
+  const carryForwardLimit = parseAllowance(input.carry_forward_limit ?? 0, "carry_forward_limit");
+
+  await ensureLeaveSchema();
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO leave_types (code, name, annual_allowance, carry_forward_limit, is_paid)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [code, name, annualAllowance, carryForwardLimit, input.is_paid !== false]
+    );
+    return rows[0];
+  } catch (error) {
+    if (error.code === "23505") {
+      throw buildError("A leave type with this code already exists", 409);
+    }
+    throw error;
+  }
+}
+
+async function updateLeaveType(leaveTypeId, input) {
+  const assignments = [];
+  const params = [];
+  const set = (column, value) => {
+    params.push(value);
+    assignments.push(`${column} = $${params.length}`);
+  };
+
+  if (input?.name !== undefined) {
+    const name = input.name.toString().trim();
+    if (!name) {
+      throw buildError("name cannot be empty", 400);
+    }
+    set("name", name);
+  }
+  if (input?.annual_allowance !== undefined) {
+    set(
+      "annual_allowance",
+      parseAllowance(input.annual_allowance, "annual_allowance", { allowNull: true })
+    );
+  }
+  if (input?.carry_forward_limit !== undefined) {
+    set("carry_forward_limit", parseAllowance(input.carry_forward_limit, "carry_forward_limit"));
+  }
+  if (input?.is_paid !== undefined) {
+    set("is_paid", Boolean(input.is_paid));
+  }
+  if (input?.is_active !== undefined) {
+    set("is_active", Boolean(input.is_active));
+  }
+
+  if (assignments.length === 0) {
+    throw buildError("No leave type fields provided", 400);
+  }
+
+  await ensureLeaveSchema();
+  params.push(leaveTypeId);
+  const { rows } = await pool.query(
+    `UPDATE leave_types SET ${assignments.join(", ")}
+      WHERE leave_type_id = $${params.length}
+      RETURNING *`,
+    params
+  );
+
+  if (!rows.length) {
+    throw buildError("Leave type not found", 404);
+  }
+  return rows[0];
+}
+
+async function findLeaveType(client, identifier) {
+  const byId = Number(identifier);
+  const { rows } = await client.query(
+    `SELECT * FROM leave_types
+      WHERE is_active
+        AND (leave_type_id = $1 OR code = UPPER($2))`,
+    [Number.isInteger(byId) ? byId : null, identifier?.toString() ?? ""]
+  );
+  return rows[0] ?? null;
+}
+
+// ===== BALANCES =====
+
+/**
+ * Creates the yearly balance rows that do not exist yet.
+ *
+ * Each row gets the type's annual allowance plus whatever was left of the
+ * previous year, capped at the type's carry-forward limit. Types without an
+ * allowance (unpaid leave) have no balance. Existing rows are left untouched,
+ * so the accrual can be re-run safely.
+ */
+async function accrueLeaveBalances(year, { empId = null, client = pool } = {}) {
+  await ensureLeaveSchema();
+
+  const params = [year];
+  let employeeFilter = "";
+  if (empId) {
+    params.push(empId);
+    employeeFilter = `WHERE e.emp_id = $${params.length}`;
+  }
+
+  const { rowCount } = await client.query(
+    `INSERT INTO leave_balances (emp_id, leave_type_id, year, allocated, carried_forward)
+     SELECT e.emp_id, lt.leave_type_id, $1, lt.annual_allowance,
+            LEAST(
+              COALESCE(prev.allocated + prev.carried_forward - prev.used, 0),
+              lt.carry_forward_limit
+            )
+       FROM employee e
+      CROSS JOIN leave_types lt
+       LEFT JOIN leave_balances prev
+         ON prev.emp_id = e.emp_id
+        AND prev.leave_type_id = lt.leave_type_id
+        AND prev.year = $1 - 1
+      ${employeeFilter}
+      ${employeeFilter ? "AND" : "WHERE"} lt.is_active
+        AND lt.annual_allowance IS NOT NULL
+     ON CONFLICT (emp_id, leave_type_id, year) DO NOTHING`,
+    params
+  );
+
+  return rowCount;
+}
+
+/** Balances of one employee for `year`, with days held by pending requests. */
+async function getLeaveBalances(empId, year) {
+  await accrueLeaveBalances(year, { empId });
+
+  const { rows } = await pool.query(
+    `SELECT lt.leave_type_id, lt.code, lt.name, lt.is_paid,
+            lb.allocated, lb.carried_forward, lb.used,
+            COALESCE(pending.days, 0) AS pending,
+            lb.allocated + lb.carried_forward - lb.used - COALESCE(pending.days, 0) AS available
+       FROM leave_balances lb
+       JOIN leave_types lt ON lt.leave_type_id = lb.leave_type_id
+       LEFT JOIN (
+         SELECT leave_type_id, SUM(days) AS days
+           FROM leave_applications
+          WHERE emp_id = $1
+            AND status = 'pending'
+            AND EXTRACT(YEAR FROM start_date) = $2
+          GROUP BY leave_type_id
+       ) pending ON pending.leave_type_id = lb.leave_type_id
+      WHERE lb.emp_id = $1 AND lb.year = $2
+      ORDER BY lt.leave_type_id`,
+    [empId, year]
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    allocated: Number(row.allocated),
+    carried_forward: Number(row.carried_forward),
+    used: Number(row.used),
+    pending: Number(row.pending),
+    available: Number(row.available),
+  }));
+}
+
+async function assertBalanceCovers(client, application, leaveType, { excludeApplicationId = null } = {}) {
+  if (leaveType.annual_allowance === null) {
+    return;
+  }
+
+  const year = Number(application.start_date.slice(0, 4));
+  await accrueLeaveBalances(year, { empId: application.emp_id, client });
+
+  const { rows } = await client.query(
+    `SELECT lb.allocated + lb.carried_forward - lb.used AS remaining,
+            COALESCE((
+              SELECT SUM(days) FROM leave_applications
+               WHERE emp_id = $1 AND leave_type_id = $2 AND status = 'pending'
+                 AND EXTRACT(YEAR FROM start_date) = $3
+                 AND application_id IS DISTINCT FROM $4
+            ), 0) AS pending
+       FROM leave_balances lb
+      WHERE lb.emp_id = $1 AND lb.leave_type_id = $2 AND lb.year = $3
+      FOR UPDATE OF lb`,
+    [application.emp_id, leaveType.leave_type_id, year, excludeApplicationId]
+  );
+
+  const available = rows.length
+    ? Number(rows[0].remaining) - Number(rows[0].pending)
+    : 0;
+
+  if (application.days > available) {
+    throw buildError("Insufficient leave balance", 400, {
+      requested: application.days,
+      available,
+      leaveType: leaveType.code,
+    });
+  }
+}
+
+// ===== APPLICATIONS =====
+
+const APPLICATION_SELECT = `
+  SELECT la.application_id, la.emp_id, e.emp_code, e.name AS employee_name,
+         e.ward_id, w.ward_name,
+         la.leave_type_id, lt.code AS leave_type_code, lt.name AS leave_type_name,
+         TO_CHAR(la.start_date, 'YYYY-MM-DD') AS start_date,
+         TO_CHAR(la.end_date, 'YYYY-MM-DD') AS end_date,
+         la.days, la.reason, la.status,
+         la.requested_by, ru.name AS requested_by_name, la.requested_at,
+         la.reviewed_by, vu.name AS reviewed_by_name, la.reviewed_at, la.review_comment
+    FROM leave_applications la
+    JOIN employee e ON e.emp_id = la.emp_id
+    JOIN leave_types lt ON lt.leave_type_id = la.leave_type_id
+    LEFT JOIN wards w ON w.ward_id = e.ward_id
+    LEFT JOIN users ru ON ru.user_id = la.requested_by
+    LEFT JOIN users vu ON vu.user_id = la.reviewed_by`;
+
+const mapApplicationRow = (row) => ({ ...row, days: Number(row.days) });
+
+/**
+ * Lists applications, newest first. `supervisorId` restricts the list to
+ * employees in that supervisor's wards.
+ */
+async function listLeaveApplications({
+  status = null,
+  empId = null,
+  wardId = null,
+  supervisorId = null,
+  from = null,
+  to = null,
+  limit = 50,
+  offset = 0,
+} = {}) {
+  await ensureLeaveSchema();
+
+  const params = [];
+  const conditions = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace("?", `$${params.length}`));
+  };
+
+  if (status) add("la.status = ?", status);
+  if (empId) add("la.emp_id = ?", empId);
+  if (wardId) add("e.ward_id = ?", wardId);
+  if (supervisorId) {
+    add(
+      "e.ward_id IN (SELECT ward_id FROM supervisor_ward WHERE supervisor_id = ?)",
+      supervisorId
+    );
+  }
+  if (from) add("la.end_date >= ?::date", from);
+  if (to) add("la.start_date <= ?::date", to);
+
+  const { rows } = await pool.query(
+    `${APPLICATION_SELECT}
+      ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY la.requested_at DESC, la.application_id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return rows.map(mapApplicationRow);
+}
+
+async function getLeaveApplication(applicationId) {
+  await ensureLeaveSchema();
+  const { rows } = await pool.query(
+    `${APPLICATION_SELECT} WHERE la.application_id = $1`,
+    [applicationId]
+  );
+  return rows[0] ? mapApplicationRow(rows[0]) : null;
+}
+
+async function createLeaveApplication(input, { actorId = null } = {}) {
+  const empId = Number(input?.emp_id);
+  const startDate = input?.start_date;
+  const endDate = input?.end_date ?? startDate;
+  const reason = input?.reason ? input.reason.toString().trim() : null;
+
+  const errors = {};
+  if (!Number.isInteger(empId) || empId <= 0) {
+    errors.emp_id = "Expected an employee ID";
+  }
+  if (!input?.leave_type_id && !input?.leave_type) {
+    errors.leave_type_id = "Expected a leave type ID or code";
+  }
+  if (!isIsoDate(startDate)) {
+    errors.start_date = "Expected YYYY-MM-DD";
+  }
+  if (!isIsoDate(endDate)) {
+    errors.end_date = "Expected YYYY-MM-DD";
+  } else if (isIsoDate(startDate) && endDate < startDate) {
+    errors.end_date = "Must be on or after start_date";
+  }
+  if (Object.keys(errors).length > 0) {
+    throw buildError("Invalid leave application", 400, errors);
+  }
+
+  // Balances are yearly, so one application cannot draw on two years.
+  if (startDate.slice(0, 4) !== endDate.slice(0, 4)) {
+    throw buildError("Leave cannot span two calendar years", 400, {
+      end_date: "Submit a separate application for each year",
+    });
+  }
+
+  await ensureLeaveSchema();
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const leaveType = await findLeaveType(client, input.leave_type_id ?? input.leave_type);
+    if (!leaveType) {
+      throw buildError("Leave type not found", 404);
+    }
+
+    const { rows: employeeRows } = await client.query(
+      `SELECT emp_id FROM employee WHERE emp_id = $1`,
+      [empId]
+    );
+    if (!employeeRows.length) {
+      throw buildError("Employee not found", 404);
+    }
+
+    const { rows: overlapping } = await client.query(
+      `SELECT application_id, TO_CHAR(start_date, 'YYYY-MM-DD') AS start_date,
+              TO_CHAR(end_date, 'YYYY-MM-DD') AS end_date, status
+         FROM leave_applications
+        WHERE emp_id = $1
+          AND status = ANY($2::text[])
+          AND start_date <= $4::date
+          AND end_date >= $3::date
+        LIMIT 1`,
+      [empId, ACTIVE_STATUSES, startDate, endDate]
+    );
+    if (overlapping.length) {
+      throw buildError("Leave overlaps an existing application", 409, overlapping[0]);
+    }
+
+    const application = {
+      emp_id: empId,
+      start_date: startDate,
+      end_date: endDate,
+      days: inclusiveDays(startDate, endDate),
+    };
+    await assertBalanceCovers(client, application, leaveType);
+
+    const { rows } = await client.query(
+      `INSERT INTO leave_applications
+         (emp_id, leave_type_id, start_date, end_date, days, reason, requested_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING application_id`,
+      [empId, leaveType.leave_type_id, startDate, endDate, application.days, reason, actorId]
+    );
+
+    await client.query("COMMIT");
+    return getLeaveApplication(rows[0].application_id);
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function lockApplication(client, applicationId) {
+  const { rows } = await client.query(
+    `SELECT la.*, TO_CHAR(la.start_date, 'YYYY-MM-DD') AS start_iso
+       FROM leave_applications la
+      WHERE la.application_id = $1
+      FOR UPDATE`,
+    [applicationId]
+  );
+  if (!rows.length) {
+    throw buildError("Leave application not found", 404);
+  }
+  return { ...rows[0], start_date: rows[0].start_iso, days: Number(rows[0].days) };
+}
+
+async function adjustUsedDays(client, application, delta) {
+  await client.query(
+    `UPDATE leave_balances SET used = used + $4
+      WHERE emp_id = $1 AND leave_type_id = $2 AND year = $3`,
+    [
+      application.emp_id,
+      application.leave_type_id,
+      Number(application.start_date.slice(0, 4)),
+      delta,
+    ]
+  );
+}
+
+/**
+ * Approves or rejects a pending application. Approval re-checks the balance
+ * and moves the days from pending to used.
+ */
+async function reviewLeaveApplication(applicationId, { decision, comment = null }, { actorId = null } = {}) {
+  if (!["approved", "rejected"].includes(decision)) {
+    throw buildError('decision must be "approved" or "rejected"', 400);
+  }
+
+  await ensureLeaveSchema();
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const application = await lockApplication(client, applicationId);
+    if (application.status !== "pending") {
+      throw buildError(`Leave application is already ${application.status}`, 409);
+    }
+
+    if (decision === "approved") {
+      const { rows: typeRows } = await client.query(
+        `SELECT * FROM leave_types WHERE leave_type_id = $1`,
+        [application.leave_type_id]
+      );
+      await assertBalanceCovers(client, application, typeRows[0], {
+        excludeApplicationId: application.application_id,
+      });
+      await adjustUsedDays(client, application, application.days);
+    }
+
+    await client.query(
+      `UPDATE leave_applications
+          SET status = $2, reviewed_by = $3, reviewed_at = NOW(), review_comment = $4
+        WHERE application_id = $1`,
+      [applicationId, decision, actorId, comment]
+    );
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getLeaveApplication(applicationId);
+}
+
+/**
+ * Cancels a pending or approved application. Approved days go back to the
+ * balance. `supervisorId` limits cancellation to that supervisor's wards.
+ */
+async function cancelLeaveApplication(applicationId, { actorId = null, supervisorId = null, comment = null } = {}) {
+  await ensureLeaveSchema();
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const application = await lockApplication(client, applicationId);
+    if (supervisorId && !(await supervisesEmployee(supervisorId, application.emp_id))) {
+      throw buildError("Leave application not found", 404);
+    }
+    if (!ACTIVE_STATUSES.includes(application.status)) {
+      throw buildError(`Leave application is already ${application.status}`, 409);
+    }
+    // Supervisors withdraw requests; undoing an approval is an admin decision.
+    if (supervisorId && application.status === "approved") {
+      throw buildError("Approved leave can only be cancelled by an admin", 403);
+    }
+
+    if (application.status === "approved") {
+      await adjustUsedDays(client, application, -application.days);
+    }
+
+    await client.query(
+      `UPDATE leave_applications
+          SET status = 'cancelled', reviewed_by = $2, reviewed_at = NOW(),
+              review_comment = COALESCE($3, review_comment)
+        WHERE application_id = $1`,
+      [applicationId, actorId, comment]
+    );
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getLeaveApplication(applicationId);
+}
+
+module.exports = {
+  ensureLeaveSchema,
+  approvedLeaveSql,
+  listLeaveTypes,
+  createLeaveType,
+  updateLeaveType,
+  accrueLeaveBalances,
+  getLeaveBalances,
+  listLeaveApplications,
+  getLeaveApplication,
+  createLeaveApplication,
+  reviewLeaveApplication,
+  cancelLeaveApplication,
+};
@@ -0,0 +1,255 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const pool = require("../config/db");
+const ensureSchema = require("../utils/ensureSchema");
+const { getSettings } = require("./systemSettings");
+
+// A face punch starts by fetching a one-time challenge; the app then sends the
+// punch photo plus a short burst of frames taken while the employee performs
+// it. The outcome is stored on the attendance row next to the punch it guards.
+const LIVENESS_SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS liveness_challenges (
+     challenge_id UUID PRIMARY KEY,
+     challenge TEXT NOT NULL,
+     issued_to INTEGER,
+     issued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     expires_at TIMESTAMPTZ NOT NULL,
+     used_at TIMESTAMPTZ
+   )`,
+  `ALTER TABLE attendance
+     ADD COLUMN IF NOT EXISTS liveness_score_in DOUBLE PRECISION,
+     ADD COLUMN IF NOT EXISTS liveness_passed_in BOOLEAN,
+     ADD COLUMN IF NOT EXISTS liveness_score_out DOUBLE PRECISION,
+     ADD COLUMN IF NOT EXISTS liveness_passed_out BOOLEAN`,
+];
+
+const ensureLivenessSchema = () =>
+  ensureSchema("liveness", LIVENESS_SCHEMA_STATEMENTS);
+
+const CHALLENGES = {
+  blink: "Look at the camera and blink slowly a couple of times",
+  turn_head: "Look at the camera, then slowly turn your head to one side and back",
+};
+
+const CHALLENGE_TTL_SECONDS = 120;
+// Frames the app should send, the punch photo included, and the gap between them
+const FRAME_COUNT = 5;
+const FRAME_INTERVAL_MS = 350;
+const MIN_FRAMES = 3;
+const MAX_FRAMES = 8;
+
+// A head turn has to swing the yaw by at least this many degrees
+const MIN_YAW_CHANGE_DEGREES = 20;
+// Every frame has to show the same person as the punch photo
+const MIN_FRAME_SIMILARITY = 80;
+// Mean per-pixel change (0-255) below which two frames count as the same picture
+const MIN_FRAME_MOTION = 1.5;
+const MOTION_THUMBNAIL_SIZE = 32;
+
+// Points out of 100 for each check; with the default minimum of 80 a capture
+// has to pass all three
+const WEIGHTS = {
+  challenge: 50,
+  identity: 25,
+  motion: 25,
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function issueChallenge(userId) {
+  const names = Object.keys(CHALLENGES);
+  const challenge = names[crypto.randomInt(names.length)];
+
+  await ensureLivenessSchema();
+  const { rows } = await pool.query(
+    `INSERT INTO liveness_challenges (challenge_id, challenge, issued_to, expires_at)
+     VALUES ($1, $2, $3, NOW() + ($4 * INTERVAL '1 second'))
+     RETURNING challenge_id, challenge, expires_at`,
+    [crypto.randomUUID(), challenge, userId ?? null, CHALLENGE_TTL_SECONDS]
+  );
+
+  return {
+    challenge_id: rows[0].challenge_id,
+    challenge: rows[0].challenge,
+    instruction: CHALLENGES[rows[0].challenge],
+    frame_count: FRAME_COUNT,
+    frame_interval_ms: FRAME_INTERVAL_MS,
+    expires_at: rows[0].expires_at,
+  };
+}
+
+// Marks the challenge used; returns its name, or null when it is unknown,
+// expired, already used or was issued to somebody else.
+async function consumeChallenge(challengeId, userId) {
+  if (!UUID_PATTERN.test(challengeId ?? "")) {
+    return null;
+  }
+
+  await ensureLivenessSchema();
+  const { rows } = await pool.query(
+    `UPDATE liveness_challenges
+        SET used_at = NOW()
+      WHERE challenge_id = $1
+        AND issued_to IS NOT DISTINCT FROM $2
+        AND used_at IS NULL
+        AND expires_at > NOW()
+      RETURNING challenge`,
+    [challengeId, userId ?? null]
+  );
+  return rows[0]?.challenge ?? null;
+}
+
+async function thumbnail(bytes) {
+  return sharp(bytes)
+    .rotate()
+    .grayscale()
+    .resize(MOTION_THUMBNAIL_SIZE, MOTION_THUMBNAIL_SIZE, { fit: "cover" })
+    .raw()
+    .toBuffer();
+}
+
+// Largest mean pixel change between consecutive frames. A replayed still
+// image, or the same file sent several times, stays close to zero.
+async function measureMotion(frames) {
+  const thumbnails = [];
+  for (const frame of frames) {
+    thumbnails.push(await thumbnail(frame));
+  }
+
+  let largest = 0;
+  for (let index = 1; index < thumbnails.length; index += 1) {
+    const previous = thumbnails[index - 1];
+    const current = thumbnails[index];
+    let total = 0;
+    for (let pixel = 0; pixel < current.length; pixel += 1) {
+      total += Math.abs(current[pixel] - previous[pixel]);
+    }
+    largest = Math.max(largest, total / current.length);
+  }
+  return largest;
+}
+
+const boxArea = (face) => (face.boundingBox?.width ?? 0) * (face.boundingBox?.height ?? 0);
+
+const largestFace = (faces) =>
+  faces.reduce((largest, face) => (!largest || boxArea(face) > boxArea(largest) ? face : largest), null);
+
+// true/false when the frames show whether the challenge was done, null when
+// the face provider does not report the attributes needed to tell.
+function challengeMet(challenge, faces) {
+  if (challenge === "blink") {
+    const eyes = faces.map((face) => face?.eyesOpen).filter((value) => typeof value === "boolean");
+    if (eyes.length < faces.length) {
+      return null;
+    }
+    return eyes.includes(true) && eyes.includes(false);
+  }
+
+  if (challenge === "turn_head") {
+    const yaws = faces.map((face) => face?.pose?.yaw).filter(Number.isFinite);
+    if (yaws.length < faces.length) {
+      return null;
+    }
+    return Math.max(...yaws) - Math.min(...yaws) >= MIN_YAW_CHANGE_DEGREES;
+  }
+
+  return false;
+}
+
+const roundScore = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Scores a capture out of 100: the challenge was performed, every frame shows
+ * the same face as the punch photo, and the frames are not one still picture.
+ * `image` is the punch photo and `frames` the burst taken after it (Buffers).
+ * Returns { score, passed, minScore, challenge, checks, reason }.
+ */
+async function evaluateLiveness({ image, frames = [], challengeId, userId, faceProvider }) {
+  const { livenessMinScore } = await getSettings();
+  const result = (score, checks, reason = null) => ({
+    score: roundScore(score),
+    passed: score >= livenessMinScore,
+    minScore: livenessMinScore,
+    challenge: checks.challenge ?? null,
+    checks,
+    reason: score >= livenessMinScore ? null : reason,
+  });
+
+  const allFrames = [image, ...frames].filter(Boolean);
+  if (allFrames.length < MIN_FRAMES) {
+    return result(0, { frames: allFrames.length }, `At least ${MIN_FRAMES} frames are required`);
+  }
+  if (allFrames.length > MAX_FRAMES) {
+    return result(0, { frames: allFrames.length }, `At most ${MAX_FRAMES} frames are accepted`);
+  }
+
+  const challenge = await consumeChallenge(challengeId, userId);
+  if (!challenge) {
+    return result(
+      0,
+      { frames: allFrames.length },
+      "Liveness challenge is missing, expired or already used"
+    );
+  }
+
+  const faces = [];
+  for (const frame of allFrames) {
+    faces.push(largestFace(await faceProvider.detectFaces({ bytes: frame }, { attributes: true })));
+  }
+  const faceInEveryFrame = faces.every(Boolean);
+
+  let minSimilarity = null;
+  if (faceInEveryFrame) {
+    for (const frame of frames) {
+      const { similarity } = await faceProvider.compareFaces(
+        { bytes: image },
+        { bytes: frame },
+        { threshold: 0 }
+      );
+      minSimilarity = Math.min(minSimilarity ?? 100, similarity ?? 0);
+    }
+  }
+
+  const distinctFiles =
+    new Set(allFrames.map((frame) => crypto.createHash("sha256").update(frame).digest("hex"))).size ===
+    allFrames.length;
+  const motion = await measureMotion(allFrames);
+
+  const checks = {
+    challenge,
+    frames: allFrames.length,
+    faceInEveryFrame,
+    challengeMet: faceInEveryFrame ? challengeMet(challenge, faces) : false,
+    minSimilarity: minSimilarity === null ? null : roundScore(minSimilarity),
+    identityConsistent: minSimilarity !== null && minSimilarity >= MIN_FRAME_SIMILARITY,
+    motion: roundScore(motion),
+    framesDistinct: distinctFiles && motion >= MIN_FRAME_MOTION,
+  };
+
+  const score =
+    (checks.challengeMet ? WEIGHTS.challenge : 0) +
+    (checks.identityConsistent ? WEIGHTS.identity : 0) +
+    (checks.framesDistinct ? WEIGHTS.motion : 0);
+
+  let reason = null;
+  if (!faceInEveryFrame) {
+    reason = "No face was found in every frame";
+  } else if (checks.challengeMet === null) {
+    reason = "The face provider cannot verify the challenge";
+  } else if (!checks.challengeMet) {
+    reason = challenge === "blink" ? "No blink was detected" : "No head turn was detected";
+  } else if (!checks.identityConsistent) {
+    reason = "The frames do not all show the same person";
+  } else if (!checks.framesDistinct) {
+    reason = "The frames are copies of one still image";
+  }
+
+  return result(score, checks, reason);
+}
+
+module.exports = {
+  MAX_FRAMES,
+  ensureLivenessSchema,
+  issueChallenge,
+  evaluateLiveness,
+};
@@ -0,0 +1,277 @@
+const pool = require("../config/db");
+const ensureSchema = require("../utils/ensureSchema");
+const { getSettings } = require("./systemSettings");
+const { ensureGeofenceSchema } = require("./geofences");
+
+// Punch coordinates come from the device, so each punch also records how far
+// they can be trusted: whether the OS reported a mock-location provider, the
+// reported accuracy, and the speed implied by the previous punch taken by the
+// same account.
+const LOCATION_INTEGRITY_SCHEMA_STATEMENTS = [
+  `ALTER TABLE attendance
+     ADD COLUMN IF NOT EXISTS mock_location_in BOOLEAN,
+     ADD COLUMN IF NOT EXISTS location_accuracy_in DOUBLE PRECISION,
+     ADD COLUMN IF NOT EXISTS low_accuracy_in BOOLEAN,
+     ADD COLUMN IF NOT EXISTS travel_speed_kmh_in DOUBLE PRECISION,
+     ADD COLUMN IF NOT EXISTS impossible_travel_in BOOLEAN,
+     ADD COLUMN IF NOT EXISTS mock_location_out BOOLEAN,
+     ADD COLUMN IF NOT EXISTS location_accuracy_out DOUBLE PRECISION,
+     ADD COLUMN IF NOT EXISTS low_accuracy_out BOOLEAN,
+     ADD COLUMN IF NOT EXISTS travel_speed_kmh_out DOUBLE PRECISION,
+     ADD COLUMN IF NOT EXISTS impossible_travel_out BOOLEAN`,
+  `CREATE INDEX IF NOT EXISTS idx_attendance_punched_in_by
+     ON attendance (punched_in_by, punch_in_time DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_attendance_punched_out_by
+     ON attendance (punched_out_by, punch_out_time DESC)`,
+];
+
+const ensureLocationIntegritySchema = () =>
+  ensureSchema("location_integrity", LOCATION_INTEGRITY_SCHEMA_STATEMENTS);
+
+const EARTH_RADIUS_METERS = 6371000;
+// Punches further apart in time than this are not compared
+const TRAVEL_LOOKBACK_HOURS = 24;
+// Jumps shorter than this are GPS noise, however quickly they happen
+const MIN_TRAVEL_DISTANCE_METERS = 1000;
+
+const ANOMALY_TYPES = ["mock_location", "low_accuracy", "impossible_travel"];
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+const hasValue = (value) =>
+  value !== undefined && value !== null && value.toString().trim() !== "";
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+function haversineMeters(fromLat, fromLng, toLat, toLng) {
+  const dLat = toRadians(toLat - fromLat);
+  const dLng = toRadians(toLng - fromLng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(fromLat)) * Math.cos(toRadians(toLat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+const parseNumber = (value) => (hasValue(value) && Number.isFinite(Number(value)) ? Number(value) : null);
+
+const parseFlag = (value) => {
+  if (!hasValue(value)) {
+    return null;
+  }
+  const normalized = value.toString().trim().toLowerCase();
+  if (["true", "1", "yes"].includes(normalized)) return true;
+  if (["false", "0", "no"].includes(normalized)) return false;
+  return null;
+};
+
+/**
+ * Reads the device's location report from a punch payload: `accuracy` in
+ * metres and `mocked`, which Android sets when a mock-location app supplied
+ * the fix. Both stay null when the device did not send them.
+ */
+function parseLocationSignals(input = {}) {
+  const accuracy = parseNumber(input.accuracy);
+  return {
+    accuracyMeters: accuracy !== null && accuracy >= 0 ? accuracy : null,
+    mocked: parseFlag(input.mocked),
+  };
+}
+
+const roundTo = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Latest other punch with coordinates taken by the same account before this one
+async function findPreviousPunch(actorId, punchedAt, { attendanceId, punchType }) {
+  const { rows } = await pool.query(
+    `SELECT a.attendance_id, punch.punch_type, punch.punch_time,
+            punch.latitude, punch.longitude, punch.accuracy
+       FROM attendance a
+       CROSS JOIN LATERAL (
+         VALUES
+           ('IN', a.punched_in_by, a.punch_in_time,
+            NULLIF(a.latitude_in::text, '')::float8, NULLIF(a.longitude_in::text, '')::float8,
+            a.location_accuracy_in),
+           ('OUT', a.punched_out_by, a.punch_out_time,
+            NULLIF(a.latitude_out::text, '')::float8, NULLIF(a.longitude_out::text, '')::float8,
+            a.location_accuracy_out)
+       ) AS punch(punch_type, actor, punch_time, latitude, longitude, accuracy)
+      WHERE punch.actor = $1
+        AND punch.punch_time <= $2
+        AND punch.punch_time > $2 - ($3 * INTERVAL '1 hour')
+        AND punch.latitude IS NOT NULL
+        AND punch.longitude IS NOT NULL
+        AND NOT (a.attendance_id = $4 AND punch.punch_type = $5)
+      ORDER BY punch.punch_time DESC
+      LIMIT 1`,
+    [actorId, punchedAt, TRAVEL_LOOKBACK_HOURS, attendanceId, punchType]
+  );
+  return rows[0] ?? null;
+}
+
+/**
+ * Judges how far a punch location can be trusted.
+ *
+ * Returns `{ mockLocation, accuracyMeters, lowAccuracy, travel, impossibleTravel,
+ * anomalies }`. `travel` compares the punch with the previous one taken by
+ * the same account (`{ fromAttendanceId, distanceMeters, minutes, speedKmh }`,
+ * null when there is none to compare with); both fixes' reported accuracy is
+ * taken off the distance so a vague fix does not read as a jump.
+ */
+async function evaluateLocationIntegrity({
+  latitude,
+  longitude,
+  signals = {},
+  actorId = null,
+  punchedAt = new Date(),
+  attendanceId,
+  punchType,
+}) {
+  const { maxLocationAccuracyMeters, maxTravelSpeedKmh } = await getSettings();
+  const lat = parseNumber(latitude);
+  const lng = parseNumber(longitude);
+  const accuracyMeters = signals.accuracyMeters ?? null;
+
+  let travel = null;
+  if (actorId && lat !== null && lng !== null) {
+    await ensureLocationIntegritySchema();
+    const previous = await findPreviousPunch(actorId, punchedAt, {
+      attendanceId,
+      punchType: punchType === "IN" ? "IN" : "OUT",
+    });
+
+    if (previous) {
+      const distanceMeters = haversineMeters(previous.latitude, previous.longitude, lat, lng);
+      const uncertainty = (previous.accuracy ?? 0) + (accuracyMeters ?? 0);
+      const travelled = Math.max(distanceMeters - uncertainty, 0);
+      const seconds = Math.max(
+        (new Date(punchedAt).getTime() - new Date(previous.punch_time).getTime()) / 1000,
+        1
+      );
+
+      travel = {
+        fromAttendanceId: previous.attendance_id,
+        fromPunchType: previous.punch_type,
+        distanceMeters: roundTo(distanceMeters, 1),
+        minutes: roundTo(seconds / 60, 1),
+        speedKmh: travelled < MIN_TRAVEL_DISTANCE_METERS ? 0 : roundTo((travelled / seconds) * 3.6, 1),
+      };
+    }
+  }
+
+  const result = {
+    mockLocation: signals.mocked ?? null,
+    accuracyMeters,
+    lowAccuracy: accuracyMeters === null ? null : accuracyMeters > maxLocationAccuracyMeters,
+    travel,
+    impossibleTravel: travel ? travel.speedKmh > maxTravelSpeedKmh : null,
+  };
+  result.anomalies = [
+    result.mockLocation && "mock_location",
+    result.lowAccuracy && "low_accuracy",
+    result.impossibleTravel && "impossible_travel",
+  ].filter(Boolean);
+
+  return result;
+}
+
+/** Flagged punches, newest first, optionally narrowed to one anomaly type. */
+async function listLocationAnomalies({
+  from,
+  to,
+  type = null,
+  wardId = null,
+  limit = 100,
+  offset = 0,
+}) {
+  if (type && !ANOMALY_TYPES.includes(type)) {
+    throw buildError(`type must be one of: ${ANOMALY_TYPES.join(", ")}`, 400);
+  }
+
+  await Promise.all([ensureLocationIntegritySchema(), ensureGeofenceSchema()]);
+
+  const params = [from, to];
+  const conditions = [];
+  if (wardId) {
+    params.push(wardId);
+    conditions.push(`a.ward_id = $${params.length}`);
+  }
+  if (type) {
+    conditions.push(`punch.${type} IS TRUE`);
+  } else {
+    conditions.push(
+      "(punch.mock_location IS TRUE OR punch.low_accuracy IS TRUE OR punch.impossible_travel IS TRUE)"
+    );
+  }
+
+  const punchesSql = `
+       FROM attendance a
+       JOIN employee e ON e.emp_id = a.emp_id
+       CROSS JOIN LATERAL (
+         VALUES
+           ('IN', a.punch_in_time, a.punched_in_by, a.latitude_in::text, a.longitude_in::text,
+            a.in_address, a.location_accuracy_in, a.travel_speed_kmh_in,
+            a.mock_location_in, a.low_accuracy_in, a.impossible_travel_in, a.outside_fence_in),
+           ('OUT', a.punch_out_time, a.punched_out_by, a.latitude_out::text, a.longitude_out::text,
+            a.out_address, a.location_accuracy_out, a.travel_speed_kmh_out,
+            a.mock_location_out, a.low_accuracy_out, a.impossible_travel_out, a.outside_fence_out)
+       ) AS punch(punch_type, punch_time, punched_by, latitude, longitude, address,
+                  accuracy_meters, travel_speed_kmh,
+                  mock_location, low_accuracy, impossible_travel, outside_fence)`;
+  const where = `WHERE a.date BETWEEN $1::date AND $2::date
+        AND ${conditions.join(" AND ")}`;
+
+  const [{ rows }, { rows: summaryRows }] = await Promise.all([
+    pool.query(
+      `SELECT a.attendance_id, TO_CHAR(a.date, 'YYYY-MM-DD') AS date,
+              a.emp_id, e.emp_code, e.name AS employee_name,
+              a.ward_id, w.ward_name,
+              punch.punch_type, punch.punch_time, punch.punched_by, u.name AS punched_by_name,
+              punch.latitude, punch.longitude, punch.address,
+              punch.accuracy_meters, punch.travel_speed_kmh,
+              COALESCE(punch.mock_location, FALSE) AS mock_location,
+              COALESCE(punch.low_accuracy, FALSE) AS low_accuracy,
+              COALESCE(punch.impossible_travel, FALSE) AS impossible_travel,
+              punch.outside_fence
+       ${punchesSql}
+       LEFT JOIN wards w ON w.ward_id = a.ward_id
+       LEFT JOIN users u ON u.user_id = punch.punched_by
+      ${where}
+      ORDER BY punch.punch_time DESC NULLS LAST
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    pool.query(
+      `SELECT COUNT(*) AS punches,
+              COUNT(*) FILTER (WHERE punch.mock_location IS TRUE) AS mock_location,
+              COUNT(*) FILTER (WHERE punch.low_accuracy IS TRUE) AS low_accuracy,
+              COUNT(*) FILTER (WHERE punch.impossible_travel IS TRUE) AS impossible_travel
+       ${punchesSql}
+      ${where}`,
+      params
+    ),
+  ]);
+
+  const summary = summaryRows[0] ?? {};
+  return {
+    summary: {
+      punches: Number(summary.punches) || 0,
+      ...Object.fromEntries(ANOMALY_TYPES.map((key) => [key, Number(summary[key]) || 0])),
+    },
+    anomalies: rows,
+  };
+}
+
+module.exports = {
+  ANOMALY_TYPES,
+  ensureLocationIntegritySchema,
+  haversineMeters,
+  parseLocationSignals,
+  evaluateLocationIntegrity,
+  listLocationAnomalies,
+};
@@ -0,0 +1,290 @@
+const pool = require("../config/db");
+const ensureSchema = require("../utils/ensureSchema");
+const { getSettings } = require("./systemSettings");
+const { recordAuditEntry } = require("./auditLog");
+
+// Failed sign-ins are counted per account (keyed by the email typed, so
+// unknown addresses behave exactly like real ones) and per client address.
+// Reaching the limit writes a lockout row, which is only ever updated to
+// record an unlock, and an entry in the audit log.
+const LOGIN_PROTECTION_SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS login_failures (
+     scope TEXT NOT NULL CHECK (scope IN ('account', 'ip')),
+     subject TEXT NOT NULL,
+     failures INTEGER NOT NULL DEFAULT 0,
+     window_started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     last_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     PRIMARY KEY (scope, subject)
+   )`,
+  `CREATE TABLE IF NOT EXISTS login_lockouts (
+     lockout_id SERIAL PRIMARY KEY,
+     scope TEXT NOT NULL CHECK (scope IN ('account', 'ip')),
+     subject TEXT NOT NULL,
+     user_id INTEGER,
+     ip_address TEXT,
+     failed_attempts INTEGER NOT NULL,
+     lockout_level INTEGER NOT NULL DEFAULT 1,
+     locked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     locked_until TIMESTAMPTZ NOT NULL,
+     unlocked_at TIMESTAMPTZ,
+     unlocked_by INTEGER,
+     unlock_reason TEXT
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_login_lockouts_subject
+     ON login_lockouts (scope, subject, locked_at DESC)`,
+];
+
+const ensureLoginProtectionSchema = () =>
+  ensureSchema("login_protection", LOGIN_PROTECTION_SCHEMA_STATEMENTS);
+
+// Failures older than this no longer count towards a lockout
+const FAILURE_WINDOW_MINUTES = 60;
+// One office can sit behind a single address, so it gets more room than an account
+const IP_ATTEMPT_MULTIPLIER = 10;
+// Each repeat lockout within a day doubles the last one, up to a day
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+const accountSubject = (email) => (email || "").toString().trim().toLowerCase();
+
+const subjectsFor = ({ email, ipAddress }) =>
+  [
+    { scope: "account", subject: accountSubject(email) },
+    { scope: "ip", subject: ipAddress || "" },
+  ].filter((entry) => entry.subject);
+
+async function loginLimits() {
+  const { maxLoginAttempts, loginLockoutMinutes } = await getSettings();
+  return {
+    account: maxLoginAttempts,
+    ip: maxLoginAttempts * IP_ATTEMPT_MULTIPLIER,
+    lockoutMinutes: loginLockoutMinutes,
+  };
+}
+
+const describeLockout = (row) => ({
+  lockoutId: row.lockout_id,
+  scope: row.scope,
+  lockedUntil: new Date(row.locked_until).toISOString(),
+  retryAfterSeconds: Math.max(
+    1,
+    Math.ceil((new Date(row.locked_until).getTime() - Date.now()) / 1000)
+  ),
+});
+
+/** The lockout that currently blocks this email or address, or null. */
+async function getActiveLockout({ email, ipAddress }) {
+  const subjects = subjectsFor({ email, ipAddress });
+  if (!subjects.length) {
+    return null;
+  }
+
+  await ensureLoginProtectionSchema();
+  const { rows } = await pool.query(
+    `SELECT lockout_id, scope, locked_until
+       FROM login_lockouts
+      WHERE ((scope = 'account' AND subject = $1) OR (scope = 'ip' AND subject = $2))
+        AND unlocked_at IS NULL
+        AND locked_until > NOW()
+      ORDER BY locked_until DESC
+      LIMIT 1`,
+    [accountSubject(email), ipAddress || ""]
+  );
+  return rows[0] ? describeLockout(rows[0]) : null;
+}
+
+async function lockSubject({ scope, subject }, failures, { userId, ipAddress, lockoutMinutes }) {
+  const previous = await pool.query(
+    `SELECT COUNT(*)::int AS count
+       FROM login_lockouts
+      WHERE scope = $1 AND subject = $2
+        AND locked_at > NOW() - INTERVAL '24 hours'
+        AND unlocked_by IS NULL`,
+    [scope, subject]
+  );
+  const level = previous.rows[0].count + 1;
+  const minutes = Math.min(lockoutMinutes * 2 ** (level - 1), MAX_LOCKOUT_MINUTES);
+
+  const { rows } = await pool.query(
+    `INSERT INTO login_lockouts
+       (scope, subject, user_id, ip_address, failed_attempts, lockout_level, locked_until)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7 * INTERVAL '1 minute'))
+     RETURNING lockout_id, scope, locked_until`,
+    [scope, subject, scope === "account" ? userId : null, ipAddress, failures, level, minutes]
+  );
+  // The counter starts over once the lockout has been served
+  await pool.query("DELETE FROM login_failures WHERE scope = $1 AND subject = $2", [
+    scope,
+    subject,
+  ]);
+
+  console.warn(
+    `Login lockout ${rows[0].lockout_id}: ${scope} ${subject} locked for ${minutes} minutes after ${failures} failed attempts`
+  );
+  await recordAuditEntry({
+    action: "auth.lockout",
+    entityType: scope === "account" ? "user" : "ip",
+    entityId: scope === "account" ? userId ?? subject : subject,
+    after: { lockout_id: rows[0].lockout_id, locked_until: rows[0].locked_until, level },
+    metadata: { scope, subject, failed_attempts: failures, minutes },
+    ipAddress,
+  }).catch((error) => console.error("Audit log write failed:", error));
+  return describeLockout(rows[0]);
+}
+
+/**
+ * Counts a failed sign-in against the email and the client address. Returns
+ * how many attempts are left before a lockout, and the lockout when this
+ * failure triggered one.
+ */
+async function recordLoginFailure({ email, userId = null, ipAddress = null }) {
+  await ensureLoginProtectionSchema();
+  const limits = await loginLimits();
+  let remainingAttempts = null;
+  let lockout = null;
+
+  for (const entry of subjectsFor({ email, ipAddress })) {
+    const { rows } = await pool.query(
+      `INSERT INTO login_failures (scope, subject, failures)
+       VALUES ($1, $2, 1)
+       ON CONFLICT (scope, subject) DO UPDATE
+         SET failures = CASE
+               WHEN login_failures.window_started_at < NOW() - ($3 * INTERVAL '1 minute') THEN 1
+               ELSE login_failures.failures + 1
+             END,
+             window_started_at = CASE
+               WHEN login_failures.window_started_at < NOW() - ($3 * INTERVAL '1 minute') THEN NOW()
+               ELSE login_failures.window_started_at
+             END,
+             last_failed_at = NOW()
+       RETURNING failures`,
+      [entry.scope, entry.subject, FAILURE_WINDOW_MINUTES]
+    );
+    const failures = rows[0].failures;
+    const limit = limits[entry.scope];
+
+    if (failures >= limit) {
+      const locked = await lockSubject(entry, failures, {
+        userId,
+        ipAddress,
+        lockoutMinutes: limits.lockoutMinutes,
+      });
+      lockout = lockout || locked;
+      remainingAttempts = 0;
+    } else if (remainingAttempts === null || limit - failures < remainingAttempts) {
+      remainingAttempts = limit - failures;
+    }
+  }
+
+  return { remainingAttempts, lockout };
+}
+
+/** A successful sign-in clears the account's failure count. */
+async function recordLoginSuccess({ email }) {
+  const subject = accountSubject(email);
+  if (!subject) {
+    return;
+  }
+  await ensureLoginProtectionSchema();
+  await pool.query("DELETE FROM login_failures WHERE scope = 'account' AND subject = $1", [
+    subject,
+  ]);
+}
+
+async function listLockouts({ activeOnly = true, userId = null, limit = 100 } = {}) {
+  await ensureLoginProtectionSchema();
+  const conditions = [];
+  const params = [];
+
+  if (activeOnly) {
+    conditions.push("l.unlocked_at IS NULL AND l.locked_until > NOW()");
+  }
+  if (userId) {
+    params.push(userId);
+    conditions.push(`l.user_id = $${params.length}`);
+  }
+  params.push(limit);
+
+  const { rows } = await pool.query(
+    `SELECT l.*, u.name AS user_name, u.email AS user_email,
+            (l.unlocked_at IS NULL AND l.locked_until > NOW()) AS active
+       FROM login_lockouts l
+       LEFT JOIN users u ON u.user_id = l.user_id
+     ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY l.locked_at DESC
+      LIMIT $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+/** Lifts a lockout early. Throws 404 for unknown IDs and 409 when it already ended. */
+async function unlockLockout(lockoutId, { unlockedBy, reason = "unlocked_by_admin" }) {
+  if (!Number.isInteger(lockoutId) || lockoutId <= 0) {
+    throw buildError("Invalid lockout ID", 400);
+  }
+
+  await ensureLoginProtectionSchema();
+  const { rows } = await pool.query(
+    `UPDATE login_lockouts
+        SET unlocked_at = NOW(), unlocked_by = $2, unlock_reason = $3
+      WHERE lockout_id = $1 AND unlocked_at IS NULL AND locked_until > NOW()
+      RETURNING *`,
+    [lockoutId, unlockedBy, reason]
+  );
+
+  if (!rows[0]) {
+    const existing = await pool.query("SELECT 1 FROM login_lockouts WHERE lockout_id = $1", [
+      lockoutId,
+    ]);
+    throw existing.rows.length
+      ? buildError("Lockout has already ended", 409)
+      : buildError("Lockout not found", 404);
+  }
+
+  await pool.query("DELETE FROM login_failures WHERE scope = $1 AND subject = $2", [
+    rows[0].scope,
+    rows[0].subject,
+  ]);
+  return rows[0];
+}
+
+/** Lifts every active lockout on a user's account. Returns how many were lifted. */
+async function unlockUser(userId, { unlockedBy, reason = "unlocked_by_admin" }) {
+  await ensureLoginProtectionSchema();
+  const { rows: users } = await pool.query("SELECT email FROM users WHERE user_id = $1", [userId]);
+  if (!users[0]) {
+    throw buildError("User not found", 404);
+  }
+
+  const subject = accountSubject(users[0].email);
+  const result = await pool.query(
+    `UPDATE login_lockouts
+        SET unlocked_at = NOW(), unlocked_by = $2, unlock_reason = $3
+      WHERE scope = 'account' AND subject = $1
+        AND unlocked_at IS NULL AND locked_until > NOW()`,
+    [subject, unlockedBy, reason]
+  );
+  await pool.query("DELETE FROM login_failures WHERE scope = 'account' AND subject = $1", [
+    subject,
+  ]);
+  return result.rowCount;
+}
+
+module.exports = {
+  ensureLoginProtectionSchema,
+  getActiveLockout,
+  recordLoginFailure,
+  recordLoginSuccess,
+  listLockouts,
+  unlockLockout,
+  unlockUser,
+};
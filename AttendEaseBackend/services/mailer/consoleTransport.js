@@ -0,0 +1,18 @@
+const crypto = require("crypto");
+
+// Development transport: the message only appears in the server log.
+function createConsoleTransport() {
+  return {
+    name: "console",
+
+    async send({ to, from, subject, text }) {
+      const messageId = crypto.randomUUID();
+      console.log(
+        [`--- mail ${messageId} ---`, `From: ${from}`, `To: ${to}`, `Subject: ${subject}`, "", text, "---"].join("\n")
+      );
+      return { messageId };
+    },
+  };
+}
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,37 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Development transport: one .eml file per message, readable by any mail client.
+function createFileTransport({ directory }) {
+  const outbox = path.resolve(directory);
+
+  return {
+    name: "file",
+    directory: outbox,
+
+    async send({ to, from, subject, text }) {
+      const messageId = crypto.randomUUID();
+      const message = [
+        `Message-ID: <${messageId}@attendease.local>`,
+        `Date: ${new Date().toUTCString()}`,
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        "Content-Type: text/plain; charset=utf-8",
+        "",
+        text,
+        "",
+      ].join("\r\n");
+
+      await fs.promises.mkdir(outbox, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(outbox, `${Date.now()}_${messageId}.eml`),
+        message
+      );
+      return { messageId };
+    },
+  };
+}
+
+module.exports = createFileTransport;
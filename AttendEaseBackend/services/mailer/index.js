@@ -0,0 +1,54 @@
+const path = require("path");
+const createConsoleTransport = require("./consoleTransport");
+const createFileTransport = require("./fileTransport");
+
+/**
+ * Outgoing mail goes through the transport chosen by MAIL_TRANSPORT:
+ *   console (default) - prints each message to the server log
+ *   file              - writes each message to MAIL_FILE_DIR (default mail-outbox/)
+ *
+ * Transports expose:
+ *   send({ to, from, subject, text }) -> { messageId }
+ * A production transport (SMTP, SES, ...) only needs to implement send().
+ */
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+let activeTransport = null;
+
+function getMailer() {
+  if (!activeTransport) {
+    const name = (process.env.MAIL_TRANSPORT || "console").trim().toLowerCase();
+    const factory = TRANSPORTS[name];
+    if (!factory) {
+      throw new Error(
+        `Unknown MAIL_TRANSPORT "${name}"; expected one of ${Object.keys(TRANSPORTS).join(", ")}`
+      );
+    }
+
+    activeTransport = factory({
+      directory:
+        (process.env.MAIL_FILE_DIR || "").trim() ||
+        path.join(__dirname, "..", "..", "mail-outbox"),
+    });
+    console.log(`Mail transport: ${activeTransport.name}`);
+  }
+
+  return activeTransport;
+}
+
+async function sendMail({ to, subject, text }) {
+  return getMailer().send({
+    to,
+    from: (process.env.MAIL_FROM || "").trim() || "AttendEase <no-reply@attendease.local>",
+    subject,
+    text,
+  });
+}
+
+module.exports = {
+  getMailer,
+  sendMail,
+};
@@ -0,0 +1,233 @@
+const pool = require("../config/db");
+const ensureSchema = require("../utils/ensureSchema");
+
+// Every punch captured while the device was offline carries a client-generated
+// idempotency key. The receipt is claimed before the punch is applied, so a
+// retried batch returns the stored outcome instead of punching twice. Keys are
+// scoped to the submitting user, so nobody can read or take over another
+// user's receipt by sending the same key.
+const OFFLINE_PUNCH_SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS offline_punch_receipts (
+     idempotency_key TEXT NOT NULL,
+     submitted_by INTEGER NOT NULL,
+     mode TEXT NOT NULL CHECK (mode IN ('face', 'group')),
+     emp_id INTEGER,
+     punch_type TEXT NOT NULL CHECK (punch_type IN ('IN', 'OUT')),
+     captured_at TIMESTAMPTZ NOT NULL,
+     status TEXT NOT NULL DEFAULT 'processing'
+       CHECK (status IN ('processing', 'applied', 'rejected')),
+     attendance_id INTEGER,
+     result JSONB,
+     received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     completed_at TIMESTAMPTZ
+   )`,
+  // Receipts used to be keyed by idempotency_key alone, with submitted_by
+  // optional. One without a submitter cannot be scoped to a user, so it is
+  // dropped; a device retrying its key has the punch checked again as new.
+  `ALTER TABLE offline_punch_receipts DROP CONSTRAINT IF EXISTS offline_punch_receipts_pkey`,
+  `DELETE FROM offline_punch_receipts WHERE submitted_by IS NULL`,
+  `ALTER TABLE offline_punch_receipts ALTER COLUMN submitted_by SET NOT NULL`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_offline_punch_receipts_owner_key
+     ON offline_punch_receipts (submitted_by, idempotency_key)`,
+  `CREATE INDEX IF NOT EXISTS idx_offline_punch_receipts_emp
+     ON offline_punch_receipts (emp_id, captured_at)`,
+  `ALTER TABLE attendance
+     ADD COLUMN IF NOT EXISTS synced_in_at TIMESTAMPTZ,
+     ADD COLUMN IF NOT EXISTS synced_out_at TIMESTAMPTZ`,
+];
+
+const ensureOfflinePunchSchema = () =>
+  ensureSchema("offline_punch_receipts", OFFLINE_PUNCH_SCHEMA_STATEMENTS);
+
+const MAX_BATCH_SIZE = 20;
+// Captures older than this are too stale to trust; raise a regularization instead.
+const MAX_CAPTURE_AGE_HOURS = 72;
+// Device clocks drift; tolerate a capture time slightly ahead of the server.
+const CLOCK_SKEW_MINUTES = 5;
+// A claim left in 'processing' this long belongs to a request that died mid-way.
+const STALE_CLAIM_MINUTES = 10;
+
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+const MODES = new Set(["face", "group"]);
+const PUNCH_TYPES = new Set(["IN", "OUT"]);
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+const hasValue = (value) =>
+  value !== undefined && value !== null && value.toString().trim() !== "";
+
+function parseBatch(rawPunches) {
+  let punches = rawPunches;
+  if (typeof punches === "string") {
+    try {
+      punches = JSON.parse(punches);
+    } catch (error) {
+      throw buildError("Invalid sync batch", 400, "punches must be a JSON array");
+    }
+  }
+
+  if (!Array.isArray(punches) || punches.length === 0) {
+    throw buildError("Invalid sync batch", 400, "punches must be a non-empty array");
+  }
+  if (punches.length > MAX_BATCH_SIZE) {
+    throw buildError(
+      "Invalid sync batch",
+      400,
+      `At most ${MAX_BATCH_SIZE} punches can be synced at once`
+    );
+  }
+
+  return punches;
+}
+
+/**
+ * Validates one queued punch. Throws a 400 error listing every problem so the
+ * device can drop the entry instead of retrying it forever.
+ */
+function validateOfflinePunch(raw, { now = new Date() } = {}) {
+  const errors = {};
+  const input = raw && typeof raw === "object" ? raw : {};
+
+  const key = hasValue(input.idempotency_key) ? input.idempotency_key.toString().trim() : "";
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    errors.idempotency_key = "Must be 8-100 letters, digits, '-' or '_'";
+  }
+
+  const mode = hasValue(input.mode) ? input.mode.toString().trim().toLowerCase() : "face";
+  if (!MODES.has(mode)) {
+    errors.mode = "Must be 'face' or 'group'";
+  }
+
+  const punchType = hasValue(input.punch_type)
+    ? input.punch_type.toString().trim().toUpperCase()
+    : "";
+  if (!PUNCH_TYPES.has(punchType)) {
+    errors.punch_type = "Must be IN or OUT";
+  }
+
+  let empId = null;
+  if (mode === "face") {
+    empId = Number(input.emp_id);
+    if (!Number.isInteger(empId) || empId <= 0) {
+      errors.emp_id = "Employee is required for individual punches";
+      empId = null;
+    }
+  }
+
+  const capturedAt = hasValue(input.captured_at) ? new Date(input.captured_at) : null;
+  if (!capturedAt || Number.isNaN(capturedAt.getTime())) {
+    errors.captured_at = "Capture time must be an ISO timestamp";
+  } else if (capturedAt.getTime() > now.getTime() + CLOCK_SKEW_MINUTES * 60000) {
+    errors.captured_at = "Capture time is in the future; check the device clock";
+  } else if (capturedAt.getTime() < now.getTime() - MAX_CAPTURE_AGE_HOURS * 3600000) {
+    errors.captured_at = `Captures older than ${MAX_CAPTURE_AGE_HOURS} hours cannot be synced; submit a regularization instead`;
+  }
+
+  const hasLocation = hasValue(input.latitude) && hasValue(input.longitude);
+  if (
+    hasLocation &&
+    (!Number.isFinite(Number(input.latitude)) || !Number.isFinite(Number(input.longitude)))
+  ) {
+    errors.location = "Latitude and longitude must be numbers";
+  }
+
+  if (Object.keys(errors).length) {
+    throw buildError("Invalid offline punch", 400, errors);
+  }
+
+  return {
+    key,
+    mode,
+    empId,
+    punchType,
+    capturedAt,
+    location: {
+      latitude: hasLocation ? input.latitude : null,
+      longitude: hasLocation ? input.longitude : null,
+      address: input.address ?? "",
+      accuracy: input.accuracy ?? null,
+      mocked: input.mocked ?? null,
+    },
+  };
+}
+
+/**
+ * Claims the actor's idempotency key for processing. Returns { claimed: true }
+ * for a new key, otherwise the actor's existing receipt so the caller can
+ * replay its outcome.
+ */
+async function claimOfflinePunch(punch, { actorId }) {
+  await ensureOfflinePunchSchema();
+
+  const { rows } = await pool.query(
+    `INSERT INTO offline_punch_receipts
+       (idempotency_key, submitted_by, mode, emp_id, punch_type, captured_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (submitted_by, idempotency_key) DO UPDATE
+       SET received_at = NOW()
+     WHERE offline_punch_receipts.status = 'processing'
+       AND offline_punch_receipts.received_at < NOW() - make_interval(mins => $7)
+     RETURNING idempotency_key`,
+    [
+      punch.key,
+      actorId,
+      punch.mode,
+      punch.empId,
+      punch.punchType,
+      punch.capturedAt,
+      STALE_CLAIM_MINUTES,
+    ]
+  );
+
+  if (rows.length) {
+    return { claimed: true, receipt: null };
+  }
+
+  const existing = await pool.query(
+    `SELECT idempotency_key, status, attendance_id, result,
+            received_at, completed_at
+       FROM offline_punch_receipts
+      WHERE submitted_by = $1 AND idempotency_key = $2`,
+    [actorId, punch.key]
+  );
+  return { claimed: false, receipt: existing.rows[0] ?? null };
+}
+
+async function completeOfflinePunch(key, { actorId, status, attendanceId = null, result = null }) {
+  await pool.query(
+    `UPDATE offline_punch_receipts
+        SET status = $3,
+            attendance_id = $4,
+            result = $5,
+            completed_at = NOW()
+      WHERE submitted_by = $1 AND idempotency_key = $2`,
+    [actorId, key, status, attendanceId, result ? JSON.stringify(result) : null]
+  );
+}
+
+// Frees a claim after a transient failure so the device can retry the same key.
+async function releaseOfflinePunch(key, { actorId }) {
+  await pool.query(
+    `DELETE FROM offline_punch_receipts
+      WHERE submitted_by = $1 AND idempotency_key = $2 AND status = 'processing'`,
+    [actorId, key]
+  );
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  MAX_CAPTURE_AGE_HOURS,
+  ensureOfflinePunchSchema,
+  parseBatch,
+  validateOfflinePunch,
+  claimOfflinePunch,
+  completeOfflinePunch,
+  releaseOfflinePunch,
+};
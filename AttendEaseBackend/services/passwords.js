@@ -0,0 +1,247 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const pool = require("../config/db");
+const ensureSchema = require("../utils/ensureSchema");
+const { sendMail } = require("./mailer");
+const { revokeUserSessions } = require("./sessions");
+
+// Accounts created by an admin (or the one-time admin setup) start with
+// must_change_password set and cannot use the API until the user picks their
+// own password. Reset tokens are single-use and stored only as hashes.
+const PASSWORD_SCHEMA_STATEMENTS = [
+  `ALTER TABLE users
+     ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE,
+     ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ`,
+  `CREATE TABLE IF NOT EXISTS password_reset_tokens (
+     token_hash TEXT PRIMARY KEY,
+     user_id INTEGER NOT NULL,
+     requested_ip TEXT,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     expires_at TIMESTAMPTZ NOT NULL,
+     used_at TIMESTAMPTZ
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user
+     ON password_reset_tokens (user_id, created_at DESC)`,
+];
+
+const ensurePasswordSchema = () =>
+  ensureSchema("password_management", PASSWORD_SCHEMA_STATEMENTS);
+
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128;
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+// At most this many reset mails per account per hour
+const MAX_RESETS_PER_HOUR = 3;
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Password policy: 8-128 characters with upper- and lower-case letters and a
+ * digit, and not containing the account's email name. Throws a 400 listing
+ * every rule the password breaks.
+ */
+function validatePasswordPolicy(password, { email = null } = {}) {
+  if (typeof password !== "string" || password.length === 0) {
+    throw buildError("Password is required", 400);
+  }
+
+  const problems = [];
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    problems.push(`at least ${PASSWORD_MIN_LENGTH} characters`);
+  }
+  if (password.length > PASSWORD_MAX_LENGTH) {
+    problems.push(`at most ${PASSWORD_MAX_LENGTH} characters`);
+  }
+  if (!/[a-z]/.test(password)) {
+    problems.push("a lower-case letter");
+  }
+  if (!/[A-Z]/.test(password)) {
+    problems.push("an upper-case letter");
+  }
+  if (!/\d/.test(password)) {
+    problems.push("a digit");
+  }
+
+  const emailName = (email || "").split("@")[0].toLowerCase();
+  if (emailName.length >= 3 && password.toLowerCase().includes(emailName)) {
+    problems.push("no part of your email address");
+  }
+
+  if (problems.length) {
+    throw buildError("Password does not meet the policy", 400, `Use ${problems.join(", ")}.`);
+  }
+}
+
+async function validateNewPassword(password, { email, currentHash }) {
+  validatePasswordPolicy(password, { email });
+  if (currentHash && (await bcrypt.compare(password, currentHash))) {
+    throw buildError("New password must differ from the current one", 400);
+  }
+}
+
+async function hashPassword(password) {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+}
+
+// Temporary passwords satisfy the policy so they can be used once to sign in.
+function generateTemporaryPassword() {
+  const body = crypto.randomBytes(9).toString("base64url");
+  return `${body}Aa1`;
+}
+
+async function setPassword(userId, password, { mustChange = false } = {}) {
+  await ensurePasswordSchema();
+  const result = await pool.query(
+    `UPDATE users
+        SET password_hash = $2,
+            must_change_password = $3,
+            password_changed_at = NOW()
+      WHERE user_id = $1`,
+    [userId, await hashPassword(password), mustChange]
+  );
+  if (result.rowCount === 0) {
+    throw buildError("User not found", 404);
+  }
+}
+
+/**
+ * Changes the signed-in user's password after checking the current one.
+ * Every other session of the user is signed out.
+ */
+async function changePassword(userId, { currentPassword, newPassword, sessionId = null }) {
+  await ensurePasswordSchema();
+  const { rows } = await pool.query(
+    "SELECT user_id, email, password_hash FROM users WHERE user_id = $1",
+    [userId]
+  );
+  const user = rows[0];
+  if (!user) {
+    throw buildError("User not found", 404);
+  }
+  if (!currentPassword || !(await bcrypt.compare(currentPassword, user.password_hash))) {
+    throw buildError("Current password is incorrect", 400);
+  }
+
+  await validateNewPassword(newPassword, { email: user.email, currentHash: user.password_hash });
+  await setPassword(userId, newPassword, { mustChange: false });
+  await revokeUserSessions(userId, {
+    revokedBy: userId,
+    reason: "password_changed",
+    exceptSessionId: sessionId,
+  });
+}
+
+/**
+ * Mails a reset token to the account with this email. Unknown addresses are
+ * ignored silently so the endpoint does not reveal which accounts exist.
+ */
+async function requestPasswordReset(email, { ipAddress = null } = {}) {
+  const normalizedEmail = (email || "").toString().trim().toLowerCase();
+  if (!normalizedEmail) {
+    throw buildError("Email is required", 400);
+  }
+
+  await ensurePasswordSchema();
+  const { rows } = await pool.query(
+    "SELECT user_id, name, email FROM users WHERE LOWER(email) = $1",
+    [normalizedEmail]
+  );
+  const user = rows[0];
+  if (!user) {
+    return;
+  }
+
+  const recent = await pool.query(
+    `SELECT COUNT(*)::int AS count
+       FROM password_reset_tokens
+      WHERE user_id = $1 AND created_at > NOW() - INTERVAL '1 hour'`,
+    [user.user_id]
+  );
+  if (recent.rows[0].count >= MAX_RESETS_PER_HOUR) {
+    console.warn(`Password reset throttled for user ${user.user_id}`);
+    return;
+  }
+
+  const token = crypto.randomBytes(24).toString("base64url");
+  await pool.query(
+    `INSERT INTO password_reset_tokens (token_hash, user_id, requested_ip, expires_at)
+     VALUES ($1, $2, $3, NOW() + ($4 * INTERVAL '1 minute'))`,
+    [hashToken(token), user.user_id, ipAddress, RESET_TOKEN_TTL_MINUTES]
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your AttendEase password",
+    text: [
+      `Hello ${user.name || ""},`.trim(),
+      "",
+      "Use this code in the AttendEase app to choose a new password:",
+      "",
+      token,
+      "",
+      `The code expires in ${RESET_TOKEN_TTL_MINUTES} minutes and works once.`,
+      "If you did not ask for a reset, ignore this message.",
+    ].join("\n"),
+  });
+}
+
+/** Sets a new password with a reset token and signs the user out everywhere. */
+async function resetPassword(token, newPassword) {
+  if (!token || typeof token !== "string") {
+    throw buildError("Reset code is required", 400);
+  }
+
+  await ensurePasswordSchema();
+  const { rows } = await pool.query(
+    `SELECT t.user_id, u.email, u.password_hash
+       FROM password_reset_tokens t
+       JOIN users u ON u.user_id = t.user_id
+      WHERE t.token_hash = $1 AND t.used_at IS NULL AND t.expires_at > NOW()`,
+    [hashToken(token.trim())]
+  );
+  const match = rows[0];
+  if (!match) {
+    throw buildError("Reset code is invalid or has expired", 400);
+  }
+
+  await validateNewPassword(newPassword, { email: match.email, currentHash: match.password_hash });
+
+  // Claim the token first so two concurrent resets cannot both succeed
+  const claimed = await pool.query(
+    `UPDATE password_reset_tokens
+        SET used_at = NOW()
+      WHERE token_hash = $1 AND used_at IS NULL`,
+    [hashToken(token.trim())]
+  );
+  if (claimed.rowCount === 0) {
+    throw buildError("Reset code is invalid or has expired", 400);
+  }
+
+  await setPassword(match.user_id, newPassword, { mustChange: false });
+  await pool.query(
+    "UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL",
+    [match.user_id]
+  );
+  await revokeUserSessions(match.user_id, { reason: "password_reset" });
+}
+
+module.exports = {
+  PASSWORD_MIN_LENGTH,
+  ensurePasswordSchema,
+  validatePasswordPolicy,
+  hashPassword,
+  generateTemporaryPassword,
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+};
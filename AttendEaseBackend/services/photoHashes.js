@@ -0,0 +1,308 @@
+const sharp = require("sharp");
+const pool = require("../config/db");
+const ensureSchema = require("../utils/ensureSchema");
+const { getSettings } = require("./systemSettings");
+
+// Every stored punch photo gets a 64-bit perceptual hash. A new photo whose
+// hash is within a few bits of an earlier one is the same picture sent again
+// (re-saved, resized or re-compressed), whoever it was sent for.
+const PHOTO_HASH_SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS punch_photo_hashes (
+     hash_id SERIAL PRIMARY KEY,
+     attendance_id INTEGER NOT NULL,
+     emp_id INTEGER,
+     punch_type TEXT NOT NULL CHECK (punch_type IN ('IN', 'OUT')),
+     phash BIT(64) NOT NULL,
+     image_url TEXT,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_punch_photo_hashes_created
+     ON punch_photo_hashes (created_at DESC)`,
+  `CREATE TABLE IF NOT EXISTS punch_photo_flags (
+     flag_id SERIAL PRIMARY KEY,
+     attendance_id INTEGER NOT NULL,
+     emp_id INTEGER,
+     punch_type TEXT NOT NULL,
+     outcome TEXT NOT NULL CHECK (outcome IN ('flagged', 'rejected')),
+     image_url TEXT,
+     matched_hash_id INTEGER NOT NULL REFERENCES punch_photo_hashes(hash_id),
+     distance INTEGER NOT NULL,
+     same_employee BOOLEAN NOT NULL,
+     status TEXT NOT NULL DEFAULT 'pending'
+       CHECK (status IN ('pending', 'dismissed', 'confirmed')),
+     reviewed_by INTEGER,
+     reviewed_at TIMESTAMPTZ,
+     review_comment TEXT,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_punch_photo_flags_status
+     ON punch_photo_flags (status, created_at DESC)`,
+];
+
+const ensurePhotoHashSchema = () =>
+  ensureSchema("punch_photo_hashes", PHOTO_HASH_SCHEMA_STATEMENTS);
+
+// Same reading as processPunch: anything but IN is a punch-out
+const normalizePunchType = (punchType) => (punchType === "IN" ? "IN" : "OUT");
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+// The 9x8 hash grid is averaged from a larger thumbnail, which keeps the hash
+// stable when a photo is resized or re-compressed
+const HASH_COLUMNS = 9;
+const HASH_ROWS = 8;
+const HASH_BLOCK = 8;
+
+/**
+ * Difference hash: a 9x8 grayscale grid where each bit says whether a cell is
+ * brighter than its right-hand neighbour. Returned as a string of 64 "0"/"1"
+ * characters, the text form of a BIT(64) value.
+ */
+async function computePhotoHash(imageBuffer) {
+  const width = HASH_COLUMNS * HASH_BLOCK;
+  const pixels = await sharp(imageBuffer)
+    .rotate()
+    .grayscale()
+    .resize(width, HASH_ROWS * HASH_BLOCK, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  const cell = (row, column) => {
+    let total = 0;
+    for (let y = 0; y < HASH_BLOCK; y += 1) {
+      for (let x = 0; x < HASH_BLOCK; x += 1) {
+        total += pixels[(row * HASH_BLOCK + y) * width + column * HASH_BLOCK + x];
+      }
+    }
+    return total;
+  };
+
+  let bits = "";
+  for (let row = 0; row < HASH_ROWS; row += 1) {
+    for (let column = 0; column < HASH_COLUMNS - 1; column += 1) {
+      bits += cell(row, column) > cell(row, column + 1) ? "1" : "0";
+    }
+  }
+  return bits;
+}
+
+// Runs on every punch, so only photos inside the lookback window (found
+// through the created_at index) are compared, and the Hamming distance, counted
+// from the XOR's text form, is computed once per candidate
+async function findClosestPhoto(hash, { attendanceId, punchType, maxDistance, lookbackDays }) {
+  const { rows } = await pool.query(
+    `SELECT *
+       FROM (SELECT h.hash_id, h.attendance_id, h.emp_id, h.punch_type, h.created_at,
+                    length(replace((h.phash # $1::bit(64))::text, '0', '')) AS distance
+               FROM punch_photo_hashes h
+              WHERE h.created_at > NOW() - ($2 * INTERVAL '1 day')
+                AND NOT (h.attendance_id = $3 AND h.punch_type = $4)) candidates
+      WHERE distance <= $5
+      ORDER BY distance, created_at DESC
+      LIMIT 1`,
+    [hash, lookbackDays, attendanceId, punchType, maxDistance]
+  );
+  return rows[0] ?? null;
+}
+
+async function insertFlag({ attendanceId, empId, punchType, outcome, imageUrl = null, match }) {
+  const { rows } = await pool.query(
+    `INSERT INTO punch_photo_flags
+       (attendance_id, emp_id, punch_type, outcome, image_url, matched_hash_id, distance, same_employee)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING flag_id, outcome, distance, same_employee`,
+    [
+      attendanceId,
+      empId,
+      punchType,
+      outcome,
+      imageUrl,
+      match.hash_id,
+      match.distance,
+      empId !== null && Number(match.emp_id) === Number(empId),
+    ]
+  );
+  return rows[0];
+}
+
+/**
+ * Hashes a punch photo before it is stored and looks for an earlier punch
+ * with (nearly) the same picture. With `rejectDuplicatePhotos` on a match is
+ * logged as a rejected attempt and thrown as a 409; otherwise it is returned
+ * so recordPunchPhoto can flag the punch once it is saved.
+ */
+async function checkPunchPhoto(imageBuffer, { attendanceId, empId = null, punchType }) {
+  let hash;
+  try {
+    hash = await computePhotoHash(imageBuffer);
+  } catch (error) {
+    // An image sharp cannot read is left to the rest of the punch flow
+    console.error("Punch photo hash failed:", error?.message || error);
+    return null;
+  }
+
+  await ensurePhotoHashSchema();
+  const { rejectDuplicatePhotos, duplicatePhotoDistance, duplicatePhotoLookbackDays } =
+    await getSettings();
+  const match = await findClosestPhoto(hash, {
+    attendanceId,
+    punchType: normalizePunchType(punchType),
+    maxDistance: duplicatePhotoDistance,
+    lookbackDays: duplicatePhotoLookbackDays,
+  });
+
+  if (match && rejectDuplicatePhotos) {
+    const flag = await insertFlag({
+      attendanceId,
+      empId,
+      punchType: normalizePunchType(punchType),
+      outcome: "rejected",
+      match,
+    });
+    throw buildError("Photo matches an earlier punch", 409, {
+      flag_id: flag.flag_id,
+      same_employee: flag.same_employee,
+      matched_punch_type: match.punch_type,
+      matched_at: match.created_at,
+    });
+  }
+
+  return { hash, match };
+}
+
+/** Stores the hash of a saved punch photo and flags it when it matched. */
+async function recordPunchPhoto(check, { attendanceId, empId = null, punchType, imageUrl = null }) {
+  if (!check) {
+    return null;
+  }
+
+  await pool.query(
+    `INSERT INTO punch_photo_hashes (attendance_id, emp_id, punch_type, phash, image_url)
+     VALUES ($1, $2, $3, $4::bit(64), $5)`,
+    [attendanceId, empId, normalizePunchType(punchType), check.hash, imageUrl]
+  );
+
+  if (!check.match) {
+    return null;
+  }
+  return insertFlag({
+    attendanceId,
+    empId,
+    punchType: normalizePunchType(punchType),
+    outcome: "flagged",
+    imageUrl,
+    match: check.match,
+  });
+}
+
+const FLAG_SELECT = `
+  SELECT f.*, a.date AS attendance_date,
+         e.name AS employee_name, e.emp_code, w.ward_name,
+         h.attendance_id AS matched_attendance_id, h.emp_id AS matched_emp_id,
+         h.punch_type AS matched_punch_type, h.image_url AS matched_image_url,
+         h.created_at AS matched_at,
+         me.name AS matched_employee_name, me.emp_code AS matched_emp_code,
+         u.name AS reviewed_by_name
+    FROM punch_photo_flags f
+    JOIN punch_photo_hashes h ON h.hash_id = f.matched_hash_id
+    LEFT JOIN attendance a ON a.attendance_id = f.attendance_id
+    LEFT JOIN employee e ON e.emp_id = f.emp_id
+    LEFT JOIN wards w ON w.ward_id = e.ward_id
+    LEFT JOIN employee me ON me.emp_id = h.emp_id
+    LEFT JOIN users u ON u.user_id = f.reviewed_by`;
+
+async function listPhotoFlags({
+  status = null,
+  empId = null,
+  wardId = null,
+  from = null,
+  to = null,
+  limit = 50,
+  offset = 0,
+} = {}) {
+  await ensurePhotoHashSchema();
+
+  const params = [];
+  const conditions = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace("?", `$${params.length}`));
+  };
+
+  if (status) add("f.status = ?", status);
+  if (empId) add("? IN (f.emp_id, h.emp_id)", empId);
+  if (wardId) add("e.ward_id = ?", wardId);
+  if (from) add("f.created_at >= ?::date", from);
+  if (to) add("f.created_at < ?::date + 1", to);
+
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const [{ rows }, { rows: countRows }] = await Promise.all([
+    pool.query(
+      `${FLAG_SELECT}
+        ${where}
+        ORDER BY f.created_at DESC, f.flag_id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    pool.query(
+      `SELECT COUNT(*) AS total
+         FROM punch_photo_flags f
+         JOIN punch_photo_hashes h ON h.hash_id = f.matched_hash_id
+         LEFT JOIN employee e ON e.emp_id = f.emp_id
+        ${where}`,
+      params
+    ),
+  ]);
+
+  return { flags: rows, total: Number(countRows[0]?.total) || 0 };
+}
+
+/**
+ * Records an admin's verdict on a pending flag: "confirmed" when the photo
+ * really was reused, "dismissed" when the match was a coincidence.
+ */
+async function reviewPhotoFlag(flagId, { status, comment = null }, { actorId = null } = {}) {
+  if (!["confirmed", "dismissed"].includes(status)) {
+    throw buildError('status must be "confirmed" or "dismissed"', 400);
+  }
+  if (!Number.isInteger(flagId) || flagId <= 0) {
+    throw buildError("Invalid flag ID", 400);
+  }
+
+  await ensurePhotoHashSchema();
+  const { rows } = await pool.query(
+    `UPDATE punch_photo_flags
+        SET status = $2, review_comment = $3, reviewed_by = $4, reviewed_at = NOW()
+      WHERE flag_id = $1 AND status = 'pending'
+      RETURNING flag_id`,
+    [flagId, status, comment, actorId]
+  );
+
+  if (!rows[0]) {
+    const existing = await pool.query("SELECT status FROM punch_photo_flags WHERE flag_id = $1", [
+      flagId,
+    ]);
+    throw existing.rows.length
+      ? buildError(`Flag is already ${existing.rows[0].status}`, 409)
+      : buildError("Photo flag not found", 404);
+  }
+
+  const { rows: flags } = await pool.query(`${FLAG_SELECT} WHERE f.flag_id = $1`, [flagId]);
+  return flags[0];
+}
+
+module.exports = {
+  ensurePhotoHashSchema,
+  computePhotoHash,
+  checkPunchPhoto,
+  recordPunchPhoto,
+  listPhotoFlags,
+  reviewPhotoFlag,
+};
@@ -0,0 +1,452 @@
+const pool = require("../config/db");
+const ensureSchema = require("../utils/ensureSchema");
+const { isIsoDate, formatDateIST } = require("../utils/dates");
+const { applyShiftMetrics } = require("./shifts");
+const { supervisesEmployee } = require("./accessPolicy");
+
+const REGULARIZATION_SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS attendance_regularizations (
+     regularization_id SERIAL PRIMARY KEY,
+     emp_id INTEGER NOT NULL,
+     attendance_date DATE NOT NULL,
+     attendance_id INTEGER,
+     original_punch_in TIMESTAMPTZ,
+     original_punch_out TIMESTAMPTZ,
+     requested_punch_in TIMESTAMPTZ,
+     requested_punch_out TIMESTAMPTZ,
+     reason TEXT NOT NULL,
+     photo_url TEXT,
+     status TEXT NOT NULL DEFAULT 'pending'
+       CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+     requested_by INTEGER,
+     requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     reviewed_by INTEGER,
+     reviewed_at TIMESTAMPTZ,
+     review_comment TEXT,
+     CHECK (requested_punch_in IS NOT NULL OR requested_punch_out IS NOT NULL)
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_regularizations_status
+     ON attendance_regularizations (status, requested_at DESC)`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_regularizations_one_pending
+     ON attendance_regularizations (emp_id, attendance_date)
+     WHERE status = 'pending'`,
+  // Points at the approved request that last corrected the row
+  `ALTER TABLE attendance
+     ADD COLUMN IF NOT EXISTS regularization_id INTEGER`,
+];
+
+const ensureRegularizationSchema = () =>
+  ensureSchema("regularizations", REGULARIZATION_SCHEMA_STATEMENTS);
+
+// Corrected times are IST wall-clock times unless a full timestamp is sent.
+const IST_OFFSET = "+05:30";
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+const parseCorrectedTime = (value, date) => {
+  if (value === undefined || value === null || value === "") {
+    return { time: null, clock: false };
+  }
+
+  const trimmed = value.toString().trim();
+  if (CLOCK_PATTERN.test(trimmed)) {
+    return { time: new Date(`${date}T${trimmed}:00${IST_OFFSET}`), clock: true };
+  }
+
+  const parsed = new Date(trimmed);
+  return { time: Number.isNaN(parsed.getTime()) ? undefined : parsed, clock: false };
+};
+
+/**
+ * Validates a regularization request. Times are "HH:MM" on `date` (a punch-out
+ * earlier than the punch-in is taken as the next morning) or ISO timestamps.
+ */
+function validateRegularizationInput(input, { now = new Date() } = {}) {
+  const empId = Number(input?.emp_id);
+  const date = input?.date;
+  const reason = input?.reason ? input.reason.toString().trim() : "";
+
+  const errors = {};
+  if (!Number.isInteger(empId) || empId <= 0) {
+    errors.emp_id = "Expected an employee ID";
+  }
+  if (!isIsoDate(date)) {
+    errors.date = "Expected YYYY-MM-DD";
+  } else if (date > formatDateIST(now)) {
+    errors.date = "Cannot regularize a future date";
+  }
+  if (!reason) {
+    errors.reason = "A reason is required";
+  }
+  if (Object.keys(errors).length > 0) {
+    throw buildError("Invalid regularization request", 400, errors);
+  }
+
+  const punchIn = parseCorrectedTime(input.punch_in, date);
+  const punchOut = parseCorrectedTime(input.punch_out, date);
+
+  if (punchIn.time === undefined) {
+    errors.punch_in = "Expected HH:MM or an ISO timestamp";
+  }
+  if (punchOut.time === undefined) {
+    errors.punch_out = "Expected HH:MM or an ISO timestamp";
+  }
+  if (!punchIn.time && !punchOut.time && !errors.punch_in && !errors.punch_out) {
+    errors.punch_in = "Provide a corrected punch_in, punch_out or both";
+  }
+  if (Object.keys(errors).length > 0) {
+    throw buildError("Invalid regularization request", 400, errors);
+  }
+
+  let punchOutTime = punchOut.time;
+  if (punchIn.time && punchOutTime && punchOut.clock && punchOutTime <= punchIn.time) {
+    punchOutTime = new Date(punchOutTime.getTime() + MS_PER_DAY);
+  }
+
+  if (punchIn.time && formatDateIST(punchIn.time) !== date) {
+    errors.punch_in = "Must fall on the attendance date";
+  }
+  if (punchIn.time && punchOutTime) {
+    if (punchOutTime <= punchIn.time) {
+      errors.punch_out = "Must be after punch_in";
+    } else if (punchOutTime - punchIn.time > MS_PER_DAY) {
+      errors.punch_out = "Must be within 24 hours of punch_in";
+    }
+  }
+  if (punchIn.time && punchIn.time > now) {
+    errors.punch_in = "Cannot be in the future";
+  }
+  if (punchOutTime && punchOutTime > now) {
+    errors.punch_out = "Cannot be in the future";
+  }
+  if (Object.keys(errors).length > 0) {
+    throw buildError("Invalid regularization request", 400, errors);
+  }
+
+  return {
+    empId,
+    date,
+    reason,
+    punchIn: punchIn.time,
+    punchOut: punchOutTime,
+  };
+}
+
+const REGULARIZATION_SELECT = `
+  SELECT r.regularization_id, r.emp_id, e.emp_code, e.name AS employee_name,
+         e.ward_id, w.ward_name,
+         TO_CHAR(r.attendance_date, 'YYYY-MM-DD') AS attendance_date,
+         r.attendance_id,
+         r.original_punch_in, r.original_punch_out,
+         r.requested_punch_in, r.requested_punch_out,
+         TO_CHAR(r.original_punch_in AT TIME ZONE 'Asia/Kolkata', 'HH12:MI AM') AS original_punch_in_display,
+         TO_CHAR(r.original_punch_out AT TIME ZONE 'Asia/Kolkata', 'HH12:MI AM') AS original_punch_out_display,
+         TO_CHAR(r.requested_punch_in AT TIME ZONE 'Asia/Kolkata', 'HH12:MI AM') AS requested_punch_in_display,
+         TO_CHAR(r.requested_punch_out AT TIME ZONE 'Asia/Kolkata', 'HH12:MI AM') AS requested_punch_out_display,
+         r.reason, r.photo_url, r.status,
+         r.requested_by, ru.name AS requested_by_name, r.requested_at,
+         r.reviewed_by, vu.name AS reviewed_by_name, r.reviewed_at, r.review_comment
+    FROM attendance_regularizations r
+    JOIN employee e ON e.emp_id = r.emp_id
+    LEFT JOIN wards w ON w.ward_id = e.ward_id
+    LEFT JOIN users ru ON ru.user_id = r.requested_by
+    LEFT JOIN users vu ON vu.user_id = r.reviewed_by`;
+
+/**
+ * Lists requests, newest first. `supervisorId` restricts the list to
+ * employees in that supervisor's wards.
+ */
+async function listRegularizations({
+  status = null,
+  empId = null,
+  wardId = null,
+  supervisorId = null,
+  from = null,
+  to = null,
+  limit = 50,
+  offset = 0,
+} = {}) {
+  await ensureRegularizationSchema();
+
+  const params = [];
+  const conditions = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace("?", `$${params.length}`));
+  };
+
+  if (status) add("r.status = ?", status);
+  if (empId) add("r.emp_id = ?", empId);
+  if (wardId) add("e.ward_id = ?", wardId);
+  if (supervisorId) {
+    add(
+      "e.ward_id IN (SELECT ward_id FROM supervisor_ward WHERE supervisor_id = ?)",
+      supervisorId
+    );
+  }
+  if (from) add("r.attendance_date >= ?::date", from);
+  if (to) add("r.attendance_date <= ?::date", to);
+
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const [{ rows }, { rows: countRows }] = await Promise.all([
+    pool.query(
+      `${REGULARIZATION_SELECT}
+        ${where}
+        ORDER BY r.requested_at DESC, r.regularization_id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    pool.query(
+      `SELECT COUNT(*) AS total
+         FROM attendance_regularizations r
+         JOIN employee e ON e.emp_id = r.emp_id
+        ${where}`,
+      params
+    ),
+  ]);
+
+  return { requests: rows, total: Number(countRows[0]?.total) || 0 };
+}
+
+async function getRegularization(regularizationId) {
+  await ensureRegularizationSchema();
+  const { rows } = await pool.query(
+    `${REGULARIZATION_SELECT} WHERE r.regularization_id = $1`,
+    [regularizationId]
+  );
+  return rows[0] ?? null;
+}
+
+async function createRegularization(input, { actorId = null, photoUrl = null } = {}) {
+  const request = validateRegularizationInput(input);
+
+  await ensureRegularizationSchema();
+
+  const { rows: employeeRows } = await pool.query(
+    `SELECT emp_id FROM employee WHERE emp_id = $1`,
+    [request.empId]
+  );
+  if (!employeeRows.length) {
+    throw buildError("Employee not found", 404);
+  }
+
+  const { rows: attendanceRows } = await pool.query(
+    `SELECT attendance_id, punch_in_time, punch_out_time
+       FROM attendance
+      WHERE emp_id = $1 AND date = $2::date
+      ORDER BY attendance_id DESC
+      LIMIT 1`,
+    [request.empId, request.date]
+  );
+  const attendance = attendanceRows[0] ?? null;
+
+  if (!request.punchIn && !attendance?.punch_in_time) {
+    throw buildError("Invalid regularization request", 400, {
+      punch_in: "Required because the record has no punch-in",
+    });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO attendance_regularizations
+         (emp_id, attendance_date, attendance_id, original_punch_in, original_punch_out,
+          requested_punch_in, requested_punch_out, reason, photo_url, requested_by)
+       VALUES ($1, $2::date, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING regularization_id`,
+      [
+        request.empId,
+        request.date,
+        attendance?.attendance_id ?? null,
+        attendance?.punch_in_time ?? null,
+        attendance?.punch_out_time ?? null,
+        request.punchIn,
+        request.punchOut,
+        request.reason,
+        photoUrl,
+        actorId,
+      ]
+    );
+    return getRegularization(rows[0].regularization_id);
+  } catch (error) {
+    if (error.code === "23505") {
+      throw buildError("A regularization request is already pending for this day", 409);
+    }
+    throw error;
+  }
+}
+
+async function lockRegularization(client, regularizationId) {
+  const { rows } = await client.query(
+    `SELECT r.*, TO_CHAR(r.attendance_date, 'YYYY-MM-DD') AS date_iso
+       FROM attendance_regularizations r
+      WHERE r.regularization_id = $1
+      FOR UPDATE`,
+    [regularizationId]
+  );
+  if (!rows.length) {
+    throw buildError("Regularization request not found", 404);
+  }
+  return rows[0];
+}
+
+// Locks the attendance row for the request's day, creating it when the
+// employee never punched.
+async function lockAttendanceRow(client, request) {
+  const { rows } = await client.query(
+    `SELECT attendance_id, punch_in_time, punch_out_time
+       FROM attendance
+      WHERE emp_id = $1 AND date = $2::date
+      ORDER BY attendance_id DESC
+      LIMIT 1
+      FOR UPDATE`,
+    [request.emp_id, request.date_iso]
+  );
+  if (rows.length) {
+    return rows[0];
+  }
+
+  const { rows: inserted } = await client.query(
+    `INSERT INTO attendance (emp_id, date, ward_id)
+     SELECT emp_id, $2::date, ward_id FROM employee WHERE emp_id = $1
+     RETURNING attendance_id, punch_in_time, punch_out_time`,
+    [request.emp_id, request.date_iso]
+  );
+  return inserted[0];
+}
+
+/**
+ * Approves or rejects a pending request. Approval writes the corrected times
+ * onto the attendance row and records the values they replaced on the
+ * request, so both stay on file.
+ */
+async function reviewRegularization(regularizationId, { decision, comment = null }, { actorId = null } = {}) {
+  if (!["approved", "rejected"].includes(decision)) {
+    throw buildError('decision must be "approved" or "rejected"', 400);
+  }
+
+  await ensureRegularizationSchema();
+  const client = await pool.connect();
+  let attendanceId = null;
+
+  try {
+    await client.query("BEGIN");
+
+    const request = await lockRegularization(client, regularizationId);
+    if (request.status !== "pending") {
+      throw buildError(`Regularization request is already ${request.status}`, 409);
+    }
+
+    if (decision === "approved") {
+      const attendance = await lockAttendanceRow(client, request);
+      attendanceId = attendance.attendance_id;
+
+      const punchIn = request.requested_punch_in ?? attendance.punch_in_time;
+      const punchOut = request.requested_punch_out ?? attendance.punch_out_time;
+      if (!punchIn) {
+        throw buildError("The attendance record has no punch-in to keep", 409);
+      }
+      if (punchOut && new Date(punchOut) <= new Date(punchIn)) {
+        throw buildError("Corrected punch-out would be before the punch-in", 409, {
+          punch_in: punchIn,
+          punch_out: punchOut,
+        });
+      }
+
+      await client.query(
+        `UPDATE attendance
+            SET punch_in_time = $2, punch_out_time = $3, regularization_id = $4
+          WHERE attendance_id = $1`,
+        [attendanceId, punchIn, punchOut, regularizationId]
+      );
+
+      // The record may have changed since the request was raised.
+      await client.query(
+        `UPDATE attendance_regularizations
+            SET attendance_id = $2, original_punch_in = $3, original_punch_out = $4
+          WHERE regularization_id = $1`,
+        [regularizationId, attendanceId, attendance.punch_in_time, attendance.punch_out_time]
+      );
+    }
+
+    await client.query(
+      `UPDATE attendance_regularizations
+          SET status = $2, reviewed_by = $3, reviewed_at = NOW(), review_comment = $4
+        WHERE regularization_id = $1`,
+      [regularizationId, decision, actorId, comment]
+    );
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (attendanceId) {
+    try {
+      await applyShiftMetrics(attendanceId);
+    } catch (error) {
+      // The correction is stored; metrics can be recomputed later.
+      console.error("reviewRegularization: shift metrics failed", error);
+    }
+  }
+
+  return getRegularization(regularizationId);
+}
+
+/**
+ * Withdraws a pending request. `supervisorId` limits this to that
+ * supervisor's wards.
+ */
+async function cancelRegularization(regularizationId, { actorId = null, supervisorId = null } = {}) {
+  await ensureRegularizationSchema();
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const request = await lockRegularization(client, regularizationId);
+    if (supervisorId && !(await supervisesEmployee(supervisorId, request.emp_id))) {
+      throw buildError("Regularization request not found", 404);
+    }
+    if (request.status !== "pending") {
+      throw buildError(`Regularization request is already ${request.status}`, 409);
+    }
+
+    await client.query(
+      `UPDATE attendance_regularizations
+          SET status = 'cancelled', reviewed_by = $2, reviewed_at = NOW()
+        WHERE regularization_id = $1`,
+      [regularizationId, actorId]
+    );
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getRegularization(regularizationId);
+}
+
+module.exports = {
+  ensureRegularizationSchema,
+  validateRegularizationInput,
+  listRegularizations,
+  getRegularization,
+  createRegularization,
+  reviewRegularization,
+  cancelRegularization,
+};
@@ -0,0 +1,322 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const pool = require("../config/db");
+const ensureSchema = require("../utils/ensureSchema");
+const { getSettings } = require("./systemSettings");
+
+// One row per signed-in device. Access tokens are short-lived JWTs carrying
+// the session ID; the refresh token is random, stored only as a hash and
+// replaced on every use. Presenting a refresh token that was already rotated
+// means it was copied, so the whole session is revoked.
+const SESSION_SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS user_sessions (
+     session_id UUID PRIMARY KEY,
+     user_id INTEGER NOT NULL,
+     refresh_token_hash TEXT NOT NULL UNIQUE,
+     previous_token_hash TEXT,
+     device_name TEXT,
+     platform TEXT,
+     app_version TEXT,
+     user_agent TEXT,
+     ip_address TEXT,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     expires_at TIMESTAMPTZ NOT NULL,
+     revoked_at TIMESTAMPTZ,
+     revoked_by INTEGER,
+     revoke_reason TEXT
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_user_sessions_user
+     ON user_sessions (user_id, revoked_at)`,
+  `CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_hash
+     ON user_sessions (previous_token_hash)`,
+];
+
+const ensureSessionSchema = () =>
+  ensureSchema("user_sessions", SESSION_SCHEMA_STATEMENTS);
+
+const ACCESS_TOKEN_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+
+const SESSION_SELECT = `
+  SELECT s.session_id, s.user_id, u.name AS user_name, u.role,
+         s.device_name, s.platform, s.app_version, s.user_agent, s.ip_address,
+         s.created_at, s.last_used_at, s.expires_at,
+         s.revoked_at, s.revoked_by, s.revoke_reason
+    FROM user_sessions s
+    JOIN users u ON u.user_id = s.user_id`;
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+const trimmed = (value, maxLength = 200) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = value.toString().trim();
+  return text ? text.slice(0, maxLength) : null;
+};
+
+// Device details come from the login body (the app sends them) and fall back
+// to the request headers.
+function describeDevice(req) {
+  const device = req.body?.device ?? {};
+  return {
+    deviceName: trimmed(device.name ?? req.body?.deviceName),
+    platform: trimmed(device.platform ?? req.body?.platform, 50),
+    appVersion: trimmed(device.appVersion ?? req.body?.appVersion, 50),
+    userAgent: trimmed(req.get("user-agent"), 500),
+    ipAddress: trimmed(req.ip, 100),
+  };
+}
+
+// Users who must replace their password get a token that only reaches the
+// password change endpoint (see middleware/authenticate).
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      user_id: user.user_id,
+      role: user.role,
+      sid: sessionId,
+      ...(user.must_change_password ? { pwd_change: true } : {}),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` }
+  );
+}
+
+// The admin "sessionTimeout" setting is how long a device may stay idle;
+// every refresh pushes the session expiry forward by that many hours.
+async function sessionExpiry() {
+  const { sessionTimeout } = await getSettings();
+  return {
+    expiresAt: new Date(Date.now() + sessionTimeout * 60 * 60 * 1000),
+    maxAgeMs: sessionTimeout * 60 * 60 * 1000,
+  };
+}
+
+const tokenResponse = (user, sessionId, refreshToken, expiresAt, maxAgeMs) => ({
+  token: signAccessToken(user, sessionId),
+  expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+  refreshToken,
+  refreshExpiresAt: expiresAt.toISOString(),
+  refreshMaxAgeMs: maxAgeMs,
+  sessionId,
+});
+
+/** Opens a session for a user who just signed in and returns its tokens. */
+async function createSession(user, device = {}) {
+  await ensureSessionSchema();
+  const sessionId = crypto.randomUUID();
+  const refreshToken = generateRefreshToken();
+  const { expiresAt, maxAgeMs } = await sessionExpiry();
+
+  await pool.query(
+    `INSERT INTO user_sessions
+       (session_id, user_id, refresh_token_hash, device_name, platform,
+        app_version, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      sessionId,
+      user.user_id,
+      hashToken(refreshToken),
+      device.deviceName ?? null,
+      device.platform ?? null,
+      device.appVersion ?? null,
+      device.userAgent ?? null,
+      device.ipAddress ?? null,
+      expiresAt,
+    ]
+  );
+
+  return tokenResponse(user, sessionId, refreshToken, expiresAt, maxAgeMs);
+}
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * The old refresh token stops working; reusing it revokes the session.
+ */
+async function rotateSession(refreshToken, { ipAddress = null } = {}) {
+  if (!refreshToken || typeof refreshToken !== "string") {
+    throw buildError("Refresh token is required", 401);
+  }
+
+  await ensureSessionSchema();
+  const tokenHash = hashToken(refreshToken);
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(
+      `SELECT s.*, u.role, u.must_change_password
+         FROM user_sessions s
+         JOIN users u ON u.user_id = s.user_id
+        WHERE s.refresh_token_hash = $1
+        FOR UPDATE OF s`,
+      [tokenHash]
+    );
+    const session = rows[0];
+
+    if (!session) {
+      // A rotated-out token coming back means two parties hold this session.
+      const reused = await client.query(
+        `UPDATE user_sessions
+            SET revoked_at = NOW(), revoke_reason = 'refresh_token_reuse'
+          WHERE previous_token_hash = $1 AND revoked_at IS NULL
+          RETURNING session_id`,
+        [tokenHash]
+      );
+      await client.query("COMMIT");
+      if (reused.rowCount > 0) {
+        console.warn(`Refresh token reuse detected; session ${reused.rows[0].session_id} revoked`);
+      }
+      throw buildError("Invalid refresh token", 401);
+    }
+
+    if (session.revoked_at) {
+      await client.query("ROLLBACK");
+      throw buildError("Session has been signed out", 401);
+    }
+    if (new Date(session.expires_at) <= new Date()) {
+      await client.query("ROLLBACK");
+      throw buildError("Session has expired", 401);
+    }
+
+    const nextToken = generateRefreshToken();
+    const { expiresAt, maxAgeMs } = await sessionExpiry();
+    await client.query(
+      `UPDATE user_sessions
+          SET refresh_token_hash = $2,
+              previous_token_hash = refresh_token_hash,
+              last_used_at = NOW(),
+              expires_at = $3,
+              ip_address = COALESCE($4, ip_address)
+        WHERE session_id = $1`,
+      [session.session_id, hashToken(nextToken), expiresAt, ipAddress]
+    );
+    await client.query("COMMIT");
+
+    return tokenResponse(session, session.session_id, nextToken, expiresAt, maxAgeMs);
+  } catch (error) {
+    if (!error.statusCode) {
+      await client.query("ROLLBACK").catch(() => {});
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/** True while the session behind an access token has not been revoked or expired. */
+async function isSessionActive(sessionId) {
+  if (!UUID_PATTERN.test(sessionId ?? "")) {
+    return false;
+  }
+  await ensureSessionSchema();
+  const { rows } = await pool.query(
+    `SELECT 1 FROM user_sessions
+      WHERE session_id = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId]
+  );
+  return rows.length > 0;
+}
+
+async function findSessionIdByRefreshToken(refreshToken) {
+  if (!refreshToken) {
+    return null;
+  }
+  await ensureSessionSchema();
+  const { rows } = await pool.query(
+    "SELECT session_id FROM user_sessions WHERE refresh_token_hash = $1",
+    [hashToken(refreshToken)]
+  );
+  return rows[0]?.session_id ?? null;
+}
+
+async function listSessions({ userId = null, includeRevoked = false, limit = 100 } = {}) {
+  await ensureSessionSchema();
+  const conditions = [];
+  const params = [];
+
+  if (userId) {
+    params.push(userId);
+    conditions.push(`s.user_id = $${params.length}`);
+  }
+  if (!includeRevoked) {
+    conditions.push("s.revoked_at IS NULL AND s.expires_at > NOW()");
+  }
+  params.push(limit);
+
+  const { rows } = await pool.query(
+    `${SESSION_SELECT}
+     ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY s.last_used_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+async function getSession(sessionId) {
+  if (!UUID_PATTERN.test(sessionId ?? "")) {
+    return null;
+  }
+  await ensureSessionSchema();
+  const { rows } = await pool.query(`${SESSION_SELECT} WHERE s.session_id = $1`, [sessionId]);
+  return rows[0] ?? null;
+}
+
+/** Signs one device out. Returns false when the session was already revoked. */
+async function revokeSession(sessionId, { revokedBy = null, reason = "logout" } = {}) {
+  await ensureSessionSchema();
+  const result = await pool.query(
+    `UPDATE user_sessions
+        SET revoked_at = NOW(), revoked_by = $2, revoke_reason = $3
+      WHERE session_id = $1 AND revoked_at IS NULL`,
+    [sessionId, revokedBy, reason]
+  );
+  return result.rowCount > 0;
+}
+
+/** Signs a user out everywhere, optionally keeping the caller's own session. */
+async function revokeUserSessions(
+  userId,
+  { revokedBy = null, reason = "revoked", exceptSessionId = null } = {}
+) {
+  await ensureSessionSchema();
+  const result = await pool.query(
+    `UPDATE user_sessions
+        SET revoked_at = NOW(), revoked_by = $2, revoke_reason = $3
+      WHERE user_id = $1
+        AND revoked_at IS NULL
+        AND ($4::uuid IS NULL OR session_id <> $4::uuid)`,
+    [userId, revokedBy, reason, exceptSessionId]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_MINUTES,
+  signAccessToken,
+  ensureSessionSchema,
+  describeDevice,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  findSessionIdByRefreshToken,
+  listSessions,
+  getSession,
+  revokeSession,
+  revokeUserSessions,
+};
@@ -0,0 +1,670 @@
+const pool = require("../config/db");
+const ensureSchema = require("../utils/ensureSchema");
+const { getColumnType } = require("../utils/schemaInspector");
+const { formatDateIST, addDaysIso, isIsoDate } = require("../utils/dates");
+const { getSettings } = require("./systemSettings");
+
+const SHIFT_SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS shifts (
+     shift_id SERIAL PRIMARY KEY,
+     shift_name TEXT NOT NULL UNIQUE,
+     start_time TIME NOT NULL,
+     end_time TIME NOT NULL,
+     grace_in_minutes INTEGER,
+     grace_out_minutes INTEGER,
+     is_active BOOLEAN NOT NULL DEFAULT TRUE,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `CREATE TABLE IF NOT EXISTS rosters (
+     roster_id SERIAL PRIMARY KEY,
+     roster_name TEXT NOT NULL UNIQUE,
+     start_date DATE NOT NULL,
+     cycle_days INTEGER NOT NULL CHECK (cycle_days BETWEEN 1 AND 366),
+     pattern JSONB NOT NULL,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `CREATE TABLE IF NOT EXISTS roster_assignments (
+     assignment_id SERIAL PRIMARY KEY,
+     roster_id INTEGER REFERENCES rosters(roster_id) ON DELETE CASCADE,
+     shift_id INTEGER REFERENCES shifts(shift_id),
+     emp_id INTEGER,
+     ward_id INTEGER,
+     effective_from DATE NOT NULL,
+     effective_to DATE,
+     created_by INTEGER,
+     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+     CHECK ((roster_id IS NULL) <> (shift_id IS NULL)),
+     CHECK ((emp_id IS NULL) <> (ward_id IS NULL))
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_roster_assignments_emp
+     ON roster_assignments (emp_id, effective_from DESC)`,
+  `CREATE INDEX IF NOT EXISTS idx_roster_assignments_ward
+     ON roster_assignments (ward_id, effective_from DESC)`,
+  `ALTER TABLE attendance
+     ADD COLUMN IF NOT EXISTS shift_id INTEGER,
+     ADD COLUMN IF NOT EXISTS late_minutes INTEGER,
+     ADD COLUMN IF NOT EXISTS is_late BOOLEAN,
+     ADD COLUMN IF NOT EXISTS early_exit_minutes INTEGER,
+     ADD COLUMN IF NOT EXISTS is_early_exit BOOLEAN,
+     ADD COLUMN IF NOT EXISTS overtime_minutes INTEGER,
+     ADD COLUMN IF NOT EXISTS duration_minutes INTEGER`,
+];
+
+const ensureShiftSchema = () => ensureSchema("shifts", SHIFT_SCHEMA_STATEMENTS);
+
+// Shift times are wall-clock times in IST, like every other time the
+// backend displays.
+const IST_OFFSET = "+05:30";
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?$/;
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+// How long after a night shift's scheduled end a punch-out still closes it
+// instead of starting a new attendance day.
+const OVERNIGHT_CHECKOUT_WINDOW_MINUTES = 6 * 60;
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+const normalizeTime = (value) => {
+  const match = TIME_PATTERN.exec(typeof value === "string" ? value.trim() : "");
+  return match ? `${match[1]}:${match[2]}` : null;
+};
+
+const parseOptionalId = (value, label) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw buildError(`${label} must be a positive integer`, 400);
+  }
+  return parsed;
+};
+
+const parseGrace = (value, label) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0 || parsed > 240) {
+    throw buildError(`${label} must be between 0 and 240 minutes`, 400);
+  }
+  return parsed;
+};
+
+const crossesMidnight = (startTime, endTime) => endTime <= startTime;
+
+function toShiftInstant(date, time, dayOffset = 0) {
+  const base = new Date(`${date}T${time}:00${IST_OFFSET}`);
+  return new Date(base.getTime() + dayOffset * MS_PER_DAY);
+}
+
+const daysBetween = (fromIso, toIso) =>
+  Math.round(
+    (Date.parse(`${toIso}T00:00:00Z`) - Date.parse(`${fromIso}T00:00:00Z`)) /
+      MS_PER_DAY
+  );
+
+function mapShiftRow(row, defaults) {
+  const startTime = normalizeTime(row.start_time);
+  const endTime = normalizeTime(row.end_time);
+  return {
+    shiftId: row.shift_id,
+    name: row.shift_name,
+    startTime,
+    endTime,
+    graceInMinutes: row.grace_in_minutes ?? defaults.lateThreshold,
+    graceOutMinutes: row.grace_out_minutes ?? defaults.earlyLeaveThreshold,
+    crossesMidnight: crossesMidnight(startTime, endTime),
+  };
+}
+
+// ===== SHIFTS =====
+
+function validateShiftInput(input, { partial = false } = {}) {
+  const shift = {};
+
+  if (!partial || input.shift_name !== undefined) {
+    const name = typeof input.shift_name === "string" ? input.shift_name.trim() : "";
+    if (!name) {
+      throw buildError("shift_name is required", 400);
+    }
+    shift.shift_name = name;
+  }
+
+  ["start_time", "end_time"].forEach((key) => {
+    if (!partial || input[key] !== undefined) {
+      const time = normalizeTime(input[key]);
+      if (!time) {
+        throw buildError(`${key} must be in HH:MM format`, 400);
+      }
+      shift[key] = time;
+    }
+  });
+
+  if (shift.start_time && shift.end_time && shift.start_time === shift.end_time) {
+    throw buildError("start_time and end_time must differ", 400);
+  }
+
+  if (input.grace_in_minutes !== undefined) {
+    shift.grace_in_minutes = parseGrace(input.grace_in_minutes, "grace_in_minutes");
+  }
+  if (input.grace_out_minutes !== undefined) {
+    shift.grace_out_minutes = parseGrace(input.grace_out_minutes, "grace_out_minutes");
+  }
+  if (input.is_active !== undefined) {
+    shift.is_active = Boolean(input.is_active);
+  }
+
+  return shift;
+}
+
+async function listShifts({ includeInactive = false } = {}) {
+  await ensureShiftSchema();
+  const { rows } = await pool.query(
+    `SELECT shift_id, shift_name,
+            TO_CHAR(start_time, 'HH24:MI') AS start_time,
+            TO_CHAR(end_time, 'HH24:MI') AS end_time,
+            grace_in_minutes, grace_out_minutes, is_active,
+            end_time <= start_time AS crosses_midnight
+       FROM shifts
+      ${includeInactive ? "" : "WHERE is_active"}
+      ORDER BY start_time, shift_name`
+  );
+  return rows;
+}
+
+async function createShift(input) {
+  await ensureShiftSchema();
+  const shift = validateShiftInput(input);
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO shifts (shift_name, start_time, end_time, grace_in_minutes, grace_out_minutes)
+       VALUES ($1, $2::time, $3::time, $4, $5)
+       RETURNING shift_id`,
+      [
+        shift.shift_name,
+        shift.start_time,
+        shift.end_time,
+        shift.grace_in_minutes ?? null,
+        shift.grace_out_minutes ?? null,
+      ]
+    );
+    return rows[0];
+  } catch (error) {
+    if (error.code === "23505") {
+      throw buildError("A shift with this name already exists", 409);
+    }
+    throw error;
+  }
+}
+
+async function updateShift(shiftId, input) {
+  await ensureShiftSchema();
+  const shift = validateShiftInput(input, { partial: true });
+  const keys = Object.keys(shift);
+
+  if (keys.length === 0) {
+    throw buildError("No shift fields provided", 400);
+  }
+
+  const assignments = keys.map((key, index) => {
+    const cast = key.endsWith("_time") ? "::time" : "";
+    return `${key} = $${index + 1}${cast}`;
+  });
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE shifts SET ${assignments.join(", ")}
+        WHERE shift_id = $${keys.length + 1}
+        RETURNING shift_id`,
+      [...keys.map((key) => shift[key]), shiftId]
+    );
+
+    if (rows.length === 0) {
+      throw buildError("Shift not found", 404);
+    }
+    return rows[0];
+  } catch (error) {
+    if (error.code === "23505") {
+      throw buildError("A shift with this name already exists", 409);
+    }
+    throw error;
+  }
+}
+
+// ===== ROSTERS =====
+
+async function listRosters() {
+  await ensureShiftSchema();
+  const { rows } = await pool.query(
+    `SELECT roster_id, roster_name, TO_CHAR(start_date, 'YYYY-MM-DD') AS start_date,
+            cycle_days, pattern, created_at
+       FROM rosters
+      ORDER BY roster_name`
+  );
+  return rows;
+}
+
+/**
+ * A roster is a repeating cycle of days starting at `start_date`. Each entry
+ * of `pattern` is the shift_id worked on that day of the cycle, or null for a
+ * rest day, e.g. [1, 1, 2, 2, 3, 3, null] for a weekly morning/evening/night
+ * rotation.
+ */
+async function createRoster({ roster_name: rawName, start_date: startDate, pattern }) {
+  await ensureShiftSchema();
+
+  const name = typeof rawName === "string" ? rawName.trim() : "";
+  if (!name) {
+    throw buildError("roster_name is required", 400);
+  }
+  if (!isIsoDate(startDate)) {
+    throw buildError("start_date must be in YYYY-MM-DD format", 400);
+  }
+  if (!Array.isArray(pattern) || pattern.length < 1 || pattern.length > 366) {
+    throw buildError("pattern must be an array of 1 to 366 days", 400);
+  }
+
+  const normalizedPattern = pattern.map((entry, index) => {
+    if (entry === null) {
+      return null;
+    }
+    return parseOptionalId(entry, `pattern[${index}]`);
+  });
+
+  const shiftIds = [...new Set(normalizedPattern.filter((entry) => entry !== null))];
+  if (shiftIds.length > 0) {
+    const { rows } = await pool.query(
+      "SELECT shift_id FROM shifts WHERE shift_id = ANY($1::int[]) AND is_active",
+      [shiftIds]
+    );
+    const known = new Set(rows.map((row) => row.shift_id));
+    const unknown = shiftIds.filter((id) => !known.has(id));
+    if (unknown.length > 0) {
+      throw buildError("pattern references unknown or inactive shifts", 400, { shiftIds: unknown });
+    }
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO rosters (roster_name, start_date, cycle_days, pattern)
+       VALUES ($1, $2::date, $3, $4::jsonb)
+       RETURNING roster_id`,
+      [name, startDate, normalizedPattern.length, JSON.stringify(normalizedPattern)]
+    );
+    return rows[0];
+  } catch (error) {
+    if (error.code === "23505") {
+      throw buildError("A roster with this name already exists", 409);
+    }
+    throw error;
+  }
+}
+
+// ===== ASSIGNMENTS =====
+
+async function listAssignments({ empId = null, wardId = null } = {}) {
+  await ensureShiftSchema();
+
+  const conditions = [];
+  const params = [];
+  if (empId !== null) {
+    params.push(empId);
+    conditions.push(`ra.emp_id = $${params.length}`);
+  }
+  if (wardId !== null) {
+    params.push(wardId);
+    conditions.push(`ra.ward_id = $${params.length}`);
+  }
+
+  const { rows } = await pool.query(
+    `SELECT ra.assignment_id, ra.emp_id, e.name AS employee_name,
+            ra.ward_id, w.ward_name, ra.shift_id, s.shift_name,
+            ra.roster_id, r.roster_name,
+            TO_CHAR(ra.effective_from, 'YYYY-MM-DD') AS effective_from,
+            TO_CHAR(ra.effective_to, 'YYYY-MM-DD') AS effective_to
+       FROM roster_assignments ra
+       LEFT JOIN employee e ON e.emp_id = ra.emp_id
+       LEFT JOIN wards w ON w.ward_id = ra.ward_id
+       LEFT JOIN shifts s ON s.shift_id = ra.shift_id
+       LEFT JOIN rosters r ON r.roster_id = ra.roster_id
+      ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY ra.effective_from DESC, ra.assignment_id DESC`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Assigns either a fixed shift or a rotating roster to one employee or to a
+ * whole ward. Employee assignments take precedence over ward assignments.
+ */
+async function createAssignment(input, { actorId = null } = {}) {
+  await ensureShiftSchema();
+
+  const shiftId = parseOptionalId(input.shift_id, "shift_id");
+  const rosterId = parseOptionalId(input.roster_id, "roster_id");
+  const empId = parseOptionalId(input.emp_id, "emp_id");
+  const wardId = parseOptionalId(input.ward_id, "ward_id");
+
+  if ((shiftId === null) === (rosterId === null)) {
+    throw buildError("Provide exactly one of shift_id or roster_id", 400);
+  }
+  if ((empId === null) === (wardId === null)) {
+    throw buildError("Provide exactly one of emp_id or ward_id", 400);
+  }
+  if (!isIsoDate(input.effective_from)) {
+    throw buildError("effective_from must be in YYYY-MM-DD format", 400);
+  }
+  if (input.effective_to && !isIsoDate(input.effective_to)) {
+    throw buildError("effective_to must be in YYYY-MM-DD format", 400);
+  }
+  if (input.effective_to && input.effective_to < input.effective_from) {
+    throw buildError("effective_to cannot be before effective_from", 400);
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO roster_assignments
+         (roster_id, shift_id, emp_id, ward_id, effective_from, effective_to, created_by)
+       VALUES ($1, $2, $3, $4, $5::date, $6::date, $7)
+       RETURNING assignment_id`,
+      [rosterId, shiftId, empId, wardId, input.effective_from, input.effective_to || null, actorId]
+    );
+    return rows[0];
+  } catch (error) {
+    if (error.code === "23503") {
+      throw buildError("Referenced shift or roster does not exist", 400);
+    }
+    throw error;
+  }
+}
+
+async function deleteAssignment(assignmentId) {
+  await ensureShiftSchema();
+  const { rowCount } = await pool.query(
+    "DELETE FROM roster_assignments WHERE assignment_id = $1",
+    [assignmentId]
+  );
+  if (rowCount === 0) {
+    throw buildError("Assignment not found", 404);
+  }
+}
+
+// ===== RESOLUTION & METRICS =====
+
+/**
+ * Resolves the shift an employee is scheduled for on `date` (YYYY-MM-DD).
+ *
+ * Precedence: employee assignment, then ward assignment, then the system
+ * `workingHours` setting. Returns `{ offDay: true }` when a roster marks the
+ * date as a rest day.
+ */
+async function resolveShiftForEmployee(empId, date) {
+  await ensureShiftSchema();
+  const settings = await getSettings();
+
+  const { rows } = await pool.query(
+    `SELECT ra.assignment_id, ra.shift_id, ra.roster_id,
+            ra.emp_id IS NOT NULL AS is_employee_assignment,
+            r.cycle_days, r.pattern, TO_CHAR(r.start_date, 'YYYY-MM-DD') AS roster_start
+       FROM roster_assignments ra
+       LEFT JOIN rosters r ON r.roster_id = ra.roster_id
+      WHERE (ra.emp_id = $1
+             OR ra.ward_id = (SELECT ward_id FROM employee WHERE emp_id = $1))
+        AND ra.effective_from <= $2::date
+        AND (ra.effective_to IS NULL OR ra.effective_to >= $2::date)
+      ORDER BY (ra.emp_id IS NOT NULL) DESC, ra.effective_from DESC, ra.assignment_id DESC
+      LIMIT 1`,
+    [empId, date]
+  );
+
+  const assignment = rows[0];
+  if (!assignment) {
+    const { start, end } = settings.workingHours;
+    return {
+      shiftId: null,
+      name: "Default",
+      startTime: start,
+      endTime: end,
+      graceInMinutes: settings.lateThreshold,
+      graceOutMinutes: settings.earlyLeaveThreshold,
+      crossesMidnight: crossesMidnight(start, end),
+      source: "default",
+      offDay: false,
+    };
+  }
+
+  const source = assignment.is_employee_assignment ? "employee" : "ward";
+  let shiftId = assignment.shift_id;
+
+  if (assignment.roster_id) {
+    const offset = daysBetween(assignment.roster_start, date);
+    const cycleDay =
+      ((offset % assignment.cycle_days) + assignment.cycle_days) % assignment.cycle_days;
+    shiftId = assignment.pattern[cycleDay] ?? null;
+
+    if (shiftId === null) {
+      return { shiftId: null, name: "Rest day", source, offDay: true };
+    }
+  }
+
+  const { rows: shiftRows } = await pool.query(
+    `SELECT shift_id, shift_name, TO_CHAR(start_time, 'HH24:MI') AS start_time,
+            TO_CHAR(end_time, 'HH24:MI') AS end_time, grace_in_minutes, grace_out_minutes
+       FROM shifts
+      WHERE shift_id = $1`,
+    [shiftId]
+  );
+
+  if (!shiftRows.length) {
+    throw buildError(`Assigned shift ${shiftId} no longer exists`, 500);
+  }
+
+  return { ...mapShiftRow(shiftRows[0], settings), source, offDay: false };
+}
+
+/**
+ * Attendance date (YYYY-MM-DD) a punch made at `at` belongs to.
+ *
+ * Attendance is keyed on the date a shift starts. When yesterday's shift
+ * crosses midnight and `at` still falls inside its window, the punch belongs
+ * to yesterday: a punch-out closes the open night shift, and a late punch-in
+ * before the scheduled end still opens it. Otherwise it is today's date.
+ */
+async function resolveAttendanceDate(empId, { punchType = null, at = new Date() } = {}) {
+  const today = formatDateIST(at);
+  const previousDay = addDaysIso(today, -1);
+
+  const shift = await resolveShiftForEmployee(empId, previousDay);
+  if (shift.offDay || !shift.crossesMidnight) {
+    return today;
+  }
+
+  const scheduledEnd = toShiftInstant(previousDay, shift.endTime, 1);
+  const checkoutDeadline = new Date(
+    scheduledEnd.getTime() + OVERNIGHT_CHECKOUT_WINDOW_MINUTES * MS_PER_MINUTE
+  );
+  if (at > checkoutDeadline) {
+    return today;
+  }
+
+  const { rows } = await pool.query(
+    `SELECT punch_in_time, punch_out_time
+       FROM attendance
+      WHERE emp_id = $1 AND date = $2::date
+      ORDER BY attendance_id DESC
+      LIMIT 1`,
+    [empId, previousDay]
+  );
+  const previous = rows[0];
+
+  if (previous?.punch_in_time && !previous.punch_out_time) {
+    return previousDay;
+  }
+
+  if (!previous?.punch_in_time && punchType !== "OUT" && at < scheduledEnd) {
+    return previousDay;
+  }
+
+  return today;
+}
+
+const minutesBetween = (from, to) => Math.floor((to.getTime() - from.getTime()) / MS_PER_MINUTE);
+
+/**
+ * Pure computation of lateness, early exit, overtime and worked duration for
+ * one attendance day. `shiftDate` is the date the shift starts on; night
+ * shifts end on the following calendar day.
+ */
+function computeShiftMetrics(shift, shiftDate, punchIn, punchOut) {
+  const metrics = {
+    shift_id: shift?.shiftId ?? null,
+    late_minutes: null,
+    is_late: null,
+    early_exit_minutes: null,
+    is_early_exit: null,
+    overtime_minutes: null,
+    duration_minutes: null,
+  };
+
+  if (punchIn && punchOut) {
+    metrics.duration_minutes = Math.max(minutesBetween(punchIn, punchOut), 0);
+  }
+
+  if (!shift || shift.offDay) {
+    // Any work on a rest day is overtime.
+    if (punchIn) {
+      metrics.late_minutes = 0;
+      metrics.is_late = false;
+    }
+    if (punchOut) {
+      metrics.early_exit_minutes = 0;
+      metrics.is_early_exit = false;
+      metrics.overtime_minutes = metrics.duration_minutes;
+    }
+    return metrics;
+  }
+
+  const scheduledStart = toShiftInstant(shiftDate, shift.startTime);
+  const scheduledEnd = toShiftInstant(shiftDate, shift.endTime, shift.crossesMidnight ? 1 : 0);
+
+  if (punchIn) {
+    metrics.late_minutes = Math.max(minutesBetween(scheduledStart, punchIn), 0);
+    metrics.is_late = metrics.late_minutes > shift.graceInMinutes;
+  }
+
+  if (punchOut) {
+    metrics.early_exit_minutes = Math.max(minutesBetween(punchOut, scheduledEnd), 0);
+    metrics.is_early_exit = metrics.early_exit_minutes > shift.graceOutMinutes;
+    metrics.overtime_minutes = Math.max(minutesBetween(scheduledEnd, punchOut), 0);
+  }
+
+  return metrics;
+}
+
+// Fills the legacy `duration` column in whatever type the database uses.
+async function buildLegacyDurationAssignment(durationMinutes, params) {
+  if (durationMinutes === null) {
+    return null;
+  }
+
+  const type = await getColumnType("attendance", "duration");
+  if (!type) {
+    return null;
+  }
+
+  if (type === "interval") {
+    params.push(durationMinutes);
+    return `duration = make_interval(mins => $${params.length})`;
+  }
+
+  if (["integer", "bigint", "smallint", "numeric", "double precision", "real"].includes(type)) {
+    params.push(durationMinutes);
+    return `duration = $${params.length}`;
+  }
+
+  if (["text", "character varying", "character"].includes(type)) {
+    const hours = String(Math.floor(durationMinutes / 60)).padStart(2, "0");
+    const minutes = String(durationMinutes % 60).padStart(2, "0");
+    params.push(`${hours}:${minutes}`);
+    return `duration = $${params.length}`;
+  }
+
+  return null;
+}
+
+/**
+ * Recomputes the shift metrics of an attendance row from its stored punch
+ * times and writes them back. Returns the updated row.
+ */
+async function applyShiftMetrics(attendanceId) {
+  await ensureShiftSchema();
+
+  const { rows } = await pool.query(
+    `SELECT attendance_id, emp_id, TO_CHAR(date, 'YYYY-MM-DD') AS date,
+            punch_in_time, punch_out_time
+       FROM attendance
+      WHERE attendance_id = $1`,
+    [attendanceId]
+  );
+
+  const attendance = rows[0];
+  if (!attendance) {
+    throw buildError("Attendance record not found", 404);
+  }
+
+  const shift = await resolveShiftForEmployee(attendance.emp_id, attendance.date);
+  const metrics = computeShiftMetrics(
+    shift,
+    attendance.date,
+    attendance.punch_in_time,
+    attendance.punch_out_time
+  );
+
+  const params = [];
+  const assignments = Object.entries(metrics).map(([column, value]) => {
+    params.push(value);
+    return `${column} = $${params.length}`;
+  });
+
+  const legacyDuration = await buildLegacyDurationAssignment(metrics.duration_minutes, params);
+  if (legacyDuration) {
+    assignments.push(legacyDuration);
+  }
+
+  params.push(attendanceId);
+  const { rows: updatedRows } = await pool.query(
+    `UPDATE attendance SET ${assignments.join(", ")}
+      WHERE attendance_id = $${params.length}
+      RETURNING *`,
+    params
+  );
+
+  return { ...updatedRows[0], shift_name: shift.name };
+}
+
+module.exports = {
+  ensureShiftSchema,
+  listShifts,
+  createShift,
+  updateShift,
+  listRosters,
+  createRoster,
+  listAssignments,
+  createAssignment,
+  deleteAssignment,
+  resolveShiftForEmployee,
+  resolveAttendanceDate,
+  computeShiftMetrics,
+  applyShiftMetrics,
+};
@@ -0,0 +1,109 @@
+const path = require("path");
+const createS3Driver = require("./s3Driver");
+const createLocalDriver = require("./localDriver");
+
+/**
+ * Every stored image goes through the driver chosen by STORAGE_DRIVER:
+ *   s3    - AWS S3, or any S3-compatible server (MinIO) when S3_ENDPOINT is set;
+ *           the default when a bucket is configured
+ *   local - files under LOCAL_STORAGE_ROOT (default uploads/)
+ *
+ * Drivers expose:
+ *   put(key, body, { contentType, publicRead }) -> { key, url }
+ *   getStream(key) -> { stream, contentType, contentLength } (404 error when missing)
+ *   delete(key)
+ *   list(prefix, { pageSize }) -> [{ key, size, lastModified }]
+ *   head(key) -> { key, size, lastModified, contentType } | null
+ *   getSignedUrl(key, { expiresIn }) -> time-limited download URL
+ *   publicUrl(key), resolveKey(storedUrlOrKey)
+ * Keys are relative paths such as attendance/attendance_12_IN.jpg.
+ */
+const DRIVERS = {
+  s3: createS3Driver,
+  local: createLocalDriver,
+};
+
+const bucketName = () =>
+  (process.env.AWS_S3_BUCKET || process.env.S3_BUCKET_NAME || "").trim() || null;
+
+let activeStorage = null;
+let localStorage = null;
+
+function getLocalStorage() {
+  if (!localStorage) {
+    localStorage = createLocalDriver({
+      root:
+        (process.env.LOCAL_STORAGE_ROOT || "").trim() ||
+        path.join(__dirname, "..", "..", "uploads"),
+      signedPath: "/api/files",
+      signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+    });
+  }
+  return localStorage;
+}
+
+function getStorage() {
+  if (!activeStorage) {
+    const name = (process.env.STORAGE_DRIVER || (bucketName() ? "s3" : "local"))
+      .trim()
+      .toLowerCase();
+    const factory = DRIVERS[name];
+    if (!factory) {
+      throw new Error(
+        `Unknown STORAGE_DRIVER "${name}"; expected one of ${Object.keys(DRIVERS).join(", ")}`
+      );
+    }
+
+    activeStorage =
+      name === "local"
+        ? getLocalStorage()
+        : factory({
+            bucket: bucketName(),
+            region: (process.env.AWS_REGION || "").trim() || null,
+            publicUrl: (process.env.S3_PUBLIC_URL || "").trim() || null,
+          });
+    console.log(`Storage driver: ${activeStorage.name}`);
+  }
+
+  return activeStorage;
+}
+
+/**
+ * Maps a stored reference (object key, /uploads/... path or object URL) to the
+ * driver holding it. Files written to local disk while S3 was unreachable keep
+ * their /uploads/ path, so those always resolve to local storage.
+ * Returns null for URLs that are not ours.
+ */
+function resolveStoredObject(reference) {
+  if (!reference || typeof reference !== "string") {
+    return null;
+  }
+
+  const storage = reference.startsWith("/uploads/") ? getLocalStorage() : getStorage();
+  const key = storage.resolveKey(reference);
+  return key ? { storage, key } : null;
+}
+
+async function readStoredObject(reference) {
+  const resolved = resolveStoredObject(reference);
+  if (!resolved) {
+    const err = new Error("Stored object not found");
+    err.statusCode = 404;
+    err.details = reference;
+    throw err;
+  }
+
+  const { stream } = await resolved.storage.getStream(resolved.key);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  getStorage,
+  getLocalStorage,
+  resolveStoredObject,
+  readStoredObject,
+};
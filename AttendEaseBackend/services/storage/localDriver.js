@@ -0,0 +1,200 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+  ".json": "application/json",
+};
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+const trimLeadingSlash = (value) => value.replace(/^\/+/, "");
+
+const contentTypeFor = (key) =>
+  CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream";
+
+// Objects live under the storage root. A key such as attendance/x.jpg is
+// referenced as /uploads/attendance/x.jpg, the path older rows were stored
+// with; the files themselves are only served through signed /api/files links.
+function createLocalDriver({ root, publicPath = "/uploads", signedPath, signingSecret }) {
+  const rootDir = path.resolve(root);
+
+  const resolvePath = (key) => {
+    const filePath = path.resolve(rootDir, trimLeadingSlash(key || ""));
+    if (!filePath.startsWith(`${rootDir}${path.sep}`)) {
+      throw buildError("Invalid storage key", 400, key);
+    }
+    return filePath;
+  };
+
+  const sign = (key, expires) =>
+    crypto
+      .createHmac("sha256", signingSecret || "")
+      .update(`${key}:${expires}`)
+      .digest("hex");
+
+  const resolveKey = (reference) => {
+    if (!reference || typeof reference !== "string") {
+      return null;
+    }
+    if (/^https?:\/\//i.test(reference)) {
+      return null;
+    }
+    const withoutQuery = reference.split("?")[0];
+    if (withoutQuery.startsWith(`${publicPath}/`)) {
+      return decodeURIComponent(withoutQuery.slice(publicPath.length + 1)) || null;
+    }
+    return trimLeadingSlash(withoutQuery) || null;
+  };
+
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...(await walk(fullPath)));
+      } else if (entry.isFile()) {
+        files.push(fullPath);
+      }
+    }
+    return files;
+  };
+
+  return {
+    name: "local",
+    root: rootDir,
+    awsBucket: null,
+
+    resolveKey,
+
+    publicUrl(key) {
+      return key ? `${publicPath}/${trimLeadingSlash(key)}` : null;
+    },
+
+    async put(key, body) {
+      const filePath = resolvePath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+      return { key, url: this.publicUrl(key) };
+    },
+
+    async getStream(key) {
+      const filePath = resolvePath(key);
+      let stats;
+      try {
+        stats = await fs.promises.stat(filePath);
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          throw buildError("Stored object not found", 404, key);
+        }
+        throw error;
+      }
+      return {
+        stream: fs.createReadStream(filePath),
+        contentType: contentTypeFor(key),
+        contentLength: stats.size,
+      };
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolvePath(key));
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          throw error;
+        }
+      }
+    },
+
+    async list(prefix = "") {
+      const normalizedPrefix = trimLeadingSlash(prefix);
+      // Walk only the directory part of the prefix, then filter on the rest.
+      const baseDir = normalizedPrefix.includes("/")
+        ? resolvePath(normalizedPrefix.slice(0, normalizedPrefix.lastIndexOf("/")))
+        : rootDir;
+
+      const files = await walk(baseDir);
+      const objects = [];
+      for (const filePath of files) {
+        const key = path.relative(rootDir, filePath).split(path.sep).join("/");
+        if (!key.startsWith(normalizedPrefix)) {
+          continue;
+        }
+        const stats = await fs.promises.stat(filePath);
+        objects.push({ key, size: stats.size, lastModified: stats.mtime });
+      }
+      return objects.sort((a, b) => a.key.localeCompare(b.key));
+    },
+
+    async head(key) {
+      try {
+        const stats = await fs.promises.stat(resolvePath(key));
+        if (!stats.isFile()) {
+          return null;
+        }
+        return {
+          key,
+          size: stats.size,
+          lastModified: stats.mtime,
+          contentType: contentTypeFor(key),
+        };
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async getSignedUrl(key, { expiresIn = 300 } = {}) {
+      if (!signingSecret) {
+        throw buildError(
+          "Storage signing secret is not configured",
+          500,
+          "Set STORAGE_SIGNING_SECRET or JWT_SECRET in the backend environment."
+        );
+      }
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const encodedKey = trimLeadingSlash(key).split("/").map(encodeURIComponent).join("/");
+      return `${signedPath}/${encodedKey}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    // Checks a signed URL issued by getSignedUrl before the file is served.
+    verifySignature(key, expires, signature) {
+      const expiresAt = Number(expires);
+      if (!signingSecret || !Number.isInteger(expiresAt) || !signature) {
+        return false;
+      }
+      if (expiresAt < Math.floor(Date.now() / 1000)) {
+        return false;
+      }
+      const expected = Buffer.from(sign(key, expiresAt));
+      const provided = Buffer.from(String(signature));
+      return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    },
+  };
+}
+
+module.exports = createLocalDriver;
@@ -0,0 +1,191 @@
+const { Readable } = require("stream");
+const { URL } = require("url");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const {
+  s3,
+  s3Endpoint,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+} = require("../../config/awsConfig");
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+const isNotFound = (error) =>
+  error?.name === "NoSuchKey" ||
+  error?.name === "NotFound" ||
+  error?.$metadata?.httpStatusCode === 404;
+
+const isAclUnsupported = (error) =>
+  error?.name === "AccessControlListNotSupported" ||
+  error?.Code === "AccessControlListNotSupported";
+
+const trimLeadingSlash = (value) => value.replace(/^\/+/, "");
+
+const resolvePublicBaseUrl = ({ bucket, region, publicUrl }) => {
+  if (publicUrl) {
+    return publicUrl.endsWith("/") ? publicUrl : `${publicUrl}/`;
+  }
+  if (s3Endpoint) {
+    return `${s3Endpoint.replace(/\/+$/, "")}/${bucket}/`;
+  }
+  return region
+    ? `https://${bucket}.s3.${region}.amazonaws.com/`
+    : `https://${bucket}.s3.amazonaws.com/`;
+};
+
+function createS3Driver({ bucket, region, publicUrl }) {
+  if (!bucket) {
+    throw buildError(
+      "S3 bucket is not configured",
+      500,
+      "Set AWS_S3_BUCKET or S3_BUCKET_NAME, or use STORAGE_DRIVER=local."
+    );
+  }
+
+  const publicBaseUrl = resolvePublicBaseUrl({ bucket, region, publicUrl });
+
+  // Older rows store the full object URL; a path-style endpoint also carries
+  // the bucket name in front of the key.
+  const resolveKey = (reference) => {
+    if (!reference || typeof reference !== "string") {
+      return null;
+    }
+    if (!/^https?:\/\//i.test(reference)) {
+      return trimLeadingSlash(reference) || null;
+    }
+    if (reference.startsWith(publicBaseUrl)) {
+      return decodeURIComponent(reference.slice(publicBaseUrl.length).split("?")[0]) || null;
+    }
+
+    try {
+      const url = new URL(reference);
+      const pathKey = trimLeadingSlash(decodeURIComponent(url.pathname));
+      if (url.hostname.startsWith(`${bucket}.s3.`)) {
+        return pathKey || null;
+      }
+      if (s3Endpoint && pathKey.startsWith(`${bucket}/`)) {
+        return pathKey.slice(bucket.length + 1) || null;
+      }
+    } catch (error) {
+      console.warn("S3 storage: unable to parse reference", error);
+    }
+    return null;
+  };
+
+  return {
+    name: "s3",
+    bucket,
+    // Rekognition can only read images from a real AWS bucket by reference.
+    awsBucket: s3Endpoint ? null : bucket,
+
+    resolveKey,
+
+    publicUrl(key) {
+      return key ? `${publicBaseUrl}${trimLeadingSlash(key)}` : null;
+    },
+
+    async put(key, body, { contentType = "application/octet-stream", publicRead = false } = {}) {
+      const params = { Bucket: bucket, Key: key, Body: body, ContentType: contentType };
+
+      if (publicRead) {
+        try {
+          await s3.send(new PutObjectCommand({ ...params, ACL: "public-read" }));
+          return { key, url: this.publicUrl(key) };
+        } catch (error) {
+          if (!isAclUnsupported(error)) {
+            throw error;
+          }
+        }
+      }
+
+      await s3.send(new PutObjectCommand(params));
+      return { key, url: this.publicUrl(key) };
+    },
+
+    async getStream(key) {
+      try {
+        const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        const body = response.Body;
+        return {
+          stream: typeof body?.pipe === "function" ? body : Readable.from(body ?? []),
+          contentType: response.ContentType || "application/octet-stream",
+          contentLength: response.ContentLength ?? null,
+        };
+      } catch (error) {
+        if (isNotFound(error)) {
+          throw buildError("Stored object not found", 404, key);
+        }
+        throw error;
+      }
+    },
+
+    async delete(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async list(prefix, { pageSize = 1000 } = {}) {
+      const objects = [];
+      let continuationToken;
+
+      do {
+        const response = await s3.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix,
+            ContinuationToken: continuationToken,
+            MaxKeys: pageSize,
+          })
+        );
+
+        (response?.Contents || []).forEach((item) => {
+          if (item?.Key && !item.Key.endsWith("/")) {
+            objects.push({
+              key: item.Key,
+              size: item.Size ?? null,
+              lastModified: item.LastModified ?? null,
+            });
+          }
+        });
+
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return objects;
+    },
+
+    async head(key) {
+      try {
+        const response = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return {
+          key,
+          size: response.ContentLength ?? null,
+          lastModified: response.LastModified ?? null,
+          contentType: response.ContentType || null,
+        };
+      } catch (error) {
+        if (isNotFound(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async getSignedUrl(key, { expiresIn = 300 } = {}) {
+      return getSignedUrl(s3, new GetObjectCommand({ Bucket: bucket, Key: key }), {
+        expiresIn,
+      });
+    },
+  };
+}
+
+module.exports = createS3Driver;
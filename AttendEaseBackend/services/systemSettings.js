@@ -0,0 +1,488 @@
+const pool = require("../config/db");
+const ensureSchema = require("../utils/ensureSchema");
+const { getFaceProvider } = require("./faceProviders");
+
+const SETTINGS_SCHEMA_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS system_settings (
+     setting_key TEXT PRIMARY KEY,
+     value JSONB NOT NULL,
+     version INTEGER NOT NULL DEFAULT 1,
+     updated_by INTEGER,
+     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `CREATE TABLE IF NOT EXISTS system_settings_audit (
+     audit_id SERIAL PRIMARY KEY,
+     setting_key TEXT NOT NULL,
+     old_value JSONB,
+     new_value JSONB NOT NULL,
+     version INTEGER NOT NULL,
+     changed_by INTEGER,
+     changed_from TEXT,
+     changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+   )`,
+  `CREATE INDEX IF NOT EXISTS idx_system_settings_audit_key
+     ON system_settings_audit (setting_key, changed_at DESC)`,
+];
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const envFaceThreshold = Number(process.env.FACE_MATCH_THRESHOLD ?? "90");
+
+const booleanSetting = (defaultValue, description) => ({
+  type: "boolean",
+  defaultValue,
+  description,
+});
+
+const integerSetting = (defaultValue, min, max, description) => ({
+  type: "integer",
+  defaultValue,
+  min,
+  max,
+  description,
+});
+
+// Every key the admin app can read or write. Values outside this schema are
+// rejected so a typo in the client cannot silently create a new setting.
+const SETTINGS_SCHEMA = {
+  notifications: booleanSetting(true, "Send system notifications"),
+  autoBackup: booleanSetting(true, "Run automatic daily backups"),
+  dataRetention: integerSetting(
+    90,
+    1,
+    3650,
+    "Days to keep attendance punch photos before the retention job purges them"
+  ),
+  faceTemplateRetentionDays: integerSetting(
+    365,
+    0,
+    3650,
+    "Days to keep photos of retired face templates (0 keeps them forever)"
+  ),
+  enforceImageRetention: booleanSetting(
+    true,
+    "Purge expired photos automatically once a day"
+  ),
+  requireLocationForAttendance: booleanSetting(
+    true,
+    "Reject punches that do not include GPS coordinates"
+  ),
+  rejectOutsideGeofence: booleanSetting(
+    false,
+    "Reject punches outside the ward geofence instead of flagging them"
+  ),
+  geofenceToleranceMeters: integerSetting(
+    50,
+    0,
+    5000,
+    "GPS drift allowed outside a ward geofence before a punch is flagged"
+  ),
+  maxLocationAccuracyMeters: integerSetting(
+    100,
+    5,
+    5000,
+    "Reported GPS accuracy above which a punch location is flagged as unreliable"
+  ),
+  maxTravelSpeedKmh: integerSetting(
+    120,
+    10,
+    1000,
+    "Speed between one supervisor's consecutive punches above which the travel is flagged as impossible"
+  ),
+  allowOfflineMode: booleanSetting(
+    false,
+    "Accept punches captured offline and synced later"
+  ),
+  maxLoginAttempts: integerSetting(3, 1, 20, "Failed logins before lockout"),
+  loginLockoutMinutes: integerSetting(
+    15,
+    1,
+    1440,
+    "Minutes a locked account stays locked; doubles for each repeat lockout in a day"
+  ),
+  sessionTimeout: integerSetting(
+    24,
+    1,
+    720,
+    "Hours a signed-in device may stay idle before it must sign in again"
+  ),
+  enableFaceRecognition: booleanSetting(
+    true,
+    "Allow attendance through face recognition"
+  ),
+  faceMatchThreshold: {
+    type: "number",
+    defaultValue: Number.isFinite(envFaceThreshold) ? envFaceThreshold : 90,
+    min: 50,
+    max: 100,
+    description: "Minimum face similarity (%) required to mark attendance",
+  },
+  maxFaceTemplates: integerSetting(
+    5,
+    1,
+    20,
+    "Active face templates kept per employee; adding another retires the weakest"
+  ),
+  faceTemplateIdleDays: integerSetting(
+    180,
+    0,
+    3650,
+    "Days without a match after which an extra face template is retired (0 = never)"
+  ),
+  minFaceQualityScore: integerSetting(
+    60,
+    0,
+    100,
+    "Photo quality score (0-100) the pre-check asks for before enrolment or a face punch"
+  ),
+  groupReviewMinSimilarity: integerSetting(
+    60,
+    0,
+    100,
+    "Lowest similarity (%) at which a group face below the match threshold is queued with its likely employee"
+  ),
+  requireLiveness: booleanSetting(
+    false,
+    "Reject single face punches that fail the blink or head-turn liveness check; while on, group, manual and offline punches are refused"
+  ),
+  livenessMinScore: integerSetting(
+    80,
+    0,
+    100,
+    "Minimum liveness score (0-100) a face punch needs to pass"
+  ),
+  rejectDuplicatePhotos: booleanSetting(
+    false,
+    "Reject punch photos that match an earlier punch instead of flagging them"
+  ),
+  duplicatePhotoDistance: integerSetting(
+    4,
+    0,
+    16,
+    "Bits (of 64) two punch photo hashes may differ by and still count as the same picture"
+  ),
+  duplicatePhotoLookbackDays: integerSetting(
+    90,
+    1,
+    365,
+    "Days of earlier punch photos each new punch photo is compared against"
+  ),
+  workingHours: {
+    type: "timeRange",
+    defaultValue: { start: "09:00", end: "17:00" },
+    description: "Default working window for employees without a shift",
+  },
+  lateThreshold: integerSetting(15, 0, 240, "Grace minutes before a punch-in is late"),
+  earlyLeaveThreshold: integerSetting(
+    30,
+    0,
+    240,
+    "Grace minutes before a punch-out is an early leave"
+  ),
+};
+
+const SETTINGS_CACHE_TTL_MS = 30 * 1000;
+let settingsCache = null;
+
+const buildError = (message, statusCode, details) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+};
+
+const cloneValue = (value) =>
+  value !== null && typeof value === "object" ? { ...value } : value;
+
+function getDefaultSettings() {
+  return Object.fromEntries(
+    Object.entries(SETTINGS_SCHEMA).map(([key, definition]) => [
+      key,
+      cloneValue(definition.defaultValue),
+    ])
+  );
+}
+
+// Returns a normalized value or throws a 400 describing why it is invalid.
+function validateSettingValue(key, rawValue) {
+  const definition = SETTINGS_SCHEMA[key];
+  if (!definition) {
+    throw buildError(`Unknown setting "${key}"`, 400);
+  }
+
+  const invalid = (reason) =>
+    buildError(`Invalid value for "${key}"`, 400, reason);
+
+  switch (definition.type) {
+    case "boolean": {
+      if (typeof rawValue !== "boolean") {
+        throw invalid("Expected true or false");
+      }
+      return rawValue;
+    }
+    case "integer":
+    case "number": {
+      const numeric = typeof rawValue === "string" ? Number(rawValue) : rawValue;
+      if (typeof numeric !== "number" || !Number.isFinite(numeric)) {
+        throw invalid("Expected a number");
+      }
+      if (definition.type === "integer" && !Number.isInteger(numeric)) {
+        throw invalid("Expected a whole number");
+      }
+      if (numeric < definition.min || numeric > definition.max) {
+        throw invalid(`Expected a value between ${definition.min} and ${definition.max}`);
+      }
+      return numeric;
+    }
+    case "timeRange": {
+      const start = rawValue?.start;
+      const end = rawValue?.end;
+      if (!TIME_OF_DAY_PATTERN.test(start ?? "") || !TIME_OF_DAY_PATTERN.test(end ?? "")) {
+        throw invalid("Expected { start: \"HH:MM\", end: \"HH:MM\" }");
+      }
+      if (start === end) {
+        throw invalid("Start and end must differ");
+      }
+      return { start, end };
+    }
+    default:
+      throw invalid("Unsupported setting type");
+  }
+}
+
+function validateSettingsPatch(patch) {
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) {
+    throw buildError("Settings payload must be an object", 400);
+  }
+
+  const keys = Object.keys(patch);
+  if (keys.length === 0) {
+    throw buildError("No settings provided", 400);
+  }
+
+  const errors = {};
+  const normalized = {};
+  keys.forEach((key) => {
+    try {
+      normalized[key] = validateSettingValue(key, patch[key]);
+    } catch (error) {
+      errors[key] = error.details || error.message;
+    }
+  });
+
+  // The blink and head-turn checks read eyes and head pose from the face
+  // provider; without them every face punch would fail the check
+  if (normalized.requireLiveness === true && !getFaceProvider().reportsFaceAttributes) {
+    errors.requireLiveness =
+      "The face provider cannot report eyes or head pose, so liveness cannot be checked";
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw buildError("Invalid settings", 400, errors);
+  }
+
+  return normalized;
+}
+
+async function loadStoredSettings() {
+  await ensureSchema("system_settings", SETTINGS_SCHEMA_STATEMENTS);
+
+  const { rows } = await pool.query(
+    `SELECT setting_key, value, version, updated_by, updated_at
+       FROM system_settings`
+  );
+
+  const settings = getDefaultSettings();
+  const meta = {};
+
+  Object.keys(SETTINGS_SCHEMA).forEach((key) => {
+    meta[key] = { version: 0, updatedBy: null, updatedAt: null };
+  });
+
+  rows.forEach((row) => {
+    if (!SETTINGS_SCHEMA[row.setting_key]) {
+      return;
+    }
+
+    try {
+      settings[row.setting_key] = validateSettingValue(row.setting_key, row.value);
+    } catch (error) {
+      console.warn(
+        `Ignoring invalid stored setting "${row.setting_key}":`,
+        error.details || error.message
+      );
+    }
+
+    meta[row.setting_key] = {
+      version: row.version,
+      updatedBy: row.updated_by,
+      updatedAt: row.updated_at,
+    };
+  });
+
+  return { settings, meta };
+}
+
+/**
+ * Returns `{ settings, meta }` where `meta[key]` holds the version and last
+ * editor. Version 0 means the key still uses its default value.
+ */
+async function getSettingsWithMeta({ fresh = false } = {}) {
+  if (!fresh && settingsCache && settingsCache.expiresAt > Date.now()) {
+    return settingsCache.value;
+  }
+
+  const value = await loadStoredSettings();
+  settingsCache = { value, expiresAt: Date.now() + SETTINGS_CACHE_TTL_MS };
+  return value;
+}
+
+/**
+ * Current settings for request-time checks. Falls back to the defaults when
+ * the database cannot be reached so attendance keeps working.
+ */
+async function getSettings() {
+  try {
+    const { settings } = await getSettingsWithMeta();
+    return settings;
+  } catch (error) {
+    console.error("getSettings: using defaults,", error.message);
+    return getDefaultSettings();
+  }
+}
+
+async function getSetting(key) {
+  if (!SETTINGS_SCHEMA[key]) {
+    throw new Error(`Unknown setting "${key}"`);
+  }
+
+  const settings = await getSettings();
+  return settings[key];
+}
+
+/**
+ * Persists a partial settings update in one transaction.
+ *
+ * `expectedVersions` is optional; when a key is listed there and the stored
+ * version differs, the whole update is rejected with 409 so two admins do
+ * not overwrite each other. Unchanged values are skipped and not audited.
+ */
+async function updateSettings(patch, { actorId = null, expectedVersions = {}, source = null } = {}) {
+  const normalized = validateSettingsPatch(patch);
+  await ensureSchema("system_settings", SETTINGS_SCHEMA_STATEMENTS);
+
+  const client = await pool.connect();
+  const changed = [];
+
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `SELECT setting_key, value, version
+         FROM system_settings
+        WHERE setting_key = ANY($1::text[])
+        FOR UPDATE`,
+      [Object.keys(normalized)]
+    );
+    const stored = new Map(rows.map((row) => [row.setting_key, row]));
+    const defaults = getDefaultSettings();
+
+    const conflicts = {};
+    Object.keys(normalized).forEach((key) => {
+      if (expectedVersions[key] === undefined || expectedVersions[key] === null) {
+        return;
+      }
+      const currentVersion = stored.get(key)?.version ?? 0;
+      if (Number(expectedVersions[key]) !== currentVersion) {
+        conflicts[key] = { expected: Number(expectedVersions[key]), current: currentVersion };
+      }
+    });
+
+    if (Object.keys(conflicts).length > 0) {
+      throw buildError("Settings were changed by someone else", 409, conflicts);
+    }
+
+    for (const [key, value] of Object.entries(normalized)) {
+      const previous = stored.has(key) ? stored.get(key).value : defaults[key];
+      if (JSON.stringify(previous) === JSON.stringify(value)) {
+        continue;
+      }
+
+      const { rows: updatedRows } = await client.query(
+        `INSERT INTO system_settings (setting_key, value, version, updated_by, updated_at)
+         VALUES ($1, $2::jsonb, 1, $3, NOW())
+         ON CONFLICT (setting_key) DO UPDATE SET
+           value = EXCLUDED.value,
+           version = system_settings.version + 1,
+           updated_by = EXCLUDED.updated_by,
+           updated_at = NOW()
+         RETURNING version`,
+        [key, JSON.stringify(value), actorId]
+      );
+
+      await client.query(
+        `INSERT INTO system_settings_audit
+           (setting_key, old_value, new_value, version, changed_by, changed_from)
+         VALUES ($1, $2::jsonb, $3::jsonb, $4, $5, $6)`,
+        [
+          key,
+          JSON.stringify(previous),
+          JSON.stringify(value),
+          updatedRows[0].version,
+          actorId,
+          source,
+        ]
+      );
+
+      changed.push(key);
+    }
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  settingsCache = null;
+  const current = await getSettingsWithMeta({ fresh: true });
+  return { ...current, changed };
+}
+
+async function getSettingsAudit({ key = null, limit = 50, offset = 0 } = {}) {
+  await ensureSchema("system_settings", SETTINGS_SCHEMA_STATEMENTS);
+
+  const params = [];
+  let whereClause = "";
+  if (key) {
+    params.push(key);
+    whereClause = `WHERE sa.setting_key = $${params.length}`;
+  }
+
+  const { rows } = await pool.query(
+    `SELECT sa.audit_id, sa.setting_key, sa.old_value, sa.new_value, sa.version,
+            sa.changed_by, u.name AS changed_by_name, sa.changed_from, sa.changed_at
+       FROM system_settings_audit sa
+       LEFT JOIN users u ON u.user_id = sa.changed_by
+       ${whereClause}
+      ORDER BY sa.changed_at DESC, sa.audit_id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, offset]
+  );
+
+  return rows;
+}
+
+module.exports = {
+  SETTINGS_SCHEMA,
+  getDefaultSettings,
+  validateSettingsPatch,
+  getSettingsWithMeta,
+  getSettings,
+  getSetting,
+  updateSettings,
+  getSettingsAudit,
+};
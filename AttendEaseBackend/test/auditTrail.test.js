@@ -0,0 +1,70 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const auditLog = require("../services/auditLog");
+
+// Replaced before the middleware takes its reference
+const recorded = [];
+auditLog.recordAuditEntry = async (entry) => {
+  recorded.push(entry);
+};
+const auditTrail = require("../middleware/auditTrail");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api", auditTrail);
+
+  const wards = express.Router();
+  wards.post("/summary", (req, res) => res.json({ success: true }));
+  const employee = express.Router();
+  employee.post("/", (req, res) => {
+    if (req.body.created) {
+      auditLog.noteAudit(req, { action: "attendance.create" });
+    }
+    res.json({ ok: true });
+  });
+  employee.post("/sync", (req, res) => res.json({ ok: true }));
+
+  app.use("/api/app/supervisor/wards", wards);
+  app.use("/api/app/attendance/employee", employee);
+
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const post = async (path, body = {}) => {
+  recorded.length = 0;
+  await fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  // Entries are written once the response has finished
+  await new Promise((resolve) => setImmediate(resolve));
+  return recorded.map((entry) => entry.action);
+};
+
+test("read-only POSTs are not audited", async () => {
+  assert.deepEqual(await post("/api/app/supervisor/wards/summary"), []);
+  assert.deepEqual(await post("/api/app/attendance/employee"), []);
+});
+
+test("a read-only POST is audited when its handler notes a change", async () => {
+  assert.deepEqual(await post("/api/app/attendance/employee", { created: true }), [
+    "attendance.create",
+  ]);
+});
+
+test("other POSTs are audited", async () => {
+  assert.deepEqual(await post("/api/app/attendance/employee/sync"), [
+    "POST /api/app/attendance/employee/sync",
+  ]);
+});
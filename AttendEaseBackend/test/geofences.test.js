@@ -0,0 +1,125 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const pool = require("../config/db");
+const {
+  distanceFromFence,
+  evaluatePunchLocation,
+  validateGeofenceInput,
+} = require("../services/geofences");
+
+// One degree of latitude is about 111.2 km
+const METERS_PER_DEGREE = 111195;
+
+const CIRCLE = { fenceType: "circle", center: { lat: 18.52, lng: 73.85 }, radiusMeters: 500 };
+
+// An L-shaped ward: a 0.02° square with its north-east quarter missing
+const L_SHAPE = {
+  fenceType: "polygon",
+  polygon: [
+    [18.5, 73.8],
+    [18.5, 73.82],
+    [18.51, 73.82],
+    [18.51, 73.81],
+    [18.52, 73.81],
+    [18.52, 73.8],
+  ],
+};
+
+afterEach(() => mock.restoreAll());
+
+test("points inside a circle are at distance zero", () => {
+  assert.equal(distanceFromFence(CIRCLE, 18.52, 73.85), 0);
+  assert.equal(distanceFromFence(CIRCLE, 18.524, 73.85), 0);
+});
+
+test("distance outside a circle is measured from its edge", () => {
+  const distance = distanceFromFence(CIRCLE, 18.53, 73.85);
+  assert.ok(Math.abs(distance - (0.01 * METERS_PER_DEGREE - 500)) < 1, `got ${distance}`);
+});
+
+test("points inside a concave polygon are at distance zero", () => {
+  assert.equal(distanceFromFence(L_SHAPE, 18.505, 73.805), 0);
+  assert.equal(distanceFromFence(L_SHAPE, 18.515, 73.805), 0);
+  assert.equal(distanceFromFence(L_SHAPE, 18.505, 73.815), 0);
+});
+
+test("distance outside a polygon is measured to the nearest edge", () => {
+  // In the missing quarter, 0.002° north of the inner edge
+  const inNotch = distanceFromFence(L_SHAPE, 18.512, 73.815);
+  assert.ok(Math.abs(inNotch - 0.002 * METERS_PER_DEGREE) < 1, `got ${inNotch}`);
+
+  // South of the southern edge
+  const south = distanceFromFence(L_SHAPE, 18.499, 73.81);
+  assert.ok(Math.abs(south - 0.001 * METERS_PER_DEGREE) < 1, `got ${south}`);
+});
+
+test("validateGeofenceInput normalizes circles and polygons", () => {
+  const circle = validateGeofenceInput({
+    type: "Circle",
+    center: { lat: "18.52", lng: 73.85 },
+    radius_meters: "500",
+  });
+  assert.deepEqual(circle, { ...CIRCLE, polygon: null });
+
+  // The closing point is dropped and { lat, lng } points are accepted
+  const fence = validateGeofenceInput({
+    type: "polygon",
+    polygon: [...L_SHAPE.polygon.slice(0, 5), { lat: 18.52, lng: 73.8 }, [18.5, 73.8]],
+  });
+  assert.deepEqual(fence.polygon, L_SHAPE.polygon);
+});
+
+test("validateGeofenceInput rejects invalid fences", () => {
+  const details = (input) => {
+    try {
+      validateGeofenceInput(input);
+    } catch (error) {
+      assert.equal(error.statusCode, 400);
+      return error.details;
+    }
+    assert.fail("expected the fence to be rejected");
+  };
+
+  assert.deepEqual(Object.keys(details({ type: "circle", center: { lat: 91, lng: 0 } })), [
+    "center",
+    "radius_meters",
+  ]);
+  assert.match(details({ type: "polygon", polygon: [[18.5, 73.8]] }).polygon, /between 3/);
+  assert.equal(
+    details({ type: "polygon", polygon: [[18.5, 73.8], [18.5, 181], [18.6, 73.8]] }).polygon,
+    "Point 2 is not a valid coordinate"
+  );
+  assert.match(details({ type: "square" }).type, /circle/);
+});
+
+test("evaluatePunchLocation allows for GPS drift", async () => {
+  mock.method(pool, "query", async (sql) => {
+    if (sql.includes("FROM ward_geofences")) {
+      const { center, radiusMeters } = CIRCLE;
+      return {
+        rows: [
+          {
+            ward_id: 4,
+            fence_type: "circle",
+            center_lat: center.lat,
+            center_lng: center.lng,
+            radius_meters: radiusMeters,
+          },
+        ],
+      };
+    }
+    return { rows: [] };
+  });
+
+  // About 34 m outside the fence, within the default 50 m tolerance
+  const drift = await evaluatePunchLocation(4, "18.5248", "73.85");
+  assert.equal(drift.outside, false);
+  assert.ok(drift.distanceMeters > 30 && drift.distanceMeters < 50);
+
+  const outside = await evaluatePunchLocation(4, 18.53, 73.85);
+  assert.equal(outside.outside, true);
+  assert.equal(outside.rejected, false);
+
+  assert.equal(await evaluatePunchLocation(4, null, 73.85), null);
+  assert.equal(await evaluatePunchLocation(null, 18.52, 73.85), null);
+});
@@ -0,0 +1,101 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const pool = require("../config/db");
+const { createLeaveApplication } = require("../services/leaves");
+
+const CASUAL_LEAVE = { leave_type_id: 1, code: "CL", annual_allowance: 12 };
+const UNPAID_LEAVE = { leave_type_id: 2, code: "LWP", annual_allowance: null };
+
+// A database with one employee whose balance row holds `remaining` days
+// (allocated + carried forward - used) and `pending` days already requested.
+// Returns the inserted application rows.
+function stubDatabase({ leaveType = CASUAL_LEAVE, remaining = 12, pending = 0 } = {}) {
+  const inserted = [];
+  const query = async (sql, params = []) => {
+    if (sql.includes("FROM leave_types")) return { rows: [leaveType] };
+    if (sql.includes("FROM employee WHERE")) return { rows: [{ emp_id: params[0] }] };
+    if (sql.includes("AS remaining")) return { rows: [{ remaining, pending }] };
+    if (sql.includes("INSERT INTO leave_applications")) {
+      inserted.push(params);
+      return { rows: [{ application_id: 501 }] };
+    }
+    if (sql.includes("WHERE la.application_id")) {
+      const [empId, , startDate, endDate, days] = inserted[inserted.length - 1];
+      return {
+        rows: [
+          { application_id: 501, emp_id: empId, start_date: startDate, end_date: endDate, days },
+        ],
+      };
+    }
+    return { rows: [], rowCount: 0 };
+  };
+
+  mock.method(pool, "query", query);
+  mock.method(pool, "connect", async () => ({ query, release() {} }));
+  return inserted;
+}
+
+afterEach(() => mock.restoreAll());
+
+const apply = (input) =>
+  createLeaveApplication({ emp_id: 7, leave_type: "CL", ...input }, { actorId: 3 });
+
+const rejection = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  assert.fail("expected the application to be rejected");
+};
+
+test("counts both the first and the last day", async () => {
+  stubDatabase();
+  assert.equal((await apply({ start_date: "2026-03-02" })).days, 1);
+  assert.equal((await apply({ start_date: "2026-03-02", end_date: "2026-03-06" })).days, 5);
+  // Across the end of February in a non-leap year
+  assert.equal((await apply({ start_date: "2026-02-27", end_date: "2026-03-02" })).days, 4);
+});
+
+test("pending requests hold days against the balance", async () => {
+  stubDatabase({ remaining: 5, pending: 2 });
+  assert.equal((await apply({ start_date: "2026-03-02", end_date: "2026-03-04" })).days, 3);
+
+  const error = await rejection(apply({ start_date: "2026-03-02", end_date: "2026-03-05" }));
+  assert.equal(error.statusCode, 400);
+  assert.equal(error.message, "Insufficient leave balance");
+  assert.deepEqual(error.details, { requested: 4, available: 3, leaveType: "CL" });
+});
+
+test("an employee without a balance row has nothing available", async () => {
+  stubDatabase();
+  mock.method(pool, "connect", async () => ({
+    query: async (sql) => {
+      if (sql.includes("FROM leave_types")) return { rows: [CASUAL_LEAVE] };
+      if (sql.includes("FROM employee WHERE")) return { rows: [{ emp_id: 7 }] };
+      return { rows: [] };
+    },
+    release() {},
+  }));
+
+  const error = await rejection(apply({ start_date: "2026-03-02" }));
+  assert.deepEqual(error.details, { requested: 1, available: 0, leaveType: "CL" });
+});
+
+test("leave types without an allowance are not limited", async () => {
+  const inserted = stubDatabase({ leaveType: UNPAID_LEAVE, remaining: 0 });
+  await apply({ leave_type: "LWP", start_date: "2026-03-02", end_date: "2026-03-31" });
+  assert.equal(inserted[0][4], 30);
+});
+
+test("rejects ranges that run backwards or span two years", async () => {
+  stubDatabase();
+
+  const backwards = await rejection(apply({ start_date: "2026-03-05", end_date: "2026-03-02" }));
+  assert.equal(backwards.statusCode, 400);
+  assert.match(backwards.details.end_date, /on or after/);
+
+  const twoYears = await rejection(apply({ start_date: "2026-12-30", end_date: "2027-01-02" }));
+  assert.equal(twoYears.statusCode, 400);
+  assert.equal(twoYears.message, "Leave cannot span two calendar years");
+});
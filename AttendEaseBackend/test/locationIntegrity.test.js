@@ -0,0 +1,175 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const pool = require("../config/db");
+const {
+  haversineMeters,
+  parseLocationSignals,
+  evaluateLocationIntegrity,
+} = require("../services/locationIntegrity");
+
+// No database here: settings fall back to their defaults (100 m accuracy,
+// 120 km/h) and the previous punch is whatever the test passes in
+const stubPreviousPunch = (previous) =>
+  mock.method(pool, "query", async (sql) => ({
+    rows: previous && sql.includes("CROSS JOIN LATERAL") ? [previous] : [],
+  }));
+
+afterEach(() => mock.restoreAll());
+
+const PUNCHED_AT = new Date("2026-01-15T10:00:00Z");
+const minutesBefore = (minutes) => new Date(PUNCHED_AT.getTime() - minutes * 60000);
+
+test("haversineMeters measures great-circle distance", () => {
+  assert.equal(haversineMeters(18.52, 73.85, 18.52, 73.85), 0);
+  assert.ok(Math.abs(haversineMeters(0, 0, 1, 0) - 111195) < 1);
+  assert.ok(Math.abs(haversineMeters(18.52, 73.85, 19.08, 72.88) - 119800) < 1000);
+});
+
+test("parseLocationSignals reads form values and drops invalid ones", () => {
+  assert.deepEqual(parseLocationSignals({ accuracy: "12.5", mocked: "true" }), {
+    accuracyMeters: 12.5,
+    mocked: true,
+  });
+  assert.deepEqual(parseLocationSignals({ accuracy: "-3", mocked: "0" }), {
+    accuracyMeters: null,
+    mocked: false,
+  });
+  assert.deepEqual(parseLocationSignals({ accuracy: "abc", mocked: "maybe" }), {
+    accuracyMeters: null,
+    mocked: null,
+  });
+  assert.deepEqual(parseLocationSignals(), { accuracyMeters: null, mocked: null });
+});
+
+test("flags a fix less accurate than the configured limit", async () => {
+  stubPreviousPunch(null);
+  const base = { latitude: "18.52", longitude: "73.85", actorId: 7, punchedAt: PUNCHED_AT };
+
+  const vague = await evaluateLocationIntegrity({ ...base, signals: { accuracyMeters: 150 } });
+  assert.equal(vague.lowAccuracy, true);
+  assert.deepEqual(vague.anomalies, ["low_accuracy"]);
+
+  const precise = await evaluateLocationIntegrity({ ...base, signals: { accuracyMeters: 100 } });
+  assert.equal(precise.lowAccuracy, false);
+  assert.equal(precise.travel, null);
+  assert.equal(precise.impossibleTravel, null);
+  assert.deepEqual(precise.anomalies, []);
+});
+
+test("flags a mocked location", async () => {
+  stubPreviousPunch(null);
+  const result = await evaluateLocationIntegrity({
+    latitude: 18.52,
+    longitude: 73.85,
+    signals: { mocked: true },
+  });
+  assert.equal(result.mockLocation, true);
+  assert.equal(result.lowAccuracy, null);
+  assert.deepEqual(result.anomalies, ["mock_location"]);
+});
+
+test("flags travel faster than the configured speed", async () => {
+  // About 100 km north in 30 minutes: 200 km/h
+  stubPreviousPunch({
+    attendance_id: 41,
+    punch_type: "IN",
+    punch_time: minutesBefore(30),
+    latitude: 18.52,
+    longitude: 73.85,
+    accuracy: 10,
+  });
+
+  const result = await evaluateLocationIntegrity({
+    latitude: 19.4193,
+    longitude: 73.85,
+    signals: { accuracyMeters: 10 },
+    actorId: 7,
+    punchedAt: PUNCHED_AT,
+    attendanceId: 42,
+    punchType: "IN",
+  });
+
+  assert.equal(result.travel.fromAttendanceId, 41);
+  assert.equal(result.travel.minutes, 30);
+  assert.ok(result.travel.speedKmh > 190 && result.travel.speedKmh < 210);
+  assert.equal(result.impossibleTravel, true);
+  assert.deepEqual(result.anomalies, ["impossible_travel"]);
+});
+
+test("does not flag plausible travel", async () => {
+  // About 20 km in an hour
+  stubPreviousPunch({
+    attendance_id: 41,
+    punch_type: "OUT",
+    punch_time: minutesBefore(60),
+    latitude: 18.52,
+    longitude: 73.85,
+    accuracy: 10,
+  });
+
+  const result = await evaluateLocationIntegrity({
+    latitude: 18.7,
+    longitude: 73.85,
+    actorId: 7,
+    punchedAt: PUNCHED_AT,
+    attendanceId: 42,
+    punchType: "IN",
+  });
+
+  assert.ok(result.travel.speedKmh > 15 && result.travel.speedKmh < 25);
+  assert.equal(result.impossibleTravel, false);
+});
+
+test("treats short jumps as GPS noise, however quick", async () => {
+  // About 500 m in one minute
+  stubPreviousPunch({
+    attendance_id: 41,
+    punch_type: "IN",
+    punch_time: minutesBefore(1),
+    latitude: 18.52,
+    longitude: 73.85,
+    accuracy: null,
+  });
+
+  const result = await evaluateLocationIntegrity({
+    latitude: 18.5245,
+    longitude: 73.85,
+    actorId: 7,
+    punchedAt: PUNCHED_AT,
+    attendanceId: 42,
+    punchType: "OUT",
+  });
+
+  assert.ok(result.travel.distanceMeters > 400 && result.travel.distanceMeters < 600);
+  assert.equal(result.travel.speedKmh, 0);
+  assert.equal(result.impossibleTravel, false);
+});
+
+test("takes both fixes' accuracy off the distance travelled", async () => {
+  // About 1.2 km in 30 seconds, but each fix is only good to 150 m
+  const previous = {
+    attendance_id: 41,
+    punch_type: "IN",
+    punch_time: minutesBefore(0.5),
+    latitude: 18.52,
+    longitude: 73.85,
+  };
+  const punch = {
+    latitude: 18.5308,
+    longitude: 73.85,
+    actorId: 7,
+    punchedAt: PUNCHED_AT,
+    attendanceId: 42,
+    punchType: "OUT",
+  };
+
+  stubPreviousPunch({ ...previous, accuracy: 5 });
+  const precise = await evaluateLocationIntegrity({ ...punch, signals: { accuracyMeters: 5 } });
+  assert.equal(precise.impossibleTravel, true);
+
+  mock.restoreAll();
+  stubPreviousPunch({ ...previous, accuracy: 150 });
+  const vague = await evaluateLocationIntegrity({ ...punch, signals: { accuracyMeters: 150 } });
+  assert.equal(vague.travel.speedKmh, 0);
+  assert.equal(vague.impossibleTravel, false);
+});
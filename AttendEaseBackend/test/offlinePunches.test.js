@@ -0,0 +1,105 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MAX_BATCH_SIZE, parseBatch, validateOfflinePunch } = require("../services/offlinePunches");
+
+const NOW = new Date("2026-01-15T10:00:00Z");
+const hoursBefore = (hours) => new Date(NOW.getTime() - hours * 3600000).toISOString();
+
+const validPunch = {
+  idempotency_key: "device-1-0001",
+  mode: "face",
+  emp_id: "12",
+  punch_type: "in",
+  captured_at: hoursBefore(2),
+  latitude: "18.52",
+  longitude: "73.85",
+  address: "Ward office",
+};
+
+const rejection = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    assert.equal(error.statusCode, 400);
+    return error.details;
+  }
+  assert.fail("expected a 400 error");
+};
+
+test("parseBatch accepts a JSON array up to the batch size", () => {
+  assert.deepEqual(parseBatch('[{"a":1}]'), [{ a: 1 }]);
+  assert.equal(parseBatch(new Array(MAX_BATCH_SIZE).fill({})).length, MAX_BATCH_SIZE);
+});
+
+test("parseBatch rejects empty, oversized and malformed batches", () => {
+  assert.match(rejection(() => parseBatch("not json")), /JSON array/);
+  assert.match(rejection(() => parseBatch("[]")), /non-empty/);
+  assert.match(rejection(() => parseBatch({})), /non-empty/);
+  assert.match(
+    rejection(() => parseBatch(new Array(MAX_BATCH_SIZE + 1).fill({}))),
+    new RegExp(`At most ${MAX_BATCH_SIZE}`)
+  );
+});
+
+test("validateOfflinePunch normalizes a valid capture", () => {
+  const punch = validateOfflinePunch(validPunch, { now: NOW });
+  assert.equal(punch.key, "device-1-0001");
+  assert.equal(punch.mode, "face");
+  assert.equal(punch.empId, 12);
+  assert.equal(punch.punchType, "IN");
+  assert.equal(punch.capturedAt.toISOString(), validPunch.captured_at);
+  assert.deepEqual(punch.location, {
+    latitude: "18.52",
+    longitude: "73.85",
+    address: "Ward office",
+    accuracy: null,
+    mocked: null,
+  });
+});
+
+test("validateOfflinePunch lets group captures omit the employee", () => {
+  const punch = validateOfflinePunch(
+    { ...validPunch, mode: "group", emp_id: undefined },
+    { now: NOW }
+  );
+  assert.equal(punch.empId, null);
+});
+
+test("validateOfflinePunch lists every problem at once", () => {
+  const details = rejection(() =>
+    validateOfflinePunch(
+      {
+        idempotency_key: "short",
+        mode: "batch",
+        punch_type: "LUNCH",
+        captured_at: "yesterday-ish",
+        latitude: "north",
+        longitude: "73.85",
+      },
+      { now: NOW }
+    )
+  );
+  assert.deepEqual(Object.keys(details).sort(), [
+    "captured_at",
+    "idempotency_key",
+    "location",
+    "mode",
+    "punch_type",
+  ]);
+  assert.match(
+    rejection(() => validateOfflinePunch({ ...validPunch, emp_id: "0" }, { now: NOW })).emp_id,
+    /Employee/
+  );
+});
+
+test("validateOfflinePunch bounds the capture time", () => {
+  const capturedHoursAgo = (hours) =>
+    validateOfflinePunch({ ...validPunch, captured_at: hoursBefore(hours) }, { now: NOW });
+
+  // Five minutes of clock skew are tolerated
+  capturedHoursAgo(-4 / 60);
+  assert.match(rejection(() => capturedHoursAgo(-0.5)).captured_at, /future/);
+
+  capturedHoursAgo(71);
+  assert.match(rejection(() => capturedHoursAgo(73)).captured_at, /older than 72 hours/);
+});
@@ -0,0 +1,67 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const pool = require("../config/db");
+const { computePhotoHash, checkPunchPhoto } = require("../services/photoHashes");
+
+const WIDTH = 320;
+const HEIGHT = 240;
+
+// A synthetic photo: a diagonal gradient with a bright block, or the same
+// block moved to the other side for a different picture
+function renderPhoto({ blockLeft }) {
+  const pixels = Buffer.alloc(WIDTH * HEIGHT * 3);
+  for (let y = 0; y < HEIGHT; y += 1) {
+    for (let x = 0; x < WIDTH; x += 1) {
+      const inBlock = x >= blockLeft && x < blockLeft + 80 && y >= 60 && y < 180;
+      const value = inBlock ? 240 : Math.round(((x + y) / (WIDTH + HEIGHT)) * 160);
+      pixels.fill(value, (y * WIDTH + x) * 3, (y * WIDTH + x) * 3 + 3);
+    }
+  }
+  return sharp(pixels, { raw: { width: WIDTH, height: HEIGHT, channels: 3 } });
+}
+
+const distance = (a, b) => [...a].filter((bit, index) => bit !== b[index]).length;
+
+test("computePhotoHash returns 64 bits as text", async () => {
+  const hash = await computePhotoHash(await renderPhoto({ blockLeft: 40 }).png().toBuffer());
+  assert.match(hash, /^[01]{64}$/);
+});
+
+test("computePhotoHash is stable across re-compression and resizing", async () => {
+  const original = await computePhotoHash(await renderPhoto({ blockLeft: 40 }).png().toBuffer());
+  const compressed = await computePhotoHash(
+    await renderPhoto({ blockLeft: 40 }).jpeg({ quality: 40 }).toBuffer()
+  );
+  const resized = await computePhotoHash(
+    await renderPhoto({ blockLeft: 40 }).resize(160, 120).jpeg({ quality: 70 }).toBuffer()
+  );
+
+  // duplicatePhotoDistance defaults to a few bits; these must fall inside it
+  assert.ok(distance(original, compressed) <= 4, `compressed: ${distance(original, compressed)}`);
+  assert.ok(distance(original, resized) <= 4, `resized: ${distance(original, resized)}`);
+});
+
+test("computePhotoHash tells different pictures apart", async () => {
+  const left = await computePhotoHash(await renderPhoto({ blockLeft: 40 }).png().toBuffer());
+  const right = await computePhotoHash(await renderPhoto({ blockLeft: 200 }).png().toBuffer());
+  assert.ok(distance(left, right) > 10, `distance: ${distance(left, right)}`);
+});
+
+test("checkPunchPhoto only compares photos inside the lookback window", async (t) => {
+  const queries = [];
+  t.after(() => mock.restoreAll());
+  mock.method(pool, "query", async (sql, params) => {
+    queries.push({ sql, params });
+    return { rows: [] };
+  });
+
+  const photo = await renderPhoto({ blockLeft: 40 }).jpeg().toBuffer();
+  const check = await checkPunchPhoto(photo, { attendanceId: 42, empId: 7, punchType: "IN" });
+  assert.equal(check.match, null);
+
+  const search = queries.find(({ sql }) => sql.includes("punch_photo_hashes h"));
+  // Hash, lookback days (default 90), this punch, its type, distance (default 4)
+  assert.deepEqual(search.params.slice(1), [90, 42, "IN", 4]);
+  assert.equal(search.sql.match(/phash #/g).length, 1);
+});
@@ -0,0 +1,157 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const pool = require("../config/db");
+const { computeShiftMetrics, resolveAttendanceDate } = require("../services/shifts");
+
+const DAY_SHIFT = {
+  shiftId: 1,
+  startTime: "09:00",
+  endTime: "17:00",
+  graceInMinutes: 15,
+  graceOutMinutes: 30,
+  crossesMidnight: false,
+};
+const NIGHT_SHIFT = {
+  shiftId: 2,
+  startTime: "22:00",
+  endTime: "06:00",
+  graceInMinutes: 15,
+  graceOutMinutes: 30,
+  crossesMidnight: true,
+};
+
+// Shift times are IST wall-clock times
+const ist = (date, time) => new Date(`${date}T${time}:00+05:30`);
+
+test("lateness counts from the shift start and respects the grace period", () => {
+  const onTime = computeShiftMetrics(DAY_SHIFT, "2026-01-15", ist("2026-01-15", "08:50"), null);
+  assert.equal(onTime.late_minutes, 0);
+  assert.equal(onTime.is_late, false);
+  assert.equal(onTime.early_exit_minutes, null);
+
+  const grace = computeShiftMetrics(DAY_SHIFT, "2026-01-15", ist("2026-01-15", "09:15"), null);
+  assert.equal(grace.late_minutes, 15);
+  assert.equal(grace.is_late, false);
+
+  const late = computeShiftMetrics(DAY_SHIFT, "2026-01-15", ist("2026-01-15", "09:16"), null);
+  assert.equal(late.late_minutes, 16);
+  assert.equal(late.is_late, true);
+});
+
+test("early exit and overtime count from the shift end", () => {
+  const early = computeShiftMetrics(
+    DAY_SHIFT,
+    "2026-01-15",
+    ist("2026-01-15", "09:00"),
+    ist("2026-01-15", "16:00")
+  );
+  assert.equal(early.early_exit_minutes, 60);
+  assert.equal(early.is_early_exit, true);
+  assert.equal(early.overtime_minutes, 0);
+  assert.equal(early.duration_minutes, 420);
+
+  const overtime = computeShiftMetrics(
+    DAY_SHIFT,
+    "2026-01-15",
+    ist("2026-01-15", "09:00"),
+    ist("2026-01-15", "18:30")
+  );
+  assert.equal(overtime.early_exit_minutes, 0);
+  assert.equal(overtime.is_early_exit, false);
+  assert.equal(overtime.overtime_minutes, 90);
+});
+
+test("a night shift ends on the following day", () => {
+  const metrics = computeShiftMetrics(
+    NIGHT_SHIFT,
+    "2026-01-15",
+    ist("2026-01-15", "22:05"),
+    ist("2026-01-16", "07:00")
+  );
+  assert.equal(metrics.shift_id, 2);
+  assert.equal(metrics.late_minutes, 5);
+  assert.equal(metrics.is_late, false);
+  assert.equal(metrics.early_exit_minutes, 0);
+  assert.equal(metrics.overtime_minutes, 60);
+  assert.equal(metrics.duration_minutes, 535);
+
+  const leftEarly = computeShiftMetrics(
+    NIGHT_SHIFT,
+    "2026-01-15",
+    ist("2026-01-15", "22:00"),
+    ist("2026-01-16", "05:00")
+  );
+  assert.equal(leftEarly.early_exit_minutes, 60);
+  assert.equal(leftEarly.is_early_exit, true);
+});
+
+test("all work on a rest day is overtime", () => {
+  const metrics = computeShiftMetrics(
+    { shiftId: null, offDay: true },
+    "2026-01-17",
+    ist("2026-01-17", "10:00"),
+    ist("2026-01-17", "12:30")
+  );
+  assert.equal(metrics.is_late, false);
+  assert.equal(metrics.is_early_exit, false);
+  assert.equal(metrics.overtime_minutes, 150);
+});
+
+// A database where employee 7 is assigned `shift` and yesterday's attendance
+// row is `previous`. Everything else, including settings, is empty.
+function stubDatabase({ shift = null, previous = null } = {}) {
+  mock.method(pool, "query", async (sql) => {
+    if (sql.includes("FROM roster_assignments")) {
+      return {
+        rows: shift
+          ? [{ assignment_id: 1, shift_id: 5, roster_id: null, is_employee_assignment: true }]
+          : [],
+      };
+    }
+    if (sql.includes("FROM shifts")) return { rows: [shift] };
+    if (sql.includes("FROM attendance")) return { rows: previous ? [previous] : [] };
+    return { rows: [] };
+  });
+}
+
+afterEach(() => mock.restoreAll());
+
+const NIGHT_SHIFT_ROW = {
+  shift_id: 5,
+  shift_name: "Night",
+  start_time: "22:00",
+  end_time: "06:00",
+  grace_in_minutes: null,
+  grace_out_minutes: null,
+};
+const OPEN_SHIFT = { punch_in_time: ist("2026-01-15", "22:00"), punch_out_time: null };
+const CLOSED_SHIFT = { ...OPEN_SHIFT, punch_out_time: ist("2026-01-16", "06:00") };
+
+const attendanceDate = (time, punchType) =>
+  resolveAttendanceDate(7, { punchType, at: ist("2026-01-16", time) });
+
+test("day shifts always use the calendar date", async () => {
+  stubDatabase({ previous: OPEN_SHIFT });
+  assert.equal(await attendanceDate("03:00", "OUT"), "2026-01-16");
+});
+
+test("checking out of an open night shift goes to the day it started", async () => {
+  stubDatabase({ shift: NIGHT_SHIFT_ROW, previous: OPEN_SHIFT });
+  assert.equal(await attendanceDate("05:30", "OUT"), "2026-01-15");
+  // Late check-outs are accepted until six hours after the scheduled end
+  assert.equal(await attendanceDate("11:59", "OUT"), "2026-01-15");
+  assert.equal(await attendanceDate("12:01", "OUT"), "2026-01-16");
+});
+
+test("a late check-in before the night shift ends joins that shift", async () => {
+  stubDatabase({ shift: NIGHT_SHIFT_ROW });
+  assert.equal(await attendanceDate("01:00", "IN"), "2026-01-15");
+  assert.equal(await attendanceDate("07:00", "IN"), "2026-01-16");
+  // Without a check-in there is no shift to close
+  assert.equal(await attendanceDate("01:00", "OUT"), "2026-01-16");
+});
+
+test("punches after a closed night shift start a new day", async () => {
+  stubDatabase({ shift: NIGHT_SHIFT_ROW, previous: CLOSED_SHIFT });
+  assert.equal(await attendanceDate("05:30", "IN"), "2026-01-16");
+});
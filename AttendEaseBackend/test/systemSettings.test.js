@@ -0,0 +1,77 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+// The built-in local embedder reports neither eyes nor head pose
+process.env.FACE_PROVIDER = "local";
+delete process.env.LOCAL_FACE_MODEL_URL;
+
+const { getDefaultSettings, validateSettingsPatch } = require("../services/systemSettings");
+
+const invalidKeys = (patch) => {
+  try {
+    validateSettingsPatch(patch);
+  } catch (error) {
+    assert.equal(error.statusCode, 400);
+    return error.details;
+  }
+  assert.fail("expected the patch to be rejected");
+};
+
+test("liveness is opt-in", () => {
+  assert.equal(getDefaultSettings().requireLiveness, false);
+});
+
+test("liveness cannot be enabled without eye and head-pose attributes", () => {
+  assert.match(invalidKeys({ requireLiveness: true }).requireLiveness, /eyes or head pose/);
+  assert.deepEqual(validateSettingsPatch({ requireLiveness: false }), { requireLiveness: false });
+});
+
+test("validateSettingsPatch normalizes each type", () => {
+  assert.deepEqual(
+    validateSettingsPatch({
+      allowOfflineMode: true,
+      lateThreshold: "20",
+      faceMatchThreshold: 92.5,
+      workingHours: { start: "22:00", end: "06:00", note: "dropped" },
+    }),
+    {
+      allowOfflineMode: true,
+      lateThreshold: 20,
+      faceMatchThreshold: 92.5,
+      workingHours: { start: "22:00", end: "06:00" },
+    }
+  );
+});
+
+test("validateSettingsPatch reports every invalid key", () => {
+  const details = invalidKeys({
+    allowOfflineMode: "yes",
+    lateThreshold: 12.5,
+    maxLoginAttempts: 0,
+    dataRetention: "many",
+    workingHours: { start: "9:00", end: "17:00" },
+    colour: "blue",
+  });
+
+  assert.equal(details.allowOfflineMode, "Expected true or false");
+  assert.equal(details.lateThreshold, "Expected a whole number");
+  assert.equal(details.maxLoginAttempts, "Expected a value between 1 and 20");
+  assert.equal(details.dataRetention, "Expected a number");
+  assert.match(details.workingHours, /HH:MM/);
+  assert.equal(details.colour, 'Unknown setting "colour"');
+});
+
+test("validateSettingsPatch rejects empty payloads and zero-length working hours", () => {
+  assert.throws(() => validateSettingsPatch(null), { statusCode: 400 });
+  assert.throws(() => validateSettingsPatch([]), { statusCode: 400 });
+  assert.throws(() => validateSettingsPatch({}), { message: "No settings provided" });
+  assert.equal(
+    invalidKeys({ workingHours: { start: "09:00", end: "09:00" } }).workingHours,
+    "Start and end must differ"
+  );
+});
+
+test("every default passes its own validation", () => {
+  const defaults = getDefaultSettings();
+  assert.deepEqual(validateSettingsPatch(defaults), defaults);
+});
@@ -0,0 +1,34 @@
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 🛠 IST Date Formatter (YYYY-MM-DD)
+const formatDateIST = (date = new Date()) => {
+  return date.toLocaleDateString("en-CA", {
+    timeZone: "Asia/Kolkata",
+  });
+};
+
+// Calendar arithmetic on YYYY-MM-DD strings, independent of the server zone.
+const addDaysIso = (isoDate, days) => {
+  const parsed = new Date(`${isoDate}T00:00:00Z`);
+  parsed.setUTCDate(parsed.getUTCDate() + days);
+  return parsed.toISOString().slice(0, 10);
+};
+
+const isIsoDate = (value) => {
+  if (typeof value !== "string" || !ISO_DATE_PATTERN.test(value)) {
+    return false;
+  }
+
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return (
+    !Number.isNaN(parsed.getTime()) &&
+    parsed.toISOString().slice(0, 10) === value
+  );
+};
+
+module.exports = {
+  ISO_DATE_PATTERN,
+  formatDateIST,
+  addDaysIso,
+  isIsoDate,
+};
@@ -0,0 +1,29 @@
+const pool = require("../config/db");
+const { clearSchemaCache } = require("./schemaInspector");
+
+// Feature tables are created lazily the first time a feature touches them,
+// the same way ensureCollectionExists() prepares the Rekognition collection.
+// Each statement must be idempotent (CREATE ... IF NOT EXISTS, ADD COLUMN IF
+// NOT EXISTS) because every process runs them once on first use.
+const pending = new Map();
+
+function ensureSchema(name, statements) {
+  if (!pending.has(name)) {
+    const setup = (async () => {
+      for (const statement of statements) {
+        await pool.query(statement);
+      }
+      clearSchemaCache();
+    })().catch((error) => {
+      pending.delete(name);
+      console.error(`ensureSchema(${name}) failed:`, error);
+      throw error;
+    });
+
+    pending.set(name, setup);
+  }
+
+  return pending.get(name);
+}
+
+module.exports = ensureSchema;
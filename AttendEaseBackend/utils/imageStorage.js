@@ -0,0 +1,48 @@
+const {
+  getStorage,
+  getLocalStorage,
+  resolveStoredObject,
+} = require("../services/storage");
+
+const ATTENDANCE_PREFIX = process.env.S3_ATTENDANCE_PREFIX || "attendance";
+
+function buildAttendanceKey(fileName) {
+  return `${ATTENDANCE_PREFIX}/${fileName}`;
+}
+
+async function uploadAttendanceImage(imageBuffer, fileName) {
+  const storage = getStorage();
+  const key = buildAttendanceKey(fileName);
+  const options = { contentType: "image/jpeg" };
+
+  try {
+    const { url } = await storage.put(key, imageBuffer, options);
+    return { storage: storage.name, key, url };
+  } catch (error) {
+    if (storage.name === "local") {
+      throw error;
+    }
+    // Keep the punch even when the bucket is unreachable; the /uploads/ URL
+    // stays readable through resolveStoredObject.
+    console.error("Image upload failed, storing locally:", error?.message || error);
+    const { url } = await getLocalStorage().put(key, imageBuffer, options);
+    return { storage: "local", key, url };
+  }
+}
+
+/**
+ * Opens a stored image for streaming. Returns null when the reference is not
+ * held by our storage (e.g. an external URL); throws a 404 error when missing.
+ */
+async function openStoredImage(reference) {
+  const resolved = resolveStoredObject(reference);
+  if (!resolved) {
+    return null;
+  }
+  return resolved.storage.getStream(resolved.key);
+}
+
+module.exports = {
+  uploadAttendanceImage,
+  openStoredImage,
+};
@@ -0,0 +1,89 @@
+const pool = require("../config/db");
+
+// Column types are cached per table for the lifetime of the process. The
+// schema of the production database drifts from what the routes expect, so
+// callers probe it before building queries instead of assuming columns exist.
+const columnCache = new Map();
+
+async function getTableColumns(tableName) {
+  if (!tableName) {
+    return new Map();
+  }
+
+  const normalized = tableName.toLowerCase();
+  if (!columnCache.has(normalized)) {
+    const lookup = pool
+      .query(
+        `SELECT column_name, data_type
+           FROM information_schema.columns
+          WHERE table_schema = current_schema()
+            AND table_name = $1`,
+        [normalized]
+      )
+      .then(
+        ({ rows }) =>
+          new Map(rows.map((row) => [row.column_name, row.data_type]))
+      )
+      .catch((error) => {
+        columnCache.delete(normalized);
+        throw error;
+      });
+
+    columnCache.set(normalized, lookup);
+  }
+
+  return columnCache.get(normalized);
+}
+
+async function hasTable(tableName) {
+  const columns = await getTableColumns(tableName);
+  return columns.size > 0;
+}
+
+async function hasColumn(tableName, columnName) {
+  const columns = await getTableColumns(tableName);
+  return columns.has(columnName);
+}
+
+// Postgres data_type of the column (e.g. "interval", "integer"), or null.
+async function getColumnType(tableName, columnName) {
+  const columns = await getTableColumns(tableName);
+  return columns.get(columnName) ?? null;
+}
+
+// Returns the first `table.column` from `requirements` that is missing, or
+// null when every column is present.
+async function findMissingColumn(requirements) {
+  for (const [tableName, columnNames] of Object.entries(requirements)) {
+    const columns = await getTableColumns(tableName);
+
+    if (columns.size === 0) {
+      return tableName;
+    }
+
+    const missing = columnNames.find((column) => !columns.has(column));
+    if (missing) {
+      return `${tableName}.${missing}`;
+    }
+  }
+
+  return null;
+}
+
+function clearSchemaCache(tableName) {
+  if (tableName) {
+    columnCache.delete(tableName.toLowerCase());
+    return;
+  }
+
+  columnCache.clear();
+}
+
+module.exports = {
+  getTableColumns,
+  hasTable,
+  hasColumn,
+  getColumnType,
+  findMissingColumn,
+  clearSchemaCache,
+};
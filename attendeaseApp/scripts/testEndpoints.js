@@ -39,6 +39,7 @@ const client = axios.create({
 });
 
 const results = [];
+let refreshToken = null;
 
 const log = (message, level = 'info') => {
   const prefix = level === 'error' ? '\u274c' : level === 'warn' ? '\u26a0\ufe0f' : '\u2705';
@@ -93,6 +94,7 @@ async function testLogin() {
     if (token) {
       client.defaults.headers.common.Authorization = `Bearer ${token}`;
     }
+    refreshToken = response.data?.refreshToken || null;
     recordResult('POST /auth/login', !!token, response.data);
     return !!token;
   } catch (error) {
@@ -101,18 +103,37 @@ async function testLogin() {
   }
 }
 
+async function testRefresh() {
+  if (!refreshToken) {
+    log('Refresh skipped — login returned no refresh token', 'warn');
+    return;
+  }
+  try {
+    const response = await client.post('/auth/refresh', { refreshToken });
+    const token = response.data?.token;
+    if (token) {
+      client.defaults.headers.common.Authorization = `Bearer ${token}`;
+      refreshToken = response.data?.refreshToken || refreshToken;
+    }
+    recordResult('POST /auth/refresh', !!token, response.data);
+  } catch (error) {
+    recordResult('POST /auth/refresh', false, null, error);
+  }
+}
+
 async function testLogout() {
   if (!client.defaults.headers.common.Authorization) {
     log('Logout skipped — no auth token present', 'warn');
     return;
   }
   try {
-    const response = await client.post('/auth/logout');
+    const response = await client.post('/auth/logout', { refreshToken });
     recordResult('POST /auth/logout', true, response.data);
   } catch (error) {
     recordResult('POST /auth/logout', false, null, error);
   } finally {
     delete client.defaults.headers.common.Authorization;
+    refreshToken = null;
   }
 }
 
@@ -262,6 +283,41 @@ async function testStoreFace() {
   }
 }
 
+async function testSyncConfig() {
+  try {
+    const response = await client.get('/app/attendance/employee/sync/config');
+    recordResult('GET /app/attendance/employee/sync/config', true, response.data);
+    return response.data;
+  } catch (error) {
+    recordResult('GET /app/attendance/employee/sync/config', false, null, error);
+    return null;
+  }
+}
+
+async function testSync() {
+  const idempotencyKey = `smoke-${Date.now()}`;
+  try {
+    const response = await postMultipart('/app/attendance/employee/sync', {
+      punches: JSON.stringify([
+        {
+          idempotency_key: idempotencyKey,
+          mode: 'face',
+          emp_id: EMP_ID,
+          punch_type: 'IN',
+          captured_at: new Date().toISOString(),
+          latitude: '22.7196',
+          longitude: '75.8577',
+          address: 'Test Location',
+        },
+      ]),
+      [`photo_${idempotencyKey}`]: buildImageFormField('offline.png'),
+    });
+    recordResult('POST /app/attendance/employee/sync', Array.isArray(response.data?.results), response.data);
+  } catch (error) {
+    recordResult('POST /app/attendance/employee/sync', false, null, error);
+  }
+}
+
 async function run() {
   console.log('\n\u2728 AttendEase API smoke test');
   console.log(`Base URL: ${BASE_URL}\n`);
@@ -269,6 +325,9 @@ async function run() {
   await testGetCities();
 
   const loggedIn = await testLogin();
+  if (loggedIn) {
+    await testRefresh();
+  }
 
   await testSupervisorWards();
   await testEmployeeAttendance();
@@ -279,6 +338,13 @@ async function run() {
   await testFaceAttendance();
   await testPunchInOut();
 
+  const syncConfig = await testSyncConfig();
+  if (syncConfig?.allowOfflineMode) {
+    await testSync();
+  } else if (syncConfig) {
+    log('Offline sync skipped — offline mode is disabled in system settings', 'warn');
+  }
+
   if (loggedIn) {
     await testLogout();
   }
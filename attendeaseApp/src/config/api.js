@@ -89,6 +89,13 @@ export const API_CONFIG = {
 export const API_ENDPOINTS = {
   LOGIN: '/auth/login',
   LOGOUT: '/auth/logout',
+  REFRESH_TOKEN: '/auth/refresh',
+  CHANGE_PASSWORD: '/auth/change-password',
+  FORGOT_PASSWORD: '/auth/forgot-password',
+  RESET_PASSWORD: '/auth/reset-password',
+  SESSIONS: '/auth/sessions',
+  ADMIN_SESSIONS: '/admin/sessions',
+  ADMIN_LOGIN_LOCKOUTS: '/admin/login-lockouts',
   CITIES: '/cities',
   SUPERVISOR_WARDS: '/app/supervisor/wards',
   SUPERVISOR_SUMMARY: '/app/supervisor/wards/summary',
@@ -98,9 +105,17 @@ export const API_ENDPOINTS = {
   EMPLOYEE_DETAIL: '/app/attendance/employee/detail',
   FETCH_IMAGE: '/app/attendance/employee/image',
   FACE_ATTENDANCE: '/app/attendance/employee/face-attendance',
+  FACE_LIVENESS_CHALLENGE: '/app/attendance/employee/face-attendance/liveness-challenge',
   STORE_FACE: '/app/attendance/employee/faceRoutes/store-face',
   FACE_ENROLLMENT: '/app/attendance/employee/faceRoutes',
   FACE_GALLERY: '/app/attendance/employee/faceRoutes/gallery',
+  FACE_QUALITY_CHECK: '/app/attendance/employee/faceRoutes/quality-check',
+  GROUP_FACE_REVIEWS: '/app/attendance/employee/face-attendance/reviews',
+  OFFLINE_SYNC: '/app/attendance/employee/sync',
+  OFFLINE_SYNC_CONFIG: '/app/attendance/employee/sync/config',
+  LEAVES: '/app/leaves',
+  LEAVE_TYPES: '/app/leaves/types',
+  LEAVE_BALANCES: '/app/leaves/balances',
 };
 
 export const createApiUrl = (endpoint) => `${API_CONFIG.BASE_URL}${endpoint}`;
@@ -1,6 +1,11 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
 import * as SecureStore from 'expo-secure-store';
-import { apiService } from '../services/apiService';
+import {
+  apiService,
+  storeSessionTokens,
+  clearSessionTokens,
+  setSessionExpiredHandler,
+} from '../services/apiService';
 
 const AuthContext = createContext({});
 
@@ -13,6 +18,17 @@ export const AuthProvider = ({ children }) => {
     checkAuthStatus();
   }, []);
 
+  // A refresh that the server rejects (signed out remotely, session expired)
+  // returns the user to the login screen.
+  useEffect(() => {
+    setSessionExpiredHandler(async () => {
+      await SecureStore.deleteItemAsync('authUser');
+      setUser(null);
+      setIsAuthenticated(false);
+    });
+    return () => setSessionExpiredHandler(null);
+  }, []);
+
   const checkAuthStatus = async () => {
     try {
       const [token, storedUserString] = await Promise.all([
@@ -54,7 +70,7 @@ export const AuthProvider = ({ children }) => {
         } catch (verifyError) {
           if (verifyError.response?.status === 401) {
             console.log('Token invalid during verification, clearing stored credentials');
-            await SecureStore.deleteItemAsync('authToken');
+            await clearSessionTokens();
             await SecureStore.deleteItemAsync('authUser');
             return;
           }
@@ -103,6 +119,7 @@ export const AuthProvider = ({ children }) => {
         data.data?.token ??
         data.data?.access_token ??
         null;
+      const refreshToken = data.refreshToken ?? data.data?.refreshToken ?? null;
       const userData =
         data.user ??
         data.data?.user ??
@@ -122,7 +139,7 @@ export const AuthProvider = ({ children }) => {
           };
         }
 
-        await SecureStore.setItemAsync('authToken', token);
+        await storeSessionTokens({ token, refreshToken });
         await SecureStore.setItemAsync('authUser', JSON.stringify(userData));
         setUser(userData);
         setIsAuthenticated(true);
@@ -159,9 +176,12 @@ export const AuthProvider = ({ children }) => {
           error?.response?.data?.message ||
           error?.message ||
           'Login failed. Please check your credentials.';
+      // Failed attempts count towards a lockout; LoginScreen shows both
       return {
         success: false,
-        message: errorMessage
+        message: errorMessage,
+        remainingAttempts: error?.response?.data?.remainingAttempts ?? null,
+        lockedUntil: error?.response?.data?.lockedUntil ?? null,
       };
     } finally {
       setIsLoading(false);
@@ -174,19 +194,41 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      await SecureStore.deleteItemAsync('authToken');
+      await clearSessionTokens();
       await SecureStore.deleteItemAsync('authUser');
       setUser(null);
       setIsAuthenticated(false);
     }
   };
 
+  // Also used for the forced change after signing in with an admin-issued
+  // password; clearing mustChangePassword lets the navigator show the app.
+  const changePassword = async (currentPassword, newPassword) => {
+    try {
+      await apiService.changePassword({ currentPassword, newPassword });
+      const updatedUser = { ...user, mustChangePassword: false };
+      await SecureStore.setItemAsync('authUser', JSON.stringify(updatedUser));
+      setUser(updatedUser);
+      return { success: true };
+    } catch (error) {
+      console.error('Change password error:', error);
+      const payload = error?.response?.data ?? {};
+      return {
+        success: false,
+        message: [payload.error || error?.message || 'Unable to change password.', payload.details]
+          .filter(Boolean)
+          .join('\n'),
+      };
+    }
+  };
+
   const value = {
     user,
     isLoading,
     isAuthenticated,
     login,
     logout,
+    changePassword,
   };
 
   return (
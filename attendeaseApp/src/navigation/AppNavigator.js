@@ -16,6 +16,10 @@ import NotificationsScreen from '../screens/NotificationsScreen';
 import QuickActionsScreen from '../screens/QuickActionsScreen';
 import FaceGalleryScreen from '../screens/FaceGalleryScreen';
 import AttendanceImageScreen from '../screens/AttendanceImageScreen';
+import LeaveRequestsScreen from '../screens/LeaveRequestsScreen';
+import ChangePasswordScreen from '../screens/ChangePasswordScreen';
+import ForgotPasswordScreen from '../screens/ForgotPasswordScreen';
+import GroupFaceReviewScreen from '../screens/GroupFaceReviewScreen';
 
 // Admin Screens
 import AdminDashboardScreen from '../screens/admin/AdminDashboardScreen';
@@ -25,6 +29,9 @@ import AdminAnalyticsScreen from '../screens/admin/AdminAnalyticsScreen';
 import AdminSettingsScreen from '../screens/admin/AdminSettingsScreen';
 import SupervisorDetailsScreen from '../screens/admin/SupervisorDetailsScreen';
 import AttendanceManagementScreen from '../screens/admin/AttendanceManagementScreen';
+import LeaveApprovalsScreen from '../screens/admin/LeaveApprovalsScreen';
+import AuditLogScreen from '../screens/admin/AuditLogScreen';
+import FaceTemplatesScreen from '../screens/admin/FaceTemplatesScreen';
 
 const Stack = createStackNavigator();
 const Tab = createBottomTabNavigator();
@@ -32,6 +39,14 @@ const Tab = createBottomTabNavigator();
 const AuthStack = () => (
   <Stack.Navigator screenOptions={{ headerShown: false }}>
     <Stack.Screen name="Login" component={LoginScreen} />
+    <Stack.Screen name="ForgotPassword" component={ForgotPasswordScreen} />
+  </Stack.Navigator>
+);
+
+// Accounts on an admin-issued password see nothing else until they change it
+const PasswordChangeStack = () => (
+  <Stack.Navigator screenOptions={{ headerShown: false }}>
+    <Stack.Screen name="ChangePassword" component={ChangePasswordScreen} />
   </Stack.Navigator>
 );
 
@@ -130,6 +145,9 @@ const SupervisorStack = () => (
     <Stack.Screen name="Notifications" component={NotificationsScreen} />
     <Stack.Screen name="FaceGallery" component={FaceGalleryScreen} />
     <Stack.Screen name="AttendanceImages" component={AttendanceImageScreen} />
+    <Stack.Screen name="LeaveRequests" component={LeaveRequestsScreen} />
+    <Stack.Screen name="GroupFaceReviews" component={GroupFaceReviewScreen} />
+    <Stack.Screen name="ChangePassword" component={ChangePasswordScreen} />
   </Stack.Navigator>
 );
 
@@ -138,6 +156,11 @@ const AdminStack = () => (
     <Stack.Screen name="AdminTabs" component={AdminTabs} />
     <Stack.Screen name="SupervisorDetails" component={SupervisorDetailsScreen} />
     <Stack.Screen name="AttendanceManagement" component={AttendanceManagementScreen} />
+    <Stack.Screen name="LeaveApprovals" component={LeaveApprovalsScreen} />
+    <Stack.Screen name="AuditLog" component={AuditLogScreen} />
+    <Stack.Screen name="FaceTemplates" component={FaceTemplatesScreen} />
+    <Stack.Screen name="GroupFaceReviews" component={GroupFaceReviewScreen} />
+    <Stack.Screen name="ChangePassword" component={ChangePasswordScreen} />
   </Stack.Navigator>
 );
 
@@ -150,6 +173,7 @@ const AppNavigator = () => {
 
   const getMainStack = () => {
     if (!isAuthenticated) return <AuthStack />;
+    if (user?.mustChangePassword) return <PasswordChangeStack />;
 
     // Route based on user role
     if (user?.role === 'admin') {
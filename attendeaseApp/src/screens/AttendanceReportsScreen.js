@@ -217,11 +217,12 @@ const AttendanceReportsScreen = ({ navigation }) => {
         const statusBreakdown = flattenedEmployees.reduce(
           (acc, employee) => {
             const status = (employee?.attendance_status || '').toString().trim().toLowerCase();
-            if (status.includes('marked')) {
+            // Employees on leave or on an off day were not expected to punch in
+            if (status === 'marked') {
               acc.marked += 1;
             } else if (status.includes('progress')) {
               acc.inProgress += 1;
-            } else {
+            } else if (status !== 'on leave' && status !== 'off day') {
               acc.notMarked += 1;
             }
             return acc;
@@ -390,7 +391,9 @@ const AttendanceReportsScreen = ({ navigation }) => {
           const presentDays = Number(employee.days_present ?? 0);
           const markedDays = Number(employee.days_marked ?? 0);
           const inProgressDays = Math.max(presentDays - markedDays, 0);
-          const notMarkedDays = Math.max(reportData.monthlySummary.workingDays - presentDays, 0);
+          // working_days already leaves out the employee's holidays, weekly offs and leave
+          const workingDays = Number(employee.working_days ?? reportData.monthlySummary.workingDays);
+          const notMarkedDays = Math.max(workingDays - presentDays, 0);
 
           return `
             <tr>
@@ -531,7 +534,8 @@ const AttendanceReportsScreen = ({ navigation }) => {
     const presentDays = Number(selectedEmployee.days_present ?? 0);
     const markedDays = Number(selectedEmployee.days_marked ?? 0);
     const inProgressDays = Math.max(presentDays - markedDays, 0);
-    const workingDays = reportData.monthlySummary.workingDays || 0;
+    const workingDays =
+      Number(selectedEmployee.working_days ?? reportData.monthlySummary.workingDays) || 0;
     const notMarkedDays = Math.max(workingDays - presentDays, 0);
     const attendanceRate =
       workingDays > 0 ? Number(((markedDays / workingDays) * 100).toFixed(1)) : 0;
@@ -929,7 +933,7 @@ const AttendanceReportsScreen = ({ navigation }) => {
               <Text style={styles.monthlyValue}>{monthlySummary.rangeLabel}</Text>
             </View>
             <View style={styles.monthlyRow}>
-              <Text style={styles.monthlyLabel}>Working Days</Text>
+              <Text style={styles.monthlyLabel}>Days in Period</Text>
               <Text style={styles.monthlyValue}>{monthlySummary.workingDays}</Text>
             </View>
             <View style={styles.monthlyRow}>
@@ -0,0 +1,233 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  KeyboardAvoidingView,
+  ScrollView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../context/AuthContext';
+
+const PASSWORD_RULES = '8 or more characters with upper- and lower-case letters and a digit.';
+
+// Reached from Settings, or shown on its own by AppNavigator when the account
+// still uses a password issued by an administrator.
+const ChangePasswordScreen = ({ navigation }) => {
+  const { user, changePassword, logout } = useAuth();
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPasswords, setShowPasswords] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const isForced = !!user?.mustChangePassword;
+
+  const handleSave = async () => {
+    if (!currentPassword || !newPassword || !confirmPassword) {
+      Alert.alert('Error', 'Please fill in all fields');
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      Alert.alert('Error', 'New passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+    const result = await changePassword(currentPassword, newPassword);
+    setSaving(false);
+
+    if (!result.success) {
+      Alert.alert('Password Not Changed', result.message);
+      return;
+    }
+
+    Alert.alert('Password Changed', 'Your other devices have been signed out.');
+    if (!isForced && navigation?.canGoBack()) {
+      navigation.goBack();
+    }
+  };
+
+  const renderInput = (icon, placeholder, value, onChangeText) => (
+    <View style={styles.inputContainer}>
+      <Ionicons name={icon} size={20} color="#666" style={styles.inputIcon} />
+      <TextInput
+        style={styles.input}
+        placeholder={placeholder}
+        value={value}
+        onChangeText={onChangeText}
+        secureTextEntry={!showPasswords}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+    </View>
+  );
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <View style={styles.header}>
+        {isForced ? (
+          <View style={styles.placeholder} />
+        ) : (
+          <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
+            <Ionicons name="arrow-back" size={24} color="#333" />
+          </TouchableOpacity>
+        )}
+        <Text style={styles.headerTitle}>Change Password</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        {isForced && (
+          <View style={styles.notice}>
+            <Ionicons name="shield-checkmark" size={16} color="#856404" />
+            <Text style={styles.noticeText}>
+              Your account uses a password issued by an administrator. Choose your own password to continue.
+            </Text>
+          </View>
+        )}
+
+        {renderInput('lock-closed', 'Current password', currentPassword, setCurrentPassword)}
+        {renderInput('key', 'New password', newPassword, setNewPassword)}
+        {renderInput('key', 'Confirm new password', confirmPassword, setConfirmPassword)}
+
+        <Text style={styles.rules}>{PASSWORD_RULES}</Text>
+
+        <TouchableOpacity style={styles.toggleRow} onPress={() => setShowPasswords(!showPasswords)}>
+          <Ionicons name={showPasswords ? 'eye' : 'eye-off'} size={18} color="#666" />
+          <Text style={styles.toggleText}>{showPasswords ? 'Hide passwords' : 'Show passwords'}</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.saveButton, saving && styles.disabledButton]}
+          onPress={handleSave}
+          disabled={saving}
+        >
+          <Text style={styles.saveButtonText}>{saving ? 'Saving...' : 'Change Password'}</Text>
+        </TouchableOpacity>
+
+        {isForced && (
+          <TouchableOpacity style={styles.signOutButton} onPress={logout}>
+            <Text style={styles.signOutText}>Sign out instead</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingTop: 60,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  placeholder: {
+    width: 40,
+  },
+  content: {
+    padding: 30,
+  },
+  notice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff3cd',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderRadius: 8,
+    marginBottom: 20,
+  },
+  noticeText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#856404',
+    marginLeft: 8,
+  },
+  inputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  inputIcon: {
+    marginRight: 10,
+  },
+  input: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+  },
+  rules: {
+    fontSize: 13,
+    color: '#666',
+    marginBottom: 10,
+  },
+  toggleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  toggleText: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 6,
+  },
+  saveButton: {
+    backgroundColor: '#007bff',
+    borderRadius: 10,
+    paddingVertical: 15,
+    alignItems: 'center',
+  },
+  disabledButton: {
+    backgroundColor: '#ccc',
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  signOutButton: {
+    alignItems: 'center',
+    paddingVertical: 15,
+  },
+  signOutText: {
+    fontSize: 14,
+    color: '#dc3545',
+    fontWeight: 'bold',
+  },
+});
+
+export default ChangePasswordScreen;
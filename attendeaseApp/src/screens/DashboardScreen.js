@@ -11,15 +11,23 @@ import {
   Modal,
   Image,
   Platform,
+  AppState,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../context/AuthContext';
 import { apiService } from '../services/apiService';
 import { useNavigation } from '@react-navigation/native';
 import { Camera as CameraModule, CameraView } from 'expo-camera';
-import attendanceService from '../services/attendanceService';
+import attendanceService, { appendLocationSignals } from '../services/attendanceService';
+import offlinePunchQueue from '../services/offlinePunchQueue';
 import DateTimePicker from '@react-native-community/datetimepicker';
 
+const LOCATION_ANOMALY_LABELS = {
+  mock_location: 'mock location app',
+  low_accuracy: 'poor GPS accuracy',
+  impossible_travel: 'too far from your previous punch',
+};
+
 const normalizeDate = (value) => {
   const date = value instanceof Date ? new Date(value.getTime()) : new Date(value ?? Date.now());
   date.setHours(0, 0, 0, 0);
@@ -49,6 +57,8 @@ const formatDateDisplay = (value) => {
   }
 };
 
+const OFFLINE_SYNC_INTERVAL_MS = 60000;
+
 const DashboardScreen = () => {
   const { user } = useAuth();
   const navigation = useNavigation();
@@ -70,8 +80,18 @@ const DashboardScreen = () => {
   const cameraRef = useRef(null);
   const [pendingCapture, setPendingCapture] = useState(null);
   const [capturedPhotoUri, setCapturedPhotoUri] = useState(null);
+  // Single face punches follow a blink or head-turn challenge from the server
+  // and send the burst of frames taken while it was performed.
+  const [livenessChallenge, setLivenessChallenge] = useState(null);
+  const [livenessFrameUris, setLivenessFrameUris] = useState([]);
+  const [capturingBurst, setCapturingBurst] = useState(false);
+  // Quality pre-check of the captured single-face photo; null while not run,
+  // { checking: true } while waiting and { result } or { unavailable: true } after
+  const [photoQuality, setPhotoQuality] = useState(null);
+  const qualityCheckUriRef = useRef(null);
   const [facePreview, setFacePreview] = useState(null);
   const [groupPunchSummary, setGroupPunchSummary] = useState(null);
+  const [offlineQueue, setOfflineQueue] = useState({ pending: [], rejected: [], syncing: false });
   const [dateRange, setDateRange] = useState(() => {
     const today = normalizeDate(new Date());
     return { start: today, end: today };
@@ -439,6 +459,72 @@ const DashboardScreen = () => {
     fetchDashboardStats();
   }, [fetchDashboardStats]);
 
+  const syncOfflinePunches = useCallback(async ({ silent = true } = {}) => {
+    const result = await offlinePunchQueue.sync();
+    if (result.synced > 0) {
+      await fetchDashboardStats();
+    }
+
+    if (!silent) {
+      if (result.offline) {
+        Alert.alert('Offline Punches', 'Still offline. Queued punches will sync when the connection is back.');
+      } else {
+        Alert.alert(
+          'Offline Punches',
+          [
+            `Synced: ${result.synced}`,
+            result.rejected ? `Rejected: ${result.rejected}` : null,
+            result.remaining ? `Still waiting: ${result.remaining}` : null,
+          ].filter(Boolean).join('\n')
+        );
+      }
+    }
+    return result;
+  }, [fetchDashboardStats]);
+
+  // Queued captures are replayed on launch, whenever the app returns to the
+  // foreground and every minute while anything is still waiting.
+  useEffect(() => {
+    const unsubscribe = offlinePunchQueue.subscribe(setOfflineQueue);
+    offlinePunchQueue.getState().then(setOfflineQueue);
+    offlinePunchQueue.refreshConfig().then(() => syncOfflinePunches());
+
+    const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') {
+        syncOfflinePunches();
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      appStateSubscription.remove();
+    };
+  }, [syncOfflinePunches]);
+
+  useEffect(() => {
+    if (!offlineQueue.pending.length) {
+      return undefined;
+    }
+
+    const interval = setInterval(() => {
+      syncOfflinePunches();
+    }, OFFLINE_SYNC_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [offlineQueue.pending.length, syncOfflinePunches]);
+
+  const showRejectedOfflinePunches = () => {
+    const lines = offlineQueue.rejected.map((entry) => {
+      const capturedAt = new Date(entry.captured_at).toLocaleString();
+      const subject = entry.mode === 'group' ? 'Group photo' : entry.employee_name || `Employee ${entry.emp_id}`;
+      return `${subject} • ${entry.punch_type} • ${capturedAt}\n${entry.error}`;
+    });
+
+    Alert.alert('Rejected Offline Punches', lines.join('\n\n'), [
+      { text: 'Close', style: 'cancel' },
+      { text: 'Dismiss All', style: 'destructive', onPress: () => offlinePunchQueue.clearRejected() },
+    ]);
+  };
+
   const navigateToEmployees = () => {
     navigation.navigate('Employees');
   };
@@ -642,6 +728,19 @@ const ensureCameraPermission = async () => {
     };
   }, [parsePunchTime, formatPunchDisplay]);
 
+  // Without a challenge the punch goes out as a single photo and the server
+  // decides whether that is acceptable.
+  const loadLivenessChallenge = async () => {
+    setLivenessChallenge(null);
+    setLivenessFrameUris([]);
+    try {
+      const response = await apiService.getLivenessChallenge();
+      setLivenessChallenge(response?.data ?? null);
+    } catch (error) {
+      console.error('Liveness challenge failed:', error);
+    }
+  };
+
   const openPunchCapture = async (ward, employee, punchType) => {
     const hasPermission = await ensureCameraPermission();
     if (!hasPermission) return;
@@ -650,6 +749,7 @@ const ensureCameraPermission = async () => {
     setCapturedPhotoUri(null);
     setCameraFacing('back');
     setCameraVisible(true);
+    loadLivenessChallenge();
   };
 
   const handleGroupPunchCapture = async (punchType) => {
@@ -672,15 +772,73 @@ const ensureCameraPermission = async () => {
     setCameraVisible(true);
   };
 
+  // Scores blur, light, face size, pose and anything covering the face, so a
+  // bad photo can be retaken before it is submitted. A failed check (e.g.
+  // offline) never blocks the capture.
+  const runPhotoQualityCheck = async (uri) => {
+    qualityCheckUriRef.current = uri;
+    setPhotoQuality({ checking: true });
+
+    try {
+      const formData = new FormData();
+      formData.append('image', { uri, name: `quality-check-${Date.now()}.jpg`, type: 'image/jpeg' });
+      const response = await apiService.checkFaceQuality(formData);
+      if (qualityCheckUriRef.current === uri) {
+        setPhotoQuality({ result: response.data });
+      }
+    } catch (error) {
+      console.warn('Photo quality check failed:', error?.message || error);
+      if (qualityCheckUriRef.current === uri) {
+        setPhotoQuality({ unavailable: true });
+      }
+    }
+  };
+
   const handleCapturePhoto = async () => {
     try {
-      if (cameraRef.current) {
+      if (!cameraRef.current) {
+        return;
+      }
+
+      if (pendingCapture?.mode !== 'attendance' || !livenessChallenge) {
         const photo = await cameraRef.current.takePictureAsync({ quality: 0.7, skipProcessing: true });
         setCapturedPhotoUri(photo.uri);
+        if (pendingCapture?.mode !== 'groupAttendance') {
+          runPhotoQualityCheck(photo.uri);
+        }
+        return;
+      }
+
+      // The first frame is the punch photo; the rest follow the challenge.
+      setCapturingBurst(true);
+      const frameCount = Math.max(livenessChallenge.frame_count || 5, 3);
+      const uris = [];
+      for (let index = 0; index < frameCount; index += 1) {
+        if (index > 0) {
+          await new Promise(resolve => setTimeout(resolve, livenessChallenge.frame_interval_ms || 350));
+        }
+        const frame = await cameraRef.current.takePictureAsync({ quality: 0.5, skipProcessing: true });
+        uris.push(frame.uri);
       }
+      setLivenessFrameUris(uris.slice(1));
+      setCapturedPhotoUri(uris[0]);
+      runPhotoQualityCheck(uris[0]);
     } catch (error) {
       console.error('Photo capture failed:', error);
       Alert.alert('Camera', 'Could not capture the photo. Please try again.');
+    } finally {
+      setCapturingBurst(false);
+    }
+  };
+
+  // A challenge is spent once a punch is submitted with it, so every retake
+  // asks for a new one.
+  const handleRetakePhoto = () => {
+    setCapturedPhotoUri(null);
+    setPhotoQuality(null);
+    qualityCheckUriRef.current = null;
+    if (pendingCapture?.mode === 'attendance') {
+      loadLivenessChallenge();
     }
   };
 
@@ -689,6 +847,50 @@ const ensureCameraPermission = async () => {
     setCapturedPhotoUri(null);
     setPendingCapture(null);
     setCameraFacing('back');
+    setLivenessChallenge(null);
+    setLivenessFrameUris([]);
+    setPhotoQuality(null);
+    qualityCheckUriRef.current = null;
+  };
+
+  // Keeps a capture that failed on a network error on the device so it can be
+  // synced later. Returns false when offline mode is disabled by the admin.
+  const queueOfflineCapture = async (capture, label) => {
+    if (!(await offlinePunchQueue.isEnabled())) {
+      return false;
+    }
+
+    try {
+      await offlinePunchQueue.enqueue(capture);
+    } catch (error) {
+      console.error('Offline queue: enqueue failed', error);
+      return false;
+    }
+
+    resetCameraState();
+    Alert.alert(
+      'Saved Offline',
+      `${label} was saved on this device and will sync automatically when the connection is back.`
+    );
+    return true;
+  };
+
+  const confirmCapturedPhoto = () => {
+    const result = photoQuality?.result;
+    if (!result || result.acceptable) {
+      submitCapturedPhoto();
+      return;
+    }
+
+    const tips = (result.guidance || []).map(item => `• ${item.message}`).join('\n');
+    Alert.alert(
+      'Photo quality is low',
+      `Score ${Math.round(result.score)} of 100 (needs ${result.minScore}).${tips ? `\n\n${tips}` : ''}`,
+      [
+        { text: 'Retake', onPress: handleRetakePhoto },
+        { text: 'Submit Anyway', style: 'destructive', onPress: submitCapturedPhoto },
+      ]
+    );
   };
 
   const submitCapturedPhoto = async () => {
@@ -741,6 +943,7 @@ const ensureCameraPermission = async () => {
       formData.append('latitude', locationData?.latitude?.toString() || '0');
       formData.append('longitude', locationData?.longitude?.toString() || '0');
       formData.append('address', locationData?.address || '');
+      appendLocationSignals(formData, locationData);
       if (supervisorId) {
         formData.append('userId', supervisorId.toString());
       }
@@ -771,6 +974,9 @@ const ensureCameraPermission = async () => {
         const skippedCount = results.filter(entry => entry?.status === 'skipped').length;
         const duplicateCount = results.filter(entry => entry?.status === 'duplicate').length;
         const errorCount = results.filter(entry => entry?.status === 'error').length;
+        const reviewCount =
+          payload.review_count ??
+          results.filter(entry => entry?.reviewId).length;
 
         setGroupPunchSummary({
           timestamp: Date.now(),
@@ -782,6 +988,7 @@ const ensureCameraPermission = async () => {
           skippedCount,
           duplicateCount,
           errorCount,
+          reviewCount,
           results,
         });
 
@@ -803,11 +1010,36 @@ const ensureCameraPermission = async () => {
           summaryLines.push(`Pending: ${pendingParts.join(' • ')}`);
         }
 
+        if (reviewCount) {
+          summaryLines.push(`Queued for review: ${reviewCount}`);
+        }
+
         Alert.alert('Group Attendance', summaryLines.join('\n'));
         resetCameraState();
         await fetchDashboardStats();
       } catch (error) {
         console.error('Group face attendance failed:', error);
+        if (
+          error.isNetworkError &&
+          (await queueOfflineCapture(
+            {
+              mode: 'group',
+              punchType: normalizedPunchType,
+              photoUri: capturedPhotoUri,
+              capturedAt: new Date(timestamp).toISOString(),
+              location: locationData,
+            },
+            `Group punch ${normalizedPunchType === 'OUT' ? 'out' : 'in'}`
+          ))
+        ) {
+          return;
+        }
+
+        if (error.response?.data?.code === 'LIVENESS_REQUIRED') {
+          Alert.alert('Group Attendance', `${error.response.data.error}.\n\n${error.response.data.details}`);
+          return;
+        }
+
         const message =
           error.response?.data?.message ||
           error.response?.data?.error ||
@@ -857,6 +1089,7 @@ const ensureCameraPermission = async () => {
       formData.append('latitude', locationData?.latitude?.toString() || '0');
       formData.append('longitude', locationData?.longitude?.toString() || '0');
       formData.append('address', locationData?.address || '');
+      appendLocationSignals(formData, locationData);
       formData.append('image_type', 'face');
       formData.append('date', attendanceDate);
 
@@ -878,6 +1111,17 @@ const ensureCameraPermission = async () => {
       }
 
       formData.append('image', buildImageFile(suffix));
+
+      if (forFaceAttendance && livenessChallenge) {
+        formData.append('liveness_challenge_id', livenessChallenge.challenge_id);
+        livenessFrameUris.forEach((uri, index) => {
+          formData.append('frames', {
+            uri,
+            name: `${employeeId || employeeUserId || 'employee'}-liveness-${index + 1}-${timestamp}.jpg`,
+            type: 'image/jpeg',
+          });
+        });
+      }
       return formData;
     };
 
@@ -911,6 +1155,10 @@ const ensureCameraPermission = async () => {
         await fetchDashboardStats();
       } catch (fallbackError) {
         console.error('Fallback punch failed:', fallbackError);
+        if (fallbackError.response?.data?.code === 'LIVENESS_REQUIRED') {
+          Alert.alert('Attendance', `${fallbackError.response.data.error}.\n\n${fallbackError.response.data.details}`);
+          return;
+        }
         const fallbackMessage =
           fallbackError.response?.data?.message ||
           fallbackError.response?.data?.error ||
@@ -1008,12 +1256,48 @@ Please delete the existing face from the Face Enrollment Center before capturing
         response?.data?.message ||
         response?.data?.status ||
         `${employee.emp_name || 'Employee'} successfully punched ${punchType === 'in' ? 'in' : 'out'}.`;
+      const geofenceNote = response?.data?.outside_geofence
+        ? `\n\nThis punch was ${Math.round(response.data.geofence_distance_meters)} m outside the ward boundary and has been flagged for review.`
+        : '';
+
+      const locationNote = response?.data?.location_anomalies?.length
+        ? `\n\nThe location of this punch has been flagged for review (${response.data.location_anomalies
+            .map(anomaly => LOCATION_ANOMALY_LABELS[anomaly] || anomaly)
+            .join(', ')}).`
+        : '';
 
-      Alert.alert('Attendance', responseMessage);
+      Alert.alert('Attendance', `${responseMessage}${geofenceNote}${locationNote}`);
       resetCameraState();
       await fetchDashboardStats();
     } catch (error) {
       console.error('Face attendance failed:', error);
+      if (
+        error.isNetworkError &&
+        (await queueOfflineCapture(
+          {
+            mode: 'face',
+            punchType: normalizedPunchType,
+            photoUri: capturedPhotoUri,
+            capturedAt: new Date(timestamp).toISOString(),
+            empId: employeeId,
+            employeeName: employee.emp_name,
+            wardId,
+            location: locationData,
+          },
+          `${employee.emp_name || 'Employee'} punch ${punchType === 'in' ? 'in' : 'out'}`
+        ))
+      ) {
+        return;
+      }
+
+      if (error.response?.data?.code === 'LIVENESS_FAILED') {
+        Alert.alert(
+          'Liveness Check Failed',
+          `${error.response.data.details || 'The capture did not pass the liveness check.'}\n\nRetake the photo and follow the on-screen prompt.`
+        );
+        return;
+      }
+
       const message =
         error.response?.data?.message ||
         error.response?.data?.error ||
@@ -1563,6 +1847,48 @@ Please delete the existing face from the Face Enrollment Center before capturing
               ].filter(Boolean).join(' • ')}
             </Text>
           ) : null}
+          {groupPunchSummary.reviewCount ? (
+            <TouchableOpacity onPress={() => navigation.navigate('GroupFaceReviews')}>
+              <Text style={styles.groupPunchSummaryLink}>
+                Review {groupPunchSummary.reviewCount} queued face{groupPunchSummary.reviewCount === 1 ? '' : 's'}
+              </Text>
+            </TouchableOpacity>
+          ) : null}
+        </View>
+      )}
+
+      {(offlineQueue.pending.length > 0 || offlineQueue.rejected.length > 0) && (
+        <View style={styles.offlineQueueCard}>
+          {offlineQueue.pending.length > 0 && (
+            <View style={styles.offlineQueueHeader}>
+              <Ionicons name="cloud-upload-outline" size={20} color="#b7791f" />
+              <Text style={styles.offlineQueueTitle}>
+                {offlineQueue.pending.length} punch{offlineQueue.pending.length === 1 ? '' : 'es'} waiting to sync
+              </Text>
+              {offlineQueue.syncing ? (
+                <ActivityIndicator size="small" color="#b7791f" />
+              ) : (
+                <TouchableOpacity
+                  style={styles.offlineQueueButton}
+                  onPress={() => syncOfflinePunches({ silent: false })}
+                >
+                  <Text style={styles.offlineQueueButtonText}>Sync Now</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+          {offlineQueue.pending.find((entry) => entry.last_error)?.last_error ? (
+            <Text style={styles.offlineQueueMeta}>
+              Last attempt: {offlineQueue.pending.find((entry) => entry.last_error).last_error}
+            </Text>
+          ) : null}
+          {offlineQueue.rejected.length > 0 && (
+            <TouchableOpacity onPress={showRejectedOfflinePunches}>
+              <Text style={styles.offlineQueueRejected}>
+                {offlineQueue.rejected.length} queued punch{offlineQueue.rejected.length === 1 ? ' was' : 'es were'} rejected. Tap to review.
+              </Text>
+            </TouchableOpacity>
+          )}
         </View>
       )}
 
@@ -2005,27 +2331,60 @@ Please delete the existing face from the Face Enrollment Center before capturing
             {capturedPhotoUri ? (
               <View style={styles.cameraPreviewWrapper}>
                 <Image source={{ uri: capturedPhotoUri }} style={styles.cameraPreview} />
+                {photoQuality?.checking && (
+                  <View style={styles.qualityRow}>
+                    <ActivityIndicator size="small" color="#6b778d" />
+                    <Text style={styles.qualityCheckingText}>Checking photo quality…</Text>
+                  </View>
+                )}
+                {photoQuality?.result && (
+                  <View style={[styles.qualityPanel, photoQuality.result.acceptable ? styles.qualityPanelGood : styles.qualityPanelPoor]}>
+                    <View style={styles.qualityRow}>
+                      <Ionicons
+                        name={photoQuality.result.acceptable ? 'checkmark-circle' : 'alert-circle'}
+                        size={16}
+                        color={photoQuality.result.acceptable ? '#1e7e34' : '#c0392b'}
+                      />
+                      <Text style={styles.qualityTitle}>
+                        {photoQuality.result.acceptable ? 'Good photo' : 'Retake recommended'} • {Math.round(photoQuality.result.score)}/100
+                      </Text>
+                    </View>
+                    {(photoQuality.result.guidance || []).map(item => (
+                      <Text key={`${item.check}-${item.message}`} style={styles.qualityTip}>• {item.message}</Text>
+                    ))}
+                  </View>
+                )}
                 <Text style={styles.cameraHint}>{cameraHintText}</Text>
               </View>
             ) : (
-              <CameraView
-                ref={cameraRef}
-                style={styles.cameraPreview}
-                facing={cameraFacing}
-              />
+              <View>
+                <CameraView
+                  ref={cameraRef}
+                  style={styles.cameraPreview}
+                  facing={cameraFacing}
+                />
+                {captureMode === 'attendance' && livenessChallenge && (
+                  <View style={styles.livenessPrompt}>
+                    <Ionicons name={livenessChallenge.challenge === 'blink' ? 'eye' : 'sync'} size={16} color="#ffffff" />
+                    <Text style={styles.livenessPromptText}>
+                      {capturingBurst ? 'Keep going…' : livenessChallenge.instruction}
+                    </Text>
+                  </View>
+                )}
+              </View>
             )}
 
             <View style={styles.cameraActions}>
               {capturedPhotoUri ? (
                 <>
-                  <TouchableOpacity style={[styles.cameraButton, styles.cameraRetakeButton]} onPress={() => setCapturedPhotoUri(null)}>
+                  <TouchableOpacity style={[styles.cameraButton, styles.cameraRetakeButton]} onPress={handleRetakePhoto}>
                     <Ionicons name="camera" size={18} color="#007bff" />
                     <Text style={styles.cameraButtonTextPrimary}>Retake</Text>
                   </TouchableOpacity>
                   <TouchableOpacity
-                    style={[styles.cameraButton, styles.cameraSubmitButton, (isGroupPunchMode && isGroupPunchBusy) && styles.cameraButtonDisabled]}
-                    onPress={submitCapturedPhoto}
-                    disabled={isGroupPunchMode && isGroupPunchBusy}
+                    style={[styles.cameraButton, styles.cameraSubmitButton, ((isGroupPunchMode && isGroupPunchBusy) || photoQuality?.checking) && styles.cameraButtonDisabled]}
+                    onPress={confirmCapturedPhoto}
+                    disabled={(isGroupPunchMode && isGroupPunchBusy) || !!photoQuality?.checking}
                   >
                     {isGroupPunchMode && isGroupPunchBusy ? (
                       <ActivityIndicator size="small" color="#ffffff" />
@@ -2035,9 +2394,17 @@ Please delete the existing face from the Face Enrollment Center before capturing
                   </TouchableOpacity>
                 </>
               ) : (
-                <TouchableOpacity style={[styles.cameraButton, styles.cameraCaptureButton]} onPress={handleCapturePhoto}>
-                  <Ionicons name="camera" size={20} color="#fff" />
-                  <Text style={styles.cameraCaptureText}>Capture Photo</Text>
+                <TouchableOpacity
+                  style={[styles.cameraButton, styles.cameraCaptureButton, capturingBurst && styles.cameraButtonDisabled]}
+                  onPress={handleCapturePhoto}
+                  disabled={capturingBurst}
+                >
+                  {capturingBurst ? (
+                    <ActivityIndicator size="small" color="#ffffff" />
+                  ) : (
+                    <Ionicons name="camera" size={20} color="#fff" />
+                  )}
+                  <Text style={styles.cameraCaptureText}>{capturingBurst ? 'Capturing...' : 'Capture Photo'}</Text>
                 </TouchableOpacity>
               )}
             </View>
@@ -2281,6 +2648,54 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#6b778d',
   },
+  groupPunchSummaryLink: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#007bff',
+    marginTop: 6,
+  },
+  offlineQueueCard: {
+    marginHorizontal: 20,
+    marginBottom: 16,
+    padding: 14,
+    borderRadius: 16,
+    backgroundColor: '#fff8e6',
+    borderWidth: StyleSheet.hairlineWidth,
+    borderColor: '#f5d48a',
+  },
+  offlineQueueHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  offlineQueueTitle: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#7a4f01',
+  },
+  offlineQueueButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 12,
+    backgroundColor: '#b7791f',
+  },
+  offlineQueueButtonText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  offlineQueueMeta: {
+    marginTop: 6,
+    fontSize: 12,
+    color: '#8a6d3b',
+  },
+  offlineQueueRejected: {
+    marginTop: 6,
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#c0392b',
+  },
   dateFilterCard: {
     backgroundColor: '#ffffff',
     borderRadius: 16,
@@ -2967,6 +3382,57 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#6b778d',
   },
+  qualityPanel: {
+    marginTop: 8,
+    padding: 10,
+    borderRadius: 8,
+  },
+  qualityPanelGood: {
+    backgroundColor: '#e8f5e9',
+  },
+  qualityPanelPoor: {
+    backgroundColor: '#fdecea',
+  },
+  qualityRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  qualityCheckingText: {
+    marginLeft: 8,
+    fontSize: 12,
+    color: '#6b778d',
+  },
+  qualityTitle: {
+    marginLeft: 6,
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1f2933',
+  },
+  qualityTip: {
+    marginTop: 4,
+    fontSize: 12,
+    color: '#1f2933',
+  },
+  livenessPrompt: {
+    position: 'absolute',
+    left: 12,
+    right: 12,
+    bottom: 12,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 10,
+    backgroundColor: 'rgba(15, 23, 42, 0.75)',
+  },
+  livenessPromptText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 13,
+    color: '#ffffff',
+    fontWeight: '500',
+  },
   cameraActions: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -0,0 +1,236 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { apiService } from '../services/apiService';
+
+const errorMessage = (error, fallback) => {
+  const payload = error?.response?.data ?? {};
+  return [payload.error || error?.message || fallback, payload.details].filter(Boolean).join('\n');
+};
+
+// Two steps: request a reset code by email, then enter the code with a new
+// password. The server answers the first step the same way for unknown emails.
+const ForgotPasswordScreen = ({ navigation }) => {
+  const [step, setStep] = useState('request');
+  const [email, setEmail] = useState('');
+  const [code, setCode] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleRequest = async () => {
+    if (!email.trim()) {
+      Alert.alert('Error', 'Please enter your email');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await apiService.forgotPassword(email.trim().toLowerCase());
+      Alert.alert('Check Your Email', response.data?.message || 'A reset code has been sent.');
+      setStep('reset');
+    } catch (error) {
+      Alert.alert('Error', errorMessage(error, 'Unable to request a reset code.'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!code.trim() || !newPassword || !confirmPassword) {
+      Alert.alert('Error', 'Please fill in all fields');
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      Alert.alert('Error', 'New passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await apiService.resetPassword({ token: code.trim(), newPassword });
+      Alert.alert('Password Reset', response.data?.message || 'Sign in with your new password.');
+      navigation.goBack();
+    } catch (error) {
+      Alert.alert('Password Not Reset', errorMessage(error, 'Unable to reset password.'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <View style={styles.content}>
+        <View style={styles.header}>
+          <Text style={styles.title}>Reset Password</Text>
+          <Text style={styles.subtitle}>
+            {step === 'request'
+              ? 'Enter your account email to receive a reset code'
+              : 'Enter the code from the email and choose a new password'}
+          </Text>
+        </View>
+
+        {step === 'request' ? (
+          <View style={styles.inputContainer}>
+            <Ionicons name="mail" size={20} color="#666" style={styles.inputIcon} />
+            <TextInput
+              style={styles.input}
+              placeholder="Email"
+              value={email}
+              onChangeText={setEmail}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+          </View>
+        ) : (
+          <>
+            <View style={styles.inputContainer}>
+              <Ionicons name="keypad" size={20} color="#666" style={styles.inputIcon} />
+              <TextInput
+                style={styles.input}
+                placeholder="Reset code"
+                value={code}
+                onChangeText={setCode}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+            </View>
+            <View style={styles.inputContainer}>
+              <Ionicons name="key" size={20} color="#666" style={styles.inputIcon} />
+              <TextInput
+                style={styles.input}
+                placeholder="New password"
+                value={newPassword}
+                onChangeText={setNewPassword}
+                secureTextEntry
+                autoCapitalize="none"
+              />
+            </View>
+            <View style={styles.inputContainer}>
+              <Ionicons name="key" size={20} color="#666" style={styles.inputIcon} />
+              <TextInput
+                style={styles.input}
+                placeholder="Confirm new password"
+                value={confirmPassword}
+                onChangeText={setConfirmPassword}
+                secureTextEntry
+                autoCapitalize="none"
+              />
+            </View>
+          </>
+        )}
+
+        <TouchableOpacity
+          style={[styles.submitButton, submitting && styles.disabledButton]}
+          onPress={step === 'request' ? handleRequest : handleReset}
+          disabled={submitting}
+        >
+          <Text style={styles.submitButtonText}>
+            {submitting ? 'Please wait...' : step === 'request' ? 'Send Reset Code' : 'Reset Password'}
+          </Text>
+        </TouchableOpacity>
+
+        <View style={styles.footer}>
+          {step === 'reset' && (
+            <TouchableOpacity onPress={() => setStep('request')}>
+              <Text style={styles.linkText}>Send a new code</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity onPress={() => navigation.goBack()}>
+            <Text style={styles.linkText}>Back to sign in</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    flex: 1,
+    justifyContent: 'center',
+    paddingHorizontal: 30,
+  },
+  header: {
+    alignItems: 'center',
+    marginBottom: 40,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+  },
+  inputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  inputIcon: {
+    marginRight: 10,
+  },
+  input: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+  },
+  submitButton: {
+    backgroundColor: '#007bff',
+    borderRadius: 10,
+    paddingVertical: 15,
+    alignItems: 'center',
+    marginTop: 10,
+    marginBottom: 20,
+  },
+  disabledButton: {
+    backgroundColor: '#ccc',
+  },
+  submitButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    alignItems: 'center',
+  },
+  linkText: {
+    fontSize: 14,
+    color: '#007bff',
+    fontWeight: 'bold',
+  },
+});
+
+export default ForgotPasswordScreen;
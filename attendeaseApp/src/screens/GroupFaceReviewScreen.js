@@ -0,0 +1,577 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  TextInput,
+  Image,
+  Alert,
+  ActivityIndicator,
+  RefreshControl,
+  Switch,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { apiService } from '../services/apiService';
+import { useAuth } from '../context/AuthContext';
+
+const STATUS_TABS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'assigned', label: 'Assigned' },
+  { value: 'dismissed', label: 'Dismissed' },
+];
+
+const REASONS = {
+  unmatched: 'No match',
+  low_confidence: 'Low confidence',
+  verification_failed: 'Verification failed',
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const errorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  return [data?.error || fallback, typeof data?.details === 'string' ? data.details : null]
+    .filter(Boolean)
+    .join('\n');
+};
+
+// Faces from group photos that were not punched automatically. A reviewer
+// picks the right employee, which punches them at the original capture time,
+// or dismisses the face (a visitor, a poster, a blurred crop).
+const GroupFaceReviewScreen = ({ navigation }) => {
+  const { user } = useAuth();
+  // Only admins may add face templates
+  const canAddTemplate = user?.role === 'admin';
+  const [status, setStatus] = useState('pending');
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [search, setSearch] = useState('');
+  const [employees, setEmployees] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [addTemplate, setAddTemplate] = useState(false);
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadReviews = useCallback(async () => {
+    try {
+      const response = await apiService.getGroupFaceReviews({ status, limit: 50 });
+      setReviews(response.data?.reviews || []);
+    } catch (error) {
+      console.error('Load group face reviews error:', error);
+      Alert.alert('Error', errorMessage(error, 'Failed to load faces for review'));
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadReviews();
+  }, [loadReviews]);
+
+  const openReview = (review) => {
+    setSelected(review);
+    setSearch('');
+    setEmployees([]);
+    setAddTemplate(false);
+    setComment('');
+  };
+
+  const closeReview = () => {
+    setSelected(null);
+    loadReviews();
+  };
+
+  const searchEmployees = async () => {
+    setSearching(true);
+    try {
+      const response = await apiService.searchGroupReviewEmployees(search.trim());
+      setEmployees(response.data?.employees || []);
+    } catch (error) {
+      console.error('Search employees error:', error);
+      Alert.alert('Error', errorMessage(error, 'Failed to search employees'));
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const assign = (empId, name) => {
+    Alert.alert(
+      'Assign face?',
+      `${name} will be punched ${selected.punch_type} at ${formatDateTime(selected.captured_at)}.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Assign',
+          onPress: async () => {
+            setSubmitting(true);
+            try {
+              const response = await apiService.assignGroupFaceReview(selected.review_id, {
+                emp_id: empId,
+                add_template: canAddTemplate && addTemplate,
+                comment: comment.trim() || undefined,
+              });
+              const notes = [`${name} punched ${selected.punch_type}.`];
+              if (response.data?.template_id) {
+                notes.push('The face was added as a template.');
+              } else if (response.data?.template_error) {
+                notes.push(`The face was not added as a template: ${response.data.template_error}`);
+              }
+              Alert.alert('Assigned', notes.join('\n'));
+              closeReview();
+            } catch (error) {
+              console.error('Assign group face review error:', error);
+              Alert.alert('Error', errorMessage(error, 'Failed to assign the face'));
+            } finally {
+              setSubmitting(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const dismiss = async () => {
+    setSubmitting(true);
+    try {
+      await apiService.dismissGroupFaceReview(selected.review_id, comment.trim());
+      closeReview();
+    } catch (error) {
+      console.error('Dismiss group face review error:', error);
+      Alert.alert('Error', errorMessage(error, 'Failed to dismiss the face'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const ReviewCard = ({ review }) => (
+    <TouchableOpacity
+      style={styles.card}
+      disabled={review.status !== 'pending'}
+      onPress={() => openReview(review)}
+    >
+      <View style={styles.cardRow}>
+        {review.image_url ? (
+          <Image source={{ uri: review.image_url }} style={styles.faceImage} />
+        ) : (
+          <View style={[styles.faceImage, styles.imagePlaceholder]}>
+            <Ionicons name="person" size={32} color="#ccc" />
+          </View>
+        )}
+        <View style={styles.cardInfo}>
+          <Text style={styles.reasonText}>
+            {REASONS[review.reason] || review.reason}
+            {review.similarity !== null && review.similarity !== undefined
+              ? ` • ${Number(review.similarity).toFixed(1)}%`
+              : ''}
+          </Text>
+          {review.suggested_employee_name && (
+            <Text style={styles.metaText}>
+              Likely {review.suggested_employee_name} ({review.suggested_emp_code})
+            </Text>
+          )}
+          <Text style={styles.metaText}>
+            Punch {review.punch_type} • {formatDateTime(review.captured_at)}
+            {review.offline ? ' • offline' : ''}
+          </Text>
+          {review.captured_by_name && (
+            <Text style={styles.metaText}>Captured by {review.captured_by_name}</Text>
+          )}
+          {review.status === 'assigned' && (
+            <Text style={styles.resolvedText}>
+              Assigned to {review.assigned_employee_name}
+              {review.resolved_by_name ? ` by ${review.resolved_by_name}` : ''}
+            </Text>
+          )}
+          {review.status === 'dismissed' && (
+            <Text style={styles.resolvedText}>
+              Dismissed{review.resolved_by_name ? ` by ${review.resolved_by_name}` : ''}
+              {review.resolution_comment ? `: ${review.resolution_comment}` : ''}
+            </Text>
+          )}
+        </View>
+        {review.status === 'pending' && (
+          <Ionicons name="chevron-forward" size={20} color="#999" />
+        )}
+      </View>
+    </TouchableOpacity>
+  );
+
+  const renderList = () => (
+    <>
+      <View style={styles.tabs}>
+        {STATUS_TABS.map(tab => (
+          <TouchableOpacity
+            key={tab.value}
+            style={[styles.tab, status === tab.value && styles.activeTab]}
+            onPress={() => setStatus(tab.value)}
+          >
+            <Text style={[styles.tabText, status === tab.value && styles.activeTabText]}>
+              {tab.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <FlatList
+        data={reviews}
+        keyExtractor={(item) => item.review_id.toString()}
+        renderItem={({ item }) => <ReviewCard review={item} />}
+        contentContainerStyle={styles.listContainer}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={() => {
+              setRefreshing(true);
+              loadReviews();
+            }}
+          />
+        }
+        ListEmptyComponent={
+          loading ? (
+            <ActivityIndicator style={styles.loader} color="#007bff" />
+          ) : (
+            <View style={styles.emptyState}>
+              <Ionicons name="checkmark-done-outline" size={64} color="#ccc" />
+              <Text style={styles.emptyStateText}>No faces to show</Text>
+            </View>
+          )
+        }
+      />
+    </>
+  );
+
+  const renderReview = () => (
+    <FlatList
+      data={employees}
+      keyExtractor={(item) => item.emp_id.toString()}
+      keyboardShouldPersistTaps="handled"
+      renderItem={({ item }) => (
+        <TouchableOpacity
+          style={styles.employeeRow}
+          disabled={submitting}
+          onPress={() => assign(item.emp_id, item.name)}
+        >
+          <View style={styles.cardInfo}>
+            <Text style={styles.employeeName}>{item.name}</Text>
+            <Text style={styles.metaText}>
+              {item.emp_code}{item.ward_name ? ` • ${item.ward_name}` : ''}
+            </Text>
+          </View>
+          <Ionicons name="person-add-outline" size={20} color="#007bff" />
+        </TouchableOpacity>
+      )}
+      contentContainerStyle={styles.listContainer}
+      ListHeaderComponent={
+        <>
+          <View style={styles.detailSection}>
+            {selected.image_url ? (
+              <Image source={{ uri: selected.image_url }} style={styles.detailImage} />
+            ) : (
+              <View style={[styles.detailImage, styles.imagePlaceholder]}>
+                <Ionicons name="person" size={64} color="#ccc" />
+              </View>
+            )}
+            <Text style={styles.reasonText}>{REASONS[selected.reason] || selected.reason}</Text>
+            <Text style={styles.metaText}>
+              Punch {selected.punch_type} • {formatDateTime(selected.captured_at)}
+            </Text>
+            {selected.location?.address ? (
+              <Text style={styles.metaText}>{selected.location.address}</Text>
+            ) : null}
+
+            {canAddTemplate && (
+              <View style={styles.switchRow}>
+                <Text style={styles.switchLabel}>Also add this face as a template</Text>
+                <Switch value={addTemplate} onValueChange={setAddTemplate} />
+              </View>
+            )}
+            <TextInput
+              style={styles.commentInput}
+              placeholder="Comment (optional)"
+              value={comment}
+              onChangeText={setComment}
+              maxLength={200}
+            />
+
+            {selected.suggested_emp_id && (
+              <TouchableOpacity
+                style={[styles.primaryButton, submitting && styles.disabledButton]}
+                disabled={submitting}
+                onPress={() => assign(selected.suggested_emp_id, selected.suggested_employee_name)}
+              >
+                <Ionicons name="checkmark-circle" size={18} color="#fff" />
+                <Text style={styles.primaryButtonText}>
+                  Assign to {selected.suggested_employee_name}
+                </Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={[styles.dismissButton, submitting && styles.disabledButton]}
+              disabled={submitting}
+              onPress={dismiss}
+            >
+              <Ionicons name="close-circle-outline" size={18} color="#dc3545" />
+              <Text style={styles.dismissButtonText}>Dismiss</Text>
+            </TouchableOpacity>
+            {submitting && <ActivityIndicator style={styles.loader} color="#007bff" />}
+          </View>
+
+          <Text style={styles.sectionTitle}>Or choose another employee</Text>
+          <View style={styles.searchBar}>
+            <Ionicons name="search" size={20} color="#666" />
+            <TextInput
+              style={styles.searchInput}
+              placeholder="Search by name or code"
+              value={search}
+              onChangeText={setSearch}
+              onSubmitEditing={searchEmployees}
+              returnKeyType="search"
+            />
+          </View>
+          {searching && <ActivityIndicator style={styles.loader} color="#007bff" />}
+        </>
+      }
+    />
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => (selected ? setSelected(null) : navigation.goBack())}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Group Face Review</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {selected ? renderReview() : renderList()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingTop: 60,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+    textAlign: 'center',
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  tabs: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingTop: 15,
+  },
+  tab: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    marginRight: 8,
+    backgroundColor: '#f1f3f5',
+  },
+  activeTab: {
+    backgroundColor: '#007bff',
+  },
+  tabText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  activeTabText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  listContainer: {
+    padding: 20,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  cardRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  faceImage: {
+    width: 72,
+    height: 72,
+    borderRadius: 8,
+    marginRight: 12,
+    backgroundColor: '#f1f3f5',
+  },
+  imagePlaceholder: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  reasonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  metaText: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  resolvedText: {
+    fontSize: 13,
+    color: '#28a745',
+    marginTop: 2,
+  },
+  detailSection: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    alignItems: 'stretch',
+  },
+  detailImage: {
+    width: 160,
+    height: 160,
+    borderRadius: 12,
+    alignSelf: 'center',
+    marginBottom: 12,
+    backgroundColor: '#f1f3f5',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  switchLabel: {
+    fontSize: 15,
+    color: '#333',
+    flex: 1,
+  },
+  commentInput: {
+    borderWidth: 1,
+    borderColor: '#dee2e6',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#333',
+    marginTop: 12,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#007bff',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 12,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
+  dismissButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#fdecea',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 8,
+  },
+  dismissButtonText: {
+    color: '#dc3545',
+    fontSize: 15,
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
+  disabledButton: {
+    opacity: 0.6,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    marginBottom: 10,
+  },
+  searchInput: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 16,
+    color: '#333',
+  },
+  employeeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 10,
+  },
+  employeeName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  loader: {
+    marginTop: 20,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#999',
+    marginTop: 12,
+  },
+});
+
+export default GroupFaceReviewScreen;
@@ -0,0 +1,665 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  RefreshControl,
+  Alert,
+  ActivityIndicator,
+  TextInput,
+  Modal,
+  ScrollView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { apiService } from '../services/apiService';
+import { useAuth } from '../context/AuthContext';
+
+const STATUS_FILTERS = ['pending', 'approved', 'rejected', 'cancelled'];
+
+const toISODate = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+const formatRange = (startDate, endDate) =>
+  startDate === endDate ? startDate : `${startDate} → ${endDate}`;
+
+const LeaveRequestsScreen = ({ navigation }) => {
+  const { user } = useAuth();
+  const [applications, setApplications] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const [showForm, setShowForm] = useState(false);
+  const [employees, setEmployees] = useState([]);
+  const [leaveTypes, setLeaveTypes] = useState([]);
+  const [employeeSearch, setEmployeeSearch] = useState('');
+  const [selectedEmployee, setSelectedEmployee] = useState(null);
+  const [selectedTypeId, setSelectedTypeId] = useState(null);
+  const [balances, setBalances] = useState([]);
+  const [startDate, setStartDate] = useState(new Date());
+  const [endDate, setEndDate] = useState(new Date());
+  const [activePicker, setActivePicker] = useState(null);
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchApplications = useCallback(async () => {
+    try {
+      const response = await apiService.getLeaveApplications({ status: statusFilter });
+      setApplications(response.data?.data || []);
+    } catch (error) {
+      console.error('Error fetching leave applications:', error);
+      Alert.alert('Error', error.response?.data?.error || 'Failed to load leave requests');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchApplications();
+  }, [fetchApplications]);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await fetchApplications();
+    setRefreshing(false);
+  };
+
+  const openForm = async () => {
+    setShowForm(true);
+    try {
+      const supervisorId = user?.user_id ?? user?.id ?? user?.userId ?? null;
+      const [employeeResult, typesResponse] = await Promise.all([
+        apiService.getSupervisorEmployees(supervisorId),
+        apiService.getLeaveTypes(),
+      ]);
+
+      const allEmployees = [];
+      (employeeResult.data || []).forEach(ward => {
+        ward.employees?.forEach(employee => allEmployees.push(employee));
+      });
+      setEmployees(allEmployees);
+
+      const types = typesResponse.data?.data || [];
+      setLeaveTypes(types);
+      if (!selectedTypeId && types.length) {
+        setSelectedTypeId(types[0].leave_type_id);
+      }
+    } catch (error) {
+      console.error('Error preparing leave form:', error);
+      Alert.alert('Error', 'Failed to load employees or leave types');
+    }
+  };
+
+  const resetForm = () => {
+    setShowForm(false);
+    setSelectedEmployee(null);
+    setBalances([]);
+    setEmployeeSearch('');
+    setReason('');
+    setStartDate(new Date());
+    setEndDate(new Date());
+  };
+
+  const selectEmployee = async (employee) => {
+    setSelectedEmployee(employee);
+    setEmployeeSearch('');
+    try {
+      const response = await apiService.getLeaveBalances(employee.emp_id, startDate.getFullYear());
+      setBalances(response.data?.data || []);
+    } catch (error) {
+      console.error('Error fetching leave balances:', error);
+      setBalances([]);
+    }
+  };
+
+  const handleDateChange = (event, selectedDate) => {
+    const picker = activePicker;
+    if (Platform.OS === 'android') {
+      setActivePicker(null);
+    }
+    if (event?.type === 'dismissed' || !selectedDate) {
+      return;
+    }
+
+    if (picker === 'start') {
+      setStartDate(selectedDate);
+      if (selectedDate > endDate) {
+        setEndDate(selectedDate);
+      }
+    } else {
+      setEndDate(selectedDate);
+    }
+  };
+
+  const submitApplication = async () => {
+    if (!selectedEmployee || !selectedTypeId) {
+      Alert.alert('Leave Request', 'Select an employee and a leave type.');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await apiService.applyLeave({
+        emp_id: selectedEmployee.emp_id,
+        leave_type_id: selectedTypeId,
+        start_date: toISODate(startDate),
+        end_date: toISODate(endDate),
+        reason: reason.trim() || null,
+      });
+      Alert.alert('Leave Request', 'Leave request submitted for approval.');
+      resetForm();
+      setStatusFilter('pending');
+      fetchApplications();
+    } catch (error) {
+      const payload = error.response?.data;
+      const detail = payload?.details?.available !== undefined
+        ? `\nAvailable: ${payload.details.available} day(s)`
+        : '';
+      Alert.alert('Leave Request', `${payload?.error || 'Failed to submit leave request'}${detail}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const cancelApplication = (application) => {
+    Alert.alert(
+      'Withdraw Request',
+      `Withdraw the leave request for ${application.employee_name}?`,
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Withdraw',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await apiService.cancelLeave(application.application_id);
+              fetchApplications();
+            } catch (error) {
+              Alert.alert('Error', error.response?.data?.error || 'Failed to withdraw request');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'approved': return '#28a745';
+      case 'rejected': return '#dc3545';
+      case 'cancelled': return '#6c757d';
+      default: return '#fd7e14';
+    }
+  };
+
+  const renderApplication = ({ item }) => (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <View style={styles.cardInfo}>
+          <Text style={styles.employeeName}>{item.employee_name}</Text>
+          <Text style={styles.metaText}>ID: {item.emp_code} • {item.ward_name}</Text>
+        </View>
+        <View style={[styles.statusBadge, { backgroundColor: getStatusColor(item.status) }]}>
+          <Text style={styles.statusBadgeText}>{item.status}</Text>
+        </View>
+      </View>
+      <Text style={styles.leaveType}>
+        {item.leave_type_name} • {item.days} day{item.days === 1 ? '' : 's'}
+      </Text>
+      <Text style={styles.metaText}>{formatRange(item.start_date, item.end_date)}</Text>
+      {item.reason ? <Text style={styles.reasonText}>{item.reason}</Text> : null}
+      {item.review_comment ? (
+        <Text style={styles.reviewText}>Admin: {item.review_comment}</Text>
+      ) : null}
+      {item.status === 'pending' && (
+        <TouchableOpacity style={styles.withdrawButton} onPress={() => cancelApplication(item)}>
+          <Ionicons name="close-circle-outline" size={16} color="#dc3545" />
+          <Text style={styles.withdrawText}>Withdraw</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  const filteredEmployees = employees.filter(employee => {
+    const query = employeeSearch.trim().toLowerCase();
+    return !query ||
+      employee.emp_name?.toLowerCase().includes(query) ||
+      employee.emp_code?.toLowerCase().includes(query);
+  });
+
+  const selectedBalance = balances.find(balance => balance.leave_type_id === selectedTypeId);
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#fff" />
+        </TouchableOpacity>
+        <Text style={styles.title}>Leave Requests</Text>
+        <TouchableOpacity onPress={openForm} style={styles.addButton}>
+          <Ionicons name="add" size={26} color="#fff" />
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.content}>
+        <View style={styles.filtersContainer}>
+          {STATUS_FILTERS.map(status => (
+            <TouchableOpacity
+              key={status}
+              style={[styles.filterButton, statusFilter === status && styles.activeFilterButton]}
+              onPress={() => setStatusFilter(status)}
+            >
+              <Text style={[styles.filterButtonText, statusFilter === status && styles.activeFilterButtonText]}>
+                {status.charAt(0).toUpperCase() + status.slice(1)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {loading ? (
+          <ActivityIndicator size="large" color="#007bff" style={styles.loader} />
+        ) : (
+          <FlatList
+            data={applications}
+            renderItem={renderApplication}
+            keyExtractor={(item) => item.application_id.toString()}
+            refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+            ListEmptyComponent={
+              <View style={styles.emptyContainer}>
+                <Ionicons name="calendar-outline" size={64} color="#ccc" />
+                <Text style={styles.emptyText}>No {statusFilter} leave requests</Text>
+              </View>
+            }
+          />
+        )}
+      </View>
+
+      <Modal visible={showForm} animationType="slide" transparent onRequestClose={resetForm}>
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>New Leave Request</Text>
+              <TouchableOpacity onPress={resetForm}>
+                <Ionicons name="close" size={24} color="#333" />
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView keyboardShouldPersistTaps="handled">
+              <Text style={styles.label}>Employee</Text>
+              {selectedEmployee ? (
+                <TouchableOpacity style={styles.selectedEmployee} onPress={() => setSelectedEmployee(null)}>
+                  <Text style={styles.selectedEmployeeText}>
+                    {selectedEmployee.emp_name} ({selectedEmployee.emp_code})
+                  </Text>
+                  <Ionicons name="swap-horizontal" size={18} color="#007bff" />
+                </TouchableOpacity>
+              ) : (
+                <>
+                  <TextInput
+                    style={styles.textInput}
+                    placeholder="Search employees..."
+                    value={employeeSearch}
+                    onChangeText={setEmployeeSearch}
+                  />
+                  <View style={styles.employeeList}>
+                    {filteredEmployees.slice(0, 20).map(employee => (
+                      <TouchableOpacity
+                        key={employee.emp_id}
+                        style={styles.employeeOption}
+                        onPress={() => selectEmployee(employee)}
+                      >
+                        <Text style={styles.employeeOptionText}>
+                          {employee.emp_name} • {employee.emp_code}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </>
+              )}
+
+              <Text style={styles.label}>Leave Type</Text>
+              <View style={styles.typeRow}>
+                {leaveTypes.map(type => (
+                  <TouchableOpacity
+                    key={type.leave_type_id}
+                    style={[styles.typeChip, selectedTypeId === type.leave_type_id && styles.typeChipActive]}
+                    onPress={() => setSelectedTypeId(type.leave_type_id)}
+                  >
+                    <Text style={[styles.typeChipText, selectedTypeId === type.leave_type_id && styles.typeChipTextActive]}>
+                      {type.name}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              {selectedEmployee && selectedBalance && (
+                <Text style={styles.balanceText}>
+                  Available: {selectedBalance.available} day(s)
+                  {selectedBalance.pending > 0 ? ` • ${selectedBalance.pending} pending` : ''}
+                </Text>
+              )}
+
+              <View style={styles.dateRow}>
+                <TouchableOpacity style={styles.dateButton} onPress={() => setActivePicker('start')}>
+                  <Text style={styles.dateLabel}>From</Text>
+                  <Text style={styles.dateValue}>{toISODate(startDate)}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.dateButton} onPress={() => setActivePicker('end')}>
+                  <Text style={styles.dateLabel}>To</Text>
+                  <Text style={styles.dateValue}>{toISODate(endDate)}</Text>
+                </TouchableOpacity>
+              </View>
+              {activePicker && (
+                <DateTimePicker
+                  value={activePicker === 'start' ? startDate : endDate}
+                  mode="date"
+                  display={Platform.OS === 'ios' ? 'spinner' : 'default'}
+                  minimumDate={activePicker === 'end' ? startDate : undefined}
+                  onChange={handleDateChange}
+                />
+              )}
+
+              <Text style={styles.label}>Reason</Text>
+              <TextInput
+                style={[styles.textInput, styles.reasonInput]}
+                placeholder="Optional"
+                value={reason}
+                onChangeText={setReason}
+                multiline
+              />
+            </ScrollView>
+
+            <TouchableOpacity
+              style={[styles.submitButton, submitting && styles.submitButtonDisabled]}
+              onPress={submitApplication}
+              disabled={submitting}
+            >
+              {submitting ? (
+                <ActivityIndicator color="#fff" />
+              ) : (
+                <Text style={styles.submitButtonText}>Submit Request</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    backgroundColor: '#007bff',
+    padding: 20,
+    paddingTop: 60,
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  backButton: {
+    marginRight: 15,
+  },
+  title: {
+    flex: 1,
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  addButton: {
+    padding: 4,
+  },
+  content: {
+    flex: 1,
+    padding: 15,
+  },
+  filtersContainer: {
+    flexDirection: 'row',
+    marginBottom: 15,
+  },
+  filterButton: {
+    backgroundColor: '#fff',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 20,
+    marginRight: 8,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  activeFilterButton: {
+    backgroundColor: '#007bff',
+    borderColor: '#007bff',
+  },
+  filterButtonText: {
+    fontSize: 12,
+    color: '#666',
+    fontWeight: '500',
+  },
+  activeFilterButtonText: {
+    color: '#fff',
+  },
+  loader: {
+    marginTop: 40,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3.84,
+    elevation: 5,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: 6,
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  employeeName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  metaText: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  statusBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  statusBadgeText: {
+    fontSize: 11,
+    fontWeight: 'bold',
+    color: '#fff',
+    textTransform: 'capitalize',
+  },
+  leaveType: {
+    fontSize: 14,
+    color: '#333',
+    fontWeight: '500',
+  },
+  reasonText: {
+    fontSize: 13,
+    color: '#555',
+    marginTop: 6,
+  },
+  reviewText: {
+    fontSize: 12,
+    color: '#6f42c1',
+    marginTop: 4,
+  },
+  withdrawButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-end',
+    marginTop: 8,
+  },
+  withdrawText: {
+    fontSize: 13,
+    color: '#dc3545',
+    marginLeft: 4,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 50,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    marginTop: 10,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    maxHeight: '90%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+  },
+  reasonInput: {
+    minHeight: 70,
+    textAlignVertical: 'top',
+  },
+  employeeList: {
+    marginTop: 6,
+  },
+  employeeOption: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  employeeOptionText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  selectedEmployee: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#e7f1ff',
+    borderRadius: 8,
+    padding: 12,
+  },
+  selectedEmployeeText: {
+    fontSize: 15,
+    color: '#007bff',
+    fontWeight: '500',
+  },
+  typeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  typeChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  typeChipActive: {
+    backgroundColor: '#007bff',
+    borderColor: '#007bff',
+  },
+  typeChipText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  typeChipTextActive: {
+    color: '#fff',
+  },
+  balanceText: {
+    fontSize: 13,
+    color: '#28a745',
+    marginBottom: 4,
+  },
+  dateRow: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  dateButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 10,
+    marginRight: 8,
+  },
+  dateLabel: {
+    fontSize: 12,
+    color: '#666',
+  },
+  dateValue: {
+    fontSize: 15,
+    color: '#333',
+    fontWeight: '500',
+    marginTop: 2,
+  },
+  submitButton: {
+    backgroundColor: '#007bff',
+    borderRadius: 10,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 15,
+  },
+  submitButtonDisabled: {
+    opacity: 0.6,
+  },
+  submitButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default LeaveRequestsScreen;
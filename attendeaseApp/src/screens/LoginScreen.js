@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -12,12 +12,28 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../context/AuthContext';
 
-const LoginScreen = () => {
+const LoginScreen = ({ navigation }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
+  const [remainingAttempts, setRemainingAttempts] = useState(null);
+  const [lockedUntil, setLockedUntil] = useState(null);
   const { login, isLoading } = useAuth();
 
+  // Re-enable the button once the server-side lockout has run out
+  useEffect(() => {
+    if (!lockedUntil) {
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      setLockedUntil(null);
+      setRemainingAttempts(null);
+    }, Math.max(0, new Date(lockedUntil).getTime() - Date.now()));
+    return () => clearTimeout(timer);
+  }, [lockedUntil]);
+
+  const isLocked = !!lockedUntil;
+
   const handleLogin = async () => {
     if (!email || !password) {
       Alert.alert('Error', 'Please fill in all fields');
@@ -26,7 +42,9 @@ const LoginScreen = () => {
 
     const result = await login(email, password);
     if (!result.success) {
-      Alert.alert('Login Failed', result.message);
+      setRemainingAttempts(result.remainingAttempts ?? null);
+      setLockedUntil(result.lockedUntil ?? null);
+      Alert.alert(result.lockedUntil ? 'Sign-in Locked' : 'Login Failed', result.message);
     }
   };
 
@@ -81,16 +99,40 @@ const LoginScreen = () => {
             </TouchableOpacity>
           </View>
 
+          {isLocked ? (
+            <View style={[styles.attemptNote, styles.lockedNote]}>
+              <Ionicons name="lock-closed" size={16} color="#dc3545" />
+              <Text style={[styles.attemptNoteText, styles.lockedNoteText]}>
+                Too many failed attempts. Try again after{' '}
+                {new Date(lockedUntil).toLocaleTimeString()} or ask your administrator to unlock your account.
+              </Text>
+            </View>
+          ) : remainingAttempts !== null ? (
+            <View style={styles.attemptNote}>
+              <Ionicons name="warning" size={16} color="#856404" />
+              <Text style={styles.attemptNoteText}>
+                {remainingAttempts} {remainingAttempts === 1 ? 'attempt' : 'attempts'} left before sign-in is locked
+              </Text>
+            </View>
+          ) : null}
+
           <TouchableOpacity
-            style={[styles.loginButton, isLoading && styles.disabledButton]}
+            style={[styles.loginButton, (isLoading || isLocked) && styles.disabledButton]}
             onPress={handleLogin}
-            disabled={isLoading}
+            disabled={isLoading || isLocked}
           >
             <Text style={styles.loginButtonText}>
-              {isLoading ? 'Signing In...' : 'Sign In'}
+              {isLoading ? 'Signing In...' : isLocked ? 'Locked' : 'Sign In'}
             </Text>
           </TouchableOpacity>
 
+          <TouchableOpacity
+            style={styles.forgotLink}
+            onPress={() => navigation.navigate('ForgotPassword')}
+          >
+            <Text style={styles.linkText}>Forgot password?</Text>
+          </TouchableOpacity>
+
           <View style={styles.footer}>
             <Text style={styles.footerText}>Need supervisor access? </Text>
             <Text style={styles.linkText}>Contact your administrator</Text>
@@ -169,6 +211,28 @@ const styles = StyleSheet.create({
   eyeIcon: {
     padding: 5,
   },
+  attemptNote: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff3cd',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginBottom: 5,
+  },
+  attemptNoteText: {
+    flex: 1,
+    fontSize: 12,
+    color: '#856404',
+    marginLeft: 6,
+    fontWeight: '500',
+  },
+  lockedNote: {
+    backgroundColor: '#f8d7da',
+  },
+  lockedNoteText: {
+    color: '#dc3545',
+  },
   loginButton: {
     backgroundColor: '#007bff',
     borderRadius: 10,
@@ -185,6 +249,10 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
   },
+  forgotLink: {
+    alignItems: 'center',
+    marginBottom: 20,
+  },
   footer: {
     flexDirection: 'row',
     justifyContent: 'center',
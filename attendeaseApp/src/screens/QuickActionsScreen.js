@@ -100,6 +100,22 @@ const QuickActionsScreen = ({ navigation }) => {
       color: '#20c997',
       onPress: () => navigation.navigate('AttendanceImages'),
     },
+    {
+      id: 'group-face-reviews',
+      title: 'Group Face Review',
+      subtitle: 'Assign or dismiss unmatched faces from group photos',
+      icon: 'people-circle',
+      color: '#e83e8c',
+      onPress: () => navigation.navigate('GroupFaceReviews'),
+    },
+    {
+      id: 'leave-requests',
+      title: 'Leave Requests',
+      subtitle: 'Apply for leave on behalf of employees',
+      icon: 'airplane',
+      color: '#6f42c1',
+      onPress: () => navigation.navigate('LeaveRequests'),
+    },
     {
       id: 'employee-search',
       title: 'Employee Search',
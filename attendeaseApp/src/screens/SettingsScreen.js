@@ -40,6 +40,15 @@ const SettingsScreen = () => {
             <Ionicons name="chevron-forward" size={20} color="#ccc" />
           </TouchableOpacity>
 
+          <TouchableOpacity
+            style={styles.settingItem}
+            onPress={() => navigation.navigate('ChangePassword')}
+          >
+            <Ionicons name="key" size={24} color="#666" />
+            <Text style={styles.settingText}>Change Password</Text>
+            <Ionicons name="chevron-forward" size={20} color="#ccc" />
+          </TouchableOpacity>
+
           <TouchableOpacity
             style={styles.settingItem}
             onPress={() => navigation.navigate('Notifications')}
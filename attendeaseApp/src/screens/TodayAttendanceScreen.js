@@ -94,31 +94,92 @@ const TodayAttendanceScreen = ({ navigation }) => {
   const getStatusCounts = () => {
     const counts = {
       All: attendanceData.length,
-      Present: attendanceData.filter(emp => emp.attendance_status === 'Present').length,
+      'In Progress': attendanceData.filter(emp => emp.attendance_status === 'In Progress').length,
       'Not Marked': attendanceData.filter(emp => emp.attendance_status === 'Not Marked').length,
       Marked: attendanceData.filter(emp => emp.attendance_status === 'Marked').length,
+      'On Leave': attendanceData.filter(emp => emp.attendance_status === 'On Leave').length,
+      'Off Day': attendanceData.filter(emp => emp.attendance_status === 'Off Day').length,
     };
+    counts.Present = counts['In Progress'] + counts.Marked;
+    counts.Expected = counts.All - counts['On Leave'] - counts['Off Day'];
     return counts;
   };
 
   const getStatusColor = (status) => {
     switch (status) {
-      case 'Present': return '#28a745';
+      case 'In Progress': return '#28a745';
       case 'Marked': return '#007bff';
       case 'Not Marked': return '#dc3545';
+      case 'On Leave': return '#6f42c1';
+      case 'Off Day': return '#6c757d';
       default: return '#6c757d';
     }
   };
 
   const getStatusIcon = (status) => {
     switch (status) {
-      case 'Present': return 'checkmark-circle';
-      case 'Marked': return 'time';
+      case 'In Progress': return 'time';
+      case 'Marked': return 'checkmark-circle';
       case 'Not Marked': return 'close-circle';
+      case 'On Leave': return 'airplane';
+      case 'Off Day': return 'cafe';
       default: return 'help-circle';
     }
   };
 
+  const formatShiftDay = (isoDate) => {
+    if (!isoDate) {
+      return '';
+    }
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-IN', {
+      day: 'numeric',
+      month: 'short',
+    });
+  };
+
+  // Night shifts run past midnight, so punch times are labelled with the day
+  // they fall on whenever it differs from the shift's start date.
+  const formatPunch = (display, epoch, shiftDate) => {
+    if (!display) {
+      return '--';
+    }
+    if (!epoch || !shiftDate) {
+      return display;
+    }
+    const punchDay = new Date(epoch * 1000).toLocaleDateString('en-CA', {
+      timeZone: 'Asia/Kolkata',
+    });
+    return punchDay === shiftDate ? display : `${display} (${formatShiftDay(punchDay)})`;
+  };
+
+  const renderShiftInfo = (item) => {
+    if (!item.has_punch_in) {
+      return null;
+    }
+
+    return (
+      <View style={styles.shiftInfo}>
+        {Boolean(item.shift_name || item.overnight_shift) && (
+          <View style={styles.shiftRow}>
+            {item.overnight_shift && (
+              <Ionicons name="moon" size={12} color="#6f42c1" style={styles.shiftIcon} />
+            )}
+            <Text style={styles.shiftLabel}>
+              {item.shift_name || 'Night shift'}
+              {item.carried_over ? ` • started ${formatShiftDay(item.shift_date)}` : ''}
+            </Text>
+          </View>
+        )}
+        <Text style={styles.punchTimes}>
+          In: {formatPunch(item.punch_in_display, item.punch_in_epoch, item.shift_date)}
+          {'   '}
+          Out: {formatPunch(item.punch_out_display, item.punch_out_epoch, item.shift_date)}
+        </Text>
+      </View>
+    );
+  };
+
   const renderEmployee = ({ item }) => (
     <View style={styles.employeeCard}>
       <View style={styles.employeeInfo}>
@@ -126,6 +187,7 @@ const TodayAttendanceScreen = ({ navigation }) => {
         <Text style={styles.employeeCode}>ID: {item.emp_code}</Text>
         <Text style={styles.employeeDetails}>{item.designation} • {item.department}</Text>
         <Text style={styles.wardInfo}>📍 {item.ward_name}</Text>
+        {renderShiftInfo(item)}
       </View>
       <View style={styles.statusContainer}>
         <Ionicons
@@ -136,6 +198,9 @@ const TodayAttendanceScreen = ({ navigation }) => {
         <Text style={[styles.statusText, { color: getStatusColor(item.attendance_status) }]}>
           {item.attendance_status}
         </Text>
+        {item.attendance_status === 'On Leave' && item.leave_type && (
+          <Text style={styles.leaveTypeText}>{item.leave_type}</Text>
+        )}
       </View>
     </View>
   );
@@ -192,9 +257,13 @@ const TodayAttendanceScreen = ({ navigation }) => {
         {/* Filter Buttons */}
         <View style={styles.filtersContainer}>
           <FilterButton status="All" count={statusCounts.All} />
-          <FilterButton status="Present" count={statusCounts.Present} />
+          <FilterButton status="In Progress" count={statusCounts['In Progress']} />
           <FilterButton status="Not Marked" count={statusCounts['Not Marked']} />
           <FilterButton status="Marked" count={statusCounts.Marked} />
+          <FilterButton status="On Leave" count={statusCounts['On Leave']} />
+          {statusCounts['Off Day'] > 0 && (
+            <FilterButton status="Off Day" count={statusCounts['Off Day']} />
+          )}
         </View>
 
         {/* Summary Stats */}
@@ -211,7 +280,7 @@ const TodayAttendanceScreen = ({ navigation }) => {
           </View>
           <View style={styles.summaryCard}>
             <Text style={[styles.summaryNumber, { color: '#007bff' }]}>
-              {statusCounts.All > 0 ? ((statusCounts.Present / statusCounts.All) * 100).toFixed(1) : 0}%
+              {statusCounts.Expected > 0 ? ((statusCounts.Present / statusCounts.Expected) * 100).toFixed(1) : 0}%
             </Text>
             <Text style={styles.summaryLabel}>Attendance</Text>
           </View>
@@ -285,7 +354,8 @@ const styles = StyleSheet.create({
   },
   filtersContainer: {
     flexDirection: 'row',
-    marginBottom: 15,
+    flexWrap: 'wrap',
+    marginBottom: 7,
   },
   filterButton: {
     backgroundColor: '#fff',
@@ -293,6 +363,7 @@ const styles = StyleSheet.create({
     paddingVertical: 8,
     borderRadius: 20,
     marginRight: 10,
+    marginBottom: 8,
     borderWidth: 1,
     borderColor: '#ddd',
   },
@@ -372,6 +443,26 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#007bff',
   },
+  shiftInfo: {
+    marginTop: 6,
+  },
+  shiftRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 2,
+  },
+  shiftIcon: {
+    marginRight: 4,
+  },
+  shiftLabel: {
+    fontSize: 12,
+    color: '#6f42c1',
+    fontWeight: '500',
+  },
+  punchTimes: {
+    fontSize: 12,
+    color: '#333',
+  },
   statusContainer: {
     alignItems: 'center',
     marginLeft: 15,
@@ -381,6 +472,11 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginTop: 2,
   },
+  leaveTypeText: {
+    fontSize: 9,
+    color: '#6f42c1',
+    marginTop: 1,
+  },
   emptyContainer: {
     alignItems: 'center',
     justifyContent: 'center',
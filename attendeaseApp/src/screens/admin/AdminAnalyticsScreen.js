@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -12,12 +12,44 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { LineChart, BarChart, PieChart } from 'react-native-chart-kit';
+import { apiService } from '../../services/apiService';
 // import { useMultipleRealTimeData } from '../../hooks/useRealTimeData';
 
 const { width } = Dimensions.get('window');
 
+const LOCATION_ANOMALIES = [
+  { key: 'mock_location', label: 'Mock Location', icon: 'bug', color: '#dc3545' },
+  { key: 'low_accuracy', label: 'Poor GPS Accuracy', icon: 'locate', color: '#ffc107' },
+  { key: 'impossible_travel', label: 'Impossible Travel', icon: 'speedometer', color: '#6f42c1' },
+];
+
 const AdminAnalyticsScreen = ({ navigation }) => {
   const [activeTab, setActiveTab] = useState('overview');
+  const [locationAnomalies, setLocationAnomalies] = useState(null);
+  const [anomalyType, setAnomalyType] = useState(null);
+  const [loadingAnomalies, setLoadingAnomalies] = useState(false);
+
+  // Last 7 days of punches flagged by the backend's location checks
+  const loadLocationAnomalies = async () => {
+    try {
+      setLoadingAnomalies(true);
+      const response = await apiService.get('/admin/analytics/location-anomalies', {
+        params: anomalyType ? { type: anomalyType } : {},
+      });
+      setLocationAnomalies(response.data);
+    } catch (loadError) {
+      console.error('Load location anomalies error:', loadError);
+      Alert.alert('Error', loadError.response?.data?.error || 'Failed to load location anomalies');
+    } finally {
+      setLoadingAnomalies(false);
+    }
+  };
+
+  useEffect(() => {
+    if (activeTab === 'anomalies') {
+      loadLocationAnomalies();
+    }
+  }, [activeTab, anomalyType]);
 
   // DISABLED REAL-TIME DATA TO PREVENT ERRORS
   // const dataEndpoints = [
@@ -331,6 +363,75 @@ const AdminAnalyticsScreen = ({ navigation }) => {
     </View>
   );
 
+  const describeAnomaly = (punch) => {
+    const notes = [];
+    if (punch.mock_location) {
+      notes.push('Mock location provider');
+    }
+    if (punch.low_accuracy) {
+      notes.push(`GPS accuracy ${Math.round(punch.accuracy_meters)} m`);
+    }
+    if (punch.impossible_travel) {
+      notes.push(`${Math.round(punch.travel_speed_kmh)} km/h from ${punch.punched_by_name || 'the same supervisor'}'s previous punch`);
+    }
+    return notes.join(' • ');
+  };
+
+  const renderAnomaliesTab = () => {
+    const summary = locationAnomalies?.summary;
+
+    return (
+      <View>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Location Anomalies (7 Days)</Text>
+          <View style={styles.metricsGrid}>
+            {LOCATION_ANOMALIES.map(anomaly => (
+              <TouchableOpacity
+                key={anomaly.key}
+                onPress={() => setAnomalyType(anomalyType === anomaly.key ? null : anomaly.key)}
+              >
+                <MetricCard
+                  title={anomaly.label}
+                  value={summary ? summary[anomaly.key] : '-'}
+                  subtitle={anomalyType === anomaly.key ? 'Showing only these' : 'Tap to filter'}
+                  icon={anomaly.icon}
+                  color={anomaly.color}
+                />
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Flagged Punches</Text>
+          {loadingAnomalies && !locationAnomalies ? (
+            <ActivityIndicator size="small" color="#007bff" />
+          ) : !locationAnomalies?.anomalies?.length ? (
+            <View style={styles.chartPlaceholder}>
+              <Text style={styles.placeholderText}>No flagged punches</Text>
+            </View>
+          ) : (
+            locationAnomalies.anomalies.map(punch => (
+              <View key={`${punch.attendance_id}-${punch.punch_type}`} style={styles.wardCard}>
+                <View style={styles.wardHeader}>
+                  <View style={styles.wardInfo}>
+                    <Text style={styles.wardName}>{punch.employee_name}</Text>
+                    <Text style={styles.zoneName}>
+                      {punch.emp_code} • {punch.ward_name || 'No ward'} • Punch {punch.punch_type}{' '}
+                      {punch.punch_time ? new Date(punch.punch_time).toLocaleString() : punch.date}
+                    </Text>
+                  </View>
+                </View>
+                <Text style={styles.anomalyText}>{describeAnomaly(punch)}</Text>
+                {!!punch.address && <Text style={styles.zoneName}>{punch.address}</Text>}
+              </View>
+            ))
+          )}
+        </View>
+      </View>
+    );
+  };
+
   return (
     <View style={styles.container} >
       {/* Header */}
@@ -372,6 +473,11 @@ const AdminAnalyticsScreen = ({ navigation }) => {
           isActive={activeTab === 'wards'}
           onPress={() => setActiveTab('wards')}
         />
+        <TabButton
+          title="Location"
+          isActive={activeTab === 'anomalies'}
+          onPress={() => setActiveTab('anomalies')}
+        />
       </View >
 
       {/* Content */}
@@ -380,8 +486,8 @@ const AdminAnalyticsScreen = ({ navigation }) => {
         showsVerticalScrollIndicator={false}
         refreshControl={
           <RefreshControl
-            refreshing={loading}
-            onRefresh={refresh}
+            refreshing={loading || loadingAnomalies}
+            onRefresh={activeTab === 'anomalies' ? loadLocationAnomalies : refresh}
             colors={['#dc3545']}
             tintColor="#dc3545"
           />
@@ -390,6 +496,7 @@ const AdminAnalyticsScreen = ({ navigation }) => {
         {activeTab === 'overview' && renderOverviewTab()}
         {activeTab === 'performance' && renderPerformanceTab()}
         {activeTab === 'wards' && renderWardsTab()}
+        {activeTab === 'anomalies' && renderAnomaliesTab()}
       </ScrollView >
     </View >
   );
@@ -646,6 +753,11 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     justifyContent: 'space-between',
   },
+  anomalyText: {
+    fontSize: 14,
+    color: '#dc3545',
+    marginBottom: 4,
+  },
   wardStat: {
     alignItems: 'center',
     flex: 1,
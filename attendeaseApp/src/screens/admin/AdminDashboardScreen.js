@@ -13,6 +13,7 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 // import { LineChart } from 'react-native-chart-kit'; // Temporarily disabled
 import { useAuth } from '../../context/AuthContext';
+import { useRealTimeData } from '../../hooks/useRealTimeData';
 // import { useMultipleRealTimeData } from '../../hooks/useRealTimeData';
 
 const { width } = Dimensions.get('window');
@@ -41,23 +42,23 @@ const AdminDashboardScreen = ({ navigation }) => {
 
   // const { data: realTimeData, loading, error, refresh } = useMultipleRealTimeData(dataEndpoints);
 
-  // STATIC DATA TO PREVENT ERRORS
-  const realTimeData = {};
-  const loading = false;
-  const error = null;
-  const refresh = () => { };
+  // Overview comes from live aggregates; metrics the backend cannot compute
+  // arrive as null with a reason under `unavailable`.
+  const {
+    data: overviewData,
+    loading,
+    error,
+    refresh,
+  } = useRealTimeData('/admin/dashboard/overview', {
+    refreshInterval: 60000,
+    refreshOnMount: true,
+  });
+
+  const realTimeData = { overview: overviewData };
 
   // Fallback static data for when API is not available
   const fallbackData = {
-    overview: {
-      totalSupervisors: 12,
-      totalEmployees: 156,
-      totalWards: 8,
-      totalDepartments: 5,
-      presentToday: 142,
-      absentToday: 14,
-      attendanceRate: 91.0
-    },
+    overview: {},
     todayStats: {
       presentToday: 142,
       absentToday: 14,
@@ -83,6 +84,9 @@ const AdminDashboardScreen = ({ navigation }) => {
     weeklyTrend: realTimeData.weeklyTrend || fallbackData.weeklyTrend
   };
 
+  const formatMetric = (value) =>
+    value === null || value === undefined ? '—' : value;
+
   const StatCard = ({ title, value, icon, color, onPress }) => (
     <TouchableOpacity style={[styles.statCard, { borderLeftColor: color }]} onPress={onPress}>
       <View style={styles.statContent}>
@@ -192,31 +196,36 @@ const AdminDashboardScreen = ({ navigation }) => {
         <View style={styles.statsGrid}>
           <StatCard
             title="Total Supervisors"
-            value={overview.totalSupervisors || 0}
+            value={formatMetric(overview.totalSupervisors)}
             icon="people"
             color="#007bff"
             onPress={() => navigation.navigate('AdminSupervisors')}
           />
           <StatCard
             title="Total Employees"
-            value={overview.totalEmployees || 0}
+            value={formatMetric(overview.totalEmployees)}
             icon="person"
             color="#28a745"
             onPress={() => navigation.navigate('AdminEmployees')}
           />
           <StatCard
             title="Total Wards"
-            value={overview.totalWards || 0}
+            value={formatMetric(overview.totalWards)}
             icon="location"
             color="#ffc107"
           />
           <StatCard
             title="Departments"
-            value={overview.totalDepartments || 0}
+            value={formatMetric(overview.totalDepartments)}
             icon="business"
             color="#6f42c1"
           />
         </View>
+        {Object.keys(overview.unavailable || {}).length > 0 && (
+          <Text style={[styles.errorText, styles.unavailableNote]}>
+            ⚠️ Unavailable: {Object.keys(overview.unavailable).join(', ')}
+          </Text>
+        )}
       </View>
 
       {/* Today's Attendance */}
@@ -225,17 +234,26 @@ const AdminDashboardScreen = ({ navigation }) => {
         <View style={styles.attendanceRow}>
           <StatCard
             title="Present Today"
-            value={overview.today_present || 0}
+            value={formatMetric(overview.presentToday)}
             icon="checkmark-circle"
             color="#28a745"
           />
           <StatCard
             title="Absent Today"
-            value={overview.today_absent || 0}
+            value={formatMetric(overview.absentToday)}
             icon="close-circle"
             color="#dc3545"
           />
         </View>
+        <View style={styles.attendanceRow}>
+          <StatCard
+            title="On Leave Today"
+            value={formatMetric(overview.onLeaveToday)}
+            icon="airplane"
+            color="#6f42c1"
+            onPress={() => navigation.navigate('LeaveApprovals')}
+          />
+        </View>
       </View>
 
       {/* Weekly Attendance Trend */}
@@ -277,6 +295,27 @@ const AdminDashboardScreen = ({ navigation }) => {
           color="#fd7e14"
           onPress={() => navigation.navigate('AttendanceManagement')}
         />
+        <QuickActionCard
+          title="Leave Approvals"
+          description="Approve or reject leave raised by supervisors"
+          icon="airplane"
+          color="#20c997"
+          onPress={() => navigation.navigate('LeaveApprovals')}
+        />
+        <QuickActionCard
+          title="Face Templates"
+          description="Add or retire the face photos punches are matched against"
+          icon="scan"
+          color="#17a2b8"
+          onPress={() => navigation.navigate('FaceTemplates')}
+        />
+        <QuickActionCard
+          title="Group Face Review"
+          description="Assign or dismiss unmatched faces from group photos"
+          icon="people-circle"
+          color="#e83e8c"
+          onPress={() => navigation.navigate('GroupFaceReviews')}
+        />
       </View>
     </ScrollView>
   );
@@ -321,6 +360,9 @@ const styles = StyleSheet.create({
   statsGrid: {
     paddingHorizontal: 20,
   },
+  unavailableNote: {
+    paddingHorizontal: 20,
+  },
   attendanceRow: {
     flexDirection: 'row',
     paddingHorizontal: 20,
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   View,
   Text,
@@ -15,37 +15,66 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../../context/AuthContext';
 // import { useRealTimeData } from '../../hooks/useRealTimeData';
-// import { apiService } from '../../services/apiService';
+import { apiService } from '../../services/apiService';
 
 const AdminSettingsScreen = ({ navigation }) => {
   const { user, logout } = useAuth();
   const [showProfileModal, setShowProfileModal] = useState(false);
   const [showSystemModal, setShowSystemModal] = useState(false);
 
-  // DISABLED REAL-TIME DATA TO PREVENT ERRORS
-  // const { data: systemSettings, loading, error, refresh } = useRealTimeData('/api/admin/settings/system', {
-  //   refreshInterval: 300000, // 5 minutes
-  //   refreshOnMount: true,
-  //   refreshOnFocus: true
-  // });
-
-  // STATIC DATA TO PREVENT ERRORS
-  const systemSettings = null;
-  const loading = false;
-  const error = null;
-  const refresh = () => { };
-
-  // Fallback settings
+  // Fallback settings shown until the backend responds
   const fallbackSettings = {
     notifications: true,
     autoBackup: true,
     dataRetention: 90,
+    faceTemplateRetentionDays: 365,
+    enforceImageRetention: true,
     requireLocationForAttendance: true,
     allowOfflineMode: false,
+    enableFaceRecognition: true,
+    requireLiveness: false,
+    livenessMinScore: 80,
+    rejectDuplicatePhotos: false,
+    duplicatePhotoDistance: 4,
+    duplicatePhotoLookbackDays: 90,
+    maxFaceTemplates: 5,
+    faceTemplateIdleDays: 180,
+    minFaceQualityScore: 60,
+    groupReviewMinSimilarity: 60,
+    maxLoginAttempts: 3,
+    loginLockoutMinutes: 15,
+    lateThreshold: 15,
+    rejectOutsideGeofence: false,
+    geofenceToleranceMeters: 50,
+    maxLocationAccuracyMeters: 100,
+    maxTravelSpeedKmh: 120,
   };
 
-  // Use real-time data if available, otherwise fallback
-  const settings = systemSettings || fallbackSettings;
+  const [settings, setSettings] = useState(fallbackSettings);
+  const [settingsMeta, setSettingsMeta] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSettings = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.get('/admin/settings/system');
+      setSettings(prev => ({ ...prev, ...(response.data?.settings || {}) }));
+      setSettingsMeta(response.data?.meta || {});
+      setError(null);
+    } catch (loadError) {
+      console.error('Load system settings error:', loadError);
+      setError(loadError);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  const refresh = loadSettings;
 
   const [profileData, setProfileData] = useState({
     name: user?.name || '',
@@ -53,10 +82,44 @@ const AdminSettingsScreen = ({ navigation }) => {
     phone: user?.phone || '',
   });
 
-  // Simple setting update function
-  const updateSetting = (key, value) => {
-    // Show success message
-    Alert.alert('Success', 'Setting updated successfully');
+  // Persist a single setting; the stored version guards against overwriting
+  // a change another admin made in the meantime.
+  const updateSetting = async (key, value) => {
+    const previousValue = settings[key];
+    setSettings(prev => ({ ...prev, [key]: value }));
+
+    try {
+      const response = await apiService.put('/admin/settings/system', {
+        settings: { [key]: value },
+        versions: { [key]: settingsMeta[key]?.version ?? 0 },
+      });
+      setSettings(prev => ({ ...prev, ...(response.data?.settings || {}) }));
+      setSettingsMeta(response.data?.meta || {});
+    } catch (updateError) {
+      setSettings(prev => ({ ...prev, [key]: previousValue }));
+
+      const status = updateError.response?.status;
+      const payload = updateError.response?.data;
+      if (status === 409) {
+        Alert.alert('Setting Changed', 'Another admin updated this setting. The latest values have been loaded.');
+        loadSettings();
+        return;
+      }
+
+      const detail = payload?.details?.[key] || payload?.error || 'Failed to update setting';
+      Alert.alert('Error', detail);
+    }
+  };
+
+  const updateNumericSetting = (key, text) => {
+    const value = parseInt(text, 10);
+    if (Number.isNaN(value)) {
+      Alert.alert('Invalid Value', 'Please enter a whole number.');
+      return;
+    }
+    if (value !== settings[key]) {
+      updateSetting(key, value);
+    }
   };
 
   const handleLogout = () => {
@@ -226,19 +289,177 @@ const AdminSettingsScreen = ({ navigation }) => {
           </View>
 
           <View style={styles.configSection}>
-            <Text style={styles.configLabel}>Data Retention (Days)</Text>
+            <Text style={styles.configLabel}>Attendance Photo Retention (Days)</Text>
             <TextInput
               style={styles.textInput}
-              value={settings.dataRetention.toString()}
-              onChangeText={(text) => {
-                const value = parseInt(text) || 90;
-                setSettings(prev => ({ ...prev, dataRetention: value }));
-              }}
+              defaultValue={String(settings.dataRetention)}
+              onEndEditing={(event) => updateNumericSetting('dataRetention', event.nativeEvent.text)}
+              placeholder="90"
+              keyboardType="numeric"
+            />
+          </View>
+
+          <View style={styles.configSection}>
+            <Text style={styles.configLabel}>Retired Face Photo Retention (Days, 0 = forever)</Text>
+            <TextInput
+              style={styles.textInput}
+              defaultValue={String(settings.faceTemplateRetentionDays)}
+              onEndEditing={(event) => updateNumericSetting('faceTemplateRetentionDays', event.nativeEvent.text)}
+              placeholder="365"
+              keyboardType="numeric"
+            />
+          </View>
+
+          <View style={styles.configSection}>
+            <View style={styles.switchRow}>
+              <Text style={styles.configLabel}>Purge Expired Photos Daily</Text>
+              <Switch
+                value={settings.enforceImageRetention}
+                onValueChange={(value) => updateSetting('enforceImageRetention', value)}
+              />
+            </View>
+          </View>
+
+          <View style={styles.configSection}>
+            <Text style={styles.configLabel}>Late Threshold (Minutes)</Text>
+            <TextInput
+              style={styles.textInput}
+              defaultValue={String(settings.lateThreshold)}
+              onEndEditing={(event) => updateNumericSetting('lateThreshold', event.nativeEvent.text)}
+              placeholder="15"
+              keyboardType="numeric"
+            />
+          </View>
+
+          <View style={styles.configSection}>
+            <Text style={styles.configLabel}>Max Login Attempts</Text>
+            <TextInput
+              style={styles.textInput}
+              defaultValue={String(settings.maxLoginAttempts)}
+              onEndEditing={(event) => updateNumericSetting('maxLoginAttempts', event.nativeEvent.text)}
+              placeholder="3"
+              keyboardType="numeric"
+            />
+          </View>
+
+          <View style={styles.configSection}>
+            <Text style={styles.configLabel}>Login Lockout (Minutes)</Text>
+            <TextInput
+              style={styles.textInput}
+              defaultValue={String(settings.loginLockoutMinutes)}
+              onEndEditing={(event) => updateNumericSetting('loginLockoutMinutes', event.nativeEvent.text)}
+              placeholder="15"
+              keyboardType="numeric"
+            />
+          </View>
+
+          <View style={styles.configSection}>
+            <View style={styles.switchRow}>
+              <Text style={styles.configLabel}>Enable Face Recognition</Text>
+              <Switch
+                value={settings.enableFaceRecognition}
+                onValueChange={(value) => updateSetting('enableFaceRecognition', value)}
+              />
+            </View>
+          </View>
+
+          <View style={styles.configSection}>
+            <View style={styles.switchRow}>
+              <Text style={styles.configLabel}>Require Liveness Check</Text>
+              <Switch
+                value={settings.requireLiveness}
+                onValueChange={(value) => updateSetting('requireLiveness', value)}
+              />
+            </View>
+          </View>
+
+          <View style={styles.configSection}>
+            <Text style={styles.configLabel}>Minimum Liveness Score (0-100)</Text>
+            <TextInput
+              style={styles.textInput}
+              defaultValue={String(settings.livenessMinScore)}
+              onEndEditing={(event) => updateNumericSetting('livenessMinScore', event.nativeEvent.text)}
+              placeholder="80"
+              keyboardType="numeric"
+            />
+          </View>
+
+          <View style={styles.configSection}>
+            <View style={styles.switchRow}>
+              <Text style={styles.configLabel}>Reject Duplicate Photos</Text>
+              <Switch
+                value={settings.rejectDuplicatePhotos}
+                onValueChange={(value) => updateSetting('rejectDuplicatePhotos', value)}
+              />
+            </View>
+          </View>
+
+          <View style={styles.configSection}>
+            <Text style={styles.configLabel}>Duplicate Photo Distance (0-16 bits)</Text>
+            <TextInput
+              style={styles.textInput}
+              defaultValue={String(settings.duplicatePhotoDistance)}
+              onEndEditing={(event) => updateNumericSetting('duplicatePhotoDistance', event.nativeEvent.text)}
+              placeholder="4"
+              keyboardType="numeric"
+            />
+          </View>
+
+          <View style={styles.configSection}>
+            <Text style={styles.configLabel}>Duplicate Photo Lookback (days)</Text>
+            <TextInput
+              style={styles.textInput}
+              defaultValue={String(settings.duplicatePhotoLookbackDays)}
+              onEndEditing={(event) => updateNumericSetting('duplicatePhotoLookbackDays', event.nativeEvent.text)}
               placeholder="90"
               keyboardType="numeric"
             />
           </View>
 
+          <View style={styles.configSection}>
+            <Text style={styles.configLabel}>Face Templates per Employee (1-20)</Text>
+            <TextInput
+              style={styles.textInput}
+              defaultValue={String(settings.maxFaceTemplates)}
+              onEndEditing={(event) => updateNumericSetting('maxFaceTemplates', event.nativeEvent.text)}
+              placeholder="5"
+              keyboardType="numeric"
+            />
+          </View>
+
+          <View style={styles.configSection}>
+            <Text style={styles.configLabel}>Retire Unmatched Face Templates After (days, 0 = never)</Text>
+            <TextInput
+              style={styles.textInput}
+              defaultValue={String(settings.faceTemplateIdleDays)}
+              onEndEditing={(event) => updateNumericSetting('faceTemplateIdleDays', event.nativeEvent.text)}
+              placeholder="180"
+              keyboardType="numeric"
+            />
+          </View>
+
+          <View style={styles.configSection}>
+            <Text style={styles.configLabel}>Minimum Photo Quality Score (0-100)</Text>
+            <TextInput
+              style={styles.textInput}
+              defaultValue={String(settings.minFaceQualityScore)}
+              onEndEditing={(event) => updateNumericSetting('minFaceQualityScore', event.nativeEvent.text)}
+              placeholder="60"
+              keyboardType="numeric"
+            />
+          </View>
+
+          <View style={styles.configSection}>
+            <Text style={styles.configLabel}>Group Review Suggestion Similarity (%)</Text>
+            <TextInput
+              style={styles.textInput}
+              defaultValue={String(settings.groupReviewMinSimilarity)}
+              onEndEditing={(event) => updateNumericSetting('groupReviewMinSimilarity', event.nativeEvent.text)}
+              placeholder="60"
+              keyboardType="numeric"
+            />
+          </View>
+
           <View style={styles.configSection}>
             <View style={styles.switchRow}>
               <Text style={styles.configLabel}>Require Location for Attendance</Text>
@@ -249,6 +470,49 @@ const AdminSettingsScreen = ({ navigation }) => {
             </View>
           </View>
 
+          <View style={styles.configSection}>
+            <View style={styles.switchRow}>
+              <Text style={styles.configLabel}>Reject Punches Outside Geofence</Text>
+              <Switch
+                value={settings.rejectOutsideGeofence}
+                onValueChange={(value) => updateSetting('rejectOutsideGeofence', value)}
+              />
+            </View>
+          </View>
+
+          <View style={styles.configSection}>
+            <Text style={styles.configLabel}>Geofence Tolerance (Meters)</Text>
+            <TextInput
+              style={styles.textInput}
+              defaultValue={String(settings.geofenceToleranceMeters)}
+              onEndEditing={(event) => updateNumericSetting('geofenceToleranceMeters', event.nativeEvent.text)}
+              placeholder="50"
+              keyboardType="numeric"
+            />
+          </View>
+
+          <View style={styles.configSection}>
+            <Text style={styles.configLabel}>Max GPS Accuracy (Meters)</Text>
+            <TextInput
+              style={styles.textInput}
+              defaultValue={String(settings.maxLocationAccuracyMeters)}
+              onEndEditing={(event) => updateNumericSetting('maxLocationAccuracyMeters', event.nativeEvent.text)}
+              placeholder="100"
+              keyboardType="numeric"
+            />
+          </View>
+
+          <View style={styles.configSection}>
+            <Text style={styles.configLabel}>Max Travel Speed Between Punches (km/h)</Text>
+            <TextInput
+              style={styles.textInput}
+              defaultValue={String(settings.maxTravelSpeedKmh)}
+              onEndEditing={(event) => updateNumericSetting('maxTravelSpeedKmh', event.nativeEvent.text)}
+              placeholder="120"
+              keyboardType="numeric"
+            />
+          </View>
+
           <View style={styles.configSection}>
             <View style={styles.switchRow}>
               <Text style={styles.configLabel}>Allow Offline Mode</Text>
@@ -318,7 +582,7 @@ const AdminSettingsScreen = ({ navigation }) => {
             icon="key"
             title="Change Password"
             subtitle="Update your account password"
-            onPress={() => Alert.alert('Coming Soon', 'Password change feature will be available soon')}
+            onPress={() => navigation.navigate('ChangePassword')}
             color="#28a745"
           />
         </View>
@@ -333,6 +597,13 @@ const AdminSettingsScreen = ({ navigation }) => {
             onPress={() => setShowSystemModal(true)}
             color="#6f42c1"
           />
+          <SettingItem
+            icon="document-text"
+            title="Audit Log"
+            subtitle="Who changed what, and when"
+            onPress={() => navigation.navigate('AuditLog')}
+            color="#343a40"
+          />
           <SettingItem
             icon="people"
             title="User Management"
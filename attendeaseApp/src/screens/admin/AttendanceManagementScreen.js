@@ -9,6 +9,7 @@ import {
   Alert,
   TextInput,
   Modal,
+  Image,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { Picker } from '@react-native-picker/picker';
@@ -31,6 +32,15 @@ const AttendanceManagementScreen = ({ navigation }) => {
     status: ''
   });
 
+  const [activeTab, setActiveTab] = useState('records');
+  const [regularizations, setRegularizations] = useState([]);
+  const [pendingRegularizations, setPendingRegularizations] = useState(0);
+  const [photoFlags, setPhotoFlags] = useState([]);
+  const [pendingPhotoFlags, setPendingPhotoFlags] = useState(0);
+  const [reviewTarget, setReviewTarget] = useState(null);
+  const [reviewComment, setReviewComment] = useState('');
+  const [submittingReview, setSubmittingReview] = useState(false);
+
   const [supervisors, setSupervisors] = useState([]);
   const [wards, setWards] = useState([]);
   const [pagination, setPagination] = useState({
@@ -44,6 +54,8 @@ const AttendanceManagementScreen = ({ navigation }) => {
     loadAttendanceRecords();
     loadSupervisors();
     loadWards();
+    loadRegularizations();
+    loadPhotoFlags();
   }, []);
 
   useEffect(() => {
@@ -84,6 +96,98 @@ const AttendanceManagementScreen = ({ navigation }) => {
     }
   };
 
+  const loadRegularizations = async () => {
+    try {
+      const response = await apiService.get('/admin/regularizations', {
+        params: { status: 'pending', limit: 100 }
+      });
+      setRegularizations(response.data.requests);
+      setPendingRegularizations(response.data.pagination.total);
+    } catch (error) {
+      console.error('Load regularizations error:', error);
+    }
+  };
+
+  // Punch photos that match an earlier punch, for this or another employee
+  const loadPhotoFlags = async () => {
+    try {
+      const response = await apiService.get('/admin/photo-flags', {
+        params: { status: 'pending', limit: 100 }
+      });
+      setPhotoFlags(response.data.flags);
+      setPendingPhotoFlags(response.data.pagination.total);
+    } catch (error) {
+      console.error('Load photo flags error:', error);
+    }
+  };
+
+  const submitReview = async () => {
+    const { request, flag, record, decision } = reviewTarget;
+    if (record && !reviewComment.trim()) {
+      Alert.alert('Reason Required', 'Please enter why these photos must be kept.');
+      return;
+    }
+    try {
+      setSubmittingReview(true);
+      if (record) {
+        await apiService.post('/admin/retention/holds', {
+          attendance_id: record.attendance_id,
+          reason: reviewComment.trim()
+        });
+        setReviewTarget(null);
+        setReviewComment('');
+        loadAttendanceRecords(true);
+        return;
+      }
+      if (flag) {
+        await apiService.post(
+          `/admin/photo-flags/${flag.flag_id}/${decision}`,
+          { comment: reviewComment.trim() || null }
+        );
+        setReviewTarget(null);
+        setReviewComment('');
+        loadPhotoFlags();
+        return;
+      }
+      await apiService.post(
+        `/admin/regularizations/${request.regularization_id}/${decision}`,
+        { comment: reviewComment.trim() || null }
+      );
+      setReviewTarget(null);
+      setReviewComment('');
+      loadRegularizations();
+      if (decision === 'approve') {
+        loadAttendanceRecords(true);
+      }
+    } catch (error) {
+      Alert.alert('Error', error.response?.data?.error || 'Failed to update request');
+    } finally {
+      setSubmittingReview(false);
+    }
+  };
+
+  const releaseLegalHold = (record) => {
+    Alert.alert(
+      'Release Legal Hold',
+      'Photos of this record can be purged again once they pass the retention period.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Release',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await apiService.delete(`/admin/retention/holds/${record.legal_hold_id}`);
+              loadAttendanceRecords(true);
+            } catch (error) {
+              Alert.alert('Error', error.response?.data?.error || 'Failed to release legal hold');
+            }
+          }
+        }
+      ]
+    );
+  };
+
   const loadSupervisors = async () => {
     try {
       const response = await apiService.get('/admin/supervisors');
@@ -104,7 +208,7 @@ const AttendanceManagementScreen = ({ navigation }) => {
 
   const onRefresh = async () => {
     setRefreshing(true);
-    await loadAttendanceRecords(true);
+    await Promise.all([loadAttendanceRecords(true), loadRegularizations(), loadPhotoFlags()]);
     setRefreshing(false);
   };
 
@@ -165,7 +269,9 @@ const AttendanceManagementScreen = ({ navigation }) => {
   const getStatusColor = (status) => {
     switch (status) {
       case 'present': return '#28a745';
+      case 'late': return '#fd7e14';
       case 'absent': return '#dc3545';
+      case 'leave': return '#6f42c1';
       default: return '#6c757d';
     }
   };
@@ -173,7 +279,9 @@ const AttendanceManagementScreen = ({ navigation }) => {
   const getStatusIcon = (status) => {
     switch (status) {
       case 'present': return 'checkmark-circle';
+      case 'late': return 'alarm';
       case 'absent': return 'close-circle';
+      case 'leave': return 'airplane';
       default: return 'help-circle';
     }
   };
@@ -219,6 +327,17 @@ const AttendanceManagementScreen = ({ navigation }) => {
             Supervisor: {record.supervisor_name || 'Not Assigned'}
           </Text>
         </View>
+        {record.shift_name && (
+          <View style={styles.detailRow}>
+            <Ionicons name="calendar" size={16} color="#666" />
+            <Text style={styles.detailText}>
+              {record.shift_name}
+              {record.late_minutes > 0 ? ` • Late ${record.late_minutes}m` : ''}
+              {record.early_exit_minutes > 0 ? ` • Left ${record.early_exit_minutes}m early` : ''}
+              {record.overtime_minutes > 0 ? ` • OT ${record.overtime_minutes}m` : ''}
+            </Text>
+          </View>
+        )}
         {record.location_lat && record.location_lng && (
           <View style={styles.detailRow}>
             <Ionicons name="navigate" size={16} color="#666" />
@@ -227,6 +346,157 @@ const AttendanceManagementScreen = ({ navigation }) => {
             </Text>
           </View>
         )}
+        {record.regularization_id && (
+          <View style={styles.detailRow}>
+            <Ionicons name="create" size={16} color="#6f42c1" />
+            <Text style={[styles.detailText, styles.regularizedText]}>
+              Times corrected by an approved regularization
+            </Text>
+          </View>
+        )}
+        {(record.outside_fence_in || record.outside_fence_out) && (
+          <View style={styles.detailRow}>
+            <Ionicons name="warning" size={16} color="#dc3545" />
+            <Text style={[styles.detailText, styles.fenceWarningText]}>
+              Outside ward geofence
+              {record.outside_fence_in ? ` • In: ${Math.round(record.fence_distance_in)} m` : ''}
+              {record.outside_fence_out ? ` • Out: ${Math.round(record.fence_distance_out)} m` : ''}
+            </Text>
+          </View>
+        )}
+        {record.legal_hold_id && (
+          <View style={styles.detailRow}>
+            <Ionicons name="lock-closed" size={16} color="#fd7e14" />
+            <Text style={[styles.detailText, styles.legalHoldText]}>
+              Photos kept under a legal hold
+            </Text>
+          </View>
+        )}
+      </View>
+
+      <TouchableOpacity
+        style={styles.legalHoldLink}
+        onPress={() =>
+          record.legal_hold_id
+            ? releaseLegalHold(record)
+            : setReviewTarget({ record, decision: 'hold' })
+        }
+      >
+        <Text style={styles.legalHoldLinkText}>
+          {record.legal_hold_id ? 'Release legal hold' : 'Place legal hold'}
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const formatPunchPair = (punchIn, punchOut) =>
+    `${punchIn || '—'} → ${punchOut || '—'}`;
+
+  const RegularizationCard = ({ request }) => (
+    <View style={styles.attendanceCard}>
+      <View style={styles.cardHeader}>
+        <View style={styles.employeeInfo}>
+          <Text style={styles.employeeName}>{request.employee_name}</Text>
+          <Text style={styles.employeeCode}>
+            ID: {request.emp_code} • {request.attendance_date}
+          </Text>
+        </View>
+        <Text style={styles.requestedBy}>{request.requested_by_name || 'Supervisor'}</Text>
+      </View>
+
+      <View style={styles.cardDetails}>
+        <View style={styles.detailRow}>
+          <Ionicons name="time-outline" size={16} color="#666" />
+          <Text style={styles.detailText}>
+            Recorded: {formatPunchPair(request.original_punch_in_display, request.original_punch_out_display)}
+          </Text>
+        </View>
+        <View style={styles.detailRow}>
+          <Ionicons name="create-outline" size={16} color="#6f42c1" />
+          <Text style={[styles.detailText, styles.regularizedText]}>
+            Corrected: {formatPunchPair(
+              request.requested_punch_in_display || request.original_punch_in_display,
+              request.requested_punch_out_display || request.original_punch_out_display
+            )}
+          </Text>
+        </View>
+        <View style={styles.detailRow}>
+          <Ionicons name="location" size={16} color="#666" />
+          <Text style={styles.detailText}>{request.ward_name}</Text>
+        </View>
+        <Text style={styles.reasonText}>{request.reason}</Text>
+        {request.photo_url && request.photo_url.startsWith('http') && (
+          <Image source={{ uri: request.photo_url }} style={styles.regularizationPhoto} />
+        )}
+      </View>
+
+      <View style={styles.reviewActions}>
+        <TouchableOpacity
+          style={[styles.reviewButton, styles.rejectButton]}
+          onPress={() => setReviewTarget({ request, decision: 'reject' })}
+        >
+          <Text style={[styles.reviewButtonText, { color: '#dc3545' }]}>Reject</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.reviewButton, styles.approveButton]}
+          onPress={() => setReviewTarget({ request, decision: 'approve' })}
+        >
+          <Text style={[styles.reviewButtonText, { color: '#fff' }]}>Approve</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const PhotoFlagCard = ({ flag }) => (
+    <View style={styles.attendanceCard}>
+      <View style={styles.cardHeader}>
+        <View style={styles.employeeInfo}>
+          <Text style={styles.employeeName}>{flag.employee_name || 'Unknown employee'}</Text>
+          <Text style={styles.employeeCode}>
+            ID: {flag.emp_code || '-'} • {flag.attendance_date || new Date(flag.created_at).toLocaleDateString()} • Punch {flag.punch_type}
+          </Text>
+        </View>
+        <Text style={[styles.flagOutcome, flag.outcome === 'rejected' && styles.flagRejected]}>
+          {flag.outcome === 'rejected' ? 'Rejected' : 'Flagged'}
+        </Text>
+      </View>
+
+      <View style={styles.cardDetails}>
+        <View style={styles.detailRow}>
+          <Ionicons name="copy-outline" size={16} color="#dc3545" />
+          <Text style={styles.detailText}>
+            Matches {flag.same_employee ? 'their own' : `${flag.matched_employee_name || 'another employee'}'s`} punch {flag.matched_punch_type} of {new Date(flag.matched_at).toLocaleDateString()} ({flag.distance}/64 bits apart)
+          </Text>
+        </View>
+        {flag.ward_name && (
+          <View style={styles.detailRow}>
+            <Ionicons name="location" size={16} color="#666" />
+            <Text style={styles.detailText}>{flag.ward_name}</Text>
+          </View>
+        )}
+        <View style={styles.flagPhotos}>
+          {flag.image_url && flag.image_url.startsWith('http') && (
+            <Image source={{ uri: flag.image_url }} style={styles.regularizationPhoto} />
+          )}
+          {flag.matched_image_url && flag.matched_image_url.startsWith('http') && (
+            <Image source={{ uri: flag.matched_image_url }} style={[styles.regularizationPhoto, styles.flagPhotoSpacing]} />
+          )}
+        </View>
+      </View>
+
+      <View style={styles.reviewActions}>
+        <TouchableOpacity
+          style={[styles.reviewButton, styles.rejectButton]}
+          onPress={() => setReviewTarget({ flag, decision: 'confirm' })}
+        >
+          <Text style={[styles.reviewButtonText, { color: '#dc3545' }]}>Confirm Reuse</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.reviewButton, styles.approveButton]}
+          onPress={() => setReviewTarget({ flag, decision: 'dismiss' })}
+        >
+          <Text style={[styles.reviewButtonText, { color: '#fff' }]}>Dismiss</Text>
+        </TouchableOpacity>
       </View>
     </View>
   );
@@ -286,7 +556,9 @@ const AttendanceManagementScreen = ({ navigation }) => {
             >
               <Picker.Item label="All Statuses" value="" />
               <Picker.Item label="Present" value="present" />
+              <Picker.Item label="Late" value="late" />
               <Picker.Item label="Absent" value="absent" />
+              <Picker.Item label="On Leave" value="leave" />
             </Picker>
           </View>
 
@@ -411,69 +683,187 @@ const AttendanceManagementScreen = ({ navigation }) => {
         </View>
       </View>
 
-      {/* Summary Stats */}
-      <View style={styles.summaryContainer}>
-        <View style={styles.summaryCard}>
-          <Text style={styles.summaryNumber}>{pagination.total}</Text>
-          <Text style={styles.summaryLabel}>Total Records</Text>
-        </View>
-        <View style={styles.summaryCard}>
-          <Text style={styles.summaryNumber}>
-            {attendanceRecords.filter(r => r.status === 'present').length}
+      {/* View Tabs */}
+      <View style={styles.tabBar}>
+        <TouchableOpacity
+          style={[styles.tab, activeTab === 'records' && styles.activeTab]}
+          onPress={() => setActiveTab('records')}
+        >
+          <Text style={[styles.tabText, activeTab === 'records' && styles.activeTabText]}>
+            Records
           </Text>
-          <Text style={styles.summaryLabel}>Present</Text>
-        </View>
-        <View style={styles.summaryCard}>
-          <Text style={styles.summaryNumber}>
-            {attendanceRecords.filter(r => r.status === 'absent').length}
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.tab, activeTab === 'regularizations' && styles.activeTab]}
+          onPress={() => setActiveTab('regularizations')}
+        >
+          <Text style={[styles.tabText, activeTab === 'regularizations' && styles.activeTabText]}>
+            Regularizations{pendingRegularizations > 0 ? ` (${pendingRegularizations})` : ''}
           </Text>
-          <Text style={styles.summaryLabel}>Absent</Text>
-        </View>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.tab, activeTab === 'photoFlags' && styles.activeTab]}
+          onPress={() => setActiveTab('photoFlags')}
+        >
+          <Text style={[styles.tabText, activeTab === 'photoFlags' && styles.activeTabText]}>
+            Photo Flags{pendingPhotoFlags > 0 ? ` (${pendingPhotoFlags})` : ''}
+          </Text>
+        </TouchableOpacity>
       </View>
 
-      {/* Active Filters Display */}
-      {(filters.status || filters.supervisorId || filters.wardId) && (
-        <View style={styles.activeFilters}>
-          <Text style={styles.activeFiltersText}>Active Filters:</Text>
-          {filters.status && (
-            <View style={styles.filterChip}>
-              <Text style={styles.filterChipText}>Status: {filters.status}</Text>
-            </View>
-          )}
-          {filters.supervisorId && (
-            <View style={styles.filterChip}>
-              <Text style={styles.filterChipText}>
-                Supervisor: {supervisors.find(s => s.user_id.toString() === filters.supervisorId)?.name}
+      {activeTab === 'records' ? (
+        <>
+        {/* Summary Stats */}
+        <View style={styles.summaryContainer}>
+          <View style={styles.summaryCard}>
+            <Text style={styles.summaryNumber}>{pagination.total}</Text>
+            <Text style={styles.summaryLabel}>Total Records</Text>
+          </View>
+          <View style={styles.summaryCard}>
+            <Text style={styles.summaryNumber}>
+              {attendanceRecords.filter(r => r.status === 'present').length}
+            </Text>
+            <Text style={styles.summaryLabel}>Present</Text>
+          </View>
+          <View style={styles.summaryCard}>
+            <Text style={styles.summaryNumber}>
+              {attendanceRecords.filter(r => r.status === 'absent').length}
+            </Text>
+            <Text style={styles.summaryLabel}>Absent</Text>
+          </View>
+        </View>
+
+        {/* Active Filters Display */}
+        {(filters.status || filters.supervisorId || filters.wardId) && (
+          <View style={styles.activeFilters}>
+            <Text style={styles.activeFiltersText}>Active Filters:</Text>
+            {filters.status && (
+              <View style={styles.filterChip}>
+                <Text style={styles.filterChipText}>Status: {filters.status}</Text>
+              </View>
+            )}
+            {filters.supervisorId && (
+              <View style={styles.filterChip}>
+                <Text style={styles.filterChipText}>
+                  Supervisor: {supervisors.find(s => s.user_id.toString() === filters.supervisorId)?.name}
+                </Text>
+              </View>
+            )}
+            {filters.wardId && (
+              <View style={styles.filterChip}>
+                <Text style={styles.filterChipText}>
+                  Ward: {wards.find(w => w.ward_id.toString() === filters.wardId)?.ward_name}
+                </Text>
+              </View>
+            )}
+          </View>
+        )}
+
+        {/* Attendance Records List */}
+        <FlatList
+          data={attendanceRecords}
+          keyExtractor={(item) => item.attendance_id.toString()}
+          renderItem={({ item }) => <AttendanceCard record={item} />}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          }
+          contentContainerStyle={styles.listContainer}
+          ListEmptyComponent={renderEmptyState}
+          ListFooterComponent={renderFooter}
+          showsVerticalScrollIndicator={false}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.1}
+        />
+        </>
+      ) : activeTab === 'photoFlags' ? (
+        <FlatList
+          data={photoFlags}
+          keyExtractor={(item) => item.flag_id.toString()}
+          renderItem={({ item }) => <PhotoFlagCard flag={item} />}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          }
+          contentContainerStyle={styles.listContainer}
+          ListEmptyComponent={
+            <View style={styles.emptyState}>
+              <Ionicons name="images-outline" size={64} color="#ccc" />
+              <Text style={styles.emptyTitle}>No Flagged Photos</Text>
+              <Text style={styles.emptyDescription}>
+                Punch photos that match an earlier punch will appear here
               </Text>
             </View>
-          )}
-          {filters.wardId && (
-            <View style={styles.filterChip}>
-              <Text style={styles.filterChipText}>
-                Ward: {wards.find(w => w.ward_id.toString() === filters.wardId)?.ward_name}
+          }
+          showsVerticalScrollIndicator={false}
+        />
+      ) : (
+        <FlatList
+          data={regularizations}
+          keyExtractor={(item) => item.regularization_id.toString()}
+          renderItem={({ item }) => <RegularizationCard request={item} />}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          }
+          contentContainerStyle={styles.listContainer}
+          ListEmptyComponent={
+            <View style={styles.emptyState}>
+              <Ionicons name="checkmark-done-outline" size={64} color="#ccc" />
+              <Text style={styles.emptyTitle}>No Pending Requests</Text>
+              <Text style={styles.emptyDescription}>
+                Corrections submitted by supervisors will appear here
               </Text>
             </View>
-          )}
-        </View>
+          }
+          showsVerticalScrollIndicator={false}
+        />
       )}
 
-      {/* Attendance Records List */}
-      <FlatList
-        data={attendanceRecords}
-        keyExtractor={(item) => item.attendance_id.toString()}
-        renderItem={({ item }) => <AttendanceCard record={item} />}
-        refreshControl={
-          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
-        }
-        contentContainerStyle={styles.listContainer}
-        ListEmptyComponent={renderEmptyState}
-        ListFooterComponent={renderFooter}
-        showsVerticalScrollIndicator={false}
-        onEndReached={loadMore}
-        onEndReachedThreshold={0.1}
-      />
-
       <FilterModal />
+
+      <Modal
+        visible={!!reviewTarget}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setReviewTarget(null)}
+      >
+        <View style={[styles.modalOverlay, styles.reviewOverlay]}>
+          <View style={styles.reviewModal}>
+            <Text style={styles.modalTitle}>
+              {reviewTarget?.record
+                ? `Keep photos of ${reviewTarget.record.employee_name}'s record`
+                : reviewTarget?.flag
+                ? `${reviewTarget.decision === 'confirm' ? 'Confirm reused photo' : 'Dismiss photo flag'} for ${reviewTarget.flag.employee_name || 'employee'}`
+                : `${reviewTarget?.decision === 'approve' ? 'Approve' : 'Reject'} correction for ${reviewTarget?.request.employee_name}`}
+            </Text>
+            <TextInput
+              style={styles.reviewInput}
+              placeholder={reviewTarget?.record ? 'Reason for the legal hold' : 'Comment (optional)'}
+              value={reviewComment}
+              onChangeText={setReviewComment}
+              multiline
+            />
+            <View style={styles.reviewActions}>
+              <TouchableOpacity
+                style={styles.reviewButton}
+                onPress={() => setReviewTarget(null)}
+              >
+                <Text style={styles.reviewButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[
+                  styles.reviewButton,
+                  ['approve', 'dismiss', 'hold'].includes(reviewTarget?.decision) ? styles.approveButton : styles.rejectConfirmButton
+                ]}
+                onPress={submitReview}
+                disabled={submittingReview}
+              >
+                <Text style={[styles.reviewButtonText, { color: '#fff' }]}>
+                  {submittingReview ? 'Saving...' : 'Confirm'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </View>
   );
 };
@@ -620,6 +1010,124 @@ const styles = StyleSheet.create({
     marginLeft: 8,
     flex: 1,
   },
+  fenceWarningText: {
+    color: '#dc3545',
+  },
+  regularizedText: {
+    color: '#6f42c1',
+  },
+  legalHoldText: {
+    color: '#fd7e14',
+  },
+  legalHoldLink: {
+    alignSelf: 'flex-end',
+    marginTop: 8,
+  },
+  legalHoldLinkText: {
+    fontSize: 13,
+    color: '#007bff',
+    fontWeight: '600',
+  },
+  tabBar: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+  },
+  tab: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    marginRight: 8,
+    backgroundColor: '#f1f3f5',
+  },
+  activeTab: {
+    backgroundColor: '#007bff',
+  },
+  tabText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  activeTabText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  requestedBy: {
+    fontSize: 12,
+    color: '#666',
+  },
+  reasonText: {
+    fontSize: 13,
+    color: '#555',
+    fontStyle: 'italic',
+    marginTop: 4,
+  },
+  regularizationPhoto: {
+    width: 96,
+    height: 96,
+    borderRadius: 8,
+    marginTop: 8,
+  },
+  flagPhotos: {
+    flexDirection: 'row',
+  },
+  flagPhotoSpacing: {
+    marginLeft: 8,
+  },
+  flagOutcome: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#856404',
+  },
+  flagRejected: {
+    color: '#dc3545',
+  },
+  reviewActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 12,
+  },
+  reviewButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginLeft: 10,
+  },
+  rejectButton: {
+    borderWidth: 1,
+    borderColor: '#dc3545',
+  },
+  approveButton: {
+    backgroundColor: '#28a745',
+  },
+  rejectConfirmButton: {
+    backgroundColor: '#dc3545',
+  },
+  reviewButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  reviewOverlay: {
+    justifyContent: 'center',
+    padding: 20,
+  },
+  reviewModal: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 20,
+  },
+  reviewInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    minHeight: 80,
+    marginTop: 12,
+    textAlignVertical: 'top',
+  },
   loadMoreButton: {
     backgroundColor: '#007bff',
     borderRadius: 8,
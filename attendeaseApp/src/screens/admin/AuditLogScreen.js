@@ -0,0 +1,376 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  RefreshControl,
+  Alert,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { apiService } from '../../services/apiService';
+
+const PAGE_SIZE = 50;
+
+const ENTITY_TABS = [
+  { value: '', label: 'All' },
+  { value: 'employee', label: 'Employees' },
+  { value: 'supervisor', label: 'Supervisors' },
+  { value: 'settings', label: 'Settings' },
+  { value: 'user', label: 'Accounts' },
+];
+
+const RANGE_TABS = [
+  { value: 1, label: 'Today' },
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: null, label: 'All time' },
+];
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return '—';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Newest changes first; tapping an entry's actor narrows the list to them.
+const AuditLogScreen = ({ navigation }) => {
+  const [entries, setEntries] = useState([]);
+  const [entityType, setEntityType] = useState('');
+  const [rangeDays, setRangeDays] = useState(7);
+  const [actor, setActor] = useState(null);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const loadEntries = useCallback(async (nextPage = 1) => {
+    try {
+      const params = { page: nextPage, limit: PAGE_SIZE };
+      if (entityType) {
+        params.entity_type = entityType;
+      }
+      if (actor) {
+        params.actor_id = actor.id;
+      }
+      if (rangeDays) {
+        const from = new Date();
+        from.setDate(from.getDate() - (rangeDays - 1));
+        params.from = formatDate(from);
+      }
+
+      const response = await apiService.get('/admin/activity-logs', { params });
+      const rows = Array.isArray(response.data) ? response.data : [];
+      setEntries(prev => (nextPage === 1 ? rows : [...prev, ...rows]));
+      setHasMore(rows.length === PAGE_SIZE);
+      setPage(nextPage);
+    } catch (error) {
+      console.error('Load audit log error:', error);
+      Alert.alert('Error', error.response?.data?.error || 'Failed to load the audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [entityType, rangeDays, actor]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadEntries(1);
+  }, [loadEntries]);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await loadEntries(1);
+    setRefreshing(false);
+  };
+
+  const onEndReached = () => {
+    if (!loading && hasMore) {
+      setLoading(true);
+      loadEntries(page + 1);
+    }
+  };
+
+  const EntryCard = ({ entry }) => {
+    const changes = Object.entries(entry.changes || {});
+    const device = entry.device_name || entry.platform;
+
+    return (
+      <View style={styles.card}>
+        <View style={styles.cardHeader}>
+          <View style={styles.cardInfo}>
+            <Text style={styles.actionText}>{entry.action}</Text>
+            <Text style={styles.metaText}>
+              {new Date(entry.occurred_at).toLocaleString()}
+              {entry.entity_type ? ` • ${entry.entity_type}${entry.entity_id ? ` #${entry.entity_id}` : ''}` : ''}
+            </Text>
+          </View>
+          {entry.status_code ? (
+            <Text style={styles.statusCode}>{entry.status_code}</Text>
+          ) : null}
+        </View>
+
+        <TouchableOpacity
+          style={styles.detailRow}
+          disabled={!entry.actor_user_id}
+          onPress={() => setActor({ id: entry.actor_user_id, name: entry.actor_name })}
+        >
+          <Ionicons name="person-outline" size={16} color="#666" />
+          <Text style={[styles.detailText, entry.actor_user_id && styles.linkText]}>
+            {entry.actor_name || (entry.actor_user_id ? `User ${entry.actor_user_id}` : 'System')}
+            {entry.actor_role ? ` (${entry.actor_role})` : ''}
+          </Text>
+        </TouchableOpacity>
+
+        {(entry.ip_address || device) && (
+          <View style={styles.detailRow}>
+            <Ionicons name="phone-portrait-outline" size={16} color="#666" />
+            <Text style={styles.detailText}>
+              {[device, entry.ip_address].filter(Boolean).join(' • ')}
+            </Text>
+          </View>
+        )}
+
+        {changes.length > 0 && (
+          <View style={styles.changes}>
+            {changes.map(([field, change]) => (
+              <Text key={field} style={styles.changeText}>
+                <Text style={styles.changeField}>{field}: </Text>
+                {formatValue(change.from)} → {formatValue(change.to)}
+              </Text>
+            ))}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderTabs = (tabs, selected, onSelect) => (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.tabs}
+    >
+      {tabs.map(tab => (
+        <TouchableOpacity
+          key={tab.label}
+          style={[styles.tab, selected === tab.value && styles.activeTab]}
+          onPress={() => onSelect(tab.value)}
+        >
+          <Text style={[styles.tabText, selected === tab.value && styles.activeTabText]}>
+            {tab.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Audit Log</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {/* Filters */}
+      <View style={styles.filters}>
+        {renderTabs(ENTITY_TABS, entityType, setEntityType)}
+        {renderTabs(RANGE_TABS, rangeDays, setRangeDays)}
+        {actor && (
+          <TouchableOpacity style={styles.actorFilter} onPress={() => setActor(null)}>
+            <Text style={styles.actorFilterText}>
+              By {actor.name || `User ${actor.id}`}
+            </Text>
+            <Ionicons name="close-circle" size={16} color="#007bff" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <FlatList
+        data={entries}
+        keyExtractor={(item) => item.audit_id.toString()}
+        renderItem={({ item }) => <EntryCard entry={item} />}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+        onEndReached={onEndReached}
+        onEndReachedThreshold={0.5}
+        contentContainerStyle={styles.listContainer}
+        ListEmptyComponent={
+          !loading && (
+            <View style={styles.emptyState}>
+              <Ionicons name="document-text-outline" size={64} color="#ccc" />
+              <Text style={styles.emptyStateText}>No changes recorded</Text>
+            </View>
+          )
+        }
+        showsVerticalScrollIndicator={false}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingTop: 60,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+    textAlign: 'center',
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  filters: {
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+    paddingBottom: 6,
+  },
+  tabs: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+  },
+  tab: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    marginRight: 8,
+    backgroundColor: '#f1f3f5',
+  },
+  activeTab: {
+    backgroundColor: '#007bff',
+  },
+  tabText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  activeTabText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  actorFilter: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    marginHorizontal: 20,
+    marginTop: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#e3f2fd',
+  },
+  actorFilterText: {
+    fontSize: 13,
+    color: '#007bff',
+    marginRight: 6,
+  },
+  listContainer: {
+    padding: 20,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: 10,
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  actionText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  metaText: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  statusCode: {
+    fontSize: 12,
+    color: '#666',
+    backgroundColor: '#f1f3f5',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  detailText: {
+    fontSize: 14,
+    color: '#555',
+    marginLeft: 8,
+  },
+  linkText: {
+    color: '#007bff',
+  },
+  changes: {
+    marginTop: 6,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: '#f8f9fa',
+  },
+  changeText: {
+    fontSize: 13,
+    color: '#333',
+    marginBottom: 2,
+  },
+  changeField: {
+    fontWeight: '600',
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#999',
+    marginTop: 12,
+  },
+});
+
+export default AuditLogScreen;
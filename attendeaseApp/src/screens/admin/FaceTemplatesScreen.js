@@ -0,0 +1,562 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  TextInput,
+  Image,
+  Alert,
+  ActivityIndicator,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import { apiService } from '../../services/apiService';
+
+const CAPTURE_ANGLES = [
+  { value: '', label: 'Any' },
+  { value: 'frontal', label: 'Frontal' },
+  { value: 'left', label: 'Left' },
+  { value: 'right', label: 'Right' },
+  { value: 'up', label: 'Up' },
+  { value: 'down', label: 'Down' },
+];
+
+const RETIRE_REASONS = {
+  idle: 'Not matched for a long time',
+  over_limit: 'Replaced by a better photo',
+  retired_by_admin: 'Retired by an admin',
+  missing_image: 'Photo missing from storage',
+  missing_face: 'No longer in the face collection',
+};
+
+const qualityColor = (score) => {
+  if (score === null || score === undefined) return '#6c757d';
+  if (score >= 75) return '#28a745';
+  if (score >= 50) return '#fd7e14';
+  return '#dc3545';
+};
+
+// Search for an employee, then add or retire the face photos punches are
+// matched against. Retired templates stay listed for reference.
+const FaceTemplatesScreen = ({ navigation }) => {
+  const [search, setSearch] = useState('');
+  const [employees, setEmployees] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [employee, setEmployee] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [label, setLabel] = useState('');
+  const [captureAngle, setCaptureAngle] = useState('');
+  const [uploading, setUploading] = useState(false);
+
+  const searchEmployees = useCallback(async () => {
+    setSearching(true);
+    try {
+      const response = await apiService.get('/admin/employees', {
+        params: { search: search.trim(), limit: 20 },
+      });
+      setEmployees(response.data?.employees || []);
+    } catch (error) {
+      console.error('Search employees error:', error);
+      Alert.alert('Error', error.response?.data?.error || 'Failed to search employees');
+    } finally {
+      setSearching(false);
+    }
+  }, [search]);
+
+  const loadTemplates = useCallback(async () => {
+    if (!employee) return;
+    setLoading(true);
+    try {
+      const response = await apiService.getFaceTemplates(employee.employee_id, {
+        include_retired: true,
+      });
+      setTemplates(response.data?.templates || []);
+    } catch (error) {
+      console.error('Load face templates error:', error);
+      Alert.alert('Error', error.response?.data?.error || 'Failed to load face templates');
+    } finally {
+      setLoading(false);
+    }
+  }, [employee]);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  const addTemplate = async (source) => {
+    const permission = source === 'camera'
+      ? await ImagePicker.requestCameraPermissionsAsync()
+      : await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (permission.status !== 'granted') {
+      Alert.alert('Permission needed', 'Allow access to add a face photo.');
+      return;
+    }
+
+    const options = {
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      allowsEditing: true,
+      aspect: [1, 1],
+      quality: 0.8,
+    };
+    const result = source === 'camera'
+      ? await ImagePicker.launchCameraAsync(options)
+      : await ImagePicker.launchImageLibraryAsync(options);
+    if (result.canceled || !result.assets?.[0]) return;
+
+    const formData = new FormData();
+    formData.append('image', {
+      uri: result.assets[0].uri,
+      name: `face-template-${Date.now()}.jpg`,
+      type: 'image/jpeg',
+    });
+    if (label.trim()) formData.append('label', label.trim());
+    if (captureAngle) formData.append('capture_angle', captureAngle);
+
+    setUploading(true);
+    try {
+      const response = await apiService.addFaceTemplate(employee.employee_id, formData);
+      const { template, retired = [] } = response.data;
+      const notes = [`Quality score: ${template.qualityScore ?? '—'}`];
+      if (retired.length) {
+        notes.push(`Retired to stay within the limit: ${retired.map(row => row.label || `#${row.templateId}`).join(', ')}`);
+      }
+      Alert.alert('Template added', notes.join('\n'));
+      setLabel('');
+      setCaptureAngle('');
+      loadTemplates();
+    } catch (error) {
+      console.error('Add face template error:', error);
+      const data = error.response?.data;
+      Alert.alert('Error', [data?.error || 'Failed to add the face photo', typeof data?.details === 'string' ? data.details : null].filter(Boolean).join('\n'));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const retireTemplate = (template) => {
+    Alert.alert(
+      'Retire template?',
+      'Punches will no longer be matched against this photo.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Retire',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await apiService.retireFaceTemplate(employee.employee_id, template.templateId);
+              loadTemplates();
+            } catch (error) {
+              console.error('Retire face template error:', error);
+              const data = error.response?.data;
+              Alert.alert('Error', [data?.error || 'Failed to retire the template', data?.details].filter(Boolean).join('\n'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const retireIdleTemplates = () => {
+    Alert.alert(
+      'Retire idle templates?',
+      'Extra photos that have not matched a punch within the idle period set in Settings are retired. Every employee keeps at least one.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Retire',
+          onPress: async () => {
+            try {
+              const response = await apiService.post('/admin/face-templates/retire-idle');
+              Alert.alert('Done', `${response.data.retired_count} template(s) retired`);
+              loadTemplates();
+            } catch (error) {
+              console.error('Retire idle templates error:', error);
+              Alert.alert('Error', error.response?.data?.error || 'Failed to retire idle templates');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const TemplateCard = ({ template }) => {
+    const retired = template.status === 'retired';
+    return (
+      <View style={[styles.card, retired && styles.retiredCard]}>
+        <View style={styles.cardRow}>
+          {template.imageUrl ? (
+            <Image source={{ uri: template.imageUrl }} style={styles.templateImage} />
+          ) : (
+            <View style={[styles.templateImage, styles.imagePlaceholder]}>
+              <Ionicons name="person" size={32} color="#ccc" />
+            </View>
+          )}
+          <View style={styles.cardInfo}>
+            <Text style={styles.templateLabel}>
+              {template.label || `Template #${template.templateId}`}
+              {template.captureAngle ? ` • ${template.captureAngle}` : ''}
+            </Text>
+            <Text style={[styles.qualityText, { color: qualityColor(template.qualityScore) }]}>
+              Quality {template.qualityScore ?? '—'}
+            </Text>
+            <Text style={styles.metaText}>
+              {template.matchCount} matches
+              {template.lastMatchedAt ? ` • last ${new Date(template.lastMatchedAt).toLocaleDateString()}` : ''}
+            </Text>
+            <Text style={styles.metaText}>
+              Added {new Date(template.createdAt).toLocaleDateString()}
+              {template.createdByName ? ` by ${template.createdByName}` : ''}
+            </Text>
+            {retired && (
+              <Text style={styles.retiredText}>
+                {RETIRE_REASONS[template.retireReason] || 'Retired'}
+                {template.retiredAt ? ` on ${new Date(template.retiredAt).toLocaleDateString()}` : ''}
+              </Text>
+            )}
+          </View>
+          {!retired && (
+            <TouchableOpacity style={styles.retireButton} onPress={() => retireTemplate(template)}>
+              <Ionicons name="archive-outline" size={20} color="#dc3545" />
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  };
+
+  const renderEmployeePicker = () => (
+    <>
+      <View style={styles.searchBar}>
+        <Ionicons name="search" size={20} color="#666" />
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search by name or code"
+          value={search}
+          onChangeText={setSearch}
+          onSubmitEditing={searchEmployees}
+          returnKeyType="search"
+        />
+      </View>
+      <FlatList
+        data={employees}
+        keyExtractor={(item) => item.employee_id.toString()}
+        renderItem={({ item }) => (
+          <TouchableOpacity style={styles.employeeRow} onPress={() => setEmployee(item)}>
+            <View style={styles.cardInfo}>
+              <Text style={styles.templateLabel}>{item.name}</Text>
+              <Text style={styles.metaText}>
+                {item.emp_code}{item.ward_name ? ` • ${item.ward_name}` : ''}
+              </Text>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color="#999" />
+          </TouchableOpacity>
+        )}
+        contentContainerStyle={styles.listContainer}
+        ListEmptyComponent={
+          searching ? (
+            <ActivityIndicator style={styles.loader} color="#007bff" />
+          ) : (
+            <View style={styles.emptyState}>
+              <Ionicons name="people-outline" size={64} color="#ccc" />
+              <Text style={styles.emptyStateText}>Search for an employee</Text>
+            </View>
+          )
+        }
+      />
+    </>
+  );
+
+  const renderTemplates = () => (
+    <FlatList
+      data={templates}
+      keyExtractor={(item) => item.templateId.toString()}
+      renderItem={({ item }) => <TemplateCard template={item} />}
+      contentContainerStyle={styles.listContainer}
+      ListHeaderComponent={
+        <View style={styles.addSection}>
+          <Text style={styles.sectionTitle}>Add a photo</Text>
+          <TextInput
+            style={styles.labelInput}
+            placeholder="Label, e.g. with glasses"
+            value={label}
+            onChangeText={setLabel}
+            maxLength={60}
+          />
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.tabs}>
+            {CAPTURE_ANGLES.map(angle => (
+              <TouchableOpacity
+                key={angle.label}
+                style={[styles.tab, captureAngle === angle.value && styles.activeTab]}
+                onPress={() => setCaptureAngle(angle.value)}
+              >
+                <Text style={[styles.tabText, captureAngle === angle.value && styles.activeTabText]}>
+                  {angle.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+          <View style={styles.addActions}>
+            <TouchableOpacity
+              style={[styles.addButton, uploading && styles.disabledButton]}
+              disabled={uploading}
+              onPress={() => addTemplate('camera')}
+            >
+              <Ionicons name="camera" size={18} color="#fff" />
+              <Text style={styles.addButtonText}>Camera</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.addButton, styles.secondaryButton, uploading && styles.disabledButton]}
+              disabled={uploading}
+              onPress={() => addTemplate('library')}
+            >
+              <Ionicons name="images" size={18} color="#007bff" />
+              <Text style={[styles.addButtonText, styles.secondaryButtonText]}>Library</Text>
+            </TouchableOpacity>
+          </View>
+          {uploading && <ActivityIndicator style={styles.loader} color="#007bff" />}
+        </View>
+      }
+      ListEmptyComponent={
+        loading ? (
+          <ActivityIndicator style={styles.loader} color="#007bff" />
+        ) : (
+          <View style={styles.emptyState}>
+            <Ionicons name="scan-outline" size={64} color="#ccc" />
+            <Text style={styles.emptyStateText}>No face enrolled yet</Text>
+          </View>
+        )
+      }
+    />
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => (employee ? setEmployee(null) : navigation.goBack())}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle} numberOfLines={1}>
+          {employee ? employee.name : 'Face Templates'}
+        </Text>
+        {employee ? (
+          <View style={styles.headerSpacer} />
+        ) : (
+          <TouchableOpacity style={styles.backButton} onPress={retireIdleTemplates}>
+            <Ionicons name="archive-outline" size={24} color="#007bff" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {employee ? renderTemplates() : renderEmployeePicker()}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingTop: 60,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+    textAlign: 'center',
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    marginHorizontal: 20,
+    marginTop: 15,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+  },
+  searchInput: {
+    flex: 1,
+    marginLeft: 10,
+    fontSize: 16,
+    color: '#333',
+  },
+  listContainer: {
+    padding: 20,
+  },
+  employeeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 10,
+  },
+  addSection: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 10,
+  },
+  labelInput: {
+    borderWidth: 1,
+    borderColor: '#dee2e6',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: '#333',
+  },
+  tabs: {
+    marginTop: 10,
+  },
+  tab: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    marginRight: 8,
+    backgroundColor: '#f1f3f5',
+  },
+  activeTab: {
+    backgroundColor: '#007bff',
+  },
+  tabText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  activeTabText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  addActions: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  addButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#007bff',
+    borderRadius: 8,
+    padding: 12,
+    marginRight: 8,
+  },
+  secondaryButton: {
+    backgroundColor: '#e3f2fd',
+    marginRight: 0,
+    marginLeft: 8,
+  },
+  disabledButton: {
+    opacity: 0.6,
+  },
+  addButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: 'bold',
+    marginLeft: 6,
+  },
+  secondaryButtonText: {
+    color: '#007bff',
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  retiredCard: {
+    opacity: 0.6,
+  },
+  cardRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  templateImage: {
+    width: 72,
+    height: 72,
+    borderRadius: 8,
+    marginRight: 12,
+    backgroundColor: '#f1f3f5',
+  },
+  imagePlaceholder: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  templateLabel: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  qualityText: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  metaText: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  retiredText: {
+    fontSize: 13,
+    color: '#dc3545',
+    marginTop: 2,
+  },
+  retireButton: {
+    padding: 8,
+  },
+  loader: {
+    marginTop: 20,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#999',
+    marginTop: 12,
+  },
+});
+
+export default FaceTemplatesScreen;
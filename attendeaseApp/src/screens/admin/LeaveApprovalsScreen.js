@@ -0,0 +1,450 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  RefreshControl,
+  Alert,
+  TextInput,
+  Modal,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { apiService } from '../../services/apiService';
+
+const STATUS_TABS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: '', label: 'All' },
+];
+
+const LeaveApprovalsScreen = ({ navigation }) => {
+  const [applications, setApplications] = useState([]);
+  const [status, setStatus] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [reviewing, setReviewing] = useState(null);
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadApplications = useCallback(async () => {
+    try {
+      const response = await apiService.get('/admin/leaves', {
+        params: { status, limit: 100 },
+      });
+      setApplications(response.data || []);
+    } catch (error) {
+      console.error('Load leave applications error:', error);
+      Alert.alert('Error', 'Failed to load leave applications');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadApplications();
+  }, [loadApplications]);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await loadApplications();
+    setRefreshing(false);
+  };
+
+  const openReview = (application, decision) => {
+    setReviewing({ application, decision });
+    setComment('');
+  };
+
+  const submitReview = async () => {
+    const { application, decision } = reviewing;
+    try {
+      setSubmitting(true);
+      await apiService.post(
+        `/admin/leaves/${application.application_id}/${decision}`,
+        { comment: comment.trim() || null }
+      );
+      setReviewing(null);
+      loadApplications();
+    } catch (error) {
+      const payload = error.response?.data;
+      const detail = payload?.details?.available !== undefined
+        ? `\nAvailable: ${payload.details.available} day(s)`
+        : '';
+      Alert.alert('Error', `${payload?.error || 'Failed to update leave application'}${detail}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const getStatusColor = (value) => {
+    switch (value) {
+      case 'approved': return '#28a745';
+      case 'rejected': return '#dc3545';
+      case 'cancelled': return '#6c757d';
+      default: return '#fd7e14';
+    }
+  };
+
+  const ApplicationCard = ({ application }) => (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <View style={styles.cardInfo}>
+          <Text style={styles.employeeName}>{application.employee_name}</Text>
+          <Text style={styles.metaText}>
+            {application.emp_code} • {application.ward_name || 'No ward'}
+          </Text>
+        </View>
+        <View style={[styles.statusBadge, { backgroundColor: getStatusColor(application.status) }]}>
+          <Text style={styles.statusText}>{application.status}</Text>
+        </View>
+      </View>
+
+      <View style={styles.detailRow}>
+        <Ionicons name="airplane-outline" size={16} color="#666" />
+        <Text style={styles.detailText}>
+          {application.leave_type_name} • {application.days} day{application.days === 1 ? '' : 's'}
+        </Text>
+      </View>
+      <View style={styles.detailRow}>
+        <Ionicons name="calendar-outline" size={16} color="#666" />
+        <Text style={styles.detailText}>
+          {application.start_date === application.end_date
+            ? application.start_date
+            : `${application.start_date} to ${application.end_date}`}
+        </Text>
+      </View>
+      {application.requested_by_name && (
+        <View style={styles.detailRow}>
+          <Ionicons name="person-outline" size={16} color="#666" />
+          <Text style={styles.detailText}>Raised by {application.requested_by_name}</Text>
+        </View>
+      )}
+      {application.reason && <Text style={styles.reasonText}>{application.reason}</Text>}
+      {application.review_comment && (
+        <Text style={styles.reviewText}>
+          {application.reviewed_by_name ? `${application.reviewed_by_name}: ` : ''}
+          {application.review_comment}
+        </Text>
+      )}
+
+      {application.status === 'pending' && (
+        <View style={styles.actions}>
+          <TouchableOpacity
+            style={[styles.actionButton, styles.rejectButton]}
+            onPress={() => openReview(application, 'reject')}
+          >
+            <Ionicons name="close" size={18} color="#dc3545" />
+            <Text style={[styles.actionText, { color: '#dc3545' }]}>Reject</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.actionButton, styles.approveButton]}
+            onPress={() => openReview(application, 'approve')}
+          >
+            <Ionicons name="checkmark" size={18} color="#fff" />
+            <Text style={[styles.actionText, { color: '#fff' }]}>Approve</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Ionicons name="arrow-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Leave Approvals</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {/* Status Tabs */}
+      <View style={styles.tabs}>
+        {STATUS_TABS.map(tab => (
+          <TouchableOpacity
+            key={tab.label}
+            style={[styles.tab, status === tab.value && styles.activeTab]}
+            onPress={() => setStatus(tab.value)}
+          >
+            <Text style={[styles.tabText, status === tab.value && styles.activeTabText]}>
+              {tab.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <FlatList
+        data={applications}
+        keyExtractor={(item) => item.application_id.toString()}
+        renderItem={({ item }) => <ApplicationCard application={item} />}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+        contentContainerStyle={styles.listContainer}
+        ListEmptyComponent={
+          !loading && (
+            <View style={styles.emptyState}>
+              <Ionicons name="airplane-outline" size={64} color="#ccc" />
+              <Text style={styles.emptyStateText}>No leave applications</Text>
+            </View>
+          )
+        }
+        showsVerticalScrollIndicator={false}
+      />
+
+      <Modal
+        visible={!!reviewing}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setReviewing(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>
+              {reviewing?.decision === 'approve' ? 'Approve' : 'Reject'} leave for{' '}
+              {reviewing?.application.employee_name}
+            </Text>
+            <TextInput
+              style={styles.commentInput}
+              placeholder="Comment (optional)"
+              value={comment}
+              onChangeText={setComment}
+              multiline
+            />
+            <View style={styles.modalActions}>
+              <TouchableOpacity
+                style={styles.modalButton}
+                onPress={() => setReviewing(null)}
+              >
+                <Text style={styles.modalButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[
+                  styles.modalButton,
+                  styles.modalConfirm,
+                  { backgroundColor: reviewing?.decision === 'approve' ? '#28a745' : '#dc3545' },
+                ]}
+                onPress={submitReview}
+                disabled={submitting}
+              >
+                <Text style={[styles.modalButtonText, { color: '#fff' }]}>
+                  {submitting ? 'Saving...' : 'Confirm'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingTop: 60,
+    paddingBottom: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+  },
+  backButton: {
+    padding: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    flex: 1,
+    textAlign: 'center',
+  },
+  headerSpacer: {
+    width: 40,
+  },
+  tabs: {
+    flexDirection: 'row',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e9ecef',
+  },
+  tab: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    marginRight: 8,
+    backgroundColor: '#f1f3f5',
+  },
+  activeTab: {
+    backgroundColor: '#007bff',
+  },
+  tabText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  activeTabText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  listContainer: {
+    padding: 20,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: 10,
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  employeeName: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  metaText: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  statusBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+  },
+  statusText: {
+    fontSize: 11,
+    fontWeight: 'bold',
+    color: '#fff',
+    textTransform: 'capitalize',
+  },
+  detailRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  detailText: {
+    fontSize: 14,
+    color: '#333',
+    marginLeft: 8,
+  },
+  reasonText: {
+    fontSize: 13,
+    color: '#555',
+    marginTop: 6,
+    fontStyle: 'italic',
+  },
+  reviewText: {
+    fontSize: 12,
+    color: '#6f42c1',
+    marginTop: 6,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 12,
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    marginLeft: 10,
+  },
+  rejectButton: {
+    borderWidth: 1,
+    borderColor: '#dc3545',
+  },
+  approveButton: {
+    backgroundColor: '#28a745',
+  },
+  actionText: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 60,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    color: '#666',
+    marginTop: 12,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 12,
+  },
+  commentInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  modalActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 16,
+  },
+  modalButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    marginLeft: 10,
+  },
+  modalConfirm: {
+    minWidth: 90,
+    alignItems: 'center',
+  },
+  modalButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+});
+
+export default LeaveApprovalsScreen;
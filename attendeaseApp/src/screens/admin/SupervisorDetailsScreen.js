@@ -24,6 +24,8 @@ const SupervisorDetailsScreen = ({ route, navigation }) => {
     assignments: [],
     recentActivity: []
   });
+  const [sessions, setSessions] = useState([]);
+  const [lockouts, setLockouts] = useState([]);
 
   useEffect(() => {
     loadSupervisorDetails();
@@ -40,8 +42,83 @@ const SupervisorDetailsScreen = ({ route, navigation }) => {
     } finally {
       setLoading(false);
     }
+    await loadSessions();
   };
 
+  const loadSessions = async () => {
+    try {
+      const response = await apiService.getUserSessions(supervisorId);
+      setSessions(Array.isArray(response.data) ? response.data : []);
+    } catch (error) {
+      console.error('Load supervisor sessions error:', error);
+    }
+    try {
+      const response = await apiService.getLoginLockouts(supervisorId);
+      setLockouts(Array.isArray(response.data) ? response.data : []);
+    } catch (error) {
+      console.error('Load login lockouts error:', error);
+    }
+  };
+
+  const unlockLogin = async () => {
+    try {
+      await apiService.unlockUserLogin(supervisorId);
+      await loadSessions();
+    } catch (error) {
+      console.error('Unlock login error:', error);
+      Alert.alert('Error', error.response?.data?.error || 'Failed to unlock the account');
+    }
+  };
+
+  const revokeSession = (session) => {
+    Alert.alert(
+      'Sign Out Device',
+      `Sign ${supervisorData.supervisor.name || 'this supervisor'} out of ${describeSession(session)}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Sign Out',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await apiService.revokeSession(session.session_id);
+              await loadSessions();
+            } catch (error) {
+              console.error('Revoke session error:', error);
+              Alert.alert('Error', error.response?.data?.error || 'Failed to sign out the device');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const revokeAllSessions = () => {
+    Alert.alert(
+      'Sign Out Everywhere',
+      'This supervisor will have to sign in again on every device.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Sign Out All',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await apiService.revokeUserSessions(supervisorId);
+              await loadSessions();
+            } catch (error) {
+              console.error('Revoke sessions error:', error);
+              Alert.alert('Error', error.response?.data?.error || 'Failed to sign out devices');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const describeSession = (session) =>
+    session.device_name || session.platform || 'Unknown device';
+
   const onRefresh = async () => {
     setRefreshing(true);
     await loadSupervisorDetails();
@@ -209,6 +286,54 @@ const SupervisorDetailsScreen = ({ route, navigation }) => {
         )}
       </View>
 
+      {/* Signed-in Devices */}
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionTitle}>Signed-in Devices</Text>
+          {sessions.length > 0 && (
+            <TouchableOpacity style={styles.revokeAllButton} onPress={revokeAllSessions}>
+              <Text style={styles.editButtonText}>Sign Out All</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {lockouts.length > 0 && (
+          <View style={[styles.wardCard, styles.lockoutCard]}>
+            <View style={styles.wardInfo}>
+              <Text style={styles.wardName}>Sign-in locked</Text>
+              <Text style={styles.zoneName}>
+                Too many failed attempts; opens again{' '}
+                {new Date(lockouts[0].locked_until).toLocaleString()}
+              </Text>
+            </View>
+            <TouchableOpacity style={styles.revokeAllButton} onPress={unlockLogin}>
+              <Text style={styles.editButtonText}>Unlock</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {sessions.length > 0 ? (
+          sessions.map((session) => (
+            <View key={session.session_id} style={styles.wardCard}>
+              <View style={styles.wardInfo}>
+                <Text style={styles.wardName}>{describeSession(session)}</Text>
+                <Text style={styles.zoneName}>
+                  Last active {new Date(session.last_used_at).toLocaleString()}
+                </Text>
+                {session.ip_address ? (
+                  <Text style={styles.zoneName}>IP {session.ip_address}</Text>
+                ) : null}
+              </View>
+              <TouchableOpacity onPress={() => revokeSession(session)}>
+                <Ionicons name="log-out-outline" size={22} color="#dc3545" />
+              </TouchableOpacity>
+            </View>
+          ))
+        ) : (
+          <Text style={styles.noSessionsText}>Not signed in on any device</Text>
+        )}
+      </View>
+
       {/* Recent Activity Chart */}
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Recent Activity (7 Days)</Text>
@@ -375,6 +500,21 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: 'bold',
   },
+  revokeAllButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    backgroundColor: '#dc3545',
+    borderRadius: 6,
+  },
+  lockoutCard: {
+    borderLeftWidth: 4,
+    borderLeftColor: '#dc3545',
+  },
+  noSessionsText: {
+    fontSize: 14,
+    color: '#666',
+    paddingHorizontal: 20,
+  },
   wardCard: {
     backgroundColor: '#fff',
     marginHorizontal: 20,
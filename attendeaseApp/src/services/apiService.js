@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { Platform } from 'react-native';
 import * as SecureStore from 'expo-secure-store';
 import { API_CONFIG, API_ENDPOINTS, createApiUrl } from '../config/api';
 
@@ -33,6 +34,74 @@ api.interceptors.request.use(
   }
 );
 
+// Access tokens are short-lived; a 401 is answered by exchanging the stored
+// refresh token for a new pair and replaying the request once. Concurrent
+// 401s share one refresh call, because each refresh token works only once.
+const AUTH_ENDPOINTS = [
+  API_ENDPOINTS.LOGIN,
+  API_ENDPOINTS.LOGOUT,
+  API_ENDPOINTS.REFRESH_TOKEN,
+  API_ENDPOINTS.FORGOT_PASSWORD,
+  API_ENDPOINTS.RESET_PASSWORD,
+];
+let refreshPromise = null;
+let sessionExpiredHandler = null;
+
+export const setSessionExpiredHandler = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+export const storeSessionTokens = async ({ token, refreshToken }) => {
+  if (token) {
+    await SecureStore.setItemAsync('authToken', token);
+  }
+  if (refreshToken) {
+    await SecureStore.setItemAsync('refreshToken', refreshToken);
+  }
+};
+
+export const clearSessionTokens = async () => {
+  await SecureStore.deleteItemAsync('authToken');
+  await SecureStore.deleteItemAsync('refreshToken');
+};
+
+const requestNewAccessToken = async () => {
+  const refreshToken = await SecureStore.getItemAsync('refreshToken');
+  if (!refreshToken) {
+    return null;
+  }
+
+  try {
+    // Plain axios so a failed refresh does not loop back through this interceptor
+    const response = await axios.post(
+      createApiUrl(API_ENDPOINTS.REFRESH_TOKEN),
+      { refreshToken },
+      { timeout: API_CONFIG.TIMEOUT }
+    );
+    await storeSessionTokens(response.data ?? {});
+    return response.data?.token ?? null;
+  } catch (refreshError) {
+    if (refreshError.response?.status === 401) {
+      // Session revoked or expired on the server: sign in again
+      console.log('Refresh token rejected, clearing session');
+      await clearSessionTokens();
+      sessionExpiredHandler?.();
+      return null;
+    }
+    // Network trouble: keep the refresh token for the next attempt
+    throw refreshError;
+  }
+};
+
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = requestNewAccessToken().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor to handle auth errors
 api.interceptors.response.use(
   (response) => {
@@ -52,10 +121,24 @@ api.interceptors.response.use(
       console.error('API Error:', status, payload, 'for', requestUrl);
     }
 
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      console.log('401 error, removing token');
-      await SecureStore.deleteItemAsync('authToken');
+    const isAuthRequest = AUTH_ENDPOINTS.includes(requestUrl);
+    if (error.response?.status === 401 && config && !config._retried && !isAuthRequest) {
+      config._retried = true;
+      try {
+        const token = await refreshAccessToken();
+        if (token) {
+          console.log('Access token refreshed, retrying', requestUrl);
+          config.headers.Authorization = `Bearer ${token}`;
+          return api(config);
+        }
+      } catch (refreshError) {
+        console.error('Token refresh failed:', refreshError?.message);
+        return Promise.reject(error);
+      }
+
+      // No refresh token to fall back on
+      await clearSessionTokens();
+      sessionExpiredHandler?.();
     }
     return Promise.reject(error);
   }
@@ -64,8 +147,36 @@ api.interceptors.response.use(
 // API Service methods - Final API integration as per backend documentation
 export const apiService = {
   // 🔑 Authentication
-  login: (credentials) => api.post(API_ENDPOINTS.LOGIN, credentials),
-  logout: () => api.post(API_ENDPOINTS.LOGOUT),
+  // Device details label the session in the signed-in devices list
+  login: (credentials) => api.post(API_ENDPOINTS.LOGIN, {
+    ...credentials,
+    device: {
+      name: `${Platform.OS} ${Platform.Version ?? ''}`.trim(),
+      platform: Platform.OS,
+    },
+  }),
+  logout: async () => {
+    const refreshToken = await SecureStore.getItemAsync('refreshToken');
+    return api.post(API_ENDPOINTS.LOGOUT, { refreshToken });
+  },
+  // The server signs out the user's other devices and returns a fresh access
+  // token for this one
+  changePassword: async ({ currentPassword, newPassword }) => {
+    const response = await api.post(API_ENDPOINTS.CHANGE_PASSWORD, { currentPassword, newPassword });
+    await storeSessionTokens(response.data ?? {});
+    return response;
+  },
+  forgotPassword: (email) => api.post(API_ENDPOINTS.FORGOT_PASSWORD, { email }),
+  resetPassword: ({ token, newPassword }) => api.post(API_ENDPOINTS.RESET_PASSWORD, { token, newPassword }),
+
+  // 🔐 Sessions
+  getMySessions: () => api.get(API_ENDPOINTS.SESSIONS),
+  revokeMySession: (sessionId) => api.delete(`${API_ENDPOINTS.SESSIONS}/${sessionId}`),
+  getUserSessions: (userId) => api.get(API_ENDPOINTS.ADMIN_SESSIONS, { params: { user_id: userId } }),
+  revokeSession: (sessionId) => api.delete(`${API_ENDPOINTS.ADMIN_SESSIONS}/${sessionId}`),
+  revokeUserSessions: (userId) => api.delete(`${API_ENDPOINTS.ADMIN_SESSIONS}/users/${userId}`),
+  getLoginLockouts: (userId) => api.get(API_ENDPOINTS.ADMIN_LOGIN_LOCKOUTS, { params: { user_id: userId } }),
+  unlockUserLogin: (userId) => api.post(`${API_ENDPOINTS.ADMIN_LOGIN_LOCKOUTS}/users/${userId}/unlock`),
 
   // 📍 Master Data
   getCities: () => api.get(API_ENDPOINTS.CITIES),
@@ -283,8 +394,9 @@ export const apiService = {
     params: { empId, month }
   }),
 
+  // Returns { url }, a short-lived link to the punch photo
   fetchImage: (attendanceId, punchType) => api.get(API_ENDPOINTS.FETCH_IMAGE, {
-    params: { attendance_id: attendanceId, punch_type: punchType }
+    params: { attendance_id: attendanceId, punch_type: punchType, format: 'url' }
   }),
 
   // 🖼 Face Recognition
@@ -292,6 +404,27 @@ export const apiService = {
     headers: { 'Content-Type': 'multipart/form-data' }
   }),
 
+  // Returns { acceptable, score, minScore, faceCount, checks, guidance: [{ check, message }] }
+  checkFaceQuality: (formData) => api.post(API_ENDPOINTS.FACE_QUALITY_CHECK, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+
+  // Returns { challenge_id, challenge, instruction, frame_count, frame_interval_ms, required }
+  getLivenessChallenge: () => api.get(API_ENDPOINTS.FACE_LIVENESS_CHALLENGE),
+
+  // Faces from group captures that were not punched; params { status, page, limit }
+  getGroupFaceReviews: (params = {}) => api.get(API_ENDPOINTS.GROUP_FACE_REVIEWS, { params }),
+
+  searchGroupReviewEmployees: (search) =>
+    api.get(`${API_ENDPOINTS.GROUP_FACE_REVIEWS}/employees`, { params: { search } }),
+
+  // Punches the employee with the queued face; add_template also enrols the crop
+  assignGroupFaceReview: (reviewId, data) =>
+    api.post(`${API_ENDPOINTS.GROUP_FACE_REVIEWS}/${reviewId}/assign`, data),
+
+  dismissGroupFaceReview: (reviewId, comment) =>
+    api.post(`${API_ENDPOINTS.GROUP_FACE_REVIEWS}/${reviewId}/dismiss`, { comment }),
+
   storeFace: async (formData) => {
     const endpoint = API_ENDPOINTS.STORE_FACE;
     try {
@@ -376,6 +509,20 @@ export const apiService = {
 
   deleteFaceEnrollment: (empId) => api.delete(`${API_ENDPOINTS.FACE_ENROLLMENT}/${empId}`),
 
+  // Returns { templates }; pass { include_retired: true } for the retired ones too
+  getFaceTemplates: (empId, params = {}) =>
+    api.get(`${API_ENDPOINTS.FACE_ENROLLMENT}/${empId}/templates`, { params }),
+
+  // Admin only; returns { template, retired } where retired lists templates
+  // the per-employee limit pushed out
+  addFaceTemplate: (empId, formData) =>
+    api.post(`${API_ENDPOINTS.FACE_ENROLLMENT}/${empId}/templates`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    }),
+
+  retireFaceTemplate: (empId, templateId) =>
+    api.delete(`${API_ENDPOINTS.FACE_ENROLLMENT}/${empId}/templates/${templateId}`),
+
   getFaceGallery: async (params = {}) => {
     const response = await api.get(API_ENDPOINTS.FACE_GALLERY, { params });
     const payload = response?.data;
@@ -401,6 +548,26 @@ export const apiService = {
     };
   },
 
+  // 📴 Offline punch queue
+  getOfflineSyncConfig: () => api.get(API_ENDPOINTS.OFFLINE_SYNC_CONFIG),
+
+  syncOfflinePunches: (formData) => api.post(API_ENDPOINTS.OFFLINE_SYNC, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+
+  // 🗓 Leave
+  getLeaveTypes: () => api.get(API_ENDPOINTS.LEAVE_TYPES),
+
+  getLeaveBalances: (empId, year) => api.get(API_ENDPOINTS.LEAVE_BALANCES, {
+    params: { emp_id: empId, year }
+  }),
+
+  getLeaveApplications: (params = {}) => api.get(API_ENDPOINTS.LEAVES, { params }),
+
+  applyLeave: (application) => api.post(API_ENDPOINTS.LEAVES, application),
+
+  cancelLeave: (applicationId) => api.post(`${API_ENDPOINTS.LEAVES}/${applicationId}/cancel`),
+
   // Generic API methods
   get: (endpoint, config) => api.get(endpoint, config),
   post: (endpoint, data, config) => api.post(endpoint, data, config),
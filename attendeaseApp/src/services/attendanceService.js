@@ -7,6 +7,17 @@ import * as Location from 'expo-location';
 import * as ImagePicker from 'expo-image-picker';
 import { apiService } from './apiService';
 
+// Accuracy (metres) and the mock-location flag let the backend judge how far
+// the coordinates can be trusted
+export const appendLocationSignals = (formData, locationData) => {
+  if (locationData?.accuracy != null) {
+    formData.append('accuracy', locationData.accuracy.toString());
+  }
+  if (locationData?.mocked != null) {
+    formData.append('mocked', locationData.mocked ? 'true' : 'false');
+  }
+};
+
 export class AttendanceService {
   constructor() {
     this.currentLocation = null;
@@ -41,6 +52,8 @@ export class AttendanceService {
         latitude: location.coords.latitude,
         longitude: location.coords.longitude,
         accuracy: location.coords.accuracy,
+        // Android reports fixes that came from a mock-location app
+        mocked: location.mocked ?? null,
       };
 
       // Get address from coordinates
@@ -135,6 +148,7 @@ export class AttendanceService {
       formData.append('latitude', locationData.latitude.toString());
       formData.append('longitude', locationData.longitude.toString());
       formData.append('address', locationData.address);
+      appendLocationSignals(formData, locationData);
       formData.append('userId', userId.toString());
       
       // Add image
@@ -176,6 +190,7 @@ export class AttendanceService {
       formData.append('latitude', locationData.latitude.toString());
       formData.append('longitude', locationData.longitude.toString());
       formData.append('address', locationData.address);
+      appendLocationSignals(formData, locationData);
       formData.append('userId', userId.toString());
       
       // Add image
@@ -222,6 +237,7 @@ export class AttendanceService {
       formData.append('latitude', locationData.latitude.toString());
       formData.append('longitude', locationData.longitude.toString());
       formData.append('address', locationData.address);
+      appendLocationSignals(formData, locationData);
       formData.append('userId', userId.toString());
       
       // Add face image
@@ -0,0 +1,293 @@
+/**
+ * Offline Punch Queue for AttendEase Mobile App
+ * Keeps captures that failed on a network error and replays them in capture
+ * order through the backend sync endpoint once the connection is back.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import { apiService } from './apiService';
+
+const QUEUE_STORAGE_KEY = 'offlinePunchQueue';
+const REJECTED_STORAGE_KEY = 'offlinePunchRejected';
+const CONFIG_STORAGE_KEY = 'offlinePunchConfig';
+const DEFAULT_BATCH_SIZE = 10;
+const MAX_REJECTED_ENTRIES = 20;
+
+// Unique per capture; the server uses it to make retries idempotent. A random
+// UUID keeps keys unguessable, not just unlikely to collide.
+const createIdempotencyKey = (prefix = 'punch') => `${prefix}-${Crypto.randomUUID()}`;
+
+export class OfflinePunchQueue {
+  constructor() {
+    this.listeners = new Set();
+    this.syncPromise = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  // 🔔 Subscriptions
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  async notify() {
+    const state = await this.getState();
+    this.listeners.forEach((listener) => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('Offline queue listener error:', error);
+      }
+    });
+  }
+
+  // 💾 Storage
+  async readList(storageKey) {
+    try {
+      const raw = await AsyncStorage.getItem(storageKey);
+      const parsed = raw ? JSON.parse(raw) : [];
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+      console.error(`Offline queue: failed to read ${storageKey}`, error);
+      return [];
+    }
+  }
+
+  async writeList(storageKey, list) {
+    await AsyncStorage.setItem(storageKey, JSON.stringify(list));
+  }
+
+  // Queue writes are chained so a capture queued during a sync is never overwritten.
+  updateQueue(mutator) {
+    const run = this.writeChain.then(async () => {
+      const list = await this.readList(QUEUE_STORAGE_KEY);
+      const next = mutator(list);
+      await this.writeList(QUEUE_STORAGE_KEY, next);
+      return next;
+    });
+    this.writeChain = run.catch((error) => {
+      console.error('Offline queue: failed to update queue', error);
+    });
+    return run;
+  }
+
+  async getState() {
+    const [pending, rejected] = await Promise.all([
+      this.readList(QUEUE_STORAGE_KEY),
+      this.readList(REJECTED_STORAGE_KEY),
+    ]);
+    return { pending, rejected, syncing: !!this.syncPromise };
+  }
+
+  // ⚙️ Server configuration
+  async refreshConfig() {
+    try {
+      const response = await apiService.getOfflineSyncConfig();
+      const config = {
+        allowOfflineMode: !!response?.data?.allowOfflineMode,
+        maxBatchSize: Number(response?.data?.maxBatchSize) || DEFAULT_BATCH_SIZE,
+        maxCaptureAgeHours: Number(response?.data?.maxCaptureAgeHours) || null,
+      };
+      await AsyncStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(config));
+      return config;
+    } catch (error) {
+      console.warn('Offline queue: unable to refresh sync config', error?.message);
+      return this.getConfig();
+    }
+  }
+
+  // The last config fetched while online decides whether captures may be queued.
+  async getConfig() {
+    try {
+      const raw = await AsyncStorage.getItem(CONFIG_STORAGE_KEY);
+      return raw ? JSON.parse(raw) : { allowOfflineMode: false, maxBatchSize: DEFAULT_BATCH_SIZE };
+    } catch (error) {
+      return { allowOfflineMode: false, maxBatchSize: DEFAULT_BATCH_SIZE };
+    }
+  }
+
+  async isEnabled() {
+    const config = await this.getConfig();
+    return !!config.allowOfflineMode;
+  }
+
+  // 📥 Queue Operations
+  /**
+   * Queue a capture for later sync.
+   * @param {Object} capture - { mode: 'face'|'group', punchType, photoUri, capturedAt,
+   *   empId, employeeName, wardId, location: { latitude, longitude, address, accuracy, mocked } }
+   * @returns {Object} The queued entry
+   */
+  async enqueue(capture) {
+    const entry = {
+      idempotency_key: createIdempotencyKey(capture.mode),
+      mode: capture.mode,
+      punch_type: (capture.punchType ?? '').toString().toUpperCase(),
+      emp_id: capture.empId ?? null,
+      employee_name: capture.employeeName ?? null,
+      ward_id: capture.wardId ?? null,
+      captured_at: capture.capturedAt ?? new Date().toISOString(),
+      latitude: capture.location?.latitude ?? null,
+      longitude: capture.location?.longitude ?? null,
+      address: capture.location?.address ?? '',
+      accuracy: capture.location?.accuracy ?? null,
+      mocked: capture.location?.mocked ?? null,
+      photo_uri: capture.photoUri,
+      attempts: 0,
+      last_error: null,
+    };
+
+    await this.updateQueue((list) => [...list, entry]);
+    await this.notify();
+    return entry;
+  }
+
+  async clearRejected() {
+    await this.writeList(REJECTED_STORAGE_KEY, []);
+    await this.notify();
+  }
+
+  // 🔄 Sync
+  /**
+   * Replay queued captures. Concurrent callers share one sync run.
+   * @returns {Object} { synced, rejected, remaining, offline }
+   */
+  sync() {
+    if (!this.syncPromise) {
+      this.syncPromise = this.runSync().finally(() => {
+        this.syncPromise = null;
+        this.notify();
+      });
+      this.notify();
+    }
+    return this.syncPromise;
+  }
+
+  async runSync() {
+    const summary = { synced: 0, rejected: 0, remaining: 0, offline: false };
+    const config = await this.getConfig();
+    const batchSize = config.maxBatchSize || DEFAULT_BATCH_SIZE;
+
+    while (true) {
+      const pending = await this.readList(QUEUE_STORAGE_KEY);
+      if (!pending.length) {
+        break;
+      }
+
+      pending.sort((a, b) => new Date(a.captured_at) - new Date(b.captured_at));
+      const batch = pending.slice(0, batchSize);
+      const batchKeys = new Set(batch.map((entry) => entry.idempotency_key));
+
+      const formData = new FormData();
+      formData.append(
+        'punches',
+        JSON.stringify(
+          batch.map(({ idempotency_key, mode, emp_id, punch_type, captured_at, latitude, longitude, address, accuracy, mocked }) => ({
+            idempotency_key,
+            mode,
+            emp_id,
+            punch_type,
+            captured_at,
+            latitude,
+            longitude,
+            address,
+            accuracy,
+            mocked,
+          }))
+        )
+      );
+      batch.forEach((entry) => {
+        formData.append(`photo_${entry.idempotency_key}`, {
+          uri: entry.photo_uri,
+          name: `${entry.idempotency_key}.jpg`,
+          type: 'image/jpeg',
+        });
+      });
+
+      let results;
+      try {
+        const response = await apiService.syncOfflinePunches(formData);
+        results = Array.isArray(response?.data?.results) ? response.data.results : [];
+      } catch (error) {
+        if (error?.isNetworkError) {
+          summary.offline = true;
+        } else {
+          // The whole batch was refused (e.g. offline mode switched off); keep
+          // the entries so nothing is lost, and surface the reason.
+          const message = error?.response?.data?.error || error?.message || 'Sync failed';
+          await this.updateQueue((list) =>
+            list.map((entry) =>
+              batchKeys.has(entry.idempotency_key)
+                ? { ...entry, attempts: entry.attempts + 1, last_error: message }
+                : entry
+            )
+          );
+        }
+        break;
+      }
+
+      const outcomes = new Map(results.map((result) => [result.idempotency_key, result]));
+      const finishedKeys = new Set();
+      const rejectedEntries = [];
+      let retried = 0;
+
+      batch.forEach((entry) => {
+        const outcome = outcomes.get(entry.idempotency_key);
+        const rejected =
+          outcome?.status === 'rejected' ||
+          (outcome?.status === 'duplicate' && outcome?.original_status === 'rejected');
+
+        if (rejected) {
+          summary.rejected += 1;
+          finishedKeys.add(entry.idempotency_key);
+          rejectedEntries.push({
+            ...entry,
+            error: outcome.error || 'Rejected by server',
+            rejected_at: new Date().toISOString(),
+          });
+        } else if (outcome?.status === 'applied' || outcome?.status === 'duplicate') {
+          summary.synced += 1;
+          finishedKeys.add(entry.idempotency_key);
+        } else {
+          retried += 1;
+        }
+      });
+
+      if (rejectedEntries.length) {
+        const rejectedList = await this.readList(REJECTED_STORAGE_KEY);
+        await this.writeList(
+          REJECTED_STORAGE_KEY,
+          [...rejectedEntries, ...rejectedList].slice(0, MAX_REJECTED_ENTRIES)
+        );
+      }
+
+      await this.updateQueue((list) =>
+        list
+          .filter((entry) => !finishedKeys.has(entry.idempotency_key))
+          .map((entry) => {
+            if (!batchKeys.has(entry.idempotency_key)) {
+              return entry;
+            }
+            const outcome = outcomes.get(entry.idempotency_key);
+            return {
+              ...entry,
+              attempts: entry.attempts + 1,
+              last_error: outcome?.error || 'Not processed',
+            };
+          })
+      );
+
+      // Later captures may depend on the ones the server asked to retry
+      // (a punch-out needs its punch-in), so stop and keep the order intact.
+      if (retried > 0) {
+        break;
+      }
+    }
+
+    summary.remaining = (await this.readList(QUEUE_STORAGE_KEY)).length;
+    return summary;
+  }
+}
+
+export default new OfflinePunchQueue();